@@ -0,0 +1,113 @@
+const AbdmConsentService = require('../services/abdmConsentService');
+const AbdmHealthInformationService = require('../services/abdmHealthInformationService');
+const HealthInformationCipher = require('../abdm/healthInformationCipher');
+const { setRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryConsentRepository } = require('../repositories/consentRepository');
+
+describe('ABDM consent simulator', () => {
+  const consentService = new AbdmConsentService();
+  let healthInformationService;
+
+  const request = {
+    patient: { id: 'SYNTHETIC-CASE_1' },
+    purpose: { code: 'CAREMGT' },
+    hiTypes: ['DiagnosticReport', 'OPConsultation'],
+    permission: {
+      dateRange: { from: '2025-01-01', to: '2025-02-01' },
+      dataEraseAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    }
+  };
+
+  async function grantedConsent() {
+    await consentService.linkCareContexts('SYNTHETIC-CASE_1');
+    const requested = await consentService.requestConsent(request);
+    return consentService.grant(requested.consentRequestId);
+  }
+
+  beforeEach(() => {
+    healthInformationService = new AbdmHealthInformationService(consentService);
+    setRepositories({
+      consents: new MemoryConsentRepository(),
+      patients: new MemoryPatientRepository([{
+        abhaId: 'SYNTHETIC-CASE_1',
+        demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'Male', dateOfBirth: '1965-03-15' },
+        cancerType: { primary: 'Oral Squamous Cell Carcinoma', stage: 'III', diagnosisDate: '2025-01-02' },
+        labResults: [
+          { testId: 'lab-1', testName: 'Hemoglobin', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' },
+          { testId: 'lab-2', testName: 'Creatinine', value: '0.9', unit: 'mg/dL', testDate: '2025-03-05' }
+        ],
+        treatments: [{ treatmentId: 'tx-1', regimen: 'Cisplatin', startDate: '2025-01-12' }]
+      }])
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('round-trips content through the ECDH/AES-GCM key exchange', () => {
+    const hiu = HealthInformationCipher.generateKeyMaterial();
+    const hip = HealthInformationCipher.generateKeyMaterial();
+    const content = HealthInformationCipher.encrypt('{"resourceType":"Bundle"}', {
+      privateKey: hip.privateKey,
+      publicKey: hiu.keyMaterial.dhPublicKey.keyValue,
+      ownNonce: hip.keyMaterial.nonce,
+      otherNonce: hiu.keyMaterial.nonce,
+      info: 'ctx-1'
+    });
+    const keys = {
+      privateKey: hiu.privateKey,
+      publicKey: hip.keyMaterial.dhPublicKey.keyValue,
+      ownNonce: hiu.keyMaterial.nonce,
+      otherNonce: hip.keyMaterial.nonce
+    };
+
+    expect(HealthInformationCipher.decrypt(content, { ...keys, info: 'ctx-1' })).toBe('{"resourceType":"Bundle"}');
+    expect(() => HealthInformationCipher.decrypt(content, { ...keys, info: 'ctx-2' })).toThrow(/could not be decrypted/);
+  });
+
+  test('grants a signed consent over linked care contexts and pulls encrypted, consent-scoped bundles', async () => {
+    const consent = await grantedConsent();
+    expect(consent.status).toBe('GRANTED');
+    expect(consent.careContexts).toEqual([
+      { patientReference: 'SYNTHETIC-CASE_1', careContextReference: 'SYNTHETIC-CASE_1-oncology' }
+    ]);
+    await expect(consentService.findActiveConsent(consent.consentId, 'SYNTHETIC-CASE_1')).resolves.toBeTruthy();
+    await expect(consentService.findActiveConsent(consent.consentId, 'SYNTHETIC-CASE_2')).rejects.toMatchObject({ statusCode: 403 });
+
+    const { transactionId, status } = await healthInformationService.requestHealthInformation({ consentId: consent.consentId });
+    expect(status).toBe('TRANSFERRED');
+
+    const encrypted = await healthInformationService.getTransaction(transactionId);
+    expect(encrypted.entries[0].content).not.toMatch(/Hemoglobin/);
+
+    const { entries } = await healthInformationService.getTransaction(transactionId, { decrypt: true });
+    const resources = entries[0].resource.entry.map(entry => entry.resource);
+    // Prescription was not consented and the March lab falls outside the permitted range
+    expect(resources.map(resource => resource.resourceType).sort()).toEqual(['Condition', 'Observation', 'Patient']);
+    expect(resources.find(resource => resource.resourceType === 'Observation').code.text).toBe('Hemoglobin');
+  });
+
+  test('revocation blocks access and erases received data; invalid transitions conflict', async () => {
+    const consent = await grantedConsent();
+    const { transactionId } = await healthInformationService.requestHealthInformation({ consentId: consent.consentId });
+
+    await consentService.revoke(consent.consentId, { reason: 'patient withdrew' });
+    await expect(consentService.findActiveConsent(consent.consentId)).rejects.toThrow(/is REVOKED/);
+    await expect(healthInformationService.getTransaction(transactionId)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(healthInformationService.getTransaction(transactionId)).rejects.toMatchObject({ statusCode: 404 });
+
+    await expect(consentService.grant(consent.consentRequestId)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(consentService.revoke(consent.consentId)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(consentService.expire(consent.consentId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('refuses to grant before the HIP links care contexts', async () => {
+    const requested = await consentService.requestConsent(request);
+    await expect(consentService.grant(requested.consentRequestId)).rejects.toThrow(/no linked care contexts/);
+
+    const expired = await consentService.expire(requested.consentRequestId);
+    expect(expired.history.map(entry => entry.status)).toEqual(['REQUESTED', 'EXPIRED']);
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CaseBundleService = require('../services/caseBundleService');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+const { MemoryConflictRepository } = require('../repositories/conflictRepository');
+
+const SYNTHETIC_CASE = path.join(__dirname, '..', 'data', 'synthetic-datasets', 'case1-oral-squamous');
+
+const ORU = [
+  'MSH|^~\\&|LAB|HOSP|ONCO|POC|20250215093000+0530||ORU^R01|MSG1|P|2.5.1',
+  'PID|1||ABHA-77^^^ABHA^PI~MRN9^^^HOSP^MR||Devi^Lakshmi||19800101|F',
+  'OBR|1||ORD-1|58410-2^CBC^LN|||20250215080000+0530',
+  'OBX|1|NM|6690-2^WBC^LN||11.2|10*9/L|4.0-10.0|H|||F'
+].join('\r');
+
+describe('Case bundles', () => {
+  let root;
+  let service;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bundles-'));
+    fs.cpSync(SYNTHETIC_CASE, path.join(root, 'case1-oral-squamous'), { recursive: true });
+
+    // A case with no FHIR at all: the patient comes from the HL7 message
+    const case2 = path.join(root, 'case2-lab-feed');
+    fs.mkdirSync(path.join(case2, 'hl7'), { recursive: true });
+    fs.writeFileSync(path.join(case2, 'hl7', 'oru.hl7'), ORU);
+    fs.writeFileSync(path.join(case2, 'chemo_log.csv'), [
+      'Regimen,Start Date,End Date,Response',
+      'Paclitaxel weekly,10/01/2025,28/02/2025,Partial response',
+      'Carboplatin,10/03/2025,05/01/2025,'
+    ].join('\n'));
+    fs.writeFileSync(path.join(case2, 'notes.md'), '# Tumour board notes');
+    fs.writeFileSync(path.join(case2, 'broken.json'), '{ "resourceType": ');
+
+    setRepositories({
+      patients: new MemoryPatientRepository([]),
+      patientLinks: new MemoryPatientLinkRepository(),
+      dataSources: new MemoryDataSourceRepository([]),
+      conflicts: new MemoryConflictRepository()
+    });
+    service = new CaseBundleService({ root });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('recognises every file of the synthetic case by its content', async () => {
+    const [case1] = await service.list();
+    expect(case1.files.map(file => [file.file, file.format, file.type])).toEqual([
+      ['emr_record.json', 'fhir', 'EMR'],
+      ['genomics_profile.json', 'profile', 'GENOMICS'],
+      ['imaging_studies.json', 'fhir', 'PACS'],
+      ['lab_results.csv', 'spreadsheet', undefined],
+      ['pathology_report.json', 'fhir', 'PATHOLOGY']
+    ]);
+  });
+
+  test('imports the synthetic case into one patient with per-file provenance', async () => {
+    const result = await service.importCase('case1-oral-squamous', 'tester');
+    expect(result).toMatchObject({ abhaId: 'SYNTHETIC-CASE1_ORAL_SQUAMOUS', status: 'created' });
+    expect(result.files.every(file => file.status === 'imported')).toBe(true);
+
+    const patient = await getRepositories().patients.findByAbhaId('SYNTHETIC-CASE1_ORAL_SQUAMOUS');
+    expect(patient).toMatchObject({
+      demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'male' },
+      cancerType: { primary: 'Oral Squamous Cell Carcinoma', stage: 'III' },
+      genomics: { tmb: 8.2, msi: 'MSS' }
+    });
+    expect(patient.genomics.mutationProfile.map(mutation => mutation.gene)).toEqual(['TP53', 'CDKN2A', 'PIK3CA']);
+    expect(patient.imaging.map(study => study.studyId)).toEqual(['IMG-2023-001', 'IMG-2024-001']);
+    expect(patient.labResults).toHaveLength(6);
+    expect(patient.pathologyReports[0].reportId).toBe('PATH-2023-001');
+
+    const [tmb] = ProvenanceTracker.resolve(patient, { path: 'genomics.tmb' });
+    expect(tmb).toMatchObject({
+      source: 'Case bundle case1-oral-squamous',
+      sourceType: 'GENOMICS',
+      sourceRecordId: 'case1-oral-squamous/genomics_profile.json',
+      activity: 'bundle-import',
+      agent: 'bundle:tester'
+    });
+
+    // Importing again updates the record in place
+    expect(await service.importCase('case1-oral-squamous')).toMatchObject({ status: 'updated', conflicts: 0 });
+    const again = await getRepositories().patients.findByAbhaId('SYNTHETIC-CASE1_ORAL_SQUAMOUS');
+    expect(again.imaging).toHaveLength(2);
+    expect(again.labResults).toHaveLength(6);
+  });
+
+  test('reports files it cannot read and rows it will not import without failing the case', async () => {
+    const { cases, created } = await service.importAll({}, 'tester');
+    expect(created).toBe(2);
+
+    const case2 = cases.find(result => result.caseId === 'case2-lab-feed');
+    expect(case2).toMatchObject({ abhaId: 'ABHA-77', status: 'created' });
+    const byFile = Object.fromEntries(case2.files.map(file => [file.file, file]));
+    expect(byFile['broken.json']).toMatchObject({ status: 'skipped', errors: [{ message: expect.stringContaining('Unreadable JSON') }] });
+    expect(byFile['notes.md']).toMatchObject({ status: 'skipped' });
+    expect(byFile[path.join('hl7', 'oru.hl7')]).toMatchObject({ format: 'hl7', status: 'imported', entries: 1 });
+    expect(byFile['chemo_log.csv']).toMatchObject({
+      type: 'EMR',
+      entries: 1,
+      errors: [{ row: 3, field: 'treatments.endDate', message: 'End date is before the start date' }]
+    });
+
+    const patient = await getRepositories().patients.findByAbhaId('ABHA-77');
+    expect(patient.demographics).toMatchObject({ firstName: 'Lakshmi', lastName: 'Devi' });
+    expect(patient.labResults).toEqual([expect.objectContaining({ testName: 'WBC', value: '11.2' })]);
+    expect(patient.treatments).toEqual([expect.objectContaining({ regimen: 'Paclitaxel weekly', response: 'Partial response' })]);
+
+    await expect(service.importAll({ caseIds: ['../etc'] })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
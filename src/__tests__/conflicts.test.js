@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const ConflictDetector = require('../conflicts/conflictDetector');
+const ConflictService = require('../services/conflictService');
+const DataAggregator = require('../services/dataAggregator');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+const { MemoryConflictRepository } = require('../repositories/conflictRepository');
+
+const rule = (sourceField, targetField, transformation = '') => ({ sourceField, targetField, transformation });
+
+const source = folder => ({
+  _id: 'dcu',
+  name: 'Day Care Unit',
+  type: 'EMR',
+  dataFormat: 'JSON',
+  trustLevel: 20,
+  connectionDetails: { protocol: 'FILE', endpoint: folder },
+  mappingRules: [
+    rule('mrn', 'abhaId', 'prefix("DCU-")'),
+    rule('name', 'demographics.lastName', 'split(" ") | last'),
+    rule('stage', 'cancerType.stage'),
+    rule('labs[].code', 'labResults[].testId', 'template("{mrn}-{$value}")'),
+    rule('labs[].name', 'labResults[].testName'),
+    rule('labs[].date', 'labResults[].testDate', 'date'),
+    rule('labs[].value', 'labResults[].value', 'string')
+  ]
+});
+
+const registration = ProvenanceTracker.context({ name: 'Registration desk', type: 'HIMS' }, { sourceRecordId: 'REG-1', activity: 'manual' });
+const centralLab = ProvenanceTracker.context({ name: 'Central Lab', type: 'LIS' }, {
+  sourceRecordId: 'ORU-9',
+  activity: 'mllp',
+  recordedAt: new Date('2025-03-01T10:00:00Z')
+});
+
+describe('Source conflicts', () => {
+  let folder;
+  let aggregator;
+
+  const drop = (name, record, modifiedAt = new Date()) => {
+    const file = path.join(folder, name);
+    fs.writeFileSync(file, JSON.stringify(record));
+    fs.utimesSync(file, modifiedAt, modifiedAt);
+  };
+
+  const patient = () => getRepositories().patients.findByAbhaId('DCU-42');
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'conflicts-'));
+    const lab = { testId: 'LIS-1', testName: 'Hemoglobin', testDate: '2025-03-01', value: '10.4', unit: 'g/dL' };
+    setRepositories({
+      patients: new MemoryPatientRepository([{
+        abhaId: 'DCU-42',
+        demographics: { firstName: 'Meena', lastName: 'Iyer' },
+        cancerType: { primary: 'Breast carcinoma', stage: 'IIA' },
+        labResults: [lab],
+        provenance: [
+          ...ProvenanceTracker.describe({ demographics: { firstName: 'Meena', lastName: 'Iyer' }, cancerType: { stage: 'IIA' } }, registration),
+          ...ProvenanceTracker.describe({ labResults: [lab] }, centralLab)
+        ]
+      }]),
+      dataSources: new MemoryDataSourceRepository([source(folder), { _id: 'reg', name: 'Registration desk', type: 'HIMS', trustLevel: 80 }]),
+      conflicts: new MemoryConflictRepository()
+    });
+    aggregator = new DataAggregator();
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test('keeps the more trusted source\'s demographics and records the decision once', async () => {
+    drop('visit-7.json', { mrn: '42', name: 'Meena Iyer-Rao' });
+    const result = await aggregator.syncSource(source(folder));
+    expect(result).toMatchObject({ updated: 1, conflicts: 1 });
+    expect((await patient()).demographics.lastName).toBe('Iyer');
+
+    const [conflict] = await getRepositories().conflicts.findAll();
+    expect(conflict).toMatchObject({
+      abhaId: 'DCU-42',
+      path: 'demographics.lastName',
+      policy: 'trusted-source',
+      status: 'auto-resolved',
+      current: { value: 'Iyer', source: 'Registration desk', sourceRecordId: 'REG-1' },
+      incoming: { value: 'Iyer-Rao', source: 'Day Care Unit', sourceRecordId: 'visit-7.json' },
+      decisions: [{ choice: 'current', decidedBy: 'policy:trusted-source', reason: 'Registration desk is trusted more (80 over 20)' }]
+    });
+
+    // Seeing the same disagreement again neither reopens it nor writes the rejected value
+    drop('visit-7.json', { mrn: '42', name: 'Meena Iyer-Rao' }, new Date(Date.now() + 60000));
+    await aggregator.syncSource(source(folder), { since: result.watermark });
+    const conflicts = await getRepositories().conflicts.findAll();
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].occurrences).toBe(2);
+    expect((await patient()).demographics.lastName).toBe('Iyer');
+  });
+
+  test('holds manual-policy fields for a data steward and applies their decision', async () => {
+    const service = new ConflictService();
+    drop('visit-7.json', { mrn: '42', stage: 'IIIB' });
+    await aggregator.syncSource(source(folder));
+
+    const [conflict] = await service.list({ status: 'open' });
+    expect(conflict).toMatchObject({ path: 'cancerType.stage', policy: 'manual', decisions: [] });
+    expect((await patient()).cancerType.stage).toBe('IIA');
+
+    await expect(service.resolve(conflict.conflictId, { choice: 'maybe' })).rejects.toMatchObject({ statusCode: 422 });
+    const resolved = await service.resolve(conflict.conflictId, { choice: 'incoming', reason: 'Restaged after PET-CT' }, 'dr.rao');
+    expect(resolved).toMatchObject({
+      status: 'resolved',
+      decisions: [{ choice: 'incoming', value: 'IIIB', decidedBy: 'dr.rao', reason: 'Restaged after PET-CT' }]
+    });
+
+    const [stage] = ProvenanceTracker.resolve(await patient(), { path: 'cancerType.stage' });
+    expect(stage).toMatchObject({
+      value: 'IIIB',
+      source: 'Day Care Unit',
+      sourceRecordId: 'visit-7.json',
+      activity: 'conflict-resolution',
+      agent: 'dr.rao'
+    });
+
+    // The record moved on, so a later decision on the same conflict is refused
+    await getRepositories().patients.update('DCU-42', { cancerType: { stage: 'IV' } });
+    await expect(service.resolve(conflict.conflictId, { choice: 'current' }, 'dr.rao')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('replaces a lab result reported under another ID for the same test and day with the most recent one', async () => {
+    drop('visit-7.json', {
+      mrn: '42',
+      labs: [{ code: 'HB', name: 'hemoglobin', date: '2025-03-01', value: 9.8 }]
+    }, new Date('2025-03-02T08:00:00Z'));
+    await aggregator.syncSource(source(folder));
+
+    expect((await patient()).labResults.map(lab => [lab.testId, lab.value])).toEqual([['42-HB', '9.8']]);
+    const [conflict] = await getRepositories().conflicts.findAll();
+    expect(conflict).toMatchObject({
+      path: 'labResults',
+      key: 'LIS-1',
+      incomingKey: '42-HB',
+      fields: ['value'],
+      policy: 'most-recent',
+      decisions: [{ choice: 'incoming', reason: 'Day Care Unit has the most recent value' }]
+    });
+
+    // A steward can put the laboratory's own result back
+    await new ConflictService().resolve(conflict.conflictId, { choice: 'current' }, 'lab.lead');
+    expect((await patient()).labResults.map(lab => [lab.testId, lab.value])).toEqual([['LIS-1', '10.4']]);
+  });
+
+  test('treats formatting differences and a source\'s own corrections as agreement', () => {
+    const current = {
+      demographics: { lastName: 'Iyer', dateOfBirth: new Date('1971-02-03') },
+      labResults: [{ testId: 'a', value: '10.10' }],
+      provenance: ProvenanceTracker.describe({ labResults: [{ testId: 'a', value: '10.10' }] }, centralLab)
+    };
+    const incoming = {
+      demographics: { lastName: ' IYER ', dateOfBirth: '1971-02-03' },
+      labResults: [{ testId: 'a', value: 10.1 }]
+    };
+    expect(ConflictDetector.detect(current, incoming)).toEqual([]);
+
+    const correction = { labResults: [{ testId: 'a', value: '11.2' }] };
+    expect(ConflictDetector.detect(current, { ...correction, provenance: ProvenanceTracker.describe(correction, centralLab) })).toEqual([]);
+    expect(ConflictDetector.detect(current, correction)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,126 @@
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const ConnectionProbe = require('../probes/connectionProbe');
+const DicomEcho = require('../dicom/dicomEcho');
+const MLLPListenerService = require('../services/mllpListenerService');
+const InteroperabilityService = require('../services/interoperabilityService');
+const { setRepositories } = require('../repositories');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+
+const source = (protocol, endpoint, extra = {}) => ({
+  _id: `${protocol}-${endpoint}`,
+  name: `${protocol} source`,
+  type: 'EMR',
+  syncStatus: 'active',
+  connectionDetails: { protocol, endpoint, timeoutMs: 500 },
+  ...extra
+});
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+async function closedPort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await close(server);
+  return port;
+}
+
+describe('ConnectionProbe', () => {
+  const servers = [];
+
+  const start = async server => {
+    servers.push(server);
+    return listen(server);
+  };
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => {
+      server.closeAllConnections?.();
+      return close(server);
+    }));
+    setRepositories(null);
+  });
+
+  test('checks folders and reports unsupported or missing configuration', async () => {
+    const folder = await ConnectionProbe.probe(source('FILE', os.tmpdir()));
+    expect(folder).toMatchObject({ status: 'connected', probe: 'file', errorClass: null, timeoutMs: 500 });
+    expect(folder.latencyMs).toEqual(expect.any(Number));
+
+    expect(await ConnectionProbe.probe(source('FILE', '/no/such/export'))).toMatchObject({ status: 'error', errorClass: 'not_found' });
+    expect(await ConnectionProbe.probe(source('SFTP', 'sftp://lab'))).toMatchObject({ errorClass: 'unsupported_protocol' });
+  });
+
+  test('reads the FHIR CapabilityStatement and classifies HTTP failures', async () => {
+    const port = await start(http.createServer((req, res) => {
+      if (req.url === '/fhir/metadata') {
+        res.setHeader('Content-Type', 'application/fhir+json');
+        res.end(JSON.stringify({ resourceType: 'CapabilityStatement', fhirVersion: '4.0.1', software: { name: 'Stand-in EMR' } }));
+      } else if (req.url === '/locked/metadata') {
+        res.statusCode = 401;
+        res.end();
+      }
+      // Anything else is left hanging
+    }));
+
+    const fhir = await ConnectionProbe.probe(source('HTTP', `http://127.0.0.1:${port}/fhir`, { dataFormat: 'FHIR' }));
+    expect(fhir).toMatchObject({ status: 'connected', probe: 'fhir', detail: { fhirVersion: '4.0.1', software: 'Stand-in EMR' } });
+
+    expect(await ConnectionProbe.probe(source('FHIR', `http://127.0.0.1:${port}/locked`))).toMatchObject({ errorClass: 'auth' });
+    const hung = await ConnectionProbe.probe(source('FHIR', `http://127.0.0.1:${port}/slow`));
+    expect(hung).toMatchObject({ status: 'error', errorClass: 'timeout' });
+    expect(hung.latencyMs).toBeGreaterThanOrEqual(450);
+
+    const refused = await ConnectionProbe.probe(source('FHIR', `http://127.0.0.1:${await closedPort()}`));
+    expect(refused).toMatchObject({ errorClass: 'connection_refused' });
+  });
+
+  test('acknowledges MLLP network checks without ingesting anything', async () => {
+    const feed = source('MLLP', 'mllp://127.0.0.1:0', { type: 'LIS', dataFormat: 'HL7' });
+    setRepositories({ dataSources: new MemoryDataSourceRepository([feed]) });
+    const mllpService = new MLLPListenerService();
+    const [listener] = await mllpService.start();
+
+    try {
+      const result = await ConnectionProbe.probe(feed, { listenerAddress: listener.address });
+      expect(result).toMatchObject({ status: 'connected', detail: { acknowledgement: 'AA', port: listener.address.port } });
+      expect(mllpService.status()[0]).toMatchObject({ probes: 1, accepted: 0, rejected: 0 });
+    } finally {
+      await mllpService.stop();
+    }
+  });
+
+  test('runs a DICOM C-ECHO and reports rejected associations', async () => {
+    const port = await start(DicomEcho.createServer({ aeTitle: 'ONCO_PACS' }));
+
+    expect(await ConnectionProbe.probe(source('DICOM', `dicom://ONCO_PACS@127.0.0.1:${port}`)))
+      .toMatchObject({ status: 'connected', probe: 'dicom', detail: { calledAe: 'ONCO_PACS', verification: 'C-ECHO success' } });
+    expect(await ConnectionProbe.probe(source('DICOM', `dicom://OTHER_AE@127.0.0.1:${port}`)))
+      .toMatchObject({ status: 'error', errorClass: 'rejected' });
+    expect(await ConnectionProbe.probe(source('DICOM', 'pacs.local'))).toMatchObject({ errorClass: 'misconfigured' });
+  });
+
+  test('keeps a probe history per source and degrades health when a source is down', async () => {
+    setRepositories({
+      dataSources: new MemoryDataSourceRepository([
+        { ...source('FILE', os.tmpdir()), _id: 'folder' },
+        { ...source('FILE', '/no/such/export'), _id: 'missing' },
+        { ...source('FILE', '/also/missing'), _id: 'disabled', syncStatus: 'inactive' }
+      ])
+    });
+    const service = new InteroperabilityService();
+
+    const health = await service.getSystemHealth();
+    expect(health).toMatchObject({ status: 'degraded', activeSources: 1, totalSources: 2, disabledSources: 1 });
+
+    await service.testDataSourceConnection('missing');
+    const history = await service.getProbeHistory('missing');
+    expect(history.map(entry => entry.errorClass)).toEqual(['not_found', 'not_found']);
+  });
+});
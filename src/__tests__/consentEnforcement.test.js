@@ -0,0 +1,292 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const seedDataFiles = require('../utils/seedDataFiles');
+const AbdmConsentService = require('../services/abdmConsentService');
+const SpreadsheetImportService = require('../services/spreadsheetImportService');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryReportRepository } = require('../repositories/reportRepository');
+const { MemoryConsentRepository } = require('../repositories/consentRepository');
+const { MemoryConflictRepository } = require('../repositories/conflictRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+
+const MRN = 'https://district-hospital.example/mrn';
+
+const patient = (abhaId, studyInstanceUid) => ({
+  abhaId,
+  demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'male', dateOfBirth: '1965-03-15' },
+  identifiers: [{ system: MRN, value: abhaId }],
+  cancerType: { primary: 'Oral Squamous Cell Carcinoma', stage: 'III' },
+  labResults: [{ testId: 'lab-1', testName: 'Hemoglobin', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' }],
+  imaging: [{ studyId: 'baseline', studyInstanceUid, modality: 'CT', studyDate: '2025-01-10' }]
+});
+
+// Every surface that returns or forwards one patient's record
+const PATIENT_SURFACES = [
+  ['GET', '/api/patients'],
+  ['POST', '/api/patients/SYNTHETIC-CASE_1/sync'],
+  ['GET', '/fhir/r4/Observation?subject=Patient/SYNTHETIC-CASE-1'],
+  ['POST', '/fhir/r4/Observation/_search', { patient: 'SYNTHETIC-CASE-1' }],
+  ['GET', '/fhir/r4/Patient/SYNTHETIC-CASE-1'],
+  ['GET', '/api/dicomweb/studies?PatientID=SYNTHETIC-CASE_1'],
+  ['GET', '/api/dicomweb/studies/1.2.3/metadata'],
+  ['GET', '/api/dicomweb/studies/1.2.3/rendered'],
+  ['GET', '/api/reports'],
+  ['GET', '/api/reports/TBR-1'],
+  ['GET', '/api/reports/TBR-1/export'],
+  ['GET', '/api/reports/TBR-1/versions'],
+  ['PUT', '/api/reports/TBR-1/approve'],
+  ['POST', '/api/reports/generate', { abhaId: 'SYNTHETIC-CASE_1' }],
+  ['POST', '/api/reports/generate-perplexity', { abhaId: 'SYNTHETIC-CASE_1' }],
+  ['GET', '/api/reports/patient/SYNTHETIC-CASE_1'],
+  ['POST', '/api/medical-search', { query: 'HPV status', patientContext: 'SYNTHETIC-CASE_1' }],
+  ['POST', '/api/patients', { abhaId: 'SYNTHETIC-CASE_3' }],
+  ['PUT', '/api/patients/SYNTHETIC-CASE_1', { cancerType: { stage: 'IV' } }],
+  ['POST', '/api/longitudinal/population/summary', { patientIds: ['SYNTHETIC-CASE_1'] }],
+  ['POST', '/api/mpi/match', { demographics: { firstName: 'Rajesh', lastName: 'Kumar' } }],
+  ['GET', '/api/mpi/duplicates'],
+  ['GET', `/api/mpi/identifiers?system=${MRN}&value=SYNTHETIC-CASE_1`],
+  ['GET', '/api/mpi/patients/SYNTHETIC-CASE_1/candidates'],
+  ['POST', '/api/mpi/patients/SYNTHETIC-CASE_1/identifiers', { system: MRN, value: 'DH-1' }],
+  ['GET', '/api/mpi/links?abhaId=SYNTHETIC-CASE_1'],
+  ['GET', '/api/mpi/links/LINK-1'],
+  ['POST', '/api/mpi/merge', { survivorId: 'SYNTHETIC-CASE_1', mergedId: 'SYNTHETIC-CASE_2' }],
+  ['POST', '/api/mpi/links/LINK-1/unmerge'],
+  ['GET', '/api/conflicts'],
+  ['GET', '/api/conflicts?abhaId=SYNTHETIC-CASE_1'],
+  ['GET', '/api/conflicts/CF-1'],
+  ['POST', '/api/conflicts/CF-1/resolve', { choice: 'current' }],
+  ['GET', '/api/imports']
+];
+
+const conflict = (conflictId, abhaId) => ({
+  conflictId,
+  abhaId,
+  path: 'cancerType.stage',
+  status: 'open',
+  currentValue: 'III',
+  incomingValue: 'IV',
+  detectedAt: '2025-01-12T00:00:00.000Z'
+});
+
+const link = (linkId, survivorId) => ({ linkId, type: 'merge', status: 'active', survivorId, mergedId: `${survivorId}-DUP`, survivorSnapshot: {} });
+
+const labSheet = abhaId => ({
+  originalname: 'labs.csv',
+  buffer: Buffer.from(['Patient ID,Test,Date,Result,Units', `${abhaId},Hemoglobin,2025-01-05,11.2,g/dL`].join('\n'), 'utf8')
+});
+
+describe('ABDM consent enforcement', () => {
+  const consentService = new AbdmConsentService();
+  let server;
+  let consentId;
+
+  async function call(method, url, body, headers = {}) {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/patients', require('../routes/patientRoutes'));
+    app.use('/api/reports', require('../routes/reportRoutes'));
+    app.use('/api/dicomweb', require('../routes/dicomwebRoutes'));
+    app.use('/fhir/r4', require('../routes/fhirRoutes'));
+    app.use('/api/longitudinal', require('../routes/longitudinalRoutes'));
+    app.use('/api/mpi', require('../routes/mpiRoutes'));
+    app.use('/api/conflicts', require('../routes/conflictRoutes'));
+    app.use('/api/imports', require('../routes/importRoutes'));
+    app.use('/api', require('../routes/searchRoutes'));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    process.env.ABDM_CONSENT_ENFORCED = 'true';
+    setRepositories({
+      consents: new MemoryConsentRepository(),
+      reports: new MemoryReportRepository(),
+      conflicts: new MemoryConflictRepository([conflict('CF-1', 'SYNTHETIC-CASE_1'), conflict('CF-2', 'SYNTHETIC-CASE_2')]),
+      patientLinks: new MemoryPatientLinkRepository([link('LINK-1', 'SYNTHETIC-CASE_1'), link('LINK-2', 'SYNTHETIC-CASE_2')]),
+      patients: new MemoryPatientRepository([patient('SYNTHETIC-CASE_1', '1.2.3'), patient('SYNTHETIC-CASE_2', '4.5.6')])
+    });
+    const { reports } = getRepositories();
+    await reports.create({ reportId: 'TBR-1', patientId: 'SYNTHETIC-CASE_1', reportType: 'initial', approvalStatus: 'draft' });
+    await reports.create({ reportId: 'TBR-2', patientId: 'SYNTHETIC-CASE_2', reportType: 'initial', approvalStatus: 'draft' });
+
+    await consentService.linkCareContexts('SYNTHETIC-CASE_1');
+    const requested = await consentService.requestConsent({
+      patient: { id: 'SYNTHETIC-CASE_1' },
+      purpose: { code: 'CAREMGT' },
+      hiTypes: ['DiagnosticReport'],
+      permission: {
+        dateRange: { from: '2025-01-01', to: '2025-12-31' },
+        dataEraseAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      }
+    });
+    consentId = (await consentService.grant(requested.consentRequestId)).consentId;
+  });
+
+  afterEach(() => {
+    delete process.env.ABDM_CONSENT_ENFORCED;
+    setRepositories(null);
+    SpreadsheetImportService.reset();
+  });
+
+  test.each(PATIENT_SURFACES)('%s %s is denied without a consent', async (method, url, body = null) => {
+    const response = await call(method, url, body);
+
+    expect(response.status).toBe(403);
+    expect(JSON.stringify(response.body)).toMatch(/X-Consent-Id/);
+  });
+
+  test('limits lists and searches to the consented patient and refuses the others', async () => {
+    const headers = { 'X-Consent-Id': consentId };
+
+    expect((await call('GET', '/api/patients', null, headers)).body.map(entry => entry.abhaId)).toEqual(['SYNTHETIC-CASE_1']);
+    expect((await call('GET', '/api/reports', null, headers)).body.map(report => report.reportId)).toEqual(['TBR-1']);
+
+    const observations = (await call('GET', '/fhir/r4/Observation', null, headers)).body;
+    expect(observations.entry.map(entry => entry.resource.subject.reference)).toEqual(['Patient/SYNTHETIC-CASE-1']);
+    expect((await call('GET', '/fhir/r4/Patient/SYNTHETIC-CASE-1', null, headers)).status).toBe(200);
+
+    const studies = (await call('GET', '/api/dicomweb/studies', null, headers)).body;
+    expect(studies.map(study => study['0020000D'].Value[0])).toEqual(['1.2.3']);
+    expect((await call('GET', '/api/reports/TBR-1', null, headers)).status).toBe(200);
+
+    const outcome = await call('GET', '/fhir/r4/Patient/SYNTHETIC-CASE-2', null, headers);
+    expect(outcome).toMatchObject({ status: 403, body: { resourceType: 'OperationOutcome' } });
+    for (const [method, url, body] of [
+      ['GET', '/fhir/r4/Observation?subject=Patient/SYNTHETIC-CASE-2'],
+      ['GET', '/api/dicomweb/studies?PatientID=SYNTHETIC-CASE_2'],
+      ['GET', '/api/dicomweb/studies/4.5.6/metadata'],
+      ['GET', '/api/reports/TBR-2'],
+      ['POST', '/api/reports/generate-perplexity', { abhaId: 'SYNTHETIC-CASE_2' }],
+      ['POST', '/api/medical-search', { query: 'HPV status', patientContext: 'SYNTHETIC-CASE_2' }]
+    ]) {
+      expect([url, (await call(method, url, body, headers)).status]).toEqual([url, 403]);
+    }
+  });
+
+  test('limits MPI results, conflicts and patient writes to the consented patient', async () => {
+    const headers = { 'X-Consent-Id': consentId };
+
+    const matches = (await call('POST', '/api/mpi/match?includeAll=true', patient('SYNTHETIC-CASE_9', '9.9.9'), headers)).body;
+    expect(matches.map(result => result.patient.abhaId)).toEqual(['SYNTHETIC-CASE_1']);
+    expect((await call('GET', '/api/mpi/duplicates', null, headers)).body).toEqual([]);
+    expect((await call('GET', '/api/mpi/patients/SYNTHETIC-CASE_1/candidates', null, headers)).body).toEqual([]);
+    expect((await call('GET', `/api/mpi/identifiers?system=${MRN}&value=SYNTHETIC-CASE_1`, null, headers)).body.abhaId).toBe('SYNTHETIC-CASE_1');
+    expect((await call('GET', '/api/mpi/links', null, headers)).body.map(entry => entry.linkId)).toEqual(['LINK-1']);
+    expect((await call('GET', `/api/mpi/identifiers?system=${MRN}&value=nobody`, null, headers)).status).toBe(404);
+
+    expect((await call('GET', '/api/conflicts', null, headers)).body.map(entry => entry.conflictId)).toEqual(['CF-1']);
+    expect((await call('GET', '/api/conflicts/CF-1', null, headers)).body.abhaId).toBe('SYNTHETIC-CASE_1');
+    expect((await call('GET', '/api/conflicts/CF-404', null, headers)).status).toBe(404);
+
+    const summary = await call('POST', '/api/longitudinal/population/summary', { patientIds: ['SYNTHETIC-CASE_1', 'SYNTHETIC-CASE_2'] }, headers);
+    expect(summary.body.data.totalPatients).toBe(1);
+    expect((await call('PUT', '/api/patients/SYNTHETIC-CASE_1', { cancerType: { stage: 'IV' } }, headers)).body.data.cancerType.stage).toBe('IV');
+    const created = await call('POST', '/api/patients', patient('SYNTHETIC-CASE_3', '7.8.9'), headers);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toBeUndefined();
+
+    for (const [method, url, body] of [
+      ['GET', `/api/mpi/identifiers?system=${MRN}&value=SYNTHETIC-CASE_2`],
+      ['GET', '/api/mpi/patients/SYNTHETIC-CASE_2/candidates'],
+      ['POST', '/api/mpi/patients/SYNTHETIC-CASE_2/identifiers', { system: MRN, value: 'DH-2' }],
+      ['GET', '/api/mpi/links?abhaId=SYNTHETIC-CASE_2'],
+      ['GET', '/api/mpi/links/LINK-2'],
+      ['POST', '/api/mpi/links/LINK-2/unmerge'],
+      ['POST', '/api/mpi/merge', { survivorId: 'SYNTHETIC-CASE_2', mergedId: 'SYNTHETIC-CASE_1' }],
+      ['GET', '/api/conflicts?abhaId=SYNTHETIC-CASE_2'],
+      ['GET', '/api/conflicts/CF-2'],
+      ['POST', '/api/conflicts/CF-2/resolve', { choice: 'incoming' }],
+      ['PUT', '/api/patients/SYNTHETIC-CASE_2', { cancerType: { stage: 'IV' } }]
+    ]) {
+      expect([url, (await call(method, url, body, headers)).status]).toEqual([url, 403]);
+    }
+    expect((await getRepositories().conflicts.findById('CF-2')).status).toBe('open');
+    expect((await getRepositories().patients.findByAbhaId('SYNTHETIC-CASE_2')).cancerType.stage).toBe('III');
+  });
+
+  test('shows, remaps and takes imports only when their rows are about the consented patient', async () => {
+    const headers = { 'X-Consent-Id': consentId };
+    const importService = new SpreadsheetImportService();
+    const own = (await importService.preview(labSheet('SYNTHETIC-CASE_1'))).importId;
+    const other = (await importService.preview(labSheet('SYNTHETIC-CASE_2'))).importId;
+
+    expect((await call('GET', '/api/imports', null, headers)).body.map(entry => entry.importId)).toEqual([own]);
+    expect((await call('GET', `/api/imports/${own}`)).status).toBe(403);
+    expect((await call('GET', `/api/imports/${own}`, null, headers)).body.preview[0].data.abhaId).toBe('SYNTHETIC-CASE_1');
+    for (const [method, url, body] of [
+      ['GET', `/api/imports/${other}`],
+      ['PUT', `/api/imports/${other}/mapping`, { kind: 'labs' }],
+      ['POST', `/api/imports/${other}/commit`],
+      ['PUT', `/api/imports/${own}/mapping`, { columns: { abhaId: null }, abhaId: 'SYNTHETIC-CASE_2' }]
+    ]) {
+      expect([url, (await call(method, url, body, headers)).status]).toEqual([url, 403]);
+    }
+    expect((await call('GET', `/api/imports/${own}`, null, headers)).body.mapping).toMatchObject({ abhaId: null, columns: { abhaId: expect.any(String) } });
+    expect((await call('GET', '/api/imports/missing', null, headers)).status).toBe(404);
+
+    const form = new FormData();
+    form.append('file', new Blob([labSheet('SYNTHETIC-CASE_2').buffer]), 'labs.csv');
+    const uploaded = await fetch(`http://127.0.0.1:${server.address().port}/api/imports`, { method: 'POST', headers, body: form });
+    expect(uploaded.status).toBe(403);
+    expect((await importService.list()).map(entry => entry.importId).sort()).toEqual([own, other].sort());
+  });
+
+  test('answers 404 for a missing report before looking at the consent', async () => {
+    expect(await call('GET', '/api/reports/TBR-404')).toMatchObject({ status: 404, body: { error: 'Report not found' } });
+    expect((await call('GET', '/api/reports/TBR-404/versions', null, { 'X-Consent-Id': consentId })).status).toBe(404);
+  });
+});
+
+describe('Seed data files', () => {
+  let dataPath;
+  let server;
+
+  beforeAll(async () => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-data-'));
+    fs.writeFileSync(path.join(dataPath, 'processed_patients.json'), '[]');
+    fs.mkdirSync(path.join(dataPath, 'store', 'reports'), { recursive: true });
+    fs.writeFileSync(path.join(dataPath, 'store', 'reports', 'TBR-1.json'), '{"patientId":"SYNTHETIC-CASE_1"}');
+    fs.mkdirSync(path.join(dataPath, 'patient-store', 'SYNTHETIC-CASE_1'), { recursive: true });
+    fs.writeFileSync(path.join(dataPath, 'patient-store', 'SYNTHETIC-CASE_1', 'v000001.json'), '{"abhaId":"SYNTHETIC-CASE_1"}');
+
+    const app = express();
+    app.use('/data', seedDataFiles(dataPath));
+    app.get('*', (req, res) => res.send('client-side route'));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  test('are served without the report, consent and patient stores beside them', async () => {
+    const status = async file => (await fetch(`http://127.0.0.1:${server.address().port}/data/${file}`)).status;
+
+    expect(await status('processed_patients.json')).toBe(200);
+    expect(await status('store/reports/TBR-1.json')).toBe(404);
+    expect(await status('store%2Freports%2FTBR-1.json')).toBe(404);
+    expect(await status('patient-store/SYNTHETIC-CASE_1/v000001.json')).toBe(404);
+    expect(await status('patient-store/')).toBe(404);
+  });
+});
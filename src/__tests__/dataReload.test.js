@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileBasedDataService = require('../services/fileBasedDataService');
+const PatientStore = require('../services/patientStore');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+
+const DATA = path.join(__dirname, '..', 'data');
+
+describe('File data hot reload', () => {
+  let dataPath;
+  let service;
+  let changes;
+
+  const processed = () => JSON.parse(fs.readFileSync(path.join(dataPath, 'processed_patients.json'), 'utf8'));
+  const writeProcessed = patients => fs.writeFileSync(path.join(dataPath, 'processed_patients.json'), JSON.stringify(patients, null, 2));
+
+  beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'data-reload-'));
+    fs.copyFileSync(path.join(DATA, 'processed_patients.json'), path.join(dataPath, 'processed_patients.json'));
+    fs.cpSync(path.join(DATA, 'EMR'), path.join(dataPath, 'EMR'), { recursive: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new FileBasedDataService({ dataPath, patientStore: new PatientStore(path.join(dataPath, 'patient-store')) });
+    changes = [];
+    service.on('patient-changed', change => changes.push(change));
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.restoreAllMocks();
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  test('reprocesses only the patient whose processed entry changed', async () => {
+    const untouched = await service.getPatientByAbhaId('SYNTHETIC-CASE_1');
+    const patients = processed();
+    patients[0].cancerType.stage = 'IVA';
+    writeProcessed(patients);
+
+    expect(service.reload(['processed_patients.json'])).toEqual({
+      files: ['processed_patients.json'],
+      patients: [{ abhaId: 'SYNTHETIC-CASE_2', change: 'updated' }]
+    });
+    expect((await service.getPatientByAbhaId('SYNTHETIC-CASE_2')).cancerType.stage).toBe('IVA');
+    expect(await service.getPatientByAbhaId('SYNTHETIC-CASE_1')).toBe(untouched);
+    expect(changes).toEqual([expect.objectContaining({ abhaId: 'SYNTHETIC-CASE_2', change: 'updated', patient: expect.any(Object) })]);
+
+    // Dropping an entry removes the patient
+    writeProcessed(patients.slice(1));
+    expect(service.reload(['processed_patients.json']).patients).toEqual([{ abhaId: 'SYNTHETIC-CASE_2', change: 'removed' }]);
+    expect(await service.getPatientByAbhaId('SYNTHETIC-CASE_2')).toBeNull();
+  });
+
+  test('leaves patients loaded from processed_patients.json alone when a raw export changes', async () => {
+    const untouched = await service.getPatientByAbhaId('SYNTHETIC-CASE_1');
+    const emrPath = path.join(dataPath, 'EMR', 'emr2.json');
+    const emr = JSON.parse(fs.readFileSync(emrPath, 'utf8'));
+    fs.writeFileSync(emrPath, JSON.stringify({ ...emr, name: 'Rajesh Kumar Iyer' }));
+    fs.writeFileSync(path.join(dataPath, 'EMR', 'emr4.json'), JSON.stringify({ ...emr, patient_id: 'case_4', name: 'Meena Rao' }));
+
+    // A restart reads only processed_patients.json, so the reload must not see the exports either
+    expect(service.reload([path.join('EMR', 'emr2.json'), path.join('EMR', 'emr4.json')]).patients).toEqual([]);
+    expect(await service.getPatientByAbhaId('SYNTHETIC-CASE_1')).toBe(untouched);
+    expect(await service.getPatientByAbhaId('FILE-BASED-CASE_4')).toBeNull();
+    expect(changes).toEqual([]);
+  });
+
+  test('rebuilds a patient from its raw exports when started from them, and saves it for the next start', async () => {
+    service.stop();
+    fs.rmSync(path.join(dataPath, 'processed_patients.json'));
+    service = new FileBasedDataService({ dataPath, patientStore: new PatientStore(path.join(dataPath, 'patient-store')) });
+    service.on('patient-changed', change => changes.push(change));
+    const restart = () => new FileBasedDataService({ dataPath, patientStore: new PatientStore(path.join(dataPath, 'patient-store')) });
+
+    const emrPath = path.join(dataPath, 'EMR', 'emr2.json');
+    const emr = JSON.parse(fs.readFileSync(emrPath, 'utf8'));
+    fs.writeFileSync(emrPath, JSON.stringify({ ...emr, name: 'Rajesh Kumar Iyer' }));
+
+    const [{ abhaId }] = service.reload([path.join('EMR', 'emr2.json')]).patients;
+    const patient = await service.getPatientByAbhaId(abhaId);
+    expect(patient.demographics).toMatchObject({ firstName: 'Rajesh', lastName: 'Kumar Iyer' });
+    expect(patient.provenance.some(entry => entry.sourceRecordId === path.join('EMR', 'emr2.json'))).toBe(true);
+    expect((await restart().getPatientByAbhaId(abhaId)).demographics.lastName).toBe('Kumar Iyer');
+
+    // A new export for an unknown patient creates it under the ID the profile gives
+    fs.writeFileSync(path.join(dataPath, 'EMR', 'emr4.json'), JSON.stringify({ ...emr, patient_id: 'case_4', name: 'Meena Rao' }));
+    expect(service.reload([path.join('EMR', 'emr4.json')]).patients).toEqual([{ abhaId: 'FILE-BASED-CASE_4', change: 'created' }]);
+    expect(changes.map(change => change.abhaId)).toEqual([abhaId, 'FILE-BASED-CASE_4']);
+    expect((await restart().getPatientByAbhaId('FILE-BASED-CASE_4')).demographics.lastName).toBe('Rao');
+
+    // Its own write of processed_patients.json is not taken for an edit
+    expect(service.reload(['processed_patients.json']).patients).toEqual([]);
+  });
+
+  test('ignores files it does not load and its own writes', () => {
+    expect(service.sourceOf(path.join('patient-store', 'ABHA-1', 'v000001.json'))).toBeNull();
+    expect(service.sourceOf(path.join('PACS', 'pacs', 'imaging_baseline.png'))).toBeNull();
+    expect(service.sourceOf(path.join('PACS', 'dicom', 'DICOMDIR'))).toBe('dicom');
+    expect(service.sourceOf(path.join('lis', 'lis.json'))).toBe('raw');
+
+    service.saveProcessedPatients();
+    expect(service.reload(['processed_patients.json']).patients).toEqual([]);
+    expect(changes).toEqual([]);
+  });
+
+  test('watches the data folder and lets the memory backend follow seeded patients', async () => {
+    const repository = new MemoryPatientRepository(Array.from(service.patients.values()));
+    service.on('patient-changed', change => repository.reseed(change));
+    await repository.update('SYNTHETIC-CASE_1', { cancerType: { stage: 'II' } });
+
+    service.start();
+    const changed = new Promise(resolve => service.once('change', resolve));
+    const patients = processed();
+    patients.forEach(patient => { patient.cancerType.stage = 'IV'; });
+    writeProcessed(patients);
+
+    const { patients: reloaded } = await changed;
+    expect(reloaded.map(patient => patient.abhaId).sort()).toEqual(['SYNTHETIC-CASE_1', 'SYNTHETIC-CASE_2', 'SYNTHETIC-CASE_3']);
+    expect((await repository.findByAbhaId('SYNTHETIC-CASE_2')).cancerType.stage).toBe('IV');
+    // Edited through the API, so the file no longer decides
+    expect((await repository.findByAbhaId('SYNTHETIC-CASE_1')).cancerType.stage).toBe('II');
+  });
+});
@@ -0,0 +1,31 @@
+const DataAggregator = require('../services/dataAggregator');
+const { DEFAULT_DATA_SOURCES, MongoDataSourceRepository } = require('../repositories/dataSourceRepository');
+
+describe('Data source repositories', () => {
+  test('seed the default sources in id order', () => {
+    expect(DEFAULT_DATA_SOURCES.map(source => source._id)).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+  });
+
+  test('the Mongo backend answers not found for ids that are not ObjectIds', async () => {
+    const repository = new MongoDataSourceRepository();
+
+    expect(await repository.findById('1')).toBeNull();
+    expect(await repository.delete('7')).toBeNull();
+    await expect(repository.update('3', { syncStatus: 'inactive' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('HL7 drop folders', () => {
+  const lis = new DataAggregator().sourceAdapters.get('LIS');
+  const hl7Feed = DEFAULT_DATA_SOURCES.find(source => source._id === '6');
+
+  test('are read for HL7 sources only', async () => {
+    expect((await lis.fetchPatientData('SYNTHETIC-CASE_1', hl7Feed)).labResults.length).toBeGreaterThan(0);
+
+    const xmlLab = { ...hl7Feed, _id: '8', dataFormat: 'XML', connectionDetails: { protocol: 'FILE', endpoint: 'lis' } };
+    expect(await lis.fetchPatientData('SYNTHETIC-CASE_1', xmlLab)).toEqual({ labResults: [] });
+    expect(await lis.fetchChanges(xmlLab, '2025-01-01T00:00:00.000Z')).toEqual({
+      files: 0, records: [], errors: [], watermark: '2025-01-01T00:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DicomParser = require('../dicom/dicomParser');
+const DicomImporter = require('../dicom/dicomImporter');
+
+const LONG_VRS = ['OB', 'OW', 'SQ', 'UN', 'UT'];
+
+// Minimal DICOM writer: elements are [tag, vr, value] with string, number (US) or
+// nested item arrays (SQ, written with undefined lengths)
+function encodeElements(elements, implicit) {
+  return Buffer.concat(elements.map(([tag, vr, value]) => {
+    const header = Buffer.alloc(!implicit && LONG_VRS.includes(vr) ? 12 : 8);
+    header.writeUInt16LE(parseInt(tag.slice(0, 4), 16), 0);
+    header.writeUInt16LE(parseInt(tag.slice(4), 16), 2);
+
+    let body;
+    if (vr === 'SQ') {
+      const items = value.map(item => {
+        const content = encodeElements(item, implicit);
+        const itemHeader = Buffer.alloc(8);
+        itemHeader.writeUInt16LE(0xfffe, 0);
+        itemHeader.writeUInt16LE(0xe000, 2);
+        itemHeader.writeUInt32LE(0xffffffff, 4);
+        const itemEnd = Buffer.from([0xfe, 0xff, 0x0d, 0xe0, 0, 0, 0, 0]);
+        return Buffer.concat([itemHeader, content, itemEnd]);
+      });
+      body = Buffer.concat([...items, Buffer.from([0xfe, 0xff, 0xdd, 0xe0, 0, 0, 0, 0])]);
+    } else if (vr === 'US') {
+      body = Buffer.alloc(2);
+      body.writeUInt16LE(value, 0);
+    } else {
+      const text = String(value);
+      body = Buffer.from(text.length % 2 ? `${text}${vr === 'UI' ? '\0' : ' '}` : text, 'latin1');
+    }
+
+    const length = vr === 'SQ' ? 0xffffffff : body.length;
+    if (implicit) {
+      header.writeUInt32LE(length, 4);
+    } else {
+      header.write(vr, 4, 'latin1');
+      if (LONG_VRS.includes(vr)) {
+        header.writeUInt32LE(length, 8);
+      } else {
+        header.writeUInt16LE(length, 6);
+      }
+    }
+    return Buffer.concat([header, body]);
+  }));
+}
+
+function dicomFile(elements, { transferSyntax = '1.2.840.10008.1.2.1', sopClass = '1.2.840.10008.5.1.4.1.1.2' } = {}) {
+  const meta = encodeElements([
+    ['00020002', 'UI', sopClass],
+    ['00020010', 'UI', transferSyntax]
+  ], false);
+  const dataset = encodeElements(elements, transferSyntax === '1.2.840.10008.1.2');
+  return Buffer.concat([Buffer.alloc(128), Buffer.from('DICM'), meta, dataset]);
+}
+
+function ctInstance({ series = '1.2.3.4.1', instance = '1.2.3.4.1.1', number = '1', implicit = false } = {}) {
+  return dicomFile([
+    ['00080016', 'UI', '1.2.840.10008.5.1.4.1.1.2'],
+    ['00080018', 'UI', instance],
+    ['00080020', 'DA', '20250110'],
+    ['00080030', 'TM', '093015'],
+    ['00080050', 'SH', 'case_1_baseline'],
+    ['00080060', 'CS', 'CT'],
+    ['00080090', 'PN', 'Sharma^Priya^^Dr.'],
+    ['00081030', 'LO', 'CT Neck with contrast'],
+    ['00100020', 'LO', 'ABHA-1'],
+    ['00180015', 'CS', 'NECK'],
+    ['0020000D', 'UI', '1.2.3.4'],
+    ['0020000E', 'UI', series],
+    ['00200011', 'IS', '2'],
+    ['00200013', 'IS', number],
+    ['00280010', 'US', 512],
+    ['7FE00010', 'OW', '\0\0']
+  ], { transferSyntax: implicit ? '1.2.840.10008.1.2' : '1.2.840.10008.1.2.1' });
+}
+
+describe('DicomParser', () => {
+  test('extracts study metadata from explicit and implicit VR files', () => {
+    [false, true].forEach(implicit => {
+      const metadata = DicomParser.extractMetadata(ctInstance({ implicit }));
+      expect(metadata).toMatchObject({
+        studyInstanceUID: '1.2.3.4',
+        seriesInstanceUID: '1.2.3.4.1',
+        sopInstanceUID: '1.2.3.4.1.1',
+        modality: 'CT',
+        bodyPart: 'NECK',
+        referringPhysician: 'Dr. Priya Sharma',
+        patientId: 'ABHA-1',
+        seriesNumber: 2,
+        rows: 512
+      });
+      expect(metadata.studyDate.toISOString()).toBe('2025-01-10T09:30:15.000Z');
+    });
+  });
+
+  test('rejects files without the Part 10 prefix', () => {
+    expect(() => DicomParser.parse(Buffer.from('not dicom'))).toThrow('DICM');
+  });
+});
+
+describe('DicomImporter', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'dicomdir-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test('groups files referenced by a DICOMDIR into studies and series', () => {
+    fs.mkdirSync(path.join(folder, 'DICOM'));
+    fs.writeFileSync(path.join(folder, 'DICOM', 'IM2'), ctInstance({ instance: '1.2.3.4.1.2', number: '2' }));
+    fs.writeFileSync(path.join(folder, 'DICOM', 'IM1'), ctInstance({ instance: '1.2.3.4.1.1', number: '1', implicit: true }));
+    fs.writeFileSync(path.join(folder, 'DICOM', 'IGNORED'), ctInstance({ series: '9.9', instance: '9.9.9' }));
+    fs.writeFileSync(path.join(folder, 'DICOMDIR'), dicomFile([
+      ['00041220', 'SQ', [
+        [['00041430', 'CS', 'PATIENT'], ['00100020', 'LO', 'ABHA-1']],
+        [['00041430', 'CS', 'IMAGE'], ['00041500', 'CS', 'DICOM\\IM2']],
+        [['00041430', 'CS', 'IMAGE'], ['00041500', 'CS', 'DICOM\\IM1']]
+      ]]
+    ], { sopClass: '1.2.840.10008.1.3.10' }));
+
+    const [study] = DicomImporter.readStudies(folder);
+    expect(study.patientId).toBe('ABHA-1');
+    expect(study.imaging).toMatchObject({
+      studyId: 'case_1_baseline',
+      studyInstanceUid: '1.2.3.4',
+      modality: 'CT',
+      description: 'CT Neck with contrast'
+    });
+    expect(study.imaging.series).toHaveLength(1);
+    expect(study.imaging.series[0].instances.map(instance => instance.sopInstanceUid))
+      .toEqual(['1.2.3.4.1.1', '1.2.3.4.1.2']);
+
+    const merged = DicomImporter.mergeStudy(
+      [{ studyId: 'case_1_baseline', findings: 'Mass in mandibular region' }],
+      study.imaging
+    );
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ studyInstanceUid: '1.2.3.4', findings: 'Mass in mandibular region' });
+  });
+});
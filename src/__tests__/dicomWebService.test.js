@@ -0,0 +1,62 @@
+const DicomWebService = require('../services/dicomWebService');
+const { setRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+
+describe('DicomWebService', () => {
+  const service = new DicomWebService();
+
+  beforeEach(() => {
+    setRepositories({
+      patients: new MemoryPatientRepository([{
+        abhaId: 'SYNTHETIC-CASE_1',
+        demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'male' },
+        imaging: [
+          { studyId: 'case_1_baseline', modality: 'CT', studyDate: '2025-01-10', description: 'CT Head & Neck' },
+          {
+            studyId: 'case_1_followup',
+            studyInstanceUid: '1.2.3',
+            modality: 'MR',
+            studyDate: '2025-06-20',
+            series: [{
+              seriesInstanceUid: '1.2.3.1',
+              modality: 'MR',
+              instances: [{ sopInstanceUid: '1.2.3.1.1', sopClassUid: '1.2.840.10008.5.1.4.1.1.4', instanceNumber: 1 }]
+            }]
+          }
+        ]
+      }])
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('answers QIDO study queries in DICOM JSON with stable UIDs', async () => {
+    const [first] = await service.searchStudies({ PatientID: 'SYNTHETIC-CASE_1', ModalitiesInStudy: 'CT' }, '/dicomweb');
+    const [again] = await service.searchStudies({ '00100020': 'SYNTHETIC-CASE_1', StudyDate: '20250101-20250131' });
+
+    expect(first['0020000D'].Value[0]).toMatch(/^2\.25\.\d+$/);
+    expect(again['0020000D']).toEqual(first['0020000D']);
+    expect(first['00100010']).toEqual({ vr: 'PN', Value: [{ Alphabetic: 'Kumar^Rajesh' }] });
+    expect(first['00081190'].Value[0]).toBe(`/dicomweb/studies/${first['0020000D'].Value[0]}`);
+    expect(await service.searchStudies({ PatientName: 'raj*' })).toHaveLength(2);
+    expect(await service.searchStudies({ ModalitiesInStudy: 'US' })).toHaveLength(0);
+  });
+
+  test('lists series and instances, falling back to a placeholder for screenshot-only studies', async () => {
+    const [series] = await service.searchSeries('1.2.3');
+    expect(series['0020000E'].Value[0]).toBe('1.2.3.1');
+
+    const [instance] = await service.searchInstances('1.2.3', '1.2.3.1');
+    expect(instance['00080018'].Value[0]).toBe('1.2.3.1.1');
+
+    const [placeholder] = await service.searchStudies({ AccessionNumber: 'case_1_baseline' });
+    const uid = placeholder['0020000D'].Value[0];
+    const [placeholderSeries] = await service.searchSeries(uid);
+    const [placeholderInstance] = await service.searchInstances(uid, placeholderSeries['0020000E'].Value[0]);
+    expect(placeholderInstance['00080016'].Value[0]).toBe('1.2.840.10008.5.1.4.1.1.7');
+
+    await expect(service.searchSeries('9.9.9')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const FHIRService = require('../services/fhirService');
+const DicomWebService = require('../services/dicomWebService');
+const { setRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+
+describe('FHIRService', () => {
+  const service = new FHIRService();
+
+  beforeEach(() => {
+    setRepositories({
+      patients: new MemoryPatientRepository([{
+        abhaId: 'SYNTHETIC-CASE_1',
+        demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'Male', dateOfBirth: '1965-03-15' },
+        cancerType: { primary: 'Oral Cavity Squamous Cell Carcinoma', stage: 'T2N1M0', diagnosisDate: '2024-11-02' },
+        labResults: [
+          { testId: 'lab-1', testName: 'Hemoglobin', testCode: '718-7', testCodeSystem: 'LN', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' },
+          { testId: 'lab-2', testName: 'Creatinine', value: '0.9', unit: 'mg/dL', testDate: '2025-03-05' }
+        ],
+        imaging: [{ studyId: 'case_1_baseline', modality: 'CT', studyDate: '2025-01-10' }]
+      }])
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('serves resources with stable ids, patient references and no empty elements', async () => {
+    const patient = await service.read('Patient', 'SYNTHETIC-CASE-1');
+    expect(patient.gender).toBe('male');
+    expect(patient.address[0]).not.toHaveProperty('line');
+
+    const observation = await service.read('Observation', 'SYNTHETIC-CASE-1-obs-lab-1');
+    expect(observation.subject.reference).toBe('Patient/SYNTHETIC-CASE-1');
+    expect(observation.code.coding[0]).toEqual({ system: 'http://loinc.org', code: '718-7', display: 'Hemoglobin' });
+    expect(observation).not.toHaveProperty('interpretation');
+
+    // Placeholder ImagingStudy UIDs match what DICOMweb serves for the same study
+    const study = await service.read('ImagingStudy', 'SYNTHETIC-CASE-1-img-case-1-baseline');
+    const [qido] = await new DicomWebService().searchStudies({ AccessionNumber: 'case_1_baseline' });
+    expect(study.identifier[0].value).toBe(`urn:oid:${qido['0020000D'].Value[0]}`);
+
+    await expect(service.read('Observation', 'missing')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.read('Encounter', 'x')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('searches by subject, token and date with paging and _include', async () => {
+    const bundle = await service.search('Observation', {
+      subject: 'Patient/SYNTHETIC-CASE-1',
+      date: 'ge2025-02-01',
+      _include: 'Observation:subject'
+    }, '/fhir/r4');
+
+    expect(bundle.total).toBe(1);
+    expect(bundle.entry.map(entry => [entry.resource.id, entry.search.mode])).toEqual([
+      ['SYNTHETIC-CASE-1-obs-lab-2', 'match'],
+      ['SYNTHETIC-CASE-1', 'include']
+    ]);
+
+    expect((await service.search('Observation', { code: 'http://loinc.org|718-7' }, '')).total).toBe(1);
+
+    const paged = await service.search('Observation', { _count: '1' }, '/fhir/r4');
+    expect(paged.entry).toHaveLength(1);
+    expect(paged.link.find(link => link.relation === 'next').url).toContain('_offset=1');
+
+    await expect(service.search('Observation', { foo: 'bar' }, '')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('creates child resources on the referenced patient', async () => {
+    const { resource, version } = await service.create('Observation', {
+      resourceType: 'Observation',
+      status: 'final',
+      code: { text: 'Platelets' },
+      subject: { reference: 'Patient/SYNTHETIC-CASE-1' },
+      effectiveDateTime: '2025-04-01T00:00:00.000Z',
+      valueQuantity: { value: 250, unit: '10*3/uL' }
+    }, 'tester');
+
+    expect(version).toBe(2);
+    expect(resource.id).toMatch(/^SYNTHETIC-CASE-1-obs-/);
+    expect(await service.read('Observation', resource.id)).toEqual(resource);
+
+    await expect(service.create('Observation', {
+      resourceType: 'Observation',
+      status: 'final',
+      code: { text: 'Platelets' },
+      subject: { reference: 'Patient/UNKNOWN' }
+    }, 'tester')).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('imports a collection bundle built from a synthetic dataset', async () => {
+    const dataset = path.join(__dirname, '../data/synthetic-datasets/case1-oral-squamous');
+    const read = file => JSON.parse(fs.readFileSync(path.join(dataset, file), 'utf8'));
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [...read('imaging_studies.json'), read('emr_record.json')].map(resource => ({ resource }))
+    };
+
+    const outcome = await service.importBundle(bundle, 'tester');
+    expect(outcome.issue.map(issue => issue.severity)).toEqual(['information', 'information', 'information']);
+    expect(outcome.issue[2].diagnostics).toBe('Patient/SYNTHETIC-CASE1-ORAL-SQUAMOUS created (version 1)');
+
+    const study = await service.read('ImagingStudy', 'SYNTHETIC-CASE1-ORAL-SQUAMOUS-img-IMG-2023-001');
+    expect(study.subject.reference).toBe('Patient/SYNTHETIC-CASE1-ORAL-SQUAMOUS');
+    expect(study.series[0].uid).toBe('1.2.3.4.5.6.7.8.9.10');
+
+    // Re-importing replaces the studies rather than duplicating them
+    await service.importBundle(bundle, 'tester');
+    expect((await service.search('ImagingStudy', { patient: 'SYNTHETIC-CASE1-ORAL-SQUAMOUS' }, '')).total).toBe(2);
+  });
+
+  test('applies valid collection entries but rejects a transaction with any bad entry', async () => {
+    const entries = [
+      {
+        fullUrl: 'urn:uuid:lab',
+        resource: {
+          resourceType: 'Observation',
+          id: 'lab-3',
+          status: 'final',
+          code: { text: 'Albumin' },
+          subject: { reference: 'Patient/SYNTHETIC-CASE-1' },
+          valueQuantity: { value: 3.9, unit: 'g/dL' }
+        }
+      },
+      { resource: { resourceType: 'Observation', status: 'final', code: { text: 'Orphan' }, subject: { reference: 'Patient/NOBODY' } } },
+      { resource: { resourceType: 'Encounter', status: 'finished' } }
+    ];
+
+    await expect(service.importBundle({ resourceType: 'Bundle', type: 'transaction', entry: entries }, 'tester'))
+      .rejects.toMatchObject({ statusCode: 422, details: [{ path: 'Bundle.entry[1]' }, { path: 'Bundle.entry[2]' }] });
+    await expect(service.read('Observation', 'SYNTHETIC-CASE-1-obs-lab-3')).rejects.toMatchObject({ statusCode: 404 });
+
+    const outcome = await service.importBundle({ resourceType: 'Bundle', type: 'collection', entry: entries }, 'tester');
+    expect(outcome.issue.map(issue => issue.code)).toEqual(['informational', 'processing', 'not-supported']);
+    expect((await service.read('Observation', 'SYNTHETIC-CASE-1-obs-lab-3')).valueQuantity.value).toBe(3.9);
+
+    await expect(service.importBundle({ resourceType: 'Bundle', type: 'searchset', entry: [] }, 'tester'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
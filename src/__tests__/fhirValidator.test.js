@@ -0,0 +1,104 @@
+const FHIRValidator = require('../fhir/fhirValidator');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+
+const NRCES_PATIENT = 'https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient';
+
+describe('FHIRValidator', () => {
+  const patient = {
+    abhaId: 'SYNTHETIC-CASE_1',
+    demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'Male', dateOfBirth: '1965-03-15' },
+    cancerType: { primary: 'Oral Squamous Cell Carcinoma', stage: 'III', diagnosisDate: '2023-11-15' },
+    labResults: [
+      { testId: 'lab-1', testName: 'Hemoglobin', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' },
+      { timestamp: 'day_0', observations: { RBC: 4.22, WBC: 4.1 } }
+    ],
+    imaging: [{ studyId: 'case_1_baseline', modality: 'CT', studyDate: '2025-01-10' }],
+    treatments: [{ treatmentId: 'tx-1', regimen: 'Cisplatin', startDate: '2024-12-01' }]
+  };
+
+  test('accepts the bundles the converter produces', () => {
+    const result = FHIRValidator.validateResource(FHIRPatientConverter.toFHIRBundle(patient));
+    expect(result.errors).toEqual([]);
+    expect(result.isValid).toBe(true);
+    expect(result.outcome.resourceType).toBe('OperationOutcome');
+  });
+
+  test('reports cardinality, value set, format and choice errors with FHIRPath locations', () => {
+    const { isValid, errors, outcome } = FHIRValidator.validateResource({
+      resourceType: 'Observation',
+      status: 'done',
+      subject: { reference: 'Practitioner/123' },
+      effectiveDateTime: '15/01/2025',
+      valueQuantity: { value: '7.1' },
+      valueString: '7.1',
+      category: { text: 'lab' },
+      note: [{ text: 'ok' }],
+      extraField: true
+    });
+
+    expect(isValid).toBe(false);
+    const issues = Object.fromEntries(outcome.issue.map(issue => [issue.expression[0], issue]));
+    expect(issues['Observation.status'].code).toBe('code-invalid');
+    expect(issues['Observation.code'].diagnostics).toBe('minimum required = 1, but only found 0');
+    expect(issues['Observation.subject.reference'].diagnostics).toMatch(/not allowed here/);
+    expect(issues['Observation.effectiveDateTime'].code).toBe('value');
+    expect(issues['Observation.valueQuantity.value'].code).toBe('value');
+    expect(issues['Observation.valueString'].code).toBe('structure');
+    expect(issues['Observation.category'].diagnostics).toMatch(/Expected an array/);
+    expect(issues['Observation.extraField'].severity).toBe('warning');
+    expect(errors).toContain('Observation.code: minimum required = 1, but only found 0');
+  });
+
+  test('checks references between Bundle entries', () => {
+    const { outcome } = FHIRValidator.validateResource({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{
+        fullUrl: 'urn:uuid:4f0b6a52-8e43-4d5c-9d0e-1f7c5a3b2c10',
+        resource: { resourceType: 'Patient', identifier: [{ value: 'P1' }], name: [{ family: 'Kumar' }] },
+        request: { method: 'POST', url: 'Patient' }
+      }, {
+        resource: {
+          resourceType: 'Condition',
+          code: { text: 'Carcinoma' },
+          subject: { reference: 'urn:uuid:4f0b6a52-8e43-4d5c-9d0e-1f7c5a3b2c10' },
+          clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] }
+        },
+        request: { method: 'POST', url: 'Condition' }
+      }, {
+        resource: {
+          resourceType: 'ImagingStudy',
+          status: 'available',
+          subject: { reference: 'urn:uuid:00000000-0000-0000-0000-000000000000' }
+        }
+      }]
+    });
+
+    expect(outcome.issue.map(issue => [issue.expression[0], issue.code])).toEqual([
+      ['Bundle', 'invariant'],
+      ['Bundle.entry[2].resource.subject.reference', 'not-found']
+    ]);
+    expect(outcome.issue[0].diagnostics).toMatch(/^bdl-3/);
+  });
+
+  test('applies the NRCeS profile named in meta.profile or passed by the caller', () => {
+    const resource = {
+      resourceType: 'Patient',
+      meta: { profile: [NRCES_PATIENT] },
+      identifier: [{ system: 'https://healthid.abdm.gov.in', value: 'SYNTHETIC-1' }],
+      name: [{ text: 'Rajesh Kumar' }]
+    };
+
+    const { isValid, outcome } = FHIRValidator.validateResource(resource);
+    expect(isValid).toBe(false);
+    expect(outcome.issue).toEqual(expect.arrayContaining([
+      expect.objectContaining({ severity: 'error', expression: ['Patient.gender'] }),
+      expect.objectContaining({ severity: 'warning', diagnostics: expect.stringMatching(/^abdm-abha/) })
+    ]));
+
+    const base = { ...resource, meta: undefined, gender: 'male' };
+    expect(FHIRValidator.validateResource(base).isValid).toBe(true);
+    expect(FHIRValidator.validateResource({ ...base, name: undefined }, { profile: NRCES_PATIENT }).errors)
+      .toEqual(['Patient.name: minimum required = 1, but only found 0 (from https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient)']);
+  });
+});
@@ -0,0 +1,63 @@
+const HL7Parser = require('../hl7/hl7Parser');
+const HL7Mapper = require('../hl7/hl7Mapper');
+
+const ORU = [
+  'MSH|^~\\&|LAB|HOSP|ONCO|POC|20250215093000+0530||ORU^R01|MSG1|P|2.5.1',
+  'PID|1||ABHA-1^^^ABHA^PI~MRN9^^^HOSP^MR||Devi^Lakshmi||19800101|F',
+  'OBR|1||ORD-1|58410-2^CBC^LN|||20250215080000+0530',
+  'OBX|1|NM|6690-2^WBC^LN||11.2|10*9/L|4.0-10.0|H|||F',
+  'OBX|2|ST|NOTE^Comment^L||Sample \\T\\ repeat\\.br\\ocked||||||F'
+].join('\r');
+
+const ADT = [
+  'MSH|^~\\&|HIMS|HOSP|ONCO|POC|20250125160000||ADT^A03|MSG2|P|2.5',
+  'EVN|A03|20250125160000',
+  'PID|1||ABHA-1^^^ABHA^PI',
+  'PV1|1|I|ONC^12^A'
+].join('\n');
+
+describe('HL7Parser', () => {
+  test('reads header fields with HL7 field numbering', () => {
+    const message = HL7Parser.parse(ORU);
+    expect(message.messageType).toBe('ORU');
+    expect(message.triggerEvent).toBe('R01');
+    expect(message.controlId).toBe('MSG1');
+    expect(message.get('MSH', 2)).toBe('^~\\&');
+    expect(message.get('PID', 5, 2)).toBe('Lakshmi');
+  });
+
+  test('unescapes delimiters and splits batches', () => {
+    const [oru, adt] = HL7Parser.parseBatch(`${ORU}\r${ADT}`);
+    expect(oru.get(oru.getSegments('OBX')[1], 5)).toBe('Sample & repeat\nocked');
+    expect(adt.messageType).toBe('ADT');
+  });
+
+  test('parses HL7 timestamps with offsets', () => {
+    expect(HL7Parser.parseDateTime('20250215080000+0530').toISOString()).toBe('2025-02-15T02:30:00.000Z');
+    expect(HL7Parser.parseDateTime('20250110').toISOString()).toBe('2025-01-10T00:00:00.000Z');
+    expect(HL7Parser.parseDateTime('garbage')).toBeNull();
+  });
+});
+
+describe('HL7Mapper', () => {
+  test('maps ORU^R01 observations to lab results', () => {
+    const [wbc] = HL7Mapper.toLabResults(HL7Parser.parse(ORU));
+    expect(wbc).toMatchObject({
+      testId: 'ORD-1-6690-2',
+      testName: 'WBC',
+      testCode: '6690-2',
+      value: '11.2',
+      unit: '10*9/L',
+      interpretation: 'High',
+      sourceSystem: 'LAB@HOSP'
+    });
+    expect(HL7Mapper.matchesPatient(HL7Parser.parse(ORU), 'MRN9')).toBe(true);
+  });
+
+  test('maps ADT^A03 to a discharge history entry', () => {
+    const [discharge] = HL7Mapper.toMedicalHistory(HL7Parser.parse(ADT));
+    expect(discharge.type).toBe('discharge');
+    expect(discharge.description).toBe('Hospital discharge (ONC / 12 / A)');
+    expect(discharge.date.toISOString()).toBe('2025-01-25T16:00:00.000Z');
+  });
+});
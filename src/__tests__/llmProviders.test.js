@@ -0,0 +1,102 @@
+const http = require('http');
+const LLMProviders = require('../llm/llmProviders');
+const PerplexityReportService = require('../services/perplexityReportService');
+const TumorBoardReportService = require('../services/tumorBoardReportService');
+
+const PATIENT = {
+  abhaId: 'ABHA-9',
+  demographics: { firstName: 'Asha', lastName: 'Rao', gender: 'female', dateOfBirth: new Date('1970-05-01') },
+  cancerType: { primary: 'Breast carcinoma', stage: 'IIA' }
+};
+
+// Stands in for a llama.cpp or vLLM server on the hospital network
+function startLocalModelServer(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        model: 'llama-3.1-8b-instruct',
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: '## Recommendation\nNeoadjuvant chemotherapy.' } }],
+        usage: { prompt_tokens: 900, completion_tokens: 12, total_tokens: 912 }
+      }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('LLM providers', () => {
+  test('resolve the provider and model for each feature', () => {
+    const providers = new LLMProviders({
+      LLM_PROVIDER: 'perplexity',
+      LLM_MODEL: 'sonar-pro',
+      LLM_REPORT_PROVIDER: 'local',
+      LLM_REPORT_MODEL: 'llama-3.1-70b-instruct',
+      LLM_PATIENT_SEARCH_PROVIDER: 'Offline',
+      LLM_PHI_PROVIDERS: 'local, offline'
+    });
+
+    expect(providers.describe()).toEqual([
+      { feature: 'report', provider: 'local', model: 'llama-3.1-70b-instruct', phi: true, allowed: true },
+      { feature: 'search', provider: 'perplexity', model: 'sonar-pro', phi: false, allowed: true },
+      { feature: 'patientSearch', provider: 'offline', model: 'offline', phi: true, allowed: true }
+    ]);
+    expect(new LLMProviders({}).configFor('report')).toMatchObject({ provider: 'perplexity', model: 'sonar-deep-research' });
+    expect(() => new LLMProviders({ LLM_SEARCH_PROVIDER: 'bard' }).configFor('search')).toThrow('Unknown LLM provider "bard" in LLM_SEARCH_PROVIDER');
+  });
+
+  test('keep patient data on the providers allowed to receive it', async () => {
+    const service = new PerplexityReportService({
+      providers: new LLMProviders({ LLM_PROVIDER: 'perplexity', LLM_SEARCH_PROVIDER: 'offline', LLM_PHI_PROVIDERS: 'local' })
+    });
+
+    await expect(service.generateTumorBoardReport(PATIENT)).rejects.toMatchObject({
+      statusCode: 503,
+      details: { feature: 'report', provider: 'perplexity', allowed: ['local'] }
+    });
+    await expect(service.searchMedicalKnowledgeWithContext('HER2 therapy', 'Age: 55')).rejects.toMatchObject({ statusCode: 503 });
+    expect((await service.searchMedicalKnowledge('HER2 therapy')).searchMetadata).toMatchObject({ provider: 'offline', model: 'offline' });
+  });
+
+  test('write tumor board reports with a local OpenAI-compatible server', async () => {
+    const requests = [];
+    const server = await startLocalModelServer(requests);
+    try {
+      const providers = new LLMProviders({
+        LLM_REPORT_PROVIDER: 'local',
+        LLM_REPORT_MODEL: 'llama-3.1-8b-instruct',
+        LOCAL_LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+        LLM_PHI_PROVIDERS: 'local'
+      });
+      const perplexityService = new PerplexityReportService({ providers });
+      const aiReport = await perplexityService.generateTumorBoardReport(PATIENT);
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].path).toBe('/v1/chat/completions');
+      expect(requests[0].body).toMatchObject({ model: 'llama-3.1-8b-instruct', temperature: 0.2, max_tokens: 4000 });
+      expect(requests[0].body.messages[1].content).toContain('Breast carcinoma');
+      expect(aiReport.content).toContain('Neoadjuvant chemotherapy.');
+      expect(aiReport.metadata).toMatchObject({ generationModel: 'llama-3.1-8b-instruct', generationProvider: 'local', citationCount: 0 });
+
+      const report = new TumorBoardReportService({ perplexityService }).fromAIReport(aiReport, PATIENT);
+      expect(report.summary.diagnosticFindings).toBe('Generated using Local model');
+      expect(report.aiGeneratedInsights.contextSources[0]).toBe('Local model');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('answer offline the same way every time', async () => {
+    const service = new PerplexityReportService({ providers: new LLMProviders({ LLM_PROVIDER: 'offline' }) });
+    const [first, second] = await Promise.all([service.generateTumorBoardReport(PATIENT), service.generateTumorBoardReport(PATIENT)]);
+
+    expect(first.content).toBe(second.content);
+    expect(first.content).toContain('Breast carcinoma');
+    expect(first.citations.map(citation => citation.pmid)).toEqual(second.citations.map(citation => citation.pmid));
+    expect((await service.searchMedicalKnowledge('PD-L1 testing')).summary).toBeTruthy();
+  });
+});
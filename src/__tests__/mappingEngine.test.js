@@ -0,0 +1,109 @@
+const MappingEngine = require('../mapping/mappingEngine');
+
+const rule = (sourceField, targetField, transformation = '') => ({ sourceField, targetField, transformation });
+
+describe('MappingEngine', () => {
+  test('maps iterated source values to one target element each, broadcasting shallower fields', () => {
+    const record = {
+      patient_id: 'case_9',
+      lab_results: [
+        { timestamp: 'day_0', observations: { RBC: 4.22, SCC: 1.66 } },
+        { timestamp: 'day_30', observations: { RBC: 4.32 } }
+      ]
+    };
+
+    const { data, errors } = MappingEngine.apply(record, [
+      rule('patient_id', 'abhaId', 'uppercase | prefix("FILE-BASED-")'),
+      rule('lab_results[].observations.*', 'labResults[].testId', 'template("LAB-{patient_id}-{$1}-{$0}")'),
+      rule('lab_results[].observations.*.$key', 'labResults[].testName', 'labName'),
+      rule('lab_results[].observations.*', 'labResults[].value', 'string'),
+      rule('lab_results[].timestamp', 'labResults[].testDate', 'relativeDate("2024-01-01")'),
+      rule('', 'labResults[].sourceSystem', 'constant("LIS")')
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(data.abhaId).toBe('FILE-BASED-CASE_9');
+    expect(data.labResults).toHaveLength(3);
+    expect(data.labResults[1]).toEqual({
+      testId: 'LAB-case_9-SCC-0',
+      testName: 'Squamous Cell Carcinoma Antigen',
+      value: '1.66',
+      testDate: new Date('2024-01-01'),
+      sourceSystem: 'LIS'
+    });
+    expect(data.labResults[2].testDate).toEqual(new Date('2024-01-31'));
+  });
+
+  test('onboards a new export layout through rules and lookup tables alone', () => {
+    const record = {
+      MRN: '00123',
+      PT_NAME: 'KUMAR, Anil',
+      SEX: 'M',
+      DOB: '15/03/1965',
+      WT_LB: '154',
+      DX: 'ORL',
+      MEDS: 'Cisplatin; 5-FU',
+      ADMITTED: '2025-01-15 to 2025-01-25'
+    };
+    const lookupTables = { siteCodes: { ORL: 'Oral squamous cell carcinoma' } };
+
+    const { data, errors } = MappingEngine.apply(record, [
+      rule('MRN', 'abhaId', 'prefix("HOSP-")'),
+      rule('PT_NAME', 'demographics.lastName', 'split(",") | first'),
+      rule('PT_NAME', 'demographics.firstName', 'split(",") | last'),
+      rule('SEX', 'demographics.gender', 'lookup("gender")'),
+      rule('DOB', 'demographics.dateOfBirth', 'date("DD/MM/YYYY")'),
+      rule('WT_LB', 'clinicalInfo.weightKg', 'number | unit("lb", "kg")'),
+      rule('DX', 'cancerType.primary', 'lookup("siteCodes", "Unknown Cancer")'),
+      rule('MEDS', 'treatments[0].regimen', 'split(";") | join(" + ")'),
+      rule('ADMITTED', 'medicalHistory[0].date', 'split(" to ") | index(0) | date'),
+      rule('ADMITTED', 'medicalHistory[0].type', 'constant("admission")')
+    ], { lookupTables });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      abhaId: 'HOSP-00123',
+      demographics: { lastName: 'KUMAR', firstName: 'Anil', gender: 'male', dateOfBirth: new Date(Date.UTC(1965, 2, 15)) },
+      clinicalInfo: { weightKg: 69.85322498 },
+      cancerType: { primary: 'Oral squamous cell carcinoma' },
+      treatments: [{ regimen: 'Cisplatin + 5-FU' }],
+      medicalHistory: [{ date: new Date('2025-01-15'), type: 'admission' }]
+    });
+
+    const patient = { abhaId: 'HOSP-00123', medicalHistory: [{ type: 'diagnosis' }], demographics: { state: 'Kerala' } };
+    MappingEngine.merge(patient, data);
+    expect(patient.medicalHistory.map(entry => entry.type)).toEqual(['diagnosis', 'admission']);
+    expect(patient.demographics).toMatchObject({ state: 'Kerala', firstName: 'Anil' });
+  });
+
+  test('converts units by prefix and reports rule errors without dropping the record', () => {
+    const { data, errors } = MappingEngine.apply({ glucose: '5.5', hb: '112', patient_id: 'p1' }, [
+      rule('patient_id', 'abhaId'),
+      rule('hb', 'labResults[].value', 'number | unit("g/L", "g/dL")'),
+      rule('glucose', 'labResults[].unit', 'unit("mmol/L", "mg/dL")')
+    ]);
+
+    expect(data).toEqual({ abhaId: 'p1', labResults: [{ value: 11.2 }] });
+    expect(errors).toEqual([expect.objectContaining({ rule: 2, message: 'Cannot convert mmol/L to mg/dL' })]);
+  });
+
+  test('validates rules before they are stored', () => {
+    expect(MappingEngine.validateRules([
+      rule('a', 'b', 'trim | lookup("gender")'),
+      rule('a', '', 'trim'),
+      rule('a', 'x', 'titlecase'),
+      rule('a', 'x', 'lookup("sites")'),
+      rule('a', 'x', 'date("DD/MM/YYYY"'),
+      rule('a[]', 'x[].y[].z')
+    ], {}).map(error => error.path)).toEqual([
+      'mappingRules[1].targetField',
+      'mappingRules[2].transformation',
+      'mappingRules[3].transformation',
+      'mappingRules[4].transformation',
+      'mappingRules[5].targetField'
+    ]);
+
+    expect(() => MappingEngine.assertValidRules([rule('a', 'x', 'lookup("sites")')], { sites: { a: 'b' } })).not.toThrow();
+    expect(() => MappingEngine.assertValidRules('not rules')).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+});
@@ -0,0 +1,123 @@
+const PatientMatcher = require('../mpi/patientMatcher');
+const MasterPatientIndexService = require('../services/masterPatientIndexService');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+
+const { SYSTEMS } = PatientMatcher;
+
+// The same patient registered at a referring district hospital and at the cancer centre
+const districtRecord = {
+  abhaId: 'DH-00123',
+  identifiers: [{ system: 'https://district-hospital.example/mrn', value: '00123' }],
+  demographics: {
+    firstName: 'KUMAR',
+    lastName: 'Rajesh',
+    dateOfBirth: '1966-01-01',
+    gender: 'M',
+    address: { state: 'Uttar Pradesh' },
+    contact: { phone: '098390 12345' }
+  },
+  labResults: [{ testId: 'dh-hb', testName: 'Hemoglobin', value: '10.9', unit: 'g/dL', testDate: '2024-12-20' }]
+};
+
+const centreRecord = {
+  abhaId: 'SYNTHETIC-CASE_1',
+  identifiers: [{ system: SYSTEMS.CASE_ID, value: 'case_1' }],
+  demographics: {
+    firstName: 'Rajesh',
+    lastName: 'Kumar',
+    dateOfBirth: '1965-03-15',
+    gender: 'male',
+    address: { state: 'Uttar Pradesh', city: 'Lucknow' },
+    contact: { phone: '+91 98390 12345' }
+  },
+  cancerType: { primary: 'Oral squamous cell carcinoma', stage: 'III' },
+  labResults: [{ testId: 'lab-1', testName: 'Hemoglobin', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' }]
+};
+
+const otherPatient = {
+  abhaId: 'SYNTHETIC-CASE_2',
+  demographics: { firstName: 'Lakshmi', lastName: 'Devi', dateOfBirth: '1980-06-01', gender: 'female', address: { state: 'Tamil Nadu' } }
+};
+
+describe('Master patient index', () => {
+  const mpi = new MasterPatientIndexService();
+
+  beforeEach(() => {
+    setRepositories({
+      patients: new MemoryPatientRepository([districtRecord, centreRecord, otherPatient]),
+      patientLinks: new MemoryPatientLinkRepository()
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('scores swapped names, age-derived birth dates and formatted phones as the same person', () => {
+    const result = PatientMatcher.compare(districtRecord, centreRecord);
+    expect(result.breakdown).toEqual({ name: 8, birthDate: 2, gender: 1, phone: 7, state: 1 });
+    expect(result.decision).toBe('match');
+
+    expect(PatientMatcher.compare(centreRecord, otherPatient).decision).toBe('non-match');
+
+    // A number every record shares (a placeholder or switchboard) carries no weight
+    const commonPhones = new Set([PatientMatcher.normalizePhone('+919839012345')]);
+    expect(PatientMatcher.compare(districtRecord, centreRecord, { commonPhones }).breakdown.phone).toBeUndefined();
+
+    expect(PatientMatcher.compare(
+      { identifiers: [{ system: SYSTEMS.CASE_ID, value: 'case_1' }] },
+      centreRecord
+    ).decision).toBe('match');
+  });
+
+  test('finds duplicates and merges them with an audit trail and FHIR links', async () => {
+    const [pair] = await mpi.duplicates();
+    expect(pair.patients.map(patient => patient.abhaId)).toEqual(['DH-00123', 'SYNTHETIC-CASE_1']);
+
+    const { link, patient } = await mpi.merge(
+      { survivorId: 'SYNTHETIC-CASE_1', mergedId: 'DH-00123', reason: 'referral from district hospital' },
+      'registrar'
+    );
+    expect(link).toMatchObject({ status: 'active', survivorId: 'SYNTHETIC-CASE_1', mergedId: 'DH-00123', mergedBy: 'registrar' });
+    expect(link.survivorSnapshot).toBeUndefined();
+    expect(patient.labResults.map(result => result.testId)).toEqual(['lab-1', 'dh-hb']);
+    expect(patient.demographics.firstName).toBe('Rajesh');
+    expect(patient.identifiers.map(identifier => identifier.value)).toEqual(['case_1', 'DH-00123', '00123']);
+
+    expect(await mpi.duplicates()).toEqual([]);
+    expect((await mpi.findByIdentifier({ system: 'https://district-hospital.example/mrn', value: '00123' })).abhaId)
+      .toBe('SYNTHETIC-CASE_1');
+
+    const fhirPatient = FHIRPatientConverter.toFHIRPatient(patient);
+    expect(fhirPatient.identifier).toContainEqual({ use: 'old', system: SYSTEMS.ABHA, value: 'DH-00123' });
+    expect(fhirPatient.link).toEqual([{ other: { reference: 'Patient/DH-00123' }, type: 'replaces' }]);
+
+    const retired = FHIRPatientConverter.toFHIRPatient(await getRepositories().patients.findByAbhaId('DH-00123'));
+    expect(retired.active).toBe(false);
+    expect(retired.link[0]).toEqual({ other: { reference: 'Patient/SYNTHETIC-CASE-1' }, type: 'replaced-by' });
+
+    await expect(mpi.merge({ survivorId: 'SYNTHETIC-CASE_2', mergedId: 'DH-00123' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('unmerge restores both records unless the survivor changed since', async () => {
+    const { link } = await mpi.merge({ survivorId: 'SYNTHETIC-CASE_1', mergedId: 'DH-00123' });
+    const reversed = await mpi.unmerge(link.linkId, { reason: 'different father name on referral letter' }, 'registrar');
+    expect(reversed).toMatchObject({ status: 'reversed', unmergedBy: 'registrar' });
+
+    const { patients } = getRepositories();
+    const survivor = await patients.findByAbhaId('SYNTHETIC-CASE_1');
+    expect(survivor.labResults.map(result => result.testId)).toEqual(['lab-1']);
+    expect(survivor.identifiers.map(identifier => identifier.value)).toEqual(['case_1']);
+    expect(survivor.mergedFrom).toEqual([]);
+    expect((await patients.findByAbhaId('DH-00123')).mergedInto).toBeNull();
+    await expect(mpi.unmerge(link.linkId)).rejects.toMatchObject({ statusCode: 409 });
+
+    const again = await mpi.merge({ survivorId: 'SYNTHETIC-CASE_1', mergedId: 'DH-00123' });
+    await patients.update('SYNTHETIC-CASE_1', { cancerType: { stage: 'IVA' } });
+    await expect(mpi.unmerge(again.link.linkId)).rejects.toThrow(/changed after merge/);
+    expect(await mpi.links('DH-00123')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,91 @@
+const net = require('net');
+const MLLPListenerService = require('../services/mllpListenerService');
+const HL7Parser = require('../hl7/hl7Parser');
+const { frame, MLLPDecoder } = require('../hl7/mllp');
+const { setRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+
+const ORU = [
+  'MSH|^~\\&|LAB|HOSP|ONCO|POC|20250215093000+0530||ORU^R01|MSG1|P|2.5.1',
+  'PID|1||ABHA-1^^^ABHA^PI||Devi^Lakshmi||19800101|F',
+  'OBR|1||ORD-1|58410-2^CBC^LN|||20250215080000+0530',
+  'OBX|1|NM|6690-2^WBC^LN||11.2|10*9/L|4.0-10.0|H|||F'
+].join('\r');
+
+function send(port, messages) {
+  return new Promise((resolve, reject) => {
+    const decoder = new MLLPDecoder();
+    const acks = [];
+    const socket = net.connect(port, '127.0.0.1', () => {
+      messages.forEach(message => socket.write(frame(message)));
+    });
+    socket.on('data', chunk => {
+      acks.push(...decoder.push(chunk).map(ack => HL7Parser.parse(ack)));
+      if (acks.length === messages.length) socket.end();
+    });
+    socket.on('close', () => resolve(acks));
+    socket.on('error', reject);
+  });
+}
+
+describe('MLLPListenerService', () => {
+  let service;
+  let patients;
+  let port;
+
+  beforeEach(async () => {
+    patients = new MemoryPatientRepository([
+      { abhaId: 'ABHA-1', demographics: { firstName: 'Lakshmi', lastName: 'Devi' }, labResults: [] }
+    ]);
+    setRepositories({
+      patients,
+      dataSources: new MemoryDataSourceRepository([{
+        _id: 'lis-feed',
+        name: 'Lab MLLP',
+        type: 'LIS',
+        connectionDetails: { protocol: 'MLLP', endpoint: 'mllp://127.0.0.1:0' },
+        dataFormat: 'HL7',
+        syncStatus: 'active'
+      }])
+    });
+
+    service = new MLLPListenerService();
+    const [listener] = await service.start();
+    port = listener.address.port;
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    setRepositories(null);
+  });
+
+  test('parses endpoints in url, host:port and port form', () => {
+    expect(MLLPListenerService.parseEndpoint('mllp://10.0.0.5:2575')).toEqual({ host: '10.0.0.5', port: 2575 });
+    expect(MLLPListenerService.parseEndpoint('localhost:2576')).toEqual({ host: 'localhost', port: 2576 });
+    expect(MLLPListenerService.parseEndpoint('2577')).toEqual({ host: '0.0.0.0', port: 2577 });
+    expect(() => MLLPListenerService.parseEndpoint('http://host')).toThrow('Invalid MLLP endpoint');
+  });
+
+  test('acknowledges results, merges them once and rejects unsupported messages', async () => {
+    const adt = 'MSH|^~\\&|HIMS|HOSP|ONCO|POC|20250125160000||ADT^A03|MSG2|P|2.5\rPID|1||ABHA-1^^^ABHA^PI';
+    const [accepted, duplicate, rejected] = await send(port, [ORU, ORU, adt]);
+
+    expect(accepted.get('MSA', 1)).toBe('AA');
+    expect(accepted.get('MSA', 2)).toBe('MSG1');
+    expect(accepted.messageType).toBe('ACK');
+    expect(duplicate.get('MSA', 1)).toBe('AA');
+    expect(rejected.get('MSA', 1)).toBe('AR');
+
+    const patient = await patients.findByAbhaId('ABHA-1');
+    expect(patient.labResults).toHaveLength(1);
+    expect(patient.labResults[0]).toMatchObject({ testCode: '6690-2', value: '11.2', interpretation: 'High' });
+    expect(service.status()[0]).toMatchObject({ received: 3, accepted: 2, rejected: 1 });
+  });
+
+  test('returns AE for results about unknown patients', async () => {
+    const [ack] = await send(port, [ORU.replace('ABHA-1', 'ABHA-404')]);
+    expect(ack.get('MSA', 1)).toBe('AE');
+    expect(ack.get('MSA', 3)).toContain('Unknown patient');
+  });
+});
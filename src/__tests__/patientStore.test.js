@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Patient = require('../models/Patient');
+const PatientStore = require('../services/patientStore');
+const { MongoPatientRepository } = require('../repositories/patientRepository');
+
+describe('PatientStore', () => {
+  let storePath;
+  let store;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'patient-store-'));
+    store = new PatientStore(storePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  test('creates and versions patients on disk', () => {
+    const created = store.create({ abhaId: 'ABHA-1', demographics: { firstName: 'Asha' } });
+    expect(created.version).toBe(1);
+
+    const updated = store.update('ABHA-1', { ...created.patient, cancerType: { stage: 'II' } });
+    expect(updated.version).toBe(2);
+    expect(store.getPatient('ABHA-1').cancerType.stage).toBe('II');
+    expect(store.getHistory('ABHA-1').map(v => v.operation)).toEqual(['create', 'update']);
+  });
+
+  test('rejects values that do not cast to the schema', () => {
+    expect(() => store.create({ abhaId: 'ABHA-2', demographics: { dateOfBirth: 'not-a-date' } }))
+      .toThrow('Patient failed schema validation');
+    expect(store.has('ABHA-2')).toBe(false);
+  });
+
+  test('reports conflicts for duplicates and stale versions', () => {
+    store.create({ abhaId: 'ABHA-3' });
+    expect(() => store.create({ abhaId: 'ABHA-3' })).toThrow('already exists');
+    expect(() => store.update('ABHA-3', { abhaId: 'ABHA-3' }, { expectedVersion: 0 })).toThrow('expected 0');
+  });
+});
+
+describe('Mongo patient repository', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers values that do not cast to the schema with a 422', async () => {
+    jest.spyOn(Patient, 'exists').mockResolvedValue(null);
+
+    await expect(new MongoPatientRepository().create({ abhaId: 'ABHA-4', demographics: { dateOfBirth: 'not-a-date' } })).rejects.toMatchObject({
+      statusCode: 422,
+      message: 'Patient failed schema validation',
+      details: [expect.objectContaining({ path: 'demographics.dateOfBirth' })]
+    });
+  });
+
+  test('merges nested objects into the stored record', async () => {
+    jest.spyOn(Patient, 'findOne').mockResolvedValue(new Patient({
+      abhaId: 'ABHA-5',
+      demographics: { firstName: 'Asha', lastName: 'Rao', address: { city: 'Pune', state: 'Maharashtra' } }
+    }));
+    jest.spyOn(Patient.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const { patient } = await new MongoPatientRepository().update('ABHA-5', { demographics: { address: { pincode: '411001' } } });
+    expect(patient.demographics).toMatchObject({ firstName: 'Asha', lastName: 'Rao', address: { city: 'Pune', state: 'Maharashtra', pincode: '411001' } });
+  });
+});
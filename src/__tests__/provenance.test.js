@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const DataAggregator = require('../services/dataAggregator');
+const FHIRService = require('../services/fhirService');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+const FHIRValidator = require('../fhir/fhirValidator');
+const MasterPatientIndexService = require('../services/masterPatientIndexService');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+
+const rule = (sourceField, targetField, transformation = '') => ({ sourceField, targetField, transformation });
+
+const source = folder => ({
+  _id: 'dcu',
+  name: 'Day Care Unit',
+  type: 'EMR',
+  dataFormat: 'JSON',
+  connectionDetails: { protocol: 'FILE', endpoint: folder },
+  mappingRules: [
+    rule('mrn', 'abhaId', 'prefix("DCU-")'),
+    rule('name', 'demographics.lastName', 'split(" ") | last'),
+    rule('labs[].code', 'labResults[].testId', 'template("{mrn}-{$value}")'),
+    rule('labs[].name', 'labResults[].testName'),
+    rule('labs[].value', 'labResults[].value', 'string')
+  ]
+});
+
+describe('Field provenance', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    setRepositories({
+      patients: new MemoryPatientRepository([{
+        abhaId: 'DCU-42',
+        demographics: { firstName: 'Meena', lastName: 'Iyer', gender: 'female' },
+        provenance: ProvenanceTracker.describe(
+          { demographics: { firstName: 'Meena', gender: 'female' } },
+          ProvenanceTracker.context({ name: 'Registration desk', type: 'HIMS' }, { sourceRecordId: 'REG-1', activity: 'manual' })
+        )
+      }]),
+      patientLinks: new MemoryPatientLinkRepository()
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test('records the source record and mapping rules of each synced value', async () => {
+    fs.writeFileSync(path.join(folder, 'visit-7.json'), JSON.stringify({
+      mrn: '42', name: 'Meena Iyer-Rao', labs: [{ code: 'HB', name: 'Hemoglobin', value: 10.1 }]
+    }));
+    await new DataAggregator().syncSource(source(folder));
+
+    const patient = await getRepositories().patients.findByAbhaId('DCU-42');
+    const byPath = Object.fromEntries(ProvenanceTracker.resolve(patient).map(entry => [entry.path, entry]));
+
+    expect(byPath['demographics.firstName']).toMatchObject({ source: 'Registration desk', sourceRecordId: 'REG-1', value: 'Meena' });
+    expect(byPath['demographics.lastName']).toMatchObject({
+      source: 'Day Care Unit',
+      sourceType: 'EMR',
+      sourceRecordId: 'visit-7.json',
+      activity: 'sync',
+      agent: 'sync:Day Care Unit',
+      value: 'Iyer-Rao',
+      rules: [rule('name', 'demographics.lastName', 'split(" ") | last')]
+    });
+    expect(byPath.labResults).toMatchObject({ key: '42-HB', value: expect.objectContaining({ value: '10.1' }) });
+    expect(byPath.labResults.rules.map(entry => entry.targetField))
+      .toEqual(['labResults[].testId', 'labResults[].testName', 'labResults[].value']);
+    expect(byPath.labResults.ingestedAt).toEqual(expect.any(Date));
+  });
+
+  test('attributes only the values a write changes', () => {
+    const current = { demographics: { firstName: 'Meena', lastName: 'Iyer' }, labResults: [{ testId: 'a', value: '1' }] };
+    const entries = ProvenanceTracker.describe(
+      { demographics: { firstName: 'Meena', lastName: 'Rao' }, labResults: [{ testId: 'a', value: '1' }, { testId: 'b', value: '2' }] },
+      ProvenanceTracker.context(null, { activity: 'manual', agent: 'dr.shah' }),
+      current
+    );
+    expect(entries.map(entry => [entry.path, entry.key])).toEqual([['demographics.lastName', null], ['labResults', 'b']]);
+  });
+
+  test('emits valid FHIR Provenance resources targeting the resources each record supplied', async () => {
+    fs.writeFileSync(path.join(folder, 'visit-7.json'), JSON.stringify({
+      mrn: '42', name: 'Meena Iyer', labs: [{ code: 'HB', name: 'Hemoglobin', value: 10.1 }, { code: 'PLT', name: 'Platelets', value: 210 }]
+    }));
+    await new DataAggregator().syncSource(source(folder));
+    const patient = await getRepositories().patients.findByAbhaId('DCU-42');
+
+    const resources = FHIRPatientConverter.toFHIRResources(patient).filter(resource => resource.resourceType === 'Provenance');
+    expect(resources).toHaveLength(2);
+    const synced = resources.find(resource => resource.entity?.[0].what.identifier.value === 'visit-7.json');
+    expect(synced.target.map(target => target.reference)).toEqual([
+      'Patient/DCU-42',
+      'Observation/DCU-42-obs-42-HB',
+      'Observation/DCU-42-obs-42-PLT'
+    ]);
+    expect(synced.target[0].extension).toEqual([
+      { url: 'http://hl7.org/fhir/StructureDefinition/targetPath', valueString: 'Patient.name.family' },
+      { url: 'urn:oncology-poc:fhir:extension:mapping-rule', valueString: 'name -> demographics.lastName | split(" ") | last' }
+    ]);
+    expect(synced.agent.map(agent => agent.who.display)).toEqual(['Day Care Unit (EMR)', 'sync:Day Care Unit']);
+    resources.forEach(resource => expect(FHIRValidator.validateResource(resource).errors).toEqual([]));
+
+    const service = new FHIRService();
+    const search = await service.search('Provenance', { target: 'Observation/DCU-42-obs-42-PLT' }, 'http://localhost/fhir');
+    expect(search.entry.map(entry => entry.resource.id)).toEqual([synced.id]);
+    await expect(service.create('Provenance', synced, 'dr.shah')).rejects.toMatchObject({ statusCode: 405 });
+  });
+
+  test('keeps the survivor\'s provenance for the values it kept when merging patients', async () => {
+    const { patients } = getRepositories();
+    await patients.create({
+      abhaId: 'DCU-77',
+      demographics: { firstName: 'Meenakshi', lastName: 'Iyer', dateOfBirth: '1971-02-03' },
+      provenance: ProvenanceTracker.describe(
+        { demographics: { firstName: 'Meenakshi', dateOfBirth: '1971-02-03' } },
+        ProvenanceTracker.context({ name: 'Oncology EMR', type: 'EMR' }, { sourceRecordId: 'MRN-77', activity: 'sync' })
+      )
+    });
+
+    const { patient } = await new MasterPatientIndexService().merge({ survivorId: 'DCU-42', mergedId: 'DCU-77' });
+    const sources = Object.fromEntries(ProvenanceTracker.resolve(patient).map(entry => [entry.path, entry.source]));
+    expect(sources).toEqual({
+      'demographics.firstName': 'Registration desk',
+      'demographics.gender': 'Registration desk',
+      'demographics.dateOfBirth': 'Oncology EMR'
+    });
+  });
+});
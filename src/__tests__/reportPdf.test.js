@@ -0,0 +1,79 @@
+const TumorBoardPdfRenderer = require('../services/tumorBoardPdfRenderer');
+
+const NCCN = {
+  source: 'NCCN Guidelines',
+  title: 'NCCN Clinical Practice Guidelines in Oncology: Head and Neck Cancers',
+  authors: ['NCCN Panel'],
+  year: 2024
+};
+
+const TRIAL = {
+  source: 'PubMed',
+  title: 'Pembrolizumab for recurrent head and neck squamous cell carcinoma',
+  authors: ['Burtness B', 'Harrington KJ', 'Greil R', 'Soulieres D', 'Tahara M', 'de Castro G', 'Psyrri A'],
+  journal: 'Lancet',
+  year: 2019,
+  doi: '10.1016/S0140-6736(19)32591-7',
+  pmid: '31679945'
+};
+
+const report = (overrides = {}) => ({
+  reportId: 'TBR-1',
+  patientId: 'ABHA-1',
+  reportType: 'initial',
+  generatedDate: new Date('2025-03-01T10:00:00Z'),
+  version: 2,
+  summary: { clinicalPresentation: '58-year-old male with oral cavity SCC', treatmentHistory: 'No prior systemic therapy' },
+  recommendations: [
+    { priority: 'high', category: 'treatment', description: 'Concurrent chemoradiation', rationale: 'Locally advanced disease', evidenceLevel: 'Category 1', citations: [NCCN, TRIAL] },
+    { priority: 'medium', category: 'supportive', description: 'Nutrition support', citations: [TRIAL] }
+  ],
+  molecularProfile: { summary: 'TMB: 8.2, MSI: MSS', actionableAlterations: [] },
+  imagingFindings: { summary: 'Latest CT (2025-02-10)', keyFindings: ['3.2 cm mass, left lateral tongue'], recistAssessment: 'Stable disease' },
+  pathologyReview: { diagnosis: 'Moderately differentiated SCC', immunohistochemistry: { 'PD-L1': 'CPS 25' } },
+  clinicalTrialMatches: [{ trialId: 'NCT05123456', title: 'Pembrolizumab plus chemotherapy', phase: 'Phase 3', matchScore: 0.85, location: 'AIIMS Delhi' }],
+  participants: [{ name: 'Dr. Sharma', role: 'Chair', specialty: 'Medical Oncology' }, { name: 'Dr. Singh', role: 'Member', specialty: 'Pathology' }],
+  approvalStatus: 'pending_review',
+  ...overrides
+});
+
+describe('Tumor board PDF export', () => {
+  const renderer = new TumorBoardPdfRenderer();
+
+  test('numbers each cited work once, in order of first mention, in Vancouver style', () => {
+    const layout = renderer.layout(report(), {
+      patient: { demographics: { firstName: 'Rajesh', lastName: 'Kumar', age: 58, gender: 'male' }, cancerType: { primary: 'Oral SCC', stage: 'III' } }
+    });
+
+    expect(layout.sections.map(section => section.title)).toEqual([
+      'Patient summary', 'Molecular profile', 'Imaging', 'Pathology', 'Recommendations', 'Clinical trial matches', 'References'
+    ]);
+    const recommendations = layout.sections.find(section => section.title === 'Recommendations').blocks;
+    expect(recommendations.map(block => block.rows.find(([label]) => label === 'References')[1])).toEqual(['[1] [2]', '[2]']);
+    expect(layout.sections.find(section => section.title === 'References').blocks[0].items).toEqual([
+      'NCCN Panel. NCCN Clinical Practice Guidelines in Oncology: Head and Neck Cancers. NCCN Guidelines. 2024;',
+      'Burtness B, Harrington KJ, Greil R, Soulieres D, Tahara M, de Castro G, et al. ' +
+        'Pembrolizumab for recurrent head and neck squamous cell carcinoma. Lancet. 2019; doi:10.1016/S0140-6736(19)32591-7'
+    ]);
+    expect(layout.sections[0].blocks[0].rows).toEqual([
+      ['Patient', 'Rajesh Kumar'], ['ABHA ID', 'ABHA-1'], ['Age / sex', '58 / male'], ['Diagnosis', 'Oral SCC'], ['Stage', 'III']
+    ]);
+    expect(layout.approval).toEqual({ status: 'pending_review', label: 'Pending review', approvedBy: null, signatures: [] });
+  });
+
+  test('records who approved the report', () => {
+    const approvedBy = { name: 'Dr. Sharma', designation: 'Chair', timestamp: new Date('2025-03-02T09:00:00Z') };
+    const signatures = [{ section: 'pathology', role: 'pathologist', signedBy: 'Dr. Singh', signedAt: new Date('2025-03-01T15:00:00Z') }];
+    expect(renderer.layout(report({ approvalStatus: 'approved', approvedBy, review: { signatures } })).approval)
+      .toEqual({ status: 'approved', label: 'Approved', approvedBy, signatures });
+  });
+
+  test('renders a paginated PDF, long discussion notes included', async () => {
+    const notes = Array.from({ length: 40 }, (_, index) => `## Point ${index + 1}\n**Discussed** the response to induction and the plan for surgery.`).join('\n\n');
+    const pdf = await renderer.render(report({ discussionNotes: notes }));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    const pages = (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+    expect(pages).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,130 @@
+const express = require('express');
+const TumorBoardReportService = require('../services/tumorBoardReportService');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryReportRepository } = require('../repositories/reportRepository');
+
+const ONCOLOGIST = { actor: 'Dr. Mehta', role: 'oncologist' };
+const PATHOLOGIST = { actor: 'Dr. Singh', role: 'pathologist' };
+const RADIOLOGIST = { actor: 'Dr. Kumar', role: 'radiologist' };
+const CHAIR = { actor: 'Dr. Sharma', role: 'chair' };
+
+describe('Tumor board report review', () => {
+  let service;
+
+  beforeEach(async () => {
+    setRepositories({ reports: new MemoryReportRepository() });
+    service = new TumorBoardReportService();
+    await getRepositories().reports.create({ reportId: 'TBR-1', patientId: 'ABHA-1', approvalStatus: 'draft' });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('goes from submission through both co-signatures to the chair\'s approval', async () => {
+    await service.review('TBR-1', 'submit', ONCOLOGIST);
+    expect((await service.reviewState('TBR-1', 'chair')).allowedActions).toEqual(['reject']);
+
+    await service.review('TBR-1', 'sign', PATHOLOGIST);
+    await expect(service.review('TBR-1', 'approve', CHAIR)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'The imaging section needs a co-signature before approval'
+    });
+    await service.review('TBR-1', 'sign', RADIOLOGIST);
+    const approved = await service.review('TBR-1', 'approve', CHAIR);
+
+    expect(approved).toMatchObject({ approvalStatus: 'approved', approvedBy: { name: 'Dr. Sharma', designation: 'Tumor board chair' } });
+    const state = await service.reviewState('TBR-1', 'oncologist');
+    expect(state).toMatchObject({ status: 'approved', missingSignatures: [], allowedActions: ['revise'] });
+    expect(state.signatures.map(signature => [signature.section, signature.signedBy])).toEqual([['pathology', 'Dr. Singh'], ['imaging', 'Dr. Kumar']]);
+    expect(state.history.map(entry => [entry.action, entry.from, entry.to, entry.by])).toEqual([
+      ['submit', 'draft', 'pending_review', 'Dr. Mehta'],
+      ['sign', 'pending_review', 'pending_review', 'Dr. Singh'],
+      ['sign', 'pending_review', 'pending_review', 'Dr. Kumar'],
+      ['approve', 'pending_review', 'approved', 'Dr. Sharma']
+    ]);
+  });
+
+  test('rejection needs a comment, and revising returns the report to draft without its sign-offs', async () => {
+    await service.review('TBR-1', 'submit', ONCOLOGIST);
+    await service.review('TBR-1', 'sign', RADIOLOGIST);
+
+    await expect(service.review('TBR-1', 'reject', { ...PATHOLOGIST, comment: '  ' })).rejects.toMatchObject({
+      statusCode: 422,
+      message: 'A comment is required to reject a report'
+    });
+    const rejected = await service.review('TBR-1', 'reject', { ...PATHOLOGIST, comment: 'Margin status missing' });
+    expect(rejected.approvalStatus).toBe('revised');
+    expect(rejected.review.history[2]).toMatchObject({ action: 'reject', comment: 'Margin status missing', role: 'pathologist' });
+
+    const draft = await service.review('TBR-1', 'revise', ONCOLOGIST);
+    expect(draft).toMatchObject({ approvalStatus: 'draft', approvedBy: null, review: { signatures: [] } });
+  });
+
+  test('keeps both co-signatures when they are taken at the same time', async () => {
+    await service.review('TBR-1', 'submit', ONCOLOGIST);
+
+    const [pathology, imaging] = await Promise.allSettled([
+      service.review('TBR-1', 'sign', PATHOLOGIST),
+      service.review('TBR-1', 'sign', RADIOLOGIST)
+    ]);
+    expect(pathology.status).toBe('fulfilled');
+    expect(imaging.reason).toMatchObject({ statusCode: 409, message: 'Report TBR-1 is at version 3, expected 2' });
+
+    await service.review('TBR-1', 'sign', RADIOLOGIST);
+    expect((await service.reviewState('TBR-1', 'chair')).signatures.map(signature => signature.signedBy)).toEqual(['Dr. Singh', 'Dr. Kumar']);
+  });
+
+  test('refuses actions out of turn or outside the reviewer\'s role', async () => {
+    await expect(service.review('TBR-1', 'approve', CHAIR)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Cannot approve a report that is draft; it must be pending review',
+      details: { status: 'draft', allowedActions: [] }
+    });
+    await expect(service.review('TBR-1', 'submit', PATHOLOGIST)).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Only an oncologist can submit a report'
+    });
+    await expect(service.review('TBR-1', 'submit', { actor: 'Dr. Mehta', role: 'nurse' })).rejects.toMatchObject({ statusCode: 422 });
+    await expect(service.review('TBR-1', 'submit', { role: 'oncologist' })).rejects.toMatchObject({ statusCode: 422 });
+    await expect(service.review('TBR-1', 'publish', ONCOLOGIST)).rejects.toMatchObject({ statusCode: 422 });
+    await expect(service.review('TBR-404', 'submit', ONCOLOGIST)).rejects.toMatchObject({ statusCode: 404 });
+
+    await service.review('TBR-1', 'submit', ONCOLOGIST);
+    await service.review('TBR-1', 'sign', PATHOLOGIST);
+    await expect(service.review('TBR-1', 'sign', { actor: 'Dr. Rao', role: 'pathologist' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'The pathology section has already been signed'
+    });
+  });
+
+  test('refuses a legacy approval that names no role', async () => {
+    await service.review('TBR-1', 'submit', ONCOLOGIST);
+    await service.review('TBR-1', 'sign', PATHOLOGIST);
+    await service.review('TBR-1', 'sign', RADIOLOGIST);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/reports', require('../routes/reportRoutes'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+      const approve = headers => fetch(`http://127.0.0.1:${server.address().port}/api/reports/TBR-1/approve`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ approverName: 'Dr. Sharma' })
+      });
+
+      const anonymous = await approve({});
+      expect(anonymous.status).toBe(422);
+      expect((await anonymous.json()).error).toMatch(/review role is required/);
+      expect((await getRepositories().reports.findById('TBR-1')).approvalStatus).toBe('pending_review');
+
+      expect((await approve({ 'X-Role': 'chair' })).status).toBe(200);
+      expect((await getRepositories().reports.findById('TBR-1')).approvedBy).toMatchObject({ name: 'Dr. Sharma' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
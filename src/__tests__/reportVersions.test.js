@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const TumorBoardReportService = require('../services/tumorBoardReportService');
+const ReportDiff = require('../reports/reportDiff');
+const { setRepositories, getRepositories } = require('../repositories');
+const Patient = require('../models/Patient');
+const TumorBoardReport = require('../models/TumorBoardReport');
+const TumorBoardReportVersion = require('../models/TumorBoardReportVersion');
+const { FileReportRepository, MemoryReportRepository, MongoReportRepository } = require('../repositories/reportRepository');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+
+const NCCN = { source: 'NCCN Guidelines', title: 'NCCN Guidelines: Head and Neck Cancers', year: 2024 };
+const KEYNOTE = { source: 'PubMed', title: 'Pembrolizumab for recurrent HNSCC', pmid: '31679945', year: 2019 };
+
+const REPORT = {
+  reportId: 'TBR-1',
+  patientId: 'ABHA-1',
+  reportType: 'initial',
+  summary: { clinicalPresentation: '58-year-old male with oral cavity SCC', currentStatus: 'Awaiting staging' },
+  recommendations: [
+    { priority: 'high', category: 'treatment', description: 'Concurrent chemoradiation', citations: [NCCN] },
+    { priority: 'medium', category: 'supportive', description: 'Nutrition support', citations: [] }
+  ],
+  approvalStatus: 'draft'
+};
+
+// Stands in for the template generator: a fresh build after the patient's progression
+const regenerated = {
+  buildReport: async patient => ({
+    reportId: 'TBR-NEW',
+    patientId: patient.abhaId,
+    reportType: 'initial',
+    summary: { clinicalPresentation: '58-year-old male with oral cavity SCC', currentStatus: 'Progressive disease on CT' },
+    recommendations: [
+      { priority: 'high', category: 'treatment', description: 'Concurrent chemoradiation', citations: [NCCN, KEYNOTE] },
+      { priority: 'high', category: 'clinical_trial', description: 'Screen for NCT05123456', citations: [] }
+    ],
+    approvalStatus: 'draft',
+    version: 1
+  })
+};
+
+describe('Tumor board report versions', () => {
+  let service;
+
+  beforeEach(async () => {
+    setRepositories({
+      reports: new MemoryReportRepository(),
+      patients: new MemoryPatientRepository([{ abhaId: 'ABHA-1', demographics: { firstName: 'Rajesh', lastName: 'Kumar' } }])
+    });
+    service = new TumorBoardReportService({ reportGenerator: regenerated });
+    await getRepositories().reports.create(REPORT, { operation: 'generate', author: 'Dr. Mehta' });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('stores every edit, regeneration and review action as a numbered snapshot', async () => {
+    await service.updateNotes('TBR-1', 'Discussed staging', { actor: 'Dr. Mehta' });
+    await service.regenerate('TBR-1', { actor: 'Dr. Mehta' });
+    const submitted = await service.review('TBR-1', 'submit', { actor: 'Dr. Mehta', role: 'oncologist' });
+
+    expect(submitted).toMatchObject({ reportId: 'TBR-1', version: 4, discussionNotes: 'Discussed staging' });
+    expect(submitted.previousVersions.map(entry => [entry.version, entry.changes])).toEqual([[1, 'notes'], [2, 'regenerate'], [3, 'submit']]);
+    expect((await service.versions('TBR-1')).map(({ version, operation, author, approvalStatus }) => [version, operation, author, approvalStatus])).toEqual([
+      [1, 'generate', 'Dr. Mehta', 'draft'],
+      [2, 'notes', 'Dr. Mehta', 'draft'],
+      [3, 'regenerate', 'Dr. Mehta', 'draft'],
+      [4, 'submit', 'Dr. Mehta', 'pending_review']
+    ]);
+
+    const first = await service.version('TBR-1', '1');
+    expect(first.report).toMatchObject({ version: 1, summary: { currentStatus: 'Awaiting staging' } });
+    expect(first.report.discussionNotes).toBeUndefined();
+    first.report.summary.currentStatus = 'Edited';
+    expect((await service.version('TBR-1', 1)).report.summary.currentStatus).toBe('Awaiting staging');
+
+    await expect(service.regenerate('TBR-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.version('TBR-1', 9)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.updateNotes('TBR-404', 'x')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('diffs recommendations, citations and summary text between versions', async () => {
+    await service.updateNotes('TBR-1', 'Discussed staging');
+    await service.regenerate('TBR-1');
+
+    const diff = await service.diff('TBR-1', { from: '1', to: '3' });
+    expect(diff.from).toMatchObject({ version: 1, operation: 'generate' });
+    expect(diff.to).toMatchObject({ version: 3, operation: 'regenerate' });
+    expect(diff.recommendations.added.map(recommendation => recommendation.description)).toEqual(['Screen for NCT05123456']);
+    expect(diff.recommendations.removed.map(recommendation => recommendation.description)).toEqual(['Nutrition support']);
+    expect(diff.recommendations.changed).toEqual([{
+      description: 'Concurrent chemoradiation',
+      changes: [{ field: 'citations', from: [NCCN.title], to: [NCCN.title, KEYNOTE.title] }]
+    }]);
+    expect(diff.citations).toEqual({ added: [KEYNOTE], removed: [] });
+    expect(diff.text.map(change => change.field)).toEqual(['summary.currentStatus', 'discussionNotes']);
+    expect(diff.text[0].changes).toEqual([
+      { type: 'removed', text: 'Awaiting staging' },
+      { type: 'added', text: 'Progressive disease on CT' }
+    ]);
+    expect(diff.fields).toEqual([]);
+
+    // By default the current version against the one before it
+    const latest = await service.diff('TBR-1');
+    expect([latest.from.version, latest.to.version]).toEqual([2, 3]);
+    expect(latest.text.map(change => change.field)).toEqual(['summary.currentStatus']);
+    await expect(service.diff('TBR-1', { from: 'last-week' })).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('compares text word by word', () => {
+    expect(ReportDiff.textChanges('Stable disease on CT', 'Partial response on CT')).toEqual([
+      { type: 'removed', text: 'Stable disease ' },
+      { type: 'added', text: 'Partial response ' },
+      { type: 'unchanged', text: 'on CT' }
+    ]);
+  });
+});
+
+describe('File report versions', () => {
+  let storePath;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'report-versions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  test('keeps a baseline of reports stored before versioning and refuses to overwrite a version', async () => {
+    fs.writeFileSync(path.join(storePath, 'TBR-OLD.json'), JSON.stringify({ ...REPORT, reportId: 'TBR-OLD', generatedDate: '2025-01-01T00:00:00.000Z' }));
+    const repository = new FileReportRepository(storePath);
+
+    await repository.update('TBR-OLD', { discussionNotes: 'Board, 14 Jan' }, { operation: 'notes', author: 'Dr. Mehta' });
+    expect((await repository.findVersions('TBR-OLD')).map(({ version, operation }) => [version, operation])).toEqual([[1, 'baseline'], [2, 'notes']]);
+    expect((await repository.findVersion('TBR-OLD', 1)).report.discussionNotes).toBeUndefined();
+    expect((await repository.findAll()).map(report => report.reportId)).toEqual(['TBR-OLD']);
+
+    // Both writers read version 2; only the first may store version 3
+    const [first, second] = await Promise.allSettled([
+      repository.update('TBR-OLD', { discussionNotes: 'Board, 21 Jan' }),
+      repository.update('TBR-OLD', { discussionNotes: 'Board, 28 Jan' })
+    ]);
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason).toMatchObject({ statusCode: 409 });
+    expect((await repository.findById('TBR-OLD')).discussionNotes).toBe('Board, 21 Jan');
+
+    await expect(repository.update('TBR-OLD', { discussionNotes: 'Board, 4 Feb' }, { expectedVersion: 2 })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Report TBR-OLD is at version 3, expected 2'
+    });
+  });
+});
+
+describe('Mongo report versions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('removes a new report again when its first version cannot be written', async () => {
+    jest.spyOn(Patient, 'findOne').mockReturnValue({ lean: async () => ({ _id: new mongoose.Types.ObjectId() }) });
+    const save = jest.spyOn(TumorBoardReport.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(TumorBoardReportVersion.prototype, 'save').mockRejectedValue(new Error('write concern timed out'));
+    const deleteOne = jest.spyOn(TumorBoardReport, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(new MongoReportRepository().create(REPORT)).rejects.toThrow('write concern timed out');
+    expect(deleteOne).toHaveBeenCalledWith({ _id: save.mock.contexts[0]._id });
+  });
+
+  test('removes the next version again when the report itself cannot be saved', async () => {
+    const repository = new MongoReportRepository();
+    jest.spyOn(TumorBoardReport, 'findOne').mockResolvedValue(new TumorBoardReport({ ...REPORT, patientId: new mongoose.Types.ObjectId(), version: 1 }));
+    jest.spyOn(repository, 'findById').mockResolvedValue({ ...REPORT, version: 1 });
+    jest.spyOn(TumorBoardReportVersion, 'exists').mockResolvedValue(true);
+    const written = jest.spyOn(TumorBoardReportVersion.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(TumorBoardReport.prototype, 'save').mockRejectedValue(new Error('write concern timed out'));
+    const deleteOne = jest.spyOn(TumorBoardReportVersion, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(repository.update('TBR-1', { approvalStatus: 'pending_review' })).rejects.toThrow('write concern timed out');
+    expect(written.mock.contexts[0].version).toBe(2);
+    expect(deleteOne).toHaveBeenCalledWith({ reportId: 'TBR-1', version: 2 });
+  });
+
+  test('refuses an update decided on a version the report has moved past', async () => {
+    const repository = new MongoReportRepository();
+    jest.spyOn(TumorBoardReport, 'findOne').mockResolvedValue(new TumorBoardReport({ ...REPORT, patientId: new mongoose.Types.ObjectId(), version: 2 }));
+    jest.spyOn(repository, 'findById').mockResolvedValue({ ...REPORT, version: 2 });
+    const written = jest.spyOn(TumorBoardReportVersion.prototype, 'save');
+
+    await expect(repository.update('TBR-1', { approvalStatus: 'approved' }, { expectedVersion: 1 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(written).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const CSVParser = require('../import/csvParser');
+const XlsxReader = require('../import/xlsxReader');
+const SpreadsheetImportService = require('../services/spreadsheetImportService');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+const { MemoryConflictRepository } = require('../repositories/conflictRepository');
+
+const LAB_CSV = path.join(__dirname, '..', 'data', 'synthetic-datasets', 'case1-oral-squamous', 'lab_results.csv');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = buffer => (buffer.reduce((crc, byte) => CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8), 0xffffffff) ^ 0xffffffff) >>> 0;
+
+// Just enough of a ZIP writer for a workbook: deflated members, no extras
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const raw = Buffer.from(text, 'utf8');
+    const data = zlib.deflateRawSync(raw);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(raw), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc32(raw), 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// A one-sheet workbook; strings go through the shared string table and
+// numbers given as { date } are stored as serial days in a date style
+function workbook(rows) {
+  const strings = [];
+  const cell = (value, column, row) => {
+    const ref = `${String.fromCharCode(65 + column)}${row}`;
+    if (value === null) return '';
+    if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+    if (value.date) return `<c r="${ref}" s="1"><v>${Date.parse(value.date) / 86400000 + 25569}</v></c>`;
+    strings.push(value);
+    return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+  };
+  const sheetRows = rows.map((row, index) => `<row r="${index + 1}">${row.map((value, column) => cell(value, column, index + 1)).join('')}</row>`);
+  return zip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Panel" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    'xl/sharedStrings.xml': `<sst>${strings.map(text => `<si><t>${text.replace(/&/g, '&amp;')}</t></si>`).join('')}</sst>`,
+    'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>'
+  });
+}
+
+const upload = (name, content) => ({ originalname: name, buffer: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8') });
+
+describe('Spreadsheet import', () => {
+  let service;
+
+  beforeEach(() => {
+    setRepositories({
+      patients: new MemoryPatientRepository([{
+        abhaId: '91-2233-4455-6677',
+        demographics: { firstName: 'Lakshmi', lastName: 'Menon', gender: 'female' },
+        labResults: []
+      }]),
+      patientLinks: new MemoryPatientLinkRepository(),
+      dataSources: new MemoryDataSourceRepository([]),
+      conflicts: new MemoryConflictRepository()
+    });
+    SpreadsheetImportService.reset();
+    service = new SpreadsheetImportService();
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('parses quoted CSV fields and sniffs the delimiter', () => {
+    expect(CSVParser.parse('﻿Test;Value;Note\r\n"Hb; venous";10,4;"said ""repeat"""\r\n\r\n')).toEqual([
+      ['Test', 'Value', 'Note'],
+      ['Hb; venous', '10,4', 'said "repeat"']
+    ]);
+  });
+
+  test('previews a lab panel CSV, then folds it into the patient with row provenance', async () => {
+    const preview = await service.preview(upload('lab_results.csv', fs.readFileSync(LAB_CSV)), { abhaId: '91-2233-4455-6677' }, 'lab.clerk');
+    expect(preview).toMatchObject({
+      kind: 'labs',
+      status: 'previewed',
+      mapping: { layout: 'long', columns: { testName: 'testName', value: 'value', unit: 'unit', referenceRange: 'referenceRange' } },
+      validation: { rows: 6, invalid: 0 }
+    });
+    expect(await getRepositories().patients.findByAbhaId('91-2233-4455-6677')).toMatchObject({ labResults: [] });
+
+    const committed = await service.commit(preview.importId, 'lab.clerk');
+    expect(committed.report).toMatchObject({ rows: 6, imported: 6, skipped: 0, updated: 1, errors: [] });
+
+    const patient = await getRepositories().patients.findByAbhaId('91-2233-4455-6677');
+    expect(patient.labResults).toHaveLength(6);
+    expect(patient.labResults[2]).toMatchObject({ testId: 'LAB-2023-003', testName: 'Albumin', value: '3.2', unit: 'g/dL' });
+    const albumin = ProvenanceTracker.resolve(patient, { path: 'labResults' }).find(entry => entry.key === 'LAB-2023-003');
+    expect(albumin).toMatchObject({ sourceRecordId: 'lab_results.csv#row4', activity: 'import', agent: 'import:lab.clerk' });
+
+    await expect(service.commit(preview.importId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('reads a one-test-per-column workbook and reports unit, range and patient problems by row', async () => {
+    const buffer = workbook([
+      ['Monthly CBC export', null, null, null, null],
+      ['MRN', 'Patient Name', 'Collection Date', 'Hemoglobin (g/dL)', 'WBC'],
+      ['91-2233-4455-6677', 'Lakshmi Menon', { date: '2024-03-05' }, 9.1, 5.4],
+      ['MRN-204', 'Arjun Nair', { date: '2024-03-06' }, '131 g/L', null],
+      ['MRN-205', null, { date: '2024-03-06' }, '11.8 mmol/L', 6.1],
+      ['MRN-206', 'Farah Khan', { date: '2024-03-07' }, null, null]
+    ]);
+    expect(XlsxReader.read(buffer)[0].rows[2]).toEqual(['91-2233-4455-6677', 'Lakshmi Menon', '2024-03-05', 9.1, 5.4]);
+
+    const preview = await service.preview(upload('cbc.xlsx', buffer));
+    expect(preview.mapping).toMatchObject({
+      kind: 'labs',
+      layout: 'wide',
+      columns: { abhaId: 'MRN', name: 'Patient Name', testDate: 'Collection Date' },
+      tests: [{ column: 'Hemoglobin (g/dL)', testName: 'Hemoglobin', unit: 'g/dL' }, { column: 'WBC', unit: '×10⁹/L' }]
+    });
+    expect(preview.validation.warnings).toContainEqual(expect.objectContaining({ row: 4, message: expect.stringContaining('g/L differs from the usual g/dL') }));
+    expect(preview.validation.errors).toEqual([
+      expect.objectContaining({ row: 6, field: 'labResults', message: 'No test results in this row' })
+    ]);
+
+    const { report } = await service.commit(preview.importId);
+    expect(report).toMatchObject({ rows: 4, imported: 2, skipped: 2, created: 1, updated: 1, unmatched: 1 });
+    expect(report.errors.map(error => [error.row, error.field])).toEqual([[5, 'abhaId'], [6, 'labResults']]);
+
+    const arjun = await getRepositories().patients.findByAbhaId('MRN-204');
+    expect(arjun.labResults).toEqual([expect.objectContaining({ testName: 'Hemoglobin', value: '131', unit: 'g/L' })]);
+    const lakshmi = await getRepositories().patients.findByAbhaId('91-2233-4455-6677');
+    expect(lakshmi.labResults.map(lab => [lab.testName, lab.value])).toEqual([['Hemoglobin', '9.1'], ['White Blood Cell Count', '5.4']]);
+  });
+
+  test('checks units and reference ranges against the test', async () => {
+    const csv = [
+      'Patient ID,Test,Date,Result,Units,Normal Range',
+      '91-2233-4455-6677,Hemoglobin,05/03/2024,9.1,mg/dL,12-16 g/dL',
+      '91-2233-4455-6677,Creatinine,05/03/2024,1.4,mg/dL,1.2-0.6',
+      '91-2233-4455-6677,Hemoglobin,31/02/2024,8.7,g/dL,abnormal',
+      '91-2233-4455-6677,Hemoglobin,06/03/2024,8.2,×10⁹/L,12-16'
+    ].join('\n');
+    const preview = await service.preview(upload('labs.csv', csv));
+    expect(preview.mapping.dateFormats).toEqual({ Date: 'DD/MM/YYYY' });
+
+    const problems = [...preview.validation.errors, ...preview.validation.warnings].map(problem => [problem.row, problem.column, problem.message]);
+    expect(problems).toEqual(expect.arrayContaining([
+      [2, 'Units', 'mg/dL differs from the usual g/dL for Hemoglobin; the value is kept as reported'],
+      [2, 'Normal Range', 'Reference range unit g/dL differs from the result unit mg/dL'],
+      [3, 'Normal Range', 'Reference range 1.2-0.6 has its low bound above the high one'],
+      [4, 'Date', 'Unrecognised date "31/02/2024"'],
+      [4, 'Normal Range', 'Unrecognised reference range "abnormal"'],
+      [5, 'Units', '×10⁹/L is not a unit for Hemoglobin (expected g/dL)']
+    ]));
+    expect(preview.preview[0].data.labResults[0].interpretation).toBe('Low');
+    expect(preview.validation).toMatchObject({ valid: 1, invalid: 3 });
+  });
+
+  test('lets the proposed treatment mapping be corrected before committing', async () => {
+    const csv = [
+      'ABHA,Therapy,Protocol,Start,End,Toxicities',
+      '91-2233-4455-6677,Chemotherapy,TPF,2024-01-02,2024-03-01,nausea; mucositis',
+      '91-2233-4455-6677,Radiotherapy,IMRT 66 Gy,2024-04-10,2024-03-20,'
+    ].join('\n');
+    const preview = await service.preview(upload('tx.csv', csv), { kind: 'treatments' });
+    expect(preview.mapping.columns).toMatchObject({ abhaId: 'ABHA', type: 'Therapy', regimen: 'Protocol', startDate: 'Start', endDate: 'End' });
+    expect(preview.validation.errors).toEqual([
+      { row: 3, column: 'End', field: 'treatments.endDate', message: 'End date is before the start date' }
+    ]);
+
+    await expect(service.remap(preview.importId, { columns: { endDate: 'Stop' } })).rejects.toMatchObject({ statusCode: 422 });
+    const remapped = await service.remap(preview.importId, { columns: { endDate: null } });
+    expect(remapped.validation).toMatchObject({ valid: 2, invalid: 0 });
+
+    await service.commit(preview.importId);
+    const { treatments } = await getRepositories().patients.findByAbhaId('91-2233-4455-6677');
+    expect(treatments.map(treatment => [treatment.type, treatment.regimen, treatment.endDate])).toEqual([
+      ['chemotherapy', 'TPF', undefined],
+      ['radiotherapy', 'IMRT 66 Gy', undefined]
+    ]);
+    expect(treatments[0].adverseEvents).toEqual(['nausea', 'mucositis']);
+  });
+
+  test('refuses legacy .xls workbooks', async () => {
+    const xls = Buffer.from('d0cf11e0a1b11ae100000000', 'hex');
+    await expect(service.preview(upload('old.xls', xls))).rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining('.xls') });
+  });
+});
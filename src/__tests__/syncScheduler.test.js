@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CronSchedule = require('../sync/cronSchedule');
+const SyncScheduler = require('../services/syncScheduler');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryPatientRepository } = require('../repositories/patientRepository');
+const { MemoryDataSourceRepository } = require('../repositories/dataSourceRepository');
+const { MemoryPatientLinkRepository } = require('../repositories/patientLinkRepository');
+
+const rule = (sourceField, targetField, transformation = '') => ({ sourceField, targetField, transformation });
+
+// A day-care unit exporting one JSON file per visit
+const mappingRules = [
+  rule('mrn', 'abhaId', 'prefix("DCU-")'),
+  rule('name', 'demographics.firstName', 'split(" ") | first'),
+  rule('name', 'demographics.lastName', 'split(" ") | last'),
+  rule('labs[].code', 'labResults[].testId', 'template("{mrn}-{$value}")'),
+  rule('labs[].code', 'labResults[].testName'),
+  rule('labs[].value', 'labResults[].value', 'string')
+];
+
+describe('Sync scheduler', () => {
+  let folder;
+  let clock;
+
+  // Each export gets a modification time after the previous one
+  const writeExport = (file, record) => {
+    const filePath = path.join(folder, file);
+    fs.writeFileSync(filePath, JSON.stringify(record));
+    clock = new Date(clock.getTime() + 60 * 1000);
+    fs.utimesSync(filePath, clock, clock);
+  };
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-source-'));
+    clock = new Date('2025-03-01T08:00:00Z');
+    setRepositories({
+      patients: new MemoryPatientRepository([{ abhaId: 'DCU-42', demographics: { firstName: 'Meena', lastName: 'Iyer' } }]),
+      patientLinks: new MemoryPatientLinkRepository(),
+      dataSources: new MemoryDataSourceRepository([{
+        _id: 'dcu',
+        name: 'Day Care Unit',
+        type: 'EMR',
+        dataFormat: 'JSON',
+        connectionDetails: { protocol: 'FILE', endpoint: folder },
+        syncStatus: 'active',
+        syncSchedule: { cron: '*/15 * * * *', maxRetries: 2, retryDelayMs: 1000 },
+        mappingRules
+      }])
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test('parses cron fields, shorthands and intervals', () => {
+    const friday = new Date(2025, 2, 7, 17, 50);
+    expect(CronSchedule.parse('*/15 9-17 * * 1-5').next(friday)).toEqual(new Date(2025, 2, 10, 9, 0));
+    expect(CronSchedule.parse('@daily').next(friday)).toEqual(new Date(2025, 2, 8, 0, 0));
+    expect(CronSchedule.parse('@every 10m').next(friday)).toEqual(new Date(2025, 2, 7, 18, 0));
+
+    expect(() => CronSchedule.parse('61 * * * *')).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => CronSchedule.parse('0 0 30 2 *')).toThrow(/never fires/);
+    expect(() => SyncScheduler.validateSchedule({ cron: '@hourly', maxRetries: -1 })).toThrow(/maxRetries/);
+  });
+
+  test('pulls only files changed after the watermark and upserts their records', async () => {
+    const scheduler = new SyncScheduler();
+    writeExport('visit-1.json', { mrn: '42', name: 'Meena Iyer', labs: [{ code: 'HB', value: 10.1 }] });
+    writeExport('visit-2.json', { mrn: '77', name: 'Arjun Rao', labs: [{ code: 'WBC', value: 6.4 }] });
+    writeExport('visit-3.json', { mrn: '99', labs: [{ code: 'PLT', value: 210 }] });
+
+    const first = await scheduler.runSource('dcu');
+    expect(first).toMatchObject({
+      status: 'success',
+      since: null,
+      watermark: clock.toISOString(),
+      counts: { files: 3, records: 3, created: 1, updated: 1, unmatched: 1, errors: 0 }
+    });
+
+    const idle = await scheduler.runSource('dcu');
+    expect(idle.counts).toMatchObject({ files: 0, records: 0 });
+
+    // A corrected result re-exported for the same test replaces the old value
+    writeExport('visit-1.json', { mrn: '42', name: 'Meena Iyer', labs: [{ code: 'HB', value: 10.4 }] });
+    const second = await scheduler.runSource('dcu');
+    expect(second.counts).toMatchObject({ files: 1, records: 1, updated: 1 });
+
+    const { patients, dataSources } = getRepositories();
+    expect((await patients.findByAbhaId('DCU-42')).labResults).toEqual([
+      expect.objectContaining({ testId: '42-HB', value: '10.4' })
+    ]);
+    expect((await patients.findByAbhaId('DCU-77')).demographics.lastName).toBe('Rao');
+
+    const source = await dataSources.findById('dcu');
+    expect(new Date(source.lastSync)).toEqual(new Date(second.finishedAt));
+    expect(source.syncState.history.map(run => run.runId)).toEqual([second.runId, idle.runId, first.runId]);
+    expect(scheduler.describe(source).lastRun.counts.updated).toBe(1);
+  });
+
+  test('retries failed runs with backoff and marks the source once retries run out', async () => {
+    const failures = [new Error('share offline'), new Error('share offline'), new Error('share offline')];
+    const scheduler = new SyncScheduler({
+      syncSource: async () => {
+        if (failures.length > 0) throw failures.shift();
+        return { watermark: '2025-03-01T09:00:00.000Z', files: 0, records: 0, created: 0, updated: 0, unmatched: 0, errors: [] };
+      }
+    });
+    const { dataSources } = getRepositories();
+    const source = await dataSources.findById('dcu');
+    expect([1, 2, 3].map(attempt => SyncScheduler.backoff(source, attempt))).toEqual([1000, 2000, 4000]);
+
+    expect(await scheduler.runSource('dcu', { trigger: 'schedule' })).toMatchObject({ status: 'failed', retrying: true });
+    expect(await scheduler.runSource('dcu', { trigger: 'retry', attempt: 1 })).toMatchObject({ retrying: true });
+    expect((await dataSources.findById('dcu')).syncStatus).toBe('active');
+
+    const exhausted = await scheduler.runSource('dcu', { trigger: 'retry', attempt: 2 });
+    expect(exhausted).toMatchObject({ status: 'failed', retrying: false, error: 'share offline' });
+    expect(await dataSources.findById('dcu')).toMatchObject({
+      syncStatus: 'error',
+      syncState: { consecutiveFailures: 3, watermark: null }
+    });
+
+    await scheduler.runSource('dcu');
+    expect(await dataSources.findById('dcu')).toMatchObject({
+      syncStatus: 'active',
+      syncState: { consecutiveFailures: 0, watermark: '2025-03-01T09:00:00.000Z' }
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TerminologyService = require('../terminology/terminologyService');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+const FHIRValidator = require('../fhir/fhirValidator');
+
+const { SYSTEMS } = TerminologyService;
+
+const parameter = (parameters, name) => parameters.parameter.find(entry => entry.name === name);
+
+describe('TerminologyService', () => {
+  const terminology = TerminologyService.shared();
+
+  test('looks up and validates codes from the loaded tables', () => {
+    const lookup = terminology.lookup({ system: SYSTEMS.LOINC, code: '789-8' });
+    expect(parameter(lookup, 'display').valueString).toBe('Erythrocytes [#/volume] in Blood by Automated count');
+    expect(lookup.parameter).toContainEqual({
+      name: 'property',
+      part: [{ name: 'code', valueCode: 'unit' }, { name: 'value', valueString: '×10¹²/L' }]
+    });
+
+    expect(() => terminology.lookup({ system: SYSTEMS.LOINC, code: '0000-0' })).toThrow(/not found/);
+    expect(() => terminology.lookup({ system: 'http://example.org/unknown', code: 'x' }))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+
+    const mismatch = terminology.validateCode({ system: SYSTEMS.ICD10, code: 'C06.9', display: 'Tongue' });
+    expect(parameter(mismatch, 'result').valueBoolean).toBe(false);
+    expect(parameter(mismatch, 'message').valueString).toMatch(/does not match/);
+  });
+
+  test('translates codes and free text through the concept maps', () => {
+    const coded = terminology.translate({ system: SYSTEMS.ICDO3, code: 'C56.9', targetsystem: SYSTEMS.ICD10 });
+    expect(parameter(coded, 'match').part[1].valueCoding).toMatchObject({ system: SYSTEMS.ICD10, code: 'C56' });
+
+    // Text -> ICD-O-3 topography -> ICD-10 -> SNOMED CT
+    const chained = terminology.translate({ text: 'Breast carcinoma', targetSystem: SYSTEMS.SNOMED });
+    expect(parameter(chained, 'match').part).toContainEqual({ name: 'equivalence', valueCode: 'wider' });
+    expect(parameter(chained, 'match').part[1].valueCoding.code).toBe('254837009');
+
+    const lab = terminology.translate({ text: 'WBC', targetsystem: SYSTEMS.LOINC });
+    expect(parameter(lab, 'match').part[1].valueCoding.code).toBe('6690-2');
+
+    expect(parameter(terminology.translate({ text: 'Oral SCC', targetsystem: SYSTEMS.SNOMED }), 'result').valueBoolean).toBe(false);
+  });
+
+  test('codes Observations with LOINC and Conditions with ICD-10 and ICD-O-3', () => {
+    const resources = FHIRPatientConverter.toFHIRResources({
+      abhaId: 'SYNTHETIC-CASE_1',
+      demographics: { firstName: 'Rajesh', lastName: 'Kumar', gender: 'Male', dateOfBirth: '1965-03-15' },
+      cancerType: { primary: 'Oral squamous cell carcinoma', histology: 'Non-keratinizing squamous cell carcinoma.', stage: 'III' },
+      labResults: [
+        { testId: 'lab-1', testName: 'Hemoglobin', value: '11.2', unit: 'g/dL', testDate: '2025-01-05' },
+        { testId: 'lab-2', testCode: 'SCCAG', testCodeSystem: 'L', testName: 'Squamous cell carcinoma antigen', value: '1.6' },
+        { timestamp: 'day_0', observations: { RBC: 4.22, 'CA-125': 6.3 } }
+      ]
+    });
+
+    const [hemoglobin, scc, panel] = resources.filter(resource => resource.resourceType === 'Observation');
+    expect(hemoglobin.code.coding).toEqual([{ system: SYSTEMS.LOINC, code: '718-7', display: 'Hemoglobin [Mass/volume] in Blood' }]);
+    expect(scc.code.coding).toEqual([{ system: SYSTEMS.LOCAL_LAB, code: 'SCCAG', display: 'Squamous cell carcinoma antigen' }]);
+    expect(panel.code.coding[0].code).toBe('26436-6');
+    expect(panel.component.map(component => component.code.coding[0].code)).toEqual(['789-8', '10334-1']);
+
+    const condition = resources.find(resource => resource.resourceType === 'Condition');
+    expect(condition.code.coding).toEqual([{ system: SYSTEMS.ICD10, code: 'C06.9', display: 'Malignant neoplasm: Mouth, unspecified' }]);
+    expect(condition.bodySite[0].coding[0]).toMatchObject({ system: SYSTEMS.ICDO3, code: 'C06.9' });
+    expect(condition.extension[0].valueCodeableConcept.coding[0]).toMatchObject({ system: SYSTEMS.ICDO3, code: '8072/3' });
+
+    expect(FHIRValidator.validateResource(condition).errors).toEqual([]);
+  });
+
+  test('extends the built-in tables with CodeSystems from another directory', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'terminology-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'site-loinc.json'), JSON.stringify({
+        resourceType: 'CodeSystem',
+        url: SYSTEMS.LOINC,
+        concept: [{ code: '2039-6', display: 'Carcinoembryonic Ag [Mass/volume] in Serum or Plasma', designation: [{ value: 'CEA level' }] }]
+      }));
+
+      const extended = new TerminologyService([path.join(__dirname, '../terminology/tables'), directory]);
+      expect(extended.resolveLab({ name: 'CEA level' }).coding.code).toBe('2039-6');
+      expect(extended.resolveLab({ name: 'RBC' }).coding.code).toBe('789-8');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
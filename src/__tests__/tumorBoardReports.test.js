@@ -0,0 +1,67 @@
+const PerplexityReportService = require('../services/perplexityReportService');
+const TumorBoardReportService = require('../services/tumorBoardReportService');
+const LLMProviders = require('../llm/llmProviders');
+const { setRepositories, getRepositories } = require('../repositories');
+const { MemoryReportRepository } = require('../repositories/reportRepository');
+
+const PATIENT = {
+  abhaId: 'ABHA-9',
+  demographics: { firstName: 'Asha', lastName: 'Rao', gender: 'female', dateOfBirth: new Date('1970-05-01') },
+  cancerType: { primary: 'Breast carcinoma', stage: 'IIA' }
+};
+
+describe('Tumor board report storage', () => {
+  let service;
+
+  beforeEach(() => {
+    setRepositories({ reports: new MemoryReportRepository() });
+    service = new TumorBoardReportService({
+      perplexityService: new PerplexityReportService({ providers: new LLMProviders({ LLM_PROVIDER: 'offline' }) })
+    });
+  });
+
+  afterEach(() => {
+    setRepositories(null);
+  });
+
+  test('stores AI reports so they can be read, annotated and approved like template reports', async () => {
+    const { report, aiReport } = await service.generateAIReport(PATIENT);
+    const { reports } = getRepositories();
+
+    expect(report).toMatchObject({ patientId: 'ABHA-9', reportType: 'ai_generated', approvalStatus: 'draft' });
+    expect(report.reportId).toBe(aiReport.reportId);
+    expect(report.discussionNotes).toContain(aiReport.content);
+    expect(report.recommendations[0].citations).toHaveLength(aiReport.citations.length);
+    expect(report.recommendations[0].citations[0]).toMatchObject({ journal: 'Journal of Clinical Oncology', pmid: '38000001' });
+
+    expect(await reports.findById(report.reportId)).toEqual(report);
+    expect((await reports.findByPatient('ABHA-9')).map(stored => stored.reportId)).toEqual([report.reportId]);
+    await reports.update(report.reportId, { discussionNotes: 'Discussed at board' });
+    const approved = await reports.update(report.reportId, { approvalStatus: 'approved' });
+    expect(approved).toMatchObject({ discussionNotes: 'Discussed at board', approvalStatus: 'approved' });
+  });
+
+  test('counts stored reports by status and type', async () => {
+    expect(await service.stats()).toEqual({
+      total: 0,
+      byStatus: { draft: 0, pending_review: 0, approved: 0, revised: 0 },
+      byType: {},
+      patients: 0,
+      lastGeneratedAt: null
+    });
+
+    const { reports } = getRepositories();
+    await reports.create({ reportId: 'TBR-1', patientId: 'ABHA-1', reportType: 'initial', approvalStatus: 'draft', generatedDate: '2025-01-01T00:00:00.000Z' });
+    await reports.create({ reportId: 'TBR-2', patientId: 'ABHA-1', reportType: 'follow-up', approvalStatus: 'approved', generatedDate: '2025-02-01T00:00:00.000Z' });
+    await service.generateAIReport(PATIENT);
+
+    const stats = await service.stats();
+    expect(stats).toMatchObject({
+      total: 3,
+      byStatus: { draft: 2, pending_review: 0, approved: 1, revised: 0 },
+      byType: { initial: 1, 'follow-up': 1, ai_generated: 1 },
+      patients: 2
+    });
+    expect(new Date(stats.lastGeneratedAt).getTime()).toBeGreaterThan(new Date('2025-02-01').getTime());
+  });
+});
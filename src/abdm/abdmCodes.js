@@ -0,0 +1,39 @@
+// ABDM Health Information Exchange vocabularies (consent manager API v0.5)
+
+const PURPOSES = {
+  CAREMGT: 'Care Management',
+  BTG: 'Break the Glass',
+  PUBHLTH: 'Public Health',
+  HPAYMT: 'Healthcare Payment',
+  DSRCH: 'Disease Specific Healthcare Research',
+  PATRQT: 'Self Requested'
+};
+
+const HI_TYPES = [
+  'Prescription',
+  'DiagnosticReport',
+  'OPConsultation',
+  'DischargeSummary',
+  'ImmunizationRecord',
+  'HealthDocumentRecord',
+  'WellnessRecord'
+];
+
+const ACCESS_MODES = ['VIEW', 'STORE', 'QUERY', 'STREAM'];
+
+const CONSENT_STATUSES = ['REQUESTED', 'GRANTED', 'DENIED', 'REVOKED', 'EXPIRED'];
+
+// The FHIR resources this HIP can share for each HI type it serves
+const HI_TYPE_RESOURCES = {
+  OPConsultation: ['Condition'],
+  DiagnosticReport: ['Observation', 'DiagnosticReport', 'ImagingStudy'],
+  Prescription: ['MedicationStatement']
+};
+
+module.exports = {
+  PURPOSES,
+  HI_TYPES,
+  ACCESS_MODES,
+  CONSENT_STATUSES,
+  HI_TYPE_RESOURCES
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { AppError, ValidationError } = require('../utils/errors');
+
+const KEY_PARAMETERS = 'Curve25519/32byte random key';
+const AUTH_TAG_LENGTH = 16;
+
+const fromBase64 = value => Buffer.from(value || '', 'base64');
+
+// ABDM health information encryption: ECDH over Curve25519 between the HIU's
+// and HIP's key material, HKDF-SHA256 salted with the first 20 bytes of the
+// XOR of both nonces, then AES-256-GCM with the last 12 bytes as IV. Each entry
+// gets its own key (HKDF info = care context reference) so the IV is never
+// reused under one key. Ciphertext is base64(encrypted || auth tag).
+class HealthInformationCipher {
+  static generateKeyMaterial(expiry) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+      keyMaterial: {
+        cryptoAlg: 'ECDH',
+        curve: 'Curve25519',
+        dhPublicKey: {
+          expiry,
+          parameters: KEY_PARAMETERS,
+          keyValue: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+        },
+        nonce: crypto.randomBytes(32).toString('base64')
+      }
+    };
+  }
+
+  static validateKeyMaterial(keyMaterial) {
+    const keyValue = keyMaterial?.dhPublicKey?.keyValue;
+    if (!keyValue || fromBase64(keyMaterial.nonce).length !== 32) {
+      throw new ValidationError('keyMaterial needs dhPublicKey.keyValue and a 32 byte base64 nonce');
+    }
+    try {
+      crypto.createPublicKey({ key: fromBase64(keyValue), format: 'der', type: 'spki' });
+    } catch (error) {
+      throw new ValidationError('keyMaterial.dhPublicKey.keyValue is not a Curve25519 public key');
+    }
+  }
+
+  // Both sides derive the same key: own private key + the other side's public key and both nonces
+  static deriveKey({ privateKey, publicKey, ownNonce, otherNonce, info }) {
+    const shared = crypto.diffieHellman({
+      privateKey: crypto.createPrivateKey({ key: fromBase64(privateKey), format: 'der', type: 'pkcs8' }),
+      publicKey: crypto.createPublicKey({ key: fromBase64(publicKey), format: 'der', type: 'spki' })
+    });
+
+    const a = fromBase64(ownNonce);
+    const b = fromBase64(otherNonce);
+    const xor = Buffer.alloc(32);
+    for (let i = 0; i < xor.length; i++) {
+      xor[i] = a[i] ^ b[i];
+    }
+
+    return {
+      key: Buffer.from(crypto.hkdfSync('sha256', shared, xor.subarray(0, 20), Buffer.from(info || ''), 32)),
+      iv: xor.subarray(20)
+    };
+  }
+
+  static encrypt(plaintext, keys) {
+    const { key, iv } = this.deriveKey(keys);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    return Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]).toString('base64');
+  }
+
+  static decrypt(content, keys) {
+    const data = fromBase64(content);
+    const { key, iv } = this.deriveKey(keys);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(data.subarray(data.length - AUTH_TAG_LENGTH));
+      return Buffer.concat([decipher.update(data.subarray(0, data.length - AUTH_TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new AppError('Health information could not be decrypted with the supplied key material', 422);
+    }
+  }
+
+  static checksum(plaintext) {
+    return crypto.createHash('md5').update(plaintext).digest('base64');
+  }
+}
+
+module.exports = HealthInformationCipher;
@@ -0,0 +1,253 @@
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+
+const POLICIES = ['most-recent', 'trusted-source', 'manual'];
+
+// Policies by field path, longest prefix first; CONFLICT_POLICIES (a JSON
+// object of path to policy) overrides these and CONFLICT_POLICY sets the fallback
+const DEFAULT_POLICIES = {
+  demographics: 'trusted-source',
+  cancerType: 'manual'
+};
+
+// Values typed in by a clinician outrank every feed unless a data source is
+// given a higher trustLevel; anything else without one ranks 0
+const TYPE_TRUST = { MANUAL: 100 };
+
+// The fields of a list entry two sources can disagree on; the others identify
+// the entry or say where it came from
+const COMPARED_FIELDS = {
+  imaging: ['modality', 'bodyPart', 'description', 'findings'],
+  labResults: ['value', 'unit', 'referenceRange', 'interpretation'],
+  pathologyReports: ['specimenType', 'findings', 'diagnosis'],
+  treatments: ['type', 'regimen', 'startDate', 'endDate', 'response'],
+  clinicalTrials: ['status', 'arm']
+};
+
+// Fields whose disagreements are handled elsewhere (identifiers by the master patient index)
+const IGNORED = new Set(['_id', '__v', 'abhaId', 'identifiers', 'provenance', 'mergedInto', 'mergedFrom', 'createdAt', 'updatedAt']);
+
+const ATTRIBUTION = ['source', 'sourceType', 'sourceRecordId', 'ingestedAt', 'recordedAt', 'activity', 'agent'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+const isBlank = value => value === undefined || value === null || value === '';
+// List entry conflicts carry the entry's key; field conflicts have none
+const isEntryConflict = conflict => conflict.key !== null && conflict.key !== undefined;
+
+const resolvePath = (value, fieldPath) => fieldPath.split('.')
+  .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+
+// Spelling differences that are not disagreements: case, spacing, "10.10"
+// against 10.1, a date string against the same Date
+function normalize(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') {
+    const text = value.trim().replace(/\s+/g, ' ');
+    if (/^-?\d+(\.\d+)?$/.test(text)) return String(Number(text));
+    if (/^\d{4}-\d{2}-\d{2}(T|$)/.test(text) && !Number.isNaN(Date.parse(text))) return new Date(text).toISOString();
+    return text.toLowerCase();
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => !isBlank(value[key]))
+      .map(key => [key, normalize(value[key])]));
+  }
+  return value;
+}
+
+const equivalent = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const dayOf = value => {
+  const time = isBlank(value) ? NaN : new Date(value).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+};
+
+// Entries two sources keyed differently that still describe the same
+// observation: the same test (by code when both have one) on the same day
+const SAME_OBSERVATION = {
+  labResults: (a, b) => {
+    if (!dayOf(a.testDate) || dayOf(a.testDate) !== dayOf(b.testDate)) return false;
+    if (a.testCode && b.testCode) return a.testCode === b.testCode;
+    return !isBlank(a.testName) && equivalent(a.testName, b.testName);
+  }
+};
+
+function configuredPolicies() {
+  if (!process.env.CONFLICT_POLICIES) return {};
+  try {
+    return JSON.parse(process.env.CONFLICT_POLICIES);
+  } catch (error) {
+    console.warn(`Ignoring CONFLICT_POLICIES: ${error.message}`);
+    return {};
+  }
+}
+
+// Finds where incoming source data disagrees with values another source
+// already supplied, and settles each disagreement by the policy configured
+// for its field. Attribution (which source, when) comes from the field-level
+// provenance on both sides; a source correcting its own value is not a conflict.
+class ConflictDetector {
+  static policies() {
+    const known = (policy, fieldPath) => {
+      if (POLICIES.includes(policy)) return policy;
+      console.warn(`Unknown conflict policy "${policy}" for ${fieldPath}; using most-recent`);
+      return 'most-recent';
+    };
+    const fields = Object.entries({ ...DEFAULT_POLICIES, ...configuredPolicies() })
+      .map(([fieldPath, policy]) => [fieldPath, known(policy, fieldPath)]);
+    return {
+      default: known(process.env.CONFLICT_POLICY || 'most-recent', 'CONFLICT_POLICY'),
+      fields: Object.fromEntries(fields)
+    };
+  }
+
+  static policyFor(fieldPath) {
+    const { default: fallback, fields } = this.policies();
+    const match = Object.keys(fields)
+      .filter(prefix => fieldPath === prefix || fieldPath.startsWith(`${prefix}.`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? fields[match] : fallback;
+  }
+
+  // Disagreements between `current` (a patient, or data aggregated so far)
+  // and `data`, whose own provenance attributes the incoming values
+  static detect(current, data) {
+    if (!current) return [];
+    const { provenance: incomingProvenance = [], ...incoming } = data || {};
+    const attribution = (entries, fieldPath, key = null) => {
+      const entry = (entries || []).find(item => item.path === fieldPath && (item.key ?? null) === key) || {};
+      return Object.fromEntries(ATTRIBUTION.map(name => [name, entry[name] ?? null]));
+    };
+    const conflicts = [];
+    const add = (fieldPath, currentKey, incomingKey, currentValue, incomingValue, fields = undefined) => {
+      const conflict = {
+        path: fieldPath,
+        key: currentKey,
+        incomingKey,
+        fields,
+        current: { value: currentValue, ...attribution(current.provenance, fieldPath, currentKey) },
+        incoming: { value: incomingValue, ...attribution(incomingProvenance, fieldPath, incomingKey) }
+      };
+      if (!conflict.current.source || conflict.current.source !== conflict.incoming.source) {
+        conflicts.push(conflict);
+      }
+    };
+
+    const walk = (value, fieldPath) => {
+      if (isBlank(value)) return;
+      if (isPlainObject(value)) {
+        Object.entries(value).forEach(([name, nested]) => walk(nested, `${fieldPath}.${name}`));
+        return;
+      }
+      const existing = resolvePath(current, fieldPath);
+      if (!isBlank(existing) && !equivalent(existing, value)) {
+        add(fieldPath, null, null, existing, value);
+      }
+    };
+
+    Object.entries(incoming).forEach(([field, value]) => {
+      if (IGNORED.has(field) || isBlank(value)) return;
+      if (ProvenanceTracker.LIST_KEYS[field]) {
+        if (!COMPARED_FIELDS[field] || !Array.isArray(value)) return;
+        const existing = current[field] || [];
+        value.filter(Boolean).forEach(entry => {
+          const key = ProvenanceTracker.entryKey(field, entry);
+          const match = existing.find(item => ProvenanceTracker.entryKey(field, item) === key) ||
+            existing.find(item => SAME_OBSERVATION[field]?.(item, entry));
+          if (!match) return;
+          const fields = COMPARED_FIELDS[field]
+            .filter(name => !isBlank(entry[name]) && !isBlank(match[name]) && !equivalent(entry[name], match[name]));
+          if (fields.length > 0) {
+            add(field, ProvenanceTracker.entryKey(field, match), key, match, entry, fields);
+          }
+        });
+      } else {
+        walk(value, field);
+      }
+    });
+    return conflicts;
+  }
+
+  // { choice: 'current' | 'incoming', reason } under an automatic policy, or
+  // null when the conflict waits for a data steward
+  static decide(conflict, policy, trustLevels = new Map()) {
+    if (policy === 'manual') return null;
+    const label = side => conflict[side].source || 'an unattributed source';
+    if (policy === 'trusted-source') {
+      const current = this.trustOf(conflict.current, trustLevels);
+      const incoming = this.trustOf(conflict.incoming, trustLevels);
+      if (current !== incoming) {
+        const choice = incoming > current ? 'incoming' : 'current';
+        return { choice, reason: `${label(choice)} is trusted more (${Math.max(current, incoming)} over ${Math.min(current, incoming)})` };
+      }
+    }
+    const choice = this.timeOf(conflict.incoming) >= this.timeOf(conflict.current) ? 'incoming' : 'current';
+    const tie = policy === 'trusted-source' ? 'Sources are trusted equally; ' : '';
+    return { choice, reason: `${tie}${label(choice)} has the most recent value` };
+  }
+
+  static trustOf(attribution, trustLevels = new Map()) {
+    if (trustLevels.has(attribution.source)) return trustLevels.get(attribution.source);
+    return TYPE_TRUST[attribution.sourceType] ?? 0;
+  }
+
+  // When the source wrote the value, else when it reached us; unattributed values are oldest
+  static timeOf(attribution) {
+    const time = new Date(attribution.recordedAt || attribution.ingestedAt || 0).getTime();
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  // The part of a value the conflict is about: the whole field value, or the compared fields of a list entry
+  static comparable(conflict, value) {
+    if (!isEntryConflict(conflict)) return normalize(value);
+    return normalize(Object.fromEntries(COMPARED_FIELDS[conflict.path].map(name => [name, value?.[name]])));
+  }
+
+  // `data` without the incoming values of conflicts it does not win, nor their provenance
+  static withhold(data, conflicts) {
+    if (conflicts.length === 0) return data;
+    const result = { ...data };
+    conflicts.forEach(conflict => {
+      if (isEntryConflict(conflict)) {
+        result[conflict.path] = (result[conflict.path] || [])
+          .filter(entry => ProvenanceTracker.entryKey(conflict.path, entry) !== conflict.incomingKey);
+      } else {
+        this.omitPath(result, conflict.path);
+      }
+    });
+    result.provenance = (data.provenance || []).filter(entry => !conflicts.some(conflict =>
+      conflict.path === entry.path && (conflict.incomingKey ?? null) === (entry.key ?? null)));
+    return result;
+  }
+
+  // Copies the objects along the path so the caller's data is left untouched
+  static omitPath(target, fieldPath) {
+    const [head, ...rest] = fieldPath.split('.');
+    if (rest.length === 0) {
+      delete target[head];
+      return;
+    }
+    if (!isPlainObject(target[head])) return;
+    target[head] = { ...target[head] };
+    this.omitPath(target[head], rest.join('.'));
+    if (Object.keys(target[head]).length === 0) delete target[head];
+  }
+
+  // Removes list entries an incoming entry keyed differently has replaced
+  static removeSuperseded(record, superseded) {
+    superseded.forEach(({ path: field, key }) => {
+      if (Array.isArray(record[field])) {
+        record[field] = record[field].filter(entry => ProvenanceTracker.entryKey(field, entry) !== key);
+      }
+    });
+    return record;
+  }
+}
+
+ConflictDetector.POLICIES = POLICIES;
+ConflictDetector.normalize = normalize;
+ConflictDetector.equivalent = equivalent;
+ConflictDetector.isEntryConflict = isEntryConflict;
+
+module.exports = ConflictDetector;
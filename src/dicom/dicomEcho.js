@@ -0,0 +1,287 @@
+const net = require('net');
+const DicomUid = require('./dicomUid');
+
+// DICOM Verification (C-ECHO) over the upper layer protocol (PS3.8): associate
+// proposing the Verification SOP class, send C-ECHO-RQ, expect a success
+// C-ECHO-RSP, release. Enough to tell a PACS that answers DICOM from a port
+// that merely accepts TCP connections. createServer() is the matching SCP,
+// a local stand-in for a PACS when none is available.
+
+const VERIFICATION_SOP_CLASS = '1.2.840.10008.1.1';
+const APPLICATION_CONTEXT = '1.2.840.10008.3.1.1.1';
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const IMPLEMENTATION_CLASS_UID = DicomUid.fromSeed('oncology-poc', 'implementation');
+const MAX_PDU_LENGTH = 16384;
+
+const PDU = {
+  ASSOCIATE_RQ: 0x01,
+  ASSOCIATE_AC: 0x02,
+  ASSOCIATE_RJ: 0x03,
+  P_DATA: 0x04,
+  RELEASE_RQ: 0x05,
+  RELEASE_RP: 0x06,
+  ABORT: 0x07
+};
+
+const COMMAND = {
+  C_ECHO_RQ: 0x0030,
+  C_ECHO_RSP: 0x8030,
+  NO_DATASET: 0x0101
+};
+
+// Errors carry a `code` so connection probes can classify them like socket errors
+function echoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const aeTitle = title => Buffer.from(String(title || '').slice(0, 16).padEnd(16, ' '), 'ascii');
+
+function uid(value) {
+  const text = value.length % 2 === 1 ? `${value}\0` : value;
+  return Buffer.from(text, 'ascii');
+}
+
+function item(type, body) {
+  const header = Buffer.alloc(4);
+  header.writeUInt8(type, 0);
+  header.writeUInt16BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+function pdu(type, body) {
+  const header = Buffer.alloc(6);
+  header.writeUInt8(type, 0);
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+function userInformation() {
+  const maxLength = Buffer.alloc(4);
+  maxLength.writeUInt32BE(MAX_PDU_LENGTH, 0);
+  return item(0x50, Buffer.concat([item(0x51, maxLength), item(0x52, Buffer.from(IMPLEMENTATION_CLASS_UID, 'ascii'))]));
+}
+
+function associationPdu(type, { calledAe, callingAe, contexts }) {
+  const header = Buffer.alloc(68);
+  header.writeUInt16BE(1, 0);
+  aeTitle(calledAe).copy(header, 4);
+  aeTitle(callingAe).copy(header, 20);
+  return pdu(type, Buffer.concat([header, item(0x10, Buffer.from(APPLICATION_CONTEXT, 'ascii')), ...contexts, userInformation()]));
+}
+
+// Command sets are always Implicit VR Little Endian, led by their group length
+function commandSet(elements) {
+  const encoded = elements.map(([tag, value]) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt16LE(0x0000, 0);
+    header.writeUInt16LE(tag, 2);
+    let data;
+    if (typeof value === 'string') {
+      data = uid(value);
+    } else {
+      data = Buffer.alloc(2);
+      data.writeUInt16LE(value, 0);
+    }
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data]);
+  });
+  const body = Buffer.concat(encoded);
+  const groupLength = Buffer.alloc(12);
+  groupLength.writeUInt32LE(4, 4);
+  groupLength.writeUInt32LE(body.length, 8);
+  return Buffer.concat([groupLength, body]);
+}
+
+function pDataPdu(contextId, command) {
+  const pdv = Buffer.alloc(6);
+  pdv.writeUInt32BE(command.length + 2, 0);
+  pdv.writeUInt8(contextId, 4);
+  // Command fragment, last fragment
+  pdv.writeUInt8(0x03, 5);
+  return pdu(PDU.P_DATA, Buffer.concat([pdv, command]));
+}
+
+function releasePdu(type) {
+  return pdu(type, Buffer.alloc(4));
+}
+
+function parseCommand(body) {
+  const pdvLength = body.readUInt32BE(0);
+  const contextId = body.readUInt8(4);
+  const command = body.subarray(6, 4 + pdvLength);
+  const elements = {};
+  let offset = 0;
+  while (offset + 8 <= command.length) {
+    const element = command.readUInt16LE(offset + 2);
+    const length = command.readUInt32LE(offset + 4);
+    const value = command.subarray(offset + 8, offset + 8 + length);
+    elements[element] = length === 2 ? value.readUInt16LE(0) : length === 4 ? value.readUInt32LE(0) : value.toString('ascii').replace(/[\0 ]+$/, '');
+    offset += 8 + length;
+  }
+  return { contextId, elements };
+}
+
+// Walks the items of an A-ASSOCIATE PDU body after the fixed 68-byte header
+function readItems(body) {
+  const items = [];
+  let offset = 68;
+  while (offset + 4 <= body.length) {
+    const type = body.readUInt8(offset);
+    const length = body.readUInt16BE(offset + 2);
+    items.push({ type, body: body.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+  return items;
+}
+
+// Splits the socket stream into complete PDUs
+class PduReader {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const pdus = [];
+    while (this.buffer.length >= 6) {
+      const length = this.buffer.readUInt32BE(2);
+      if (this.buffer.length < 6 + length) break;
+      pdus.push({ type: this.buffer.readUInt8(0), body: this.buffer.subarray(6, 6 + length) });
+      this.buffer = this.buffer.subarray(6 + length);
+    }
+    return pdus;
+  }
+}
+
+class DicomEcho {
+  // "dicom://PACS_AE@host:104", "PACS_AE@host:104" or "host:104"
+  static parseEndpoint(endpoint) {
+    const match = /^(?:dicom:\/\/)?(?:([^@/]+)@)?([^:/@]+):(\d+)\/?$/.exec(String(endpoint || '').trim());
+    if (!match) {
+      throw echoError('misconfigured', `Invalid DICOM endpoint "${endpoint}"`);
+    }
+    return { calledAe: match[1] || 'ANY-SCP', host: match[2], port: parseInt(match[3], 10) };
+  }
+
+  static echo({ host, port, calledAe = 'ANY-SCP', callingAe = process.env.DICOM_AE_TITLE || 'ONCO-POC', timeoutMs = 5000 }) {
+    return new Promise((resolve, reject) => {
+      const reader = new PduReader();
+      const messageId = Math.floor(Math.random() * 0xffff) + 1;
+      let contextId = null;
+      let status = null;
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      const socket = net.connect(port, host, () => {
+        const context = item(0x20, Buffer.concat([
+          Buffer.from([1, 0, 0, 0]),
+          item(0x30, Buffer.from(VERIFICATION_SOP_CLASS, 'ascii')),
+          item(0x40, Buffer.from(IMPLICIT_VR_LITTLE_ENDIAN, 'ascii'))
+        ]));
+        socket.write(associationPdu(PDU.ASSOCIATE_RQ, { calledAe, callingAe, contexts: [context] }));
+      });
+      const timer = setTimeout(() => finish(echoError('timeout', `No DICOM answer within ${timeoutMs} ms`)), timeoutMs);
+
+      socket.on('data', chunk => {
+        try {
+          reader.push(chunk).forEach(({ type, body }) => {
+            if (type === PDU.ASSOCIATE_RJ) {
+              finish(echoError('rejected', `Association rejected (result ${body.readUInt8(1)}, source ${body.readUInt8(2)}, reason ${body.readUInt8(3)})`));
+            } else if (type === PDU.ABORT) {
+              finish(echoError('aborted', `Association aborted by peer (source ${body.readUInt8(2)}, reason ${body.readUInt8(3)})`));
+            } else if (type === PDU.ASSOCIATE_AC) {
+              const accepted = readItems(body).find(entry => entry.type === 0x21 && entry.body.readUInt8(2) === 0);
+              if (!accepted) {
+                finish(echoError('rejected', 'Verification SOP class not accepted'));
+                return;
+              }
+              contextId = accepted.body.readUInt8(0);
+              socket.write(pDataPdu(contextId, commandSet([
+                [0x0002, VERIFICATION_SOP_CLASS],
+                [0x0100, COMMAND.C_ECHO_RQ],
+                [0x0110, messageId],
+                [0x0800, COMMAND.NO_DATASET]
+              ])));
+            } else if (type === PDU.P_DATA) {
+              const { elements } = parseCommand(body);
+              if (elements[0x0100] !== COMMAND.C_ECHO_RSP || elements[0x0120] !== messageId) {
+                finish(echoError('protocol', 'Unexpected DIMSE response to C-ECHO'));
+                return;
+              }
+              status = elements[0x0900];
+              socket.write(releasePdu(PDU.RELEASE_RQ));
+            } else if (type === PDU.RELEASE_RP) {
+              finish(status === 0
+                ? null
+                : echoError('rejected', `C-ECHO failed with status 0x${Number(status).toString(16).padStart(4, '0')}`), { calledAe, status });
+            }
+          });
+        } catch (error) {
+          finish(echoError('protocol', `Malformed DICOM PDU: ${error.message}`));
+        }
+      });
+      socket.on('error', error => finish(error));
+      socket.on('close', () => finish(echoError('protocol', 'Connection closed before the C-ECHO completed')));
+    });
+  }
+
+  // Verification SCP answering C-ECHO for `aeTitle` (any called AE when omitted)
+  static createServer({ aeTitle: title } = {}) {
+    return net.createServer(socket => {
+      const reader = new PduReader();
+      socket.on('data', chunk => {
+        try {
+          reader.push(chunk).forEach(({ type, body }) => {
+            if (type === PDU.ASSOCIATE_RQ) {
+              const calledAe = body.subarray(4, 20).toString('ascii').trim();
+              if (title && calledAe !== title) {
+                // Rejected permanent, service user, called AE title not recognised
+                socket.end(pdu(PDU.ASSOCIATE_RJ, Buffer.from([0, 1, 1, 7])));
+                return;
+              }
+              const contexts = readItems(body).filter(entry => entry.type === 0x20).map(entry => {
+                const id = entry.body.readUInt8(0);
+                const abstractSyntax = entry.body.subarray(8, 8 + entry.body.readUInt16BE(6)).toString('ascii').replace(/\0$/, '');
+                // Accepted (0) or abstract syntax not supported (3)
+                const result = abstractSyntax === VERIFICATION_SOP_CLASS ? 0 : 3;
+                return item(0x21, Buffer.concat([Buffer.from([id, 0, result, 0]), item(0x40, Buffer.from(IMPLICIT_VR_LITTLE_ENDIAN, 'ascii'))]));
+              });
+              const callingAe = body.subarray(20, 36).toString('ascii').trim();
+              socket.write(associationPdu(PDU.ASSOCIATE_AC, { calledAe, callingAe, contexts }));
+            } else if (type === PDU.P_DATA) {
+              const { contextId, elements } = parseCommand(body);
+              socket.write(pDataPdu(contextId, commandSet([
+                [0x0002, VERIFICATION_SOP_CLASS],
+                [0x0100, COMMAND.C_ECHO_RSP],
+                [0x0120, elements[0x0110]],
+                [0x0800, COMMAND.NO_DATASET],
+                [0x0900, elements[0x0100] === COMMAND.C_ECHO_RQ ? 0x0000 : 0x0211]
+              ])));
+            } else if (type === PDU.RELEASE_RQ) {
+              socket.end(releasePdu(PDU.RELEASE_RP));
+            } else if (type === PDU.ABORT) {
+              socket.destroy();
+            }
+          });
+        } catch (error) {
+          socket.destroy();
+        }
+      });
+      socket.on('error', () => socket.destroy());
+    });
+  }
+}
+
+DicomEcho.VERIFICATION_SOP_CLASS = VERIFICATION_SOP_CLASS;
+
+module.exports = DicomEcho;
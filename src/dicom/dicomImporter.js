@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const DicomParser = require('./dicomParser');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+
+// Turns a folder of DICOM files (a DICOMDIR export or a loose tree) into
+// Patient.imaging entries grouped by study and series
+class DicomImporter {
+  // Files listed in the DICOMDIR when there is one, otherwise every file under the folder
+  static listFiles(folder) {
+    if (!fs.existsSync(folder)) {
+      return [];
+    }
+
+    const dicomdirPath = path.join(folder, 'DICOMDIR');
+    if (fs.existsSync(dicomdirPath)) {
+      return this.readDicomdir(dicomdirPath);
+    }
+
+    const files = [];
+    const walk = directory => {
+      fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const entryPath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            walk(entryPath);
+          } else if (entry.isFile() && entry.name !== 'DICOMDIR') {
+            files.push(entryPath);
+          }
+        });
+    };
+    walk(folder);
+    return files;
+  }
+
+  // IMAGE records reference their files with backslash-separated path components
+  static readDicomdir(dicomdirPath) {
+    const { dataset } = DicomParser.parse(fs.readFileSync(dicomdirPath));
+    const root = path.dirname(dicomdirPath);
+
+    return DicomParser.sequence(dataset, 'DirectoryRecordSequence')
+      .map(record => DicomParser.string(record, 'ReferencedFileID'))
+      .filter(Boolean)
+      .map(fileId => path.join(root, ...fileId.split('\\')))
+      .filter(filePath => {
+        if (fs.existsSync(filePath)) return true;
+        console.error(`DICOMDIR references missing file ${filePath}`);
+        return false;
+      });
+  }
+
+  static readInstances(folder) {
+    const instances = [];
+    this.listFiles(folder).forEach(filePath => {
+      try {
+        const buffer = fs.readFileSync(filePath);
+        if (!DicomParser.isDicom(buffer)) return;
+        const metadata = DicomParser.extractMetadata(buffer);
+        if (metadata.studyInstanceUID && metadata.sopInstanceUID) {
+          instances.push({ ...metadata, filePath });
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable DICOM file ${filePath}:`, error.message);
+      }
+    });
+    return instances;
+  }
+
+  // Files under src/data are stored relative to it so records stay portable
+  static storedPath(filePath) {
+    const relative = path.relative(DATA_ROOT, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+  }
+
+  static resolvePath(storedPath) {
+    return path.isAbsolute(storedPath) ? storedPath : path.join(DATA_ROOT, storedPath);
+  }
+
+  // Returns [{ patientId, patientName, imaging }] with one imaging entry per study
+  static readStudies(folder, sourceSystem = 'PACS') {
+    const studies = new Map();
+
+    this.readInstances(folder).forEach(instance => {
+      if (!studies.has(instance.studyInstanceUID)) {
+        studies.set(instance.studyInstanceUID, { first: instance, series: new Map() });
+      }
+      const study = studies.get(instance.studyInstanceUID);
+
+      const seriesUid = instance.seriesInstanceUID || instance.studyInstanceUID;
+      if (!study.series.has(seriesUid)) {
+        study.series.set(seriesUid, {
+          seriesInstanceUid: seriesUid,
+          seriesNumber: instance.seriesNumber,
+          modality: instance.modality,
+          bodyPart: instance.bodyPart,
+          description: instance.seriesDescription,
+          instances: []
+        });
+      }
+
+      const series = study.series.get(seriesUid);
+      if (series.instances.some(existing => existing.sopInstanceUid === instance.sopInstanceUID)) return;
+      series.instances.push({
+        sopInstanceUid: instance.sopInstanceUID,
+        sopClassUid: instance.sopClassUID,
+        instanceNumber: instance.instanceNumber,
+        filePath: this.storedPath(instance.filePath)
+      });
+    });
+
+    return Array.from(studies.values()).map(({ first, series }) => {
+      const seriesList = Array.from(series.values())
+        .sort((a, b) => (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity));
+      seriesList.forEach(entry => entry.instances.sort((a, b) => (a.instanceNumber ?? Infinity) - (b.instanceNumber ?? Infinity)));
+
+      const modality = first.modality || seriesList.find(entry => entry.modality)?.modality;
+      const bodyPart = first.bodyPart || seriesList.find(entry => entry.bodyPart)?.bodyPart;
+
+      return {
+        patientId: first.patientId,
+        patientName: first.patientName,
+        imaging: {
+          studyId: first.accessionNumber || first.studyInstanceUID,
+          studyInstanceUid: first.studyInstanceUID,
+          accessionNumber: first.accessionNumber,
+          modality,
+          bodyPart,
+          studyDate: first.studyDate,
+          description: first.studyDescription || [modality, bodyPart].filter(Boolean).join(' '),
+          referringPhysician: first.referringPhysician,
+          sourceSystem: first.institutionName ? `${sourceSystem}@${first.institutionName}` : sourceSystem,
+          series: seriesList
+        }
+      };
+    });
+  }
+
+  // Fold a DICOM study into existing imaging entries. A study already known by
+  // Study Instance UID or accession number keeps its report text and gains the UIDs;
+  // studies without a UID on either side (reports, FHIR exports) match on study ID.
+  static mergeStudy(imaging, study) {
+    const index = imaging.findIndex(existing =>
+      (existing.studyInstanceUid && existing.studyInstanceUid === study.studyInstanceUid) ||
+      (study.accessionNumber && existing.studyId === study.accessionNumber) ||
+      (!existing.studyInstanceUid && !study.studyInstanceUid && study.studyId && existing.studyId === study.studyId)
+    );
+
+    if (index === -1) {
+      imaging.push(study);
+      return imaging;
+    }
+
+    const existing = imaging[index];
+    imaging[index] = {
+      ...existing,
+      ...study,
+      description: existing.description || study.description,
+      findings: existing.findings || study.findings,
+      dicomUrl: existing.dicomUrl || study.dicomUrl
+    };
+    return imaging;
+  }
+}
+
+module.exports = DicomImporter;
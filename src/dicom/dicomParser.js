@@ -0,0 +1,279 @@
+// Reader for DICOM Part 10 files (PS3.10). Only the header is decoded: parsing
+// stops at Pixel Data, which is all the metadata ingestion needs.
+
+const TRANSFER_SYNTAX = {
+  IMPLICIT_LITTLE: '1.2.840.10008.1.2',
+  EXPLICIT_LITTLE: '1.2.840.10008.1.2.1',
+  DEFLATED_LITTLE: '1.2.840.10008.1.2.1.99',
+  EXPLICIT_BIG: '1.2.840.10008.1.2.2'
+};
+
+// The attributes we read, with their VR so implicit VR files can be decoded too
+const TAGS = {
+  TransferSyntaxUID: { tag: '00020010', vr: 'UI' },
+  MediaStorageSOPClassUID: { tag: '00020002', vr: 'UI' },
+  DirectoryRecordSequence: { tag: '00041220', vr: 'SQ' },
+  DirectoryRecordType: { tag: '00041430', vr: 'CS' },
+  ReferencedFileID: { tag: '00041500', vr: 'CS' },
+  SOPClassUID: { tag: '00080016', vr: 'UI' },
+  SOPInstanceUID: { tag: '00080018', vr: 'UI' },
+  StudyDate: { tag: '00080020', vr: 'DA' },
+  StudyTime: { tag: '00080030', vr: 'TM' },
+  AccessionNumber: { tag: '00080050', vr: 'SH' },
+  Modality: { tag: '00080060', vr: 'CS' },
+  InstitutionName: { tag: '00080080', vr: 'LO' },
+  ReferringPhysicianName: { tag: '00080090', vr: 'PN' },
+  StudyDescription: { tag: '00081030', vr: 'LO' },
+  SeriesDescription: { tag: '0008103E', vr: 'LO' },
+  PatientName: { tag: '00100010', vr: 'PN' },
+  PatientID: { tag: '00100020', vr: 'LO' },
+  PatientBirthDate: { tag: '00100030', vr: 'DA' },
+  PatientSex: { tag: '00100040', vr: 'CS' },
+  BodyPartExamined: { tag: '00180015', vr: 'CS' },
+  StudyInstanceUID: { tag: '0020000D', vr: 'UI' },
+  SeriesInstanceUID: { tag: '0020000E', vr: 'UI' },
+  StudyID: { tag: '00200010', vr: 'SH' },
+  SeriesNumber: { tag: '00200011', vr: 'IS' },
+  InstanceNumber: { tag: '00200013', vr: 'IS' },
+  Rows: { tag: '00280010', vr: 'US' },
+  Columns: { tag: '00280011', vr: 'US' },
+  PixelData: { tag: '7FE00010', vr: 'OW' }
+};
+
+const VR_BY_TAG = Object.values(TAGS).reduce((map, { tag, vr }) => ({ ...map, [tag]: vr }), {});
+
+// Explicit VRs encoded with two reserved bytes and a 32-bit length
+const LONG_VRS = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV']);
+const STRING_VRS = new Set(['AE', 'AS', 'CS', 'DA', 'DS', 'DT', 'IS', 'LO', 'LT', 'PN', 'SH', 'ST', 'TM', 'UC', 'UI', 'UR', 'UT']);
+
+const ITEM = 'FFFEE000';
+const ITEM_DELIMITER = 'FFFEE00D';
+const SEQUENCE_DELIMITER = 'FFFEE0DD';
+const UNDEFINED_LENGTH = 0xffffffff;
+
+class DicomParser {
+  static isDicom(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 132 && buffer.toString('latin1', 128, 132) === 'DICM';
+  }
+
+  // Returns { transferSyntaxUID, meta, dataset } where meta and dataset map
+  // "GGGGEEEE" tags to { vr, value }. Sequence values are arrays of datasets.
+  static parse(buffer) {
+    if (!this.isDicom(buffer)) {
+      throw new Error('Not a DICOM Part 10 file (missing DICM prefix)');
+    }
+
+    // The file meta group is always explicit VR little endian
+    const metaReader = { buffer, explicit: true, littleEndian: true };
+    const meta = {};
+    let offset = 132;
+    while (offset + 8 <= buffer.length && buffer.readUInt16LE(offset) === 0x0002) {
+      offset = this.readElement(metaReader, offset, meta);
+    }
+
+    const transferSyntaxUID = this.string(meta, 'TransferSyntaxUID') || TRANSFER_SYNTAX.EXPLICIT_LITTLE;
+    if (transferSyntaxUID === TRANSFER_SYNTAX.DEFLATED_LITTLE) {
+      throw new Error('Deflated DICOM transfer syntax is not supported');
+    }
+
+    // Compressed transfer syntaxes only encapsulate pixel data; the header stays explicit VR LE
+    const reader = {
+      buffer,
+      explicit: transferSyntaxUID !== TRANSFER_SYNTAX.IMPLICIT_LITTLE,
+      littleEndian: transferSyntaxUID !== TRANSFER_SYNTAX.EXPLICIT_BIG
+    };
+    const dataset = {};
+    this.readDataset(reader, offset, buffer.length, dataset);
+
+    return { transferSyntaxUID, meta, dataset };
+  }
+
+  static readDataset(reader, offset, end, dataset) {
+    while (offset < end && offset + 8 <= reader.buffer.length) {
+      const tag = this.readTag(reader, offset);
+      if (tag === ITEM_DELIMITER) {
+        return offset + 8;
+      }
+      if (tag === TAGS.PixelData.tag) {
+        return reader.buffer.length;
+      }
+      offset = this.readElement(reader, offset, dataset);
+    }
+    return offset;
+  }
+
+  static readTag(reader, offset) {
+    const { buffer, littleEndian } = reader;
+    const group = littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const element = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+    return `${group.toString(16).padStart(4, '0')}${element.toString(16).padStart(4, '0')}`.toUpperCase();
+  }
+
+  static readUInt32(reader, offset) {
+    return reader.littleEndian ? reader.buffer.readUInt32LE(offset) : reader.buffer.readUInt32BE(offset);
+  }
+
+  static readElement(reader, offset, dataset) {
+    const { buffer } = reader;
+    const tag = this.readTag(reader, offset);
+    let vr;
+    let length;
+    let valueOffset;
+
+    if (reader.explicit) {
+      vr = buffer.toString('latin1', offset + 4, offset + 6);
+      if (LONG_VRS.has(vr)) {
+        length = this.readUInt32(reader, offset + 8);
+        valueOffset = offset + 12;
+      } else {
+        length = reader.littleEndian ? buffer.readUInt16LE(offset + 6) : buffer.readUInt16BE(offset + 6);
+        valueOffset = offset + 8;
+      }
+    } else {
+      length = this.readUInt32(reader, offset + 4);
+      valueOffset = offset + 8;
+      vr = VR_BY_TAG[tag] || (length === UNDEFINED_LENGTH ? 'SQ' : 'UN');
+    }
+
+    // Undefined-length UN is an implicit VR LE sequence (PS3.5 6.2.2)
+    if (vr === 'SQ' || (vr === 'UN' && length === UNDEFINED_LENGTH)) {
+      const itemReader = vr === 'UN' ? { buffer, explicit: false, littleEndian: true } : reader;
+      const { items, next } = this.readSequence(itemReader, valueOffset, length);
+      dataset[tag] = { vr: 'SQ', value: items };
+      return next;
+    }
+
+    if (length === UNDEFINED_LENGTH) {
+      throw new Error(`Undefined length for non-sequence element ${tag}`);
+    }
+    if (valueOffset + length > buffer.length) {
+      throw new Error(`Element ${tag} runs past the end of the file`);
+    }
+
+    dataset[tag] = { vr, value: this.decodeValue(reader, vr, valueOffset, length) };
+    return valueOffset + length;
+  }
+
+  static readSequence(reader, offset, length) {
+    const items = [];
+    const end = length === UNDEFINED_LENGTH ? reader.buffer.length : offset + length;
+
+    while (offset + 8 <= end) {
+      const tag = this.readTag(reader, offset);
+      if (tag === SEQUENCE_DELIMITER) {
+        return { items, next: offset + 8 };
+      }
+      if (tag !== ITEM) {
+        throw new Error(`Expected sequence item at offset ${offset}, found ${tag}`);
+      }
+
+      const itemLength = this.readUInt32(reader, offset + 4);
+      const item = {};
+      const itemEnd = itemLength === UNDEFINED_LENGTH ? end : offset + 8 + itemLength;
+      offset = this.readDataset(reader, offset + 8, itemEnd, item);
+      items.push(item);
+    }
+
+    return { items, next: end };
+  }
+
+  static decodeValue(reader, vr, offset, length) {
+    const { buffer, littleEndian } = reader;
+    const read = (method, size) => {
+      const values = [];
+      for (let position = offset; position + size <= offset + length; position += size) {
+        values.push(buffer[`${method}${littleEndian ? 'LE' : 'BE'}`](position));
+      }
+      return values.length === 1 ? values[0] : values;
+    };
+
+    if (STRING_VRS.has(vr)) {
+      return buffer.toString('latin1', offset, offset + length).replace(/[\0 ]+$/, '').replace(/^ +/, '');
+    }
+
+    switch (vr) {
+      case 'US': return read('readUInt16', 2);
+      case 'SS': return read('readInt16', 2);
+      case 'UL': return read('readUInt32', 4);
+      case 'SL': return read('readInt32', 4);
+      case 'FL': return read('readFloat', 4);
+      case 'FD': return read('readDouble', 8);
+      default: return buffer.subarray(offset, offset + length);
+    }
+  }
+
+  static element(dataset, keywordOrTag) {
+    const tag = TAGS[keywordOrTag]?.tag || keywordOrTag;
+    return dataset?.[tag];
+  }
+
+  static string(dataset, keywordOrTag) {
+    const value = this.element(dataset, keywordOrTag)?.value;
+    return typeof value === 'string' ? value : '';
+  }
+
+  static number(dataset, keywordOrTag) {
+    const value = this.element(dataset, keywordOrTag)?.value;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  static sequence(dataset, keywordOrTag) {
+    const value = this.element(dataset, keywordOrTag)?.value;
+    return Array.isArray(value) ? value : [];
+  }
+
+  // DA + optional TM -> Date (UTC, DICOM dates carry no zone unless 0008,0201 is set)
+  static parseDate(date, time = '') {
+    const dateMatch = /^(\d{4})(\d{2})(\d{2})$/.exec(date || '');
+    if (!dateMatch) return null;
+
+    const timeMatch = /^(\d{2})(\d{2})?(\d{2})?(?:\.(\d+))?$/.exec(time || '') || [];
+    const [, hour = '00', minute = '00', second = '00', fraction = '0'] = timeMatch;
+    const parsed = new Date(
+      `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}T${hour}:${minute}:${second}.${fraction.padEnd(3, '0').slice(0, 3)}Z`
+    );
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  // PN "Family^Given^Middle^Prefix^Suffix" -> "Prefix Given Middle Family Suffix"
+  static formatPersonName(value) {
+    if (!value) return '';
+    const [family = '', given = '', middle = '', prefix = '', suffix = ''] = value.split('=')[0].split('^');
+    return [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+  }
+
+  // The attributes ingestion cares about, flattened
+  static extractMetadata(buffer) {
+    const { transferSyntaxUID, meta, dataset } = this.parse(buffer);
+    const text = keyword => this.string(dataset, keyword) || undefined;
+
+    return {
+      transferSyntaxUID,
+      sopClassUID: text('SOPClassUID') || this.string(meta, 'MediaStorageSOPClassUID') || undefined,
+      sopInstanceUID: text('SOPInstanceUID'),
+      studyInstanceUID: text('StudyInstanceUID'),
+      seriesInstanceUID: text('SeriesInstanceUID'),
+      studyId: text('StudyID'),
+      accessionNumber: text('AccessionNumber'),
+      modality: text('Modality'),
+      bodyPart: text('BodyPartExamined'),
+      studyDate: this.parseDate(text('StudyDate'), text('StudyTime')) || undefined,
+      studyDescription: text('StudyDescription'),
+      seriesDescription: text('SeriesDescription'),
+      seriesNumber: this.number(dataset, 'SeriesNumber'),
+      instanceNumber: this.number(dataset, 'InstanceNumber'),
+      referringPhysician: this.formatPersonName(text('ReferringPhysicianName')) || undefined,
+      institutionName: text('InstitutionName'),
+      patientId: text('PatientID'),
+      patientName: this.formatPersonName(text('PatientName')) || undefined,
+      rows: this.number(dataset, 'Rows'),
+      columns: this.number(dataset, 'Columns')
+    };
+  }
+}
+
+DicomParser.TAGS = TAGS;
+DicomParser.TRANSFER_SYNTAX = TRANSFER_SYNTAX;
+
+module.exports = DicomParser;
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Imaging records that never came from DICOM (JSON feeds, screenshots) still need
+// UIDs. These are "2.25." + a 128-bit hash (PS3.5 B.2), stable across restarts,
+// so DICOMweb and FHIR ImagingStudy agree on them.
+class DicomUid {
+  static fromSeed(...parts) {
+    const hash = crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 32);
+    return `2.25.${BigInt(`0x${hash}`).toString()}`;
+  }
+
+  static study(abhaId, imaging, index) {
+    return imaging.studyInstanceUid || this.fromSeed(abhaId, imaging.studyId || `${abhaId}-${index}`);
+  }
+
+  static placeholderSeries(studyUid) {
+    return this.fromSeed(studyUid, 'series', 1);
+  }
+
+  static placeholderInstance(studyUid) {
+    return this.fromSeed(studyUid, 'instance', 1);
+  }
+}
+
+// Screenshot-only studies are described as Secondary Capture images
+DicomUid.SECONDARY_CAPTURE = '1.2.840.10008.5.1.4.1.1.7';
+
+module.exports = DicomUid;
@@ -0,0 +1,229 @@
+const { AppError } = require('../utils/errors');
+
+const codeableConcepts = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+const reference = path => ({ type: 'reference', path });
+const token = path => ({ type: 'token', path });
+const date = path => ({ type: 'date', path });
+const string = path => ({ type: 'string', path });
+
+// Supported search parameters per resource type (a subset of the R4 definitions)
+const SEARCH_PARAMETERS = {
+  Patient: {
+    identifier: token(resource => resource.identifier),
+    name: string(resource => (resource.name || []).flatMap(name => [name.family, ...(name.given || []), name.text])),
+    family: string(resource => (resource.name || []).map(name => name.family)),
+    given: string(resource => (resource.name || []).flatMap(name => name.given || [])),
+    gender: token(resource => resource.gender),
+    birthdate: date(resource => resource.birthDate)
+  },
+  Condition: {
+    subject: reference(resource => resource.subject),
+    patient: reference(resource => resource.subject),
+    code: token(resource => resource.code),
+    'onset-date': date(resource => resource.onsetDateTime),
+    date: date(resource => resource.onsetDateTime)
+  },
+  Observation: {
+    subject: reference(resource => resource.subject),
+    patient: reference(resource => resource.subject),
+    code: token(resource => resource.code),
+    category: token(resource => resource.category),
+    date: date(resource => resource.effectiveDateTime)
+  },
+  ImagingStudy: {
+    subject: reference(resource => resource.subject),
+    patient: reference(resource => resource.subject),
+    modality: token(resource => (resource.modality || []).map(coding => ({ coding: [coding] }))),
+    started: date(resource => resource.started),
+    date: date(resource => resource.started)
+  },
+  DiagnosticReport: {
+    subject: reference(resource => resource.subject),
+    patient: reference(resource => resource.subject),
+    code: token(resource => resource.code),
+    category: token(resource => resource.category),
+    date: date(resource => resource.effectiveDateTime)
+  },
+  MedicationStatement: {
+    subject: reference(resource => resource.subject),
+    patient: reference(resource => resource.subject),
+    code: token(resource => resource.medicationCodeableConcept),
+    effective: date(resource => resource.effectivePeriod?.start),
+    date: date(resource => resource.effectivePeriod?.start)
+  },
+  Provenance: {
+    target: reference(resource => resource.target),
+    patient: reference(resource => (resource.target || []).filter(target => /(^|\/)Patient\//.test(target.reference || ''))),
+    recorded: date(resource => resource.recorded)
+  }
+};
+
+// Parameters handled by the search itself rather than matched against resources
+const RESULT_PARAMETERS = ['_count', '_offset', '_include', '_summary', '_format'];
+
+const DEFAULT_COUNT = 50;
+const MAX_COUNT = 500;
+
+class FHIRSearch {
+  static supportedTypes() {
+    return Object.keys(SEARCH_PARAMETERS);
+  }
+
+  static parameters(resourceType) {
+    return SEARCH_PARAMETERS[resourceType] || {};
+  }
+
+  // A token value is "code", "system|code", "|code" or "system|"
+  static matchesToken(value, query, modifier) {
+    const [system, code] = query.includes('|') ? query.split('|') : [undefined, query];
+
+    return codeableConcepts(value).some(item => {
+      if (typeof item === 'string') {
+        return system === undefined && item.toLowerCase() === code.toLowerCase();
+      }
+
+      if (modifier === 'text') {
+        const texts = [item.text, ...(item.coding || []).map(coding => coding.display)].filter(Boolean);
+        return texts.some(text => text.toLowerCase().includes(query.toLowerCase()));
+      }
+
+      // Identifier
+      if (item.value !== undefined && !item.coding) {
+        return (system === undefined || (item.system || '') === system) && (!code || item.value === code);
+      }
+
+      return (item.coding || []).some(coding =>
+        (system === undefined || (coding.system || '') === system) && (!code || coding.code === code)
+      );
+    });
+  }
+
+  static matchesString(value, query, modifier) {
+    const needle = query.toLowerCase();
+    return codeableConcepts(value).some(text => {
+      const haystack = String(text).toLowerCase();
+      if (modifier === 'exact') return String(text) === query;
+      if (modifier === 'contains') return haystack.includes(needle);
+      return haystack.startsWith(needle);
+    });
+  }
+
+  // "id" matches a reference to any resource type with that id, "Type/id" only that type
+  static matchesReference(value, query) {
+    const [type, id] = query.includes('/') ? query.split('/').slice(-2) : [undefined, query];
+    return codeableConcepts(value).some(item => {
+      const match = /(?:^|\/)([A-Za-z]+)\/([^/]+)$/.exec(item?.reference || '');
+      return Boolean(match) && match[2] === id && (!type || match[1] === type);
+    });
+  }
+
+  // Partial dates cover a range: "2025" is all of 2025, "2025-01-10" that whole day
+  static dateRange(value) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(T.*)?)?)?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, time] = match;
+    if (time) {
+      const instant = new Date(`${year}-${month}-${day}${time}`);
+      return isNaN(instant) ? null : { start: instant.getTime(), end: instant.getTime() + 1 };
+    }
+
+    const start = Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1);
+    const end = day
+      ? Date.UTC(Number(year), Number(month) - 1, Number(day) + 1)
+      : month
+        ? Date.UTC(Number(year), Number(month), 1)
+        : Date.UTC(Number(year) + 1, 0, 1);
+    return { start, end };
+  }
+
+  static matchesDate(value, query) {
+    const prefixMatch = /^(eq|ne|gt|lt|ge|le|sa|eb)?(.*)$/.exec(query);
+    const prefix = prefixMatch[1] || 'eq';
+    const wanted = this.dateRange(prefixMatch[2]);
+    if (!wanted) {
+      throw new AppError(`Invalid date search value "${query}"`, 400);
+    }
+
+    const actual = this.dateRange(value);
+    if (!actual) return false;
+
+    switch (prefix) {
+      case 'eq': return actual.start >= wanted.start && actual.end <= wanted.end;
+      case 'ne': return !(actual.start >= wanted.start && actual.end <= wanted.end);
+      case 'gt':
+      case 'sa': return actual.start >= wanted.end;
+      case 'lt':
+      case 'eb': return actual.end <= wanted.start;
+      case 'ge': return actual.start >= wanted.start;
+      case 'le': return actual.end <= wanted.end;
+      default: return false;
+    }
+  }
+
+  static matches(resource, name, modifier, query) {
+    if (name === '_id') {
+      return query.split(',').includes(resource.id);
+    }
+
+    const parameter = this.parameters(resource.resourceType)[name];
+    const value = parameter.path(resource);
+
+    // Comma-separated values are OR-ed
+    return query.split(',').some(option => {
+      switch (parameter.type) {
+        case 'token': return this.matchesToken(value, option, modifier);
+        case 'string': return this.matchesString(value, option, modifier);
+        case 'reference': return this.matchesReference(value, option);
+        case 'date': return this.matchesDate(value, option);
+        default: return false;
+      }
+    });
+  }
+
+  // Express query object -> [{ name, modifier, value }]; repeated parameters are AND-ed
+  static parseCriteria(resourceType, query) {
+    const supported = this.parameters(resourceType);
+    const criteria = [];
+
+    Object.entries(query).forEach(([key, raw]) => {
+      if (RESULT_PARAMETERS.includes(key)) return;
+      const [name, modifier] = key.split(':');
+      if (name !== '_id' && !supported[name]) {
+        throw new AppError(`Unsupported search parameter "${key}" for ${resourceType}`, 400);
+      }
+      (Array.isArray(raw) ? raw : [raw]).forEach(value => criteria.push({ name, modifier, value: String(value) }));
+    });
+
+    return criteria;
+  }
+
+  static filter(resources, resourceType, query) {
+    const criteria = this.parseCriteria(resourceType, query);
+    return resources.filter(resource =>
+      resource.resourceType === resourceType &&
+      criteria.every(({ name, modifier, value }) => this.matches(resource, name, modifier, value))
+    );
+  }
+
+  static page(query) {
+    const requested = parseInt(query._count, 10);
+    const count = Number.isFinite(requested) && requested >= 0 ? Math.min(requested, MAX_COUNT) : DEFAULT_COUNT;
+    const offset = Math.max(parseInt(query._offset, 10) || 0, 0);
+    return { count, offset };
+  }
+
+  // _include=Observation:subject (or :patient, optionally :Patient, or *) pulls in the referenced Patient
+  static includesPatients(resourceType, include) {
+    return (Array.isArray(include) ? include : [include]).filter(Boolean).some(value => {
+      if (value === '*') return true;
+      const [source, parameter, target] = value.split(':');
+      return source === resourceType && ['subject', 'patient'].includes(parameter) && (!target || target === 'Patient');
+    });
+  }
+}
+
+FHIRSearch.SEARCH_PARAMETERS = SEARCH_PARAMETERS;
+
+module.exports = FHIRSearch;
@@ -1,181 +1,339 @@
+const OperationOutcome = require('./operationOutcome');
+const {
+  PRIMITIVE_PATTERNS,
+  VALUE_SETS,
+  DATA_TYPES,
+  DATA_TYPE_INVARIANTS,
+  ELEMENT_BASE,
+  BACKBONE_BASE,
+  RESOURCES,
+  PROFILES
+} = require('./structureDefinitions');
+
+const BASE_PROFILE = 'http://hl7.org/fhir/StructureDefinition/';
+
+// Relative (Patient/123) or absolute (.../Patient/123/_history/2) literal references
+const LITERAL_REFERENCE = /(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[A-Za-z0-9\-.]{1,64})?$/;
+
+const isPrimitive = type => Object.prototype.hasOwnProperty.call(PRIMITIVE_PATTERNS, type);
+const capitalize = type => type.charAt(0).toUpperCase() + type.slice(1);
+const isEmpty = value => value === null || value === '' ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// Structural validation against the R4 definitions in structureDefinitions.js,
+// plus any ABDM/NRCeS profile the resource claims in meta.profile (or the
+// caller asks for). Locations are FHIRPath expressions such as
+// Bundle.entry[2].resource.subject.reference.
 class FHIRValidator {
-  static validateResource(resource) {
-    const errors = [];
+  static supportedTypes() {
+    return Object.keys(RESOURCES);
+  }
 
-    if (!resource.resourceType) {
-      errors.push('Missing resourceType');
-    }
-
-    switch (resource.resourceType) {
-      case 'Patient':
-        errors.push(...this.validatePatient(resource));
-        break;
-      case 'Condition':
-        errors.push(...this.validateCondition(resource));
-        break;
-      case 'Observation':
-        errors.push(...this.validateObservation(resource));
-        break;
-      case 'ImagingStudy':
-        errors.push(...this.validateImagingStudy(resource));
-        break;
-      case 'DiagnosticReport':
-        errors.push(...this.validateDiagnosticReport(resource));
-        break;
-      case 'MedicationStatement':
-        errors.push(...this.validateMedicationStatement(resource));
-        break;
-      case 'Bundle':
-        errors.push(...this.validateBundle(resource));
-        break;
-      default:
-        errors.push(`Unknown resource type: ${resource.resourceType}`);
-    }
+  // Returns { isValid, errors, outcome }. errors keeps the flat message list
+  // earlier callers log; outcome is an OperationOutcome with every issue.
+  static validateResource(resource, options = {}) {
+    const context = { issues: [], references: [] };
+    const path = resource?.resourceType || 'Resource';
+    this.checkResource(resource, path, context, options.profile ? [options.profile] : []);
+
+    const errors = context.issues
+      .filter(issue => issue.severity === 'error' || issue.severity === 'fatal')
+      .map(issue => `${issue.expression[0]}: ${issue.diagnostics}`);
 
     return {
       isValid: errors.length === 0,
-      errors
+      errors,
+      outcome: context.issues.length > 0
+        ? OperationOutcome.build(context.issues)
+        : OperationOutcome.information('No issues detected')
     };
   }
 
-  static validatePatient(patient) {
-    const errors = [];
+  static issue(context, severity, code, path, diagnostics) {
+    context.issues.push({ severity, code, diagnostics, expression: [path] });
+  }
 
-    if (!patient.name || patient.name.length === 0) {
-      errors.push('Patient must have at least one name');
+  static checkResource(resource, path, context, profiles) {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      this.issue(context, 'error', 'structure', path, 'Expected a resource object');
+      return;
     }
-
-    if (!patient.identifier || patient.identifier.length === 0) {
-      errors.push('Patient must have at least one identifier');
+    if (!resource.resourceType) {
+      this.issue(context, 'error', 'required', path, 'Missing resourceType');
+      return;
     }
 
-    if (patient.gender && !['male', 'female', 'other', 'unknown'].includes(patient.gender)) {
-      errors.push('Invalid gender value');
+    const definition = RESOURCES[resource.resourceType];
+    if (!definition) {
+      this.issue(context, 'error', 'not-supported', path, `Unknown resource type: ${resource.resourceType}`);
+      return;
     }
 
-    if (patient.birthDate && !this.isValidDate(patient.birthDate)) {
-      errors.push('Invalid birthDate format');
+    this.checkElements(resource, { ...definition.base, ...definition.elements }, path, context, true);
+    this.checkInvariants(resource, definition.invariants, path, context);
+
+    if (resource.resourceType === 'Bundle') {
+      this.checkBundleReferences(resource, path, context);
     }
 
-    return errors;
+    new Set([...(resource.meta?.profile || []), ...profiles])
+      .forEach(url => this.checkProfile(resource, url, path, context));
   }
 
-  static validateCondition(condition) {
-    const errors = [];
-
-    if (!condition.subject || !condition.subject.reference) {
-      errors.push('Condition must have a subject reference');
+  static findElement(elements, key) {
+    if (elements[key] && !key.endsWith('[x]')) {
+      return { name: key, definition: elements[key], type: elements[key].type };
     }
 
-    if (!condition.code) {
-      errors.push('Condition must have a code');
+    // Choice elements: value[x] appears as valueQuantity, valueString, ...
+    for (const [name, definition] of Object.entries(elements)) {
+      if (!name.endsWith('[x]')) continue;
+      const prefix = name.slice(0, -3);
+      if (!key.startsWith(prefix)) continue;
+      const type = definition.type.find(candidate => capitalize(candidate) === key.slice(prefix.length));
+      if (type) {
+        return { name, definition, type, choice: true };
+      }
     }
+    return null;
+  }
 
-    if (!condition.clinicalStatus) {
-      errors.push('Condition must have a clinicalStatus');
+  static checkElements(value, elements, path, context, isResource = false) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      this.issue(context, 'error', 'structure', path, 'Expected an object');
+      return;
     }
 
-    return errors;
-  }
+    const choices = new Map();
+    Object.entries(value).forEach(([key, item]) => {
+      if ((isResource && key === 'resourceType') || item === undefined) return;
 
-  static validateObservation(observation) {
-    const errors = [];
+      // JSON primitive extensions (_birthDate) sit next to the primitive they extend
+      if (key.startsWith('_')) {
+        const match = this.findElement(elements, key.slice(1));
+        if (!match || !isPrimitive(match.type)) {
+          this.issue(context, 'warning', 'structure', `${path}.${key}`, 'Unrecognized element; it is not part of the R4 definition and will be ignored');
+        }
+        return;
+      }
 
-    if (!observation.status) {
-      errors.push('Observation must have a status');
-    }
+      const match = this.findElement(elements, key);
+      if (!match) {
+        this.issue(context, 'warning', 'structure', `${path}.${key}`, 'Unrecognized element; it is not part of the R4 definition and will be ignored');
+        return;
+      }
 
-    if (!observation.code) {
-      errors.push('Observation must have a code');
-    }
+      if (match.choice) {
+        if (choices.has(match.name)) {
+          this.issue(context, 'error', 'structure', `${path}.${key}`, `Only one ${match.name} is allowed, ${choices.get(match.name)} is also present`);
+          return;
+        }
+        choices.set(match.name, key);
+      }
+
+      this.checkCardinality(item, match.definition, match.type, `${path}.${key}`, context);
+    });
 
-    if (!observation.subject || !observation.subject.reference) {
-      errors.push('Observation must have a subject reference');
+    Object.entries(elements).forEach(([name, definition]) => {
+      const present = name.endsWith('[x]') ? choices.has(name) : value[name] !== undefined;
+      if (definition.min > 0 && !present) {
+        this.issue(context, 'error', 'required', `${path}.${name}`, `minimum required = ${definition.min}, but only found 0`);
+      }
+    });
+  }
+
+  static checkCardinality(item, definition, type, path, context) {
+    if (definition.max === '*') {
+      if (!Array.isArray(item)) {
+        this.issue(context, 'error', 'structure', path, 'Expected an array; this element repeats (max cardinality *)');
+        return;
+      }
+      if (item.length === 0) {
+        this.issue(context, 'error', 'invalid', path, 'ele-1: All FHIR elements must have a @value or children');
+        return;
+      }
+      item.forEach((entry, index) => this.checkValue(entry, definition, type, `${path}[${index}]`, context));
+      return;
     }
 
-    return errors;
+    if (Array.isArray(item)) {
+      this.issue(context, 'error', 'structure', path, 'Expected a single value, found an array (max cardinality 1)');
+      return;
+    }
+    this.checkValue(item, definition, type, path, context);
   }
 
-  static validateImagingStudy(imagingStudy) {
-    const errors = [];
+  static checkValue(value, definition, type, path, context) {
+    if (isEmpty(value)) {
+      this.issue(context, 'error', 'invalid', path, 'ele-1: All FHIR elements must have a @value or children');
+      return;
+    }
 
-    if (!imagingStudy.status) {
-      errors.push('ImagingStudy must have a status');
+    if (isPrimitive(type)) {
+      this.checkPrimitive(value, type, definition.binding, path, context);
+      return;
     }
 
-    if (!imagingStudy.subject || !imagingStudy.subject.reference) {
-      errors.push('ImagingStudy must have a subject reference');
+    switch (type) {
+      case 'Any':
+        return;
+      case 'Resource':
+        this.checkResource(value, path, context, []);
+        return;
+      case 'BackboneElement':
+        this.checkElements(value, { ...BACKBONE_BASE, ...definition.elements }, path, context);
+        return;
     }
 
-    return errors;
-  }
+    this.checkElements(value, { ...ELEMENT_BASE, ...DATA_TYPES[type] }, path, context);
+    this.checkInvariants(value, DATA_TYPE_INVARIANTS[type], path, context);
 
-  static validateDiagnosticReport(report) {
-    const errors = [];
+    if (type === 'Reference') {
+      this.checkReference(value, definition.targets, path, context);
+    }
+    if (type === 'CodeableConcept' && definition.binding) {
+      this.checkConceptBinding(value, definition.binding, path, context);
+    }
+  }
 
-    if (!report.status) {
-      errors.push('DiagnosticReport must have a status');
+  static checkPrimitive(value, type, binding, path, context) {
+    const pattern = PRIMITIVE_PATTERNS[type];
+    const valid = typeof pattern === 'function' ? pattern(value) : typeof value === 'string' && pattern.test(value);
+    if (!valid) {
+      this.issue(context, 'error', 'value', path, `${JSON.stringify(value)} is not a valid ${type}`);
+      return;
     }
 
-    if (!report.code) {
-      errors.push('DiagnosticReport must have a code');
+    if (binding && !VALUE_SETS[binding].codes.includes(value)) {
+      this.issue(context, 'error', 'code-invalid', path,
+        `"${value}" is not in the required value set ${binding} (${VALUE_SETS[binding].codes.join(', ')})`);
     }
+  }
 
-    if (!report.subject || !report.subject.reference) {
-      errors.push('DiagnosticReport must have a subject reference');
+  static checkConceptBinding(concept, binding, path, context) {
+    const { system, codes } = VALUE_SETS[binding];
+    const codings = (concept.coding || [])
+      .map((coding, index) => ({ coding, index }))
+      .filter(({ coding }) => coding.system === system);
+
+    if (codings.length === 0) {
+      this.issue(context, 'error', 'code-invalid', path, `No coding from ${system} (required binding ${binding})`);
+      return;
     }
+    codings
+      .filter(({ coding }) => !codes.includes(coding.code))
+      .forEach(({ coding, index }) => this.issue(context, 'error', 'code-invalid', `${path}.coding[${index}].code`,
+        `"${coding.code}" is not in the required value set ${binding} (${codes.join(', ')})`));
+  }
 
-    return errors;
+  static referenceType(reference) {
+    return LITERAL_REFERENCE.exec(reference || '')?.[1] || null;
   }
 
-  static validateMedicationStatement(statement) {
-    const errors = [];
+  static checkReference(value, targets, path, context) {
+    context.references.push({ path, reference: value.reference, targets });
+    if (!value.reference || value.reference.startsWith('#') || value.reference.startsWith('urn:')) return;
 
-    if (!statement.status) {
-      errors.push('MedicationStatement must have a status');
+    const type = this.referenceType(value.reference);
+    if (!type) {
+      this.issue(context, 'error', 'invalid', `${path}.reference`, `"${value.reference}" is not a valid literal reference`);
+      return;
     }
-
-    if (!statement.medicationCodeableConcept && !statement.medicationReference) {
-      errors.push('MedicationStatement must have either medicationCodeableConcept or medicationReference');
+    if (targets && !targets.includes(type)) {
+      this.issue(context, 'error', 'invalid', `${path}.reference`,
+        `Reference to ${type} is not allowed here; expected ${targets.join(' | ')}`);
     }
+  }
 
-    if (!statement.subject || !statement.subject.reference) {
-      errors.push('MedicationStatement must have a subject reference');
-    }
+  static checkInvariants(value, invariants = [], path, context) {
+    invariants
+      .filter(invariant => !invariant.check(value))
+      .forEach(invariant => this.issue(context, invariant.severity || 'error', 'invariant', path,
+        `${invariant.key}: ${invariant.human}`));
+  }
 
-    return errors;
+  // Entries must point at each other by fullUrl or Type/id. urn: references
+  // only make sense inside the Bundle, so an unresolved one is an error.
+  static checkBundleReferences(bundle, path, context) {
+    const types = new Map();
+    (bundle.entry || []).forEach(entry => {
+      const resourceType = entry?.resource?.resourceType;
+      if (!resourceType) return;
+      if (entry.fullUrl) {
+        types.set(entry.fullUrl, resourceType);
+        const literal = LITERAL_REFERENCE.exec(entry.fullUrl);
+        if (literal) types.set(`${literal[1]}/${literal[2]}`, resourceType);
+      }
+      if (entry.resource.id) {
+        types.set(`${resourceType}/${entry.resource.id}`, resourceType);
+      }
+    });
+
+    const checkResolution = !['searchset', 'history'].includes(bundle.type);
+    context.references
+      .filter(ref => ref.path.startsWith(`${path}.entry[`) && ref.reference && !ref.reference.startsWith('#'))
+      .forEach(ref => {
+        const literal = LITERAL_REFERENCE.exec(ref.reference);
+        const resolved = types.get(ref.reference) || (literal && types.get(`${literal[1]}/${literal[2]}`));
+
+        if (resolved) {
+          if (ref.targets && !ref.targets.includes(resolved)) {
+            this.issue(context, 'error', 'invalid', `${ref.path}.reference`,
+              `Resolves to a ${resolved} in the Bundle; expected ${ref.targets.join(' | ')}`);
+          }
+        } else if (ref.reference.startsWith('urn:')) {
+          this.issue(context, 'error', 'not-found', `${ref.path}.reference`, `Unable to resolve ${ref.reference} within the Bundle`);
+        } else if (checkResolution) {
+          this.issue(context, 'information', 'not-found', `${ref.path}.reference`,
+            `${ref.reference} is not in the Bundle and must already exist on the receiving server`);
+        }
+      });
   }
 
-  static validateBundle(bundle) {
-    const errors = [];
+  static valuesAt(value, elementPath) {
+    return elementPath.split('.').reduce((values, name) =>
+      values.flatMap(item => (item?.[name] === undefined ? [] : [].concat(item[name]))), [value]);
+  }
 
-    if (!bundle.type) {
-      errors.push('Bundle must have a type');
+  static checkProfile(resource, url, path, context) {
+    if (url.startsWith(BASE_PROFILE)) {
+      if (url !== `${BASE_PROFILE}${resource.resourceType}`) {
+        this.issue(context, 'error', 'invalid', `${path}.meta.profile`, `Profile ${url} does not apply to ${resource.resourceType}`);
+      }
+      return;
     }
 
-    if (!bundle.entry || !Array.isArray(bundle.entry)) {
-      errors.push('Bundle must have an entry array');
+    const profile = PROFILES[url];
+    if (!profile) {
+      this.issue(context, 'warning', 'not-supported', `${path}.meta.profile`,
+        `Profile ${url} is not known to this server; validated against the base R4 definition only`);
+      return;
+    }
+    if (profile.type !== resource.resourceType) {
+      this.issue(context, 'error', 'invalid', `${path}.meta.profile`, `Profile ${url} applies to ${profile.type}, not ${resource.resourceType}`);
+      return;
     }
 
-    bundle.entry?.forEach((entry, index) => {
-      if (!entry.resource) {
-        errors.push(`Bundle entry ${index} missing resource`);
-      } else {
-        const validation = this.validateResource(entry.resource);
-        if (!validation.isValid) {
-          errors.push(`Bundle entry ${index}: ${validation.errors.join(', ')}`);
-        }
+    Object.entries(profile.constraints).forEach(([elementPath, constraint]) => {
+      const values = this.valuesAt(resource, elementPath);
+      if (constraint.min && values.length < constraint.min) {
+        this.issue(context, 'error', 'required', `${path}.${elementPath}`,
+          `minimum required = ${constraint.min}, but only found ${values.length} (from ${url})`);
       }
-    });
 
-    return errors;
-  }
+      if (constraint.targets) {
+        values.forEach(value => {
+          const type = this.referenceType(value?.reference);
+          if (type && !constraint.targets.includes(type)) {
+            this.issue(context, 'error', 'invalid', `${path}.${elementPath}`,
+              `Reference to ${type} is not allowed by ${url}; expected ${constraint.targets.join(' | ')}`);
+          }
+        });
+      }
+    });
 
-  static isValidDate(dateString) {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    const dateTimeRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
-    return dateRegex.test(dateString) || dateTimeRegex.test(dateString);
+    this.checkInvariants(resource, profile.rules, path, context);
   }
 }
 
-module.exports = FHIRValidator;
\ No newline at end of file
+module.exports = FHIRValidator;
@@ -0,0 +1,46 @@
+// FHIR issue-type codes for the HTTP statuses our errors carry
+const ISSUE_CODES = {
+  400: 'invalid',
+  404: 'not-found',
+  409: 'conflict',
+  412: 'conflict',
+  422: 'processing',
+  501: 'not-supported'
+};
+
+class OperationOutcome {
+  static build(issues) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: issues.map(issue => ({
+        severity: issue.severity || 'error',
+        code: issue.code || 'processing',
+        diagnostics: issue.diagnostics,
+        expression: issue.expression
+      }))
+    };
+  }
+
+  static issueCode(statusCode) {
+    return ISSUE_CODES[statusCode] || 'exception';
+  }
+
+  static fromError(error) {
+    const statusCode = error.statusCode || 500;
+    const details = Array.isArray(error.details) ? error.details : [];
+    const issues = details.length > 0
+      ? details.map(detail => ({
+        code: this.issueCode(statusCode),
+        diagnostics: typeof detail === 'string' ? detail : detail.message,
+        expression: detail.path ? [detail.path] : undefined
+      }))
+      : [{ code: this.issueCode(statusCode), diagnostics: error.message }];
+    return this.build(issues);
+  }
+
+  static information(diagnostics) {
+    return this.build([{ severity: 'information', code: 'informational', diagnostics }]);
+  }
+}
+
+module.exports = OperationOutcome;
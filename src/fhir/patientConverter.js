@@ -1,25 +1,109 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const DicomUid = require('../dicom/dicomUid');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const TerminologyService = require('../terminology/terminologyService');
+
+const { SYSTEMS } = TerminologyService;
+
+// HL7 v2 coding system names as sent in OBX-3.3 -> FHIR system URIs
+const CODE_SYSTEMS = {
+  LN: SYSTEMS.LOINC,
+  LOINC: SYSTEMS.LOINC,
+  SCT: SYSTEMS.SNOMED,
+  SNOMED: SYSTEMS.SNOMED,
+  I10: SYSTEMS.ICD10,
+  L: SYSTEMS.LOCAL_LAB
+};
+
+// mCODE carries the ICD-O-3 morphology (histology/behaviour) on the Condition
+const HISTOLOGY_EXTENSION = 'http://hl7.org/fhir/us/mcode/StructureDefinition/mcode-histology-morphology-behavior';
+
+// Provenance.target points at the element a field became, and carries the mapping rules that produced it
+const TARGET_PATH_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/targetPath';
+const MAPPING_RULE_EXTENSION = 'urn:oncology-poc:fhir:extension:mapping-rule';
+const PARTICIPANT_TYPES = 'http://terminology.hl7.org/CodeSystem/provenance-participant-type';
+
+// Internal field paths -> the resource and element they are emitted as
+const PROVENANCE_TARGETS = {
+  identifiers: ['Patient', 'Patient.identifier'],
+  'demographics.firstName': ['Patient', 'Patient.name.given'],
+  'demographics.lastName': ['Patient', 'Patient.name.family'],
+  'demographics.gender': ['Patient', 'Patient.gender'],
+  'demographics.dateOfBirth': ['Patient', 'Patient.birthDate'],
+  'demographics.address': ['Patient', 'Patient.address'],
+  'demographics.contact.phone': ['Patient', "Patient.telecom.where(system = 'phone')"],
+  'demographics.contact.email': ['Patient', "Patient.telecom.where(system = 'email')"],
+  'cancerType.primary': ['Condition', 'Condition.code'],
+  'cancerType.stage': ['Condition', 'Condition.severity'],
+  'cancerType.histology': ['Condition', 'Condition.extension'],
+  'cancerType.grade': ['Condition', 'Condition.note'],
+  'cancerType.diagnosisDate': ['Condition', 'Condition.onsetDateTime']
+};
 
 class FHIRPatientConverter {
+  // Patients come from Mongo (Date objects) or JSON stores (ISO strings); accept both
+  static toFHIRDateTime(value) {
+    if (!value) return undefined;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? undefined : date.toISOString();
+  }
+
+  static toFHIRDate(value) {
+    return this.toFHIRDateTime(value)?.split('T')[0];
+  }
+
+  // FHIR ids allow [A-Za-z0-9-.]{1,64}. Ids are derived from the ABHA ID and the
+  // record's own id so the same resource keeps the same id on every request.
+  static toFHIRId(...parts) {
+    const id = parts
+      .filter(part => part !== undefined && part !== null && part !== '')
+      .join('-')
+      .replace(/[^A-Za-z0-9\-.]/g, '-');
+    if (id.length <= 64) return id;
+    const hash = crypto.createHash('sha1').update(id).digest('hex').slice(0, 16);
+    return `${id.slice(0, 47)}-${hash}`;
+  }
+
+  static patientResourceId(patientData) {
+    return this.toFHIRId(patientData.abhaId || String(patientData._id || '')) || uuidv4();
+  }
+
+  static childResourceId(patientId, kind, ownId, index) {
+    if (ownId === undefined && index === undefined) return uuidv4();
+    return this.toFHIRId(patientId, kind, ownId ?? index);
+  }
+
   static toFHIRPatient(patientData) {
     const patient = {
       resourceType: 'Patient',
-      id: patientData._id || uuidv4(),
+      id: this.patientResourceId(patientData),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/Patient']
       },
-      identifier: [{
-        system: 'https://abdm.gov.in/abha',
-        value: patientData.abhaId
-      }],
-      active: true,
+      identifier: [
+        {
+          system: 'https://abdm.gov.in/abha',
+          value: patientData.abhaId
+        },
+        // Source-local identifiers kept by the master patient index
+        ...(patientData.identifiers || [])
+          .filter(identifier => identifier.system && identifier.value && identifier.value !== patientData.abhaId)
+          .map(({ system, value, use, assigner }) => ({
+            ...(use && { use }),
+            system,
+            value,
+            ...(assigner && { assigner: { display: assigner } })
+          }))
+      ],
+      active: !patientData.mergedInto,
       name: [{
         use: 'official',
         family: patientData.demographics.lastName,
         given: [patientData.demographics.firstName]
       }],
       gender: patientData.demographics.gender?.toLowerCase(),
-      birthDate: patientData.demographics.dateOfBirth?.toISOString().split('T')[0],
+      birthDate: this.toFHIRDate(patientData.demographics.dateOfBirth),
       address: [{
         use: 'home',
         line: [patientData.demographics.address?.street],
@@ -46,18 +130,35 @@ class FHIRPatientConverter {
       });
     }
 
+    const links = [
+      ...(patientData.mergedInto ? [{ abhaId: patientData.mergedInto, type: 'replaced-by' }] : []),
+      ...(patientData.mergedFrom || []).map(abhaId => ({ abhaId, type: 'replaces' }))
+    ];
+    if (links.length > 0) {
+      patient.link = links.map(({ abhaId, type }) => ({
+        other: { reference: `Patient/${this.toFHIRId(abhaId)}` },
+        type
+      }));
+    }
+
     return patient;
   }
 
   static toFHIRCondition(patientData) {
     if (!patientData.cancerType) return null;
 
+    const patientId = this.patientResourceId(patientData);
+    const codes = TerminologyService.shared().codeDiagnosis(patientData.cancerType);
     return {
       resourceType: 'Condition',
-      id: uuidv4(),
+      id: this.toFHIRId(patientId, 'condition'),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/Condition']
       },
+      extension: codes.morphology && [{
+        url: HISTOLOGY_EXTENSION,
+        valueCodeableConcept: { coding: [codes.morphology], text: patientData.cancerType.histology }
+      }],
       clinicalStatus: {
         coding: [{
           system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
@@ -82,25 +183,46 @@ class FHIRPatientConverter {
       },
       code: {
         text: patientData.cancerType.primary,
-        coding: [{
-          system: 'http://snomed.info/sct',
-          display: patientData.cancerType.primary
-        }]
+        coding: [codes.icd10, codes.snomed]
       },
+      bodySite: codes.topography && [{
+        coding: [codes.topography]
+      }],
       subject: {
-        reference: `Patient/${patientData._id || patientData.abhaId}`
+        reference: `Patient/${patientId}`
       },
-      onsetDateTime: patientData.cancerType.diagnosisDate?.toISOString(),
+      onsetDateTime: this.toFHIRDateTime(patientData.cancerType.diagnosisDate),
       note: [{
-        text: `Histology: ${patientData.cancerType.histology}, Grade: ${patientData.cancerType.grade}`
+        text: [
+          patientData.cancerType.histology && `Histology: ${patientData.cancerType.histology}`,
+          patientData.cancerType.grade && `Grade: ${patientData.cancerType.grade}`
+        ].filter(Boolean).join(', ') || undefined
       }]
     };
   }
 
-  static toFHIRObservation(labResult, patientId) {
+  // Numeric results become valueQuantity; anything else ("Positive", "12 g/dL") stays a string
+  static toFHIRValue(value, unit) {
+    if (value === undefined || value === null || value === '') return {};
+    const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isFinite(numeric) && String(value).trim() !== ''
+      ? { valueQuantity: { value: numeric, unit } }
+      : { valueString: String(value) };
+  }
+
+  static toFHIRObservation(labResult, patientId, index) {
+    const system = CODE_SYSTEMS[labResult.testCodeSystem?.toUpperCase()] || labResult.testCodeSystem;
+    // Panel results ({ observations: { RBC: 4.2, ... } }) carry one component per analyte
+    const panel = labResult.observations && typeof labResult.observations === 'object'
+      ? Object.entries(labResult.observations)
+      : [];
+    const name = labResult.testName || (panel.length > 0 ? 'Laboratory panel' : 'Laboratory result');
+    const lab = TerminologyService.shared().resolveLab({ code: labResult.testCode, system, name });
+    const sourceCoding = labResult.testCode && { system, code: labResult.testCode, display: labResult.testName };
+
     return {
       resourceType: 'Observation',
-      id: labResult.testId || uuidv4(),
+      id: this.childResourceId(patientId, 'obs', labResult.testId, index),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/Observation']
       },
@@ -113,57 +235,110 @@ class FHIRPatientConverter {
         }]
       }],
       code: {
-        text: labResult.testName
+        text: name,
+        // The sender's code is kept; the LOINC (or local) code is added when it differs
+        coding: [
+          sourceCoding,
+          lab && !(lab.coding.system === system && lab.coding.code === labResult.testCode) && lab.coding
+        ].filter(Boolean)
       },
       subject: {
         reference: `Patient/${patientId}`
       },
-      effectiveDateTime: labResult.testDate?.toISOString(),
-      valueQuantity: {
-        value: parseFloat(labResult.value) || labResult.value,
-        unit: labResult.unit
-      },
+      effectiveDateTime: this.toFHIRDateTime(labResult.testDate),
+      ...this.toFHIRValue(labResult.value, labResult.unit),
       interpretation: [{
         text: labResult.interpretation
       }],
       referenceRange: [{
         text: labResult.referenceRange
-      }]
+      }],
+      component: panel.map(([name, value]) => ({
+        code: { text: name, coding: [TerminologyService.shared().resolveLab({ name })?.coding] },
+        ...this.toFHIRValue(value)
+      }))
     };
   }
 
-  static toFHIRImagingStudy(imaging, patientId) {
+  static toFHIRImagingStudy(imaging, patientId, index, abhaId = patientId) {
+    const studyUid = DicomUid.study(abhaId, imaging, index);
+    const modalityCoding = modality => ({
+      system: 'http://dicom.nema.org/resources/ontology/DCM',
+      code: modality
+    });
+
+    // Studies ingested from DICOM carry real series/instances; older records get one placeholder series
+    const series = imaging.series?.length
+      ? imaging.series.map(entry => ({
+        uid: entry.seriesInstanceUid,
+        number: entry.seriesNumber,
+        modality: modalityCoding(entry.modality || imaging.modality),
+        description: entry.description,
+        numberOfInstances: entry.instances?.length || 0,
+        bodySite: entry.bodyPart ? { display: entry.bodyPart } : undefined,
+        instance: (entry.instances || []).map(instance => ({
+          uid: instance.sopInstanceUid,
+          sopClass: {
+            system: 'urn:ietf:rfc:3986',
+            code: `urn:oid:${instance.sopClassUid}`
+          },
+          number: instance.instanceNumber
+        }))
+      }))
+      : [{
+        uid: DicomUid.placeholderSeries(studyUid),
+        modality: modalityCoding(imaging.modality),
+        description: imaging.findings,
+        numberOfInstances: 1,
+        instance: [{
+          uid: DicomUid.placeholderInstance(studyUid),
+          sopClass: {
+            system: 'urn:ietf:rfc:3986',
+            code: `urn:oid:${DicomUid.SECONDARY_CAPTURE}`
+          },
+          number: 1
+        }]
+      }];
+
+    const modalities = [...new Set([imaging.modality, ...(imaging.series || []).map(entry => entry.modality)])]
+      .filter(Boolean);
+
     return {
       resourceType: 'ImagingStudy',
-      id: imaging.studyId || uuidv4(),
+      id: this.childResourceId(patientId, 'img', imaging.studyId, index),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/ImagingStudy']
       },
+      identifier: [
+        {
+          system: 'urn:dicom:uid',
+          value: `urn:oid:${studyUid}`
+        },
+        imaging.accessionNumber && {
+          type: {
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'ACSN' }]
+          },
+          value: imaging.accessionNumber
+        }
+      ].filter(Boolean),
       status: 'available',
       subject: {
         reference: `Patient/${patientId}`
       },
-      started: imaging.studyDate?.toISOString(),
-      modality: [{
-        system: 'http://dicom.nema.org/resources/ontology/DCM',
-        code: imaging.modality
-      }],
+      started: this.toFHIRDateTime(imaging.studyDate),
+      referrer: imaging.referringPhysician ? { display: imaging.referringPhysician } : undefined,
+      modality: modalities.map(modalityCoding),
+      numberOfSeries: series.length,
+      numberOfInstances: series.reduce((total, entry) => total + (entry.numberOfInstances || 0), 0),
       description: imaging.description,
-      series: [{
-        uid: uuidv4(),
-        modality: {
-          system: 'http://dicom.nema.org/resources/ontology/DCM',
-          code: imaging.modality
-        },
-        description: imaging.findings
-      }]
+      series
     };
   }
 
-  static toFHIRDiagnosticReport(pathologyReport, patientId) {
+  static toFHIRDiagnosticReport(pathologyReport, patientId, index) {
     return {
       resourceType: 'DiagnosticReport',
-      id: pathologyReport.reportId || uuidv4(),
+      id: this.childResourceId(patientId, 'path', pathologyReport.reportId, index),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/DiagnosticReport']
       },
@@ -181,7 +356,7 @@ class FHIRPatientConverter {
       subject: {
         reference: `Patient/${patientId}`
       },
-      effectiveDateTime: pathologyReport.reportDate?.toISOString(),
+      effectiveDateTime: this.toFHIRDateTime(pathologyReport.reportDate),
       specimen: [{
         display: pathologyReport.specimenType
       }],
@@ -192,10 +367,10 @@ class FHIRPatientConverter {
     };
   }
 
-  static toFHIRMedicationStatement(treatment, patientId) {
+  static toFHIRMedicationStatement(treatment, patientId, index) {
     return {
       resourceType: 'MedicationStatement',
-      id: treatment.treatmentId || uuidv4(),
+      id: this.childResourceId(patientId, 'med', treatment.treatmentId, index),
       meta: {
         profile: ['http://hl7.org/fhir/StructureDefinition/MedicationStatement']
       },
@@ -213,56 +388,166 @@ class FHIRPatientConverter {
         reference: `Patient/${patientId}`
       },
       effectivePeriod: {
-        start: treatment.startDate?.toISOString(),
-        end: treatment.endDate?.toISOString()
+        start: this.toFHIRDateTime(treatment.startDate),
+        end: this.toFHIRDateTime(treatment.endDate)
       },
       reasonCode: [{
         text: treatment.type
       }],
       note: [{
-        text: `Response: ${treatment.response}, Adverse Events: ${treatment.adverseEvents?.join(', ')}`
+        text: [
+          treatment.response && `Response: ${treatment.response}`,
+          treatment.adverseEvents?.length && `Adverse Events: ${treatment.adverseEvents.join(', ')}`
+        ].filter(Boolean).join(', ') || undefined
       }]
     };
   }
 
-  static toFHIRBundle(patientData) {
-    const bundle = {
-      resourceType: 'Bundle',
-      id: uuidv4(),
-      type: 'collection',
-      timestamp: new Date().toISOString(),
-      entry: []
-    };
+  // FHIR forbids empty elements: drop undefined/null values and the objects
+  // and arrays left empty when optional source fields are missing
+  static prune(value) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => this.prune(item)).filter(item => item !== undefined);
+      return items.length > 0 ? items : undefined;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value)
+        .map(([key, nested]) => [key, this.prune(nested)])
+        .filter(([, nested]) => nested !== undefined);
+      return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    return value === null || value === '' || (typeof value === 'number' && isNaN(value)) ? undefined : value;
+  }
 
-    const patient = this.toFHIRPatient(patientData);
-    bundle.entry.push({ resource: patient });
+  // Every resource derived from one patient record, Patient first
+  static toFHIRResources(patientData) {
+    const patientId = this.patientResourceId(patientData);
+    const resources = [this.toFHIRPatient(patientData)];
 
     const condition = this.toFHIRCondition(patientData);
     if (condition) {
-      bundle.entry.push({ resource: condition });
+      resources.push(condition);
     }
 
-    patientData.labResults?.forEach(lab => {
-      const observation = this.toFHIRObservation(lab, patientData._id);
-      bundle.entry.push({ resource: observation });
+    // Resource emitted for each list entry, by the entry's record key, for Provenance targets
+    const listTargets = new Map();
+    const addEntry = (field, entry, resource) => {
+      listTargets.set(JSON.stringify([field, ProvenanceTracker.entryKey(field, entry)]), `${resource.resourceType}/${resource.id}`);
+      resources.push(resource);
+    };
+
+    patientData.labResults?.forEach((lab, index) => {
+      addEntry('labResults', lab, this.toFHIRObservation(lab, patientId, index));
     });
 
-    patientData.imaging?.forEach(img => {
-      const imagingStudy = this.toFHIRImagingStudy(img, patientData._id);
-      bundle.entry.push({ resource: imagingStudy });
+    patientData.imaging?.forEach((img, index) => {
+      addEntry('imaging', img, this.toFHIRImagingStudy(img, patientId, index, patientData.abhaId));
     });
 
-    patientData.pathologyReports?.forEach(report => {
-      const diagnosticReport = this.toFHIRDiagnosticReport(report, patientData._id);
-      bundle.entry.push({ resource: diagnosticReport });
+    patientData.pathologyReports?.forEach((report, index) => {
+      addEntry('pathologyReports', report, this.toFHIRDiagnosticReport(report, patientId, index));
     });
 
-    patientData.treatments?.forEach(treatment => {
-      const medicationStatement = this.toFHIRMedicationStatement(treatment, patientData._id);
-      bundle.entry.push({ resource: medicationStatement });
+    patientData.treatments?.forEach((treatment, index) => {
+      addEntry('treatments', treatment, this.toFHIRMedicationStatement(treatment, patientId, index));
     });
 
-    return bundle;
+    resources.push(...this.toFHIRProvenance(patientData, listTargets));
+
+    return resources.map(resource => this.prune(resource));
+  }
+
+  // The resource and element a provenance entry's field was emitted as, if any
+  static provenanceTarget(entry, patientData, listTargets) {
+    const patientId = this.patientResourceId(patientData);
+    if (entry.key !== null && entry.key !== undefined && entry.path !== 'identifiers') {
+      const reference = listTargets.get(JSON.stringify([entry.path, entry.key]));
+      return reference ? { reference } : null;
+    }
+
+    const field = Object.keys(PROVENANCE_TARGETS).find(candidate => entry.path === candidate || entry.path.startsWith(`${candidate}.`));
+    if (!field) return null;
+    const [resourceType, element] = PROVENANCE_TARGETS[field];
+    if (resourceType === 'Condition') {
+      return patientData.cancerType ? { reference: `Condition/${this.toFHIRId(patientId, 'condition')}`, element } : null;
+    }
+    return { reference: `Patient/${patientId}`, element };
+  }
+
+  // One Provenance per source record ingest, targeting every resource (and,
+  // for Patient and Condition fields, element) that record supplied
+  static toFHIRProvenance(patientData, listTargets = new Map()) {
+    const patientId = this.patientResourceId(patientData);
+    const groups = new Map();
+
+    ProvenanceTracker.resolve(patientData).forEach(entry => {
+      const target = this.provenanceTarget(entry, patientData, listTargets);
+      const recorded = this.toFHIRDateTime(entry.ingestedAt);
+      if (!target || !recorded) return;
+
+      const groupId = JSON.stringify([entry.source, entry.sourceRecordId, recorded, entry.activity, entry.agent]);
+      if (!groups.has(groupId)) {
+        groups.set(groupId, { entry, recorded, targets: new Map() });
+      }
+      const targets = groups.get(groupId).targets;
+      const targetId = JSON.stringify([target.reference, target.element]);
+      const rules = (entry.rules || []).map(rule => `${rule.sourceField} -> ${rule.targetField}${rule.transformation ? ` | ${rule.transformation}` : ''}`);
+      targets.set(targetId, {
+        ...target,
+        rules: Array.from(new Set([...(targets.get(targetId)?.rules || []), ...rules]))
+      });
+    });
+
+    return Array.from(groups.entries()).map(([groupId, { entry, recorded, targets }]) => ({
+      resourceType: 'Provenance',
+      id: this.toFHIRId(patientId, 'prov', crypto.createHash('sha1').update(groupId).digest('hex').slice(0, 16)),
+      meta: {
+        profile: ['http://hl7.org/fhir/StructureDefinition/Provenance']
+      },
+      target: Array.from(targets.values()).map(({ reference, element, rules }) => ({
+        extension: [
+          ...(element ? [{ url: TARGET_PATH_EXTENSION, valueString: element }] : []),
+          ...rules.map(rule => ({ url: MAPPING_RULE_EXTENSION, valueString: rule }))
+        ],
+        reference
+      })),
+      recorded,
+      activity: {
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+          code: 'UPDATE',
+          display: 'revise'
+        }],
+        text: entry.activity
+      },
+      agent: [
+        {
+          type: { coding: [{ system: PARTICIPANT_TYPES, code: 'author', display: 'Author' }] },
+          who: { display: [entry.source || 'Unknown source', entry.sourceType && `(${entry.sourceType})`].filter(Boolean).join(' ') }
+        },
+        ...(entry.agent ? [{
+          type: { coding: [{ system: PARTICIPANT_TYPES, code: 'assembler', display: 'Assembler' }] },
+          who: { display: entry.agent }
+        }] : [])
+      ],
+      entity: entry.sourceRecordId ? [{
+        role: 'source',
+        what: {
+          identifier: { value: entry.sourceRecordId },
+          display: `${entry.source || 'Source'} record ${entry.sourceRecordId}`
+        }
+      }] : undefined
+    }));
+  }
+
+  static toFHIRBundle(patientData) {
+    return {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: this.toFHIRResources(patientData).map(resource => ({ resource }))
+    };
   }
 }
 
@@ -0,0 +1,187 @@
+// Reverse of FHIRPatientConverter: maps FHIR R4 resources back onto the
+// internal Patient model. Unknown elements are dropped, never guessed.
+
+const ABHA_SYSTEMS = ['https://abdm.gov.in/abha', 'https://healthid.ndhm.gov.in', 'https://healthid.abdm.gov.in'];
+
+const SYSTEM_NAMES = {
+  'http://loinc.org': 'LN',
+  'http://snomed.info/sct': 'SCT',
+  'http://hl7.org/fhir/sid/icd-10': 'I10',
+  'https://oncology-poc.local/fhir/CodeSystem/local-lab': 'L'
+};
+
+const firstText = concept => concept?.text || concept?.coding?.find(coding => coding.display)?.display ||
+  concept?.coding?.[0]?.code;
+
+const compact = value => {
+  if (Array.isArray(value)) return value;
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  const result = {};
+  Object.entries(value).forEach(([key, nested]) => {
+    const cleaned = compact(nested);
+    const empty = cleaned === undefined ||
+      (cleaned && typeof cleaned === 'object' && !Array.isArray(cleaned) && !(cleaned instanceof Date) &&
+        Object.keys(cleaned).length === 0);
+    if (!empty) result[key] = cleaned;
+  });
+  return result;
+};
+
+class FHIRResourceMapper {
+  // "Patient/abc" or an absolute URL ending in Patient/abc -> "abc"
+  static referenceId(reference, resourceType = 'Patient') {
+    const value = reference?.reference || '';
+    const match = new RegExp(`(?:^|/)${resourceType}/([^/]+)$`).exec(value);
+    return match ? match[1] : null;
+  }
+
+  static abhaId(patient) {
+    const identifiers = patient.identifier || [];
+    const abha = identifiers.find(identifier =>
+      ABHA_SYSTEMS.some(system => identifier.system?.startsWith(system)) ||
+      identifier.type?.coding?.some(coding => coding.code === 'ABHA')
+    );
+    return (abha || identifiers[0])?.value || patient.id || null;
+  }
+
+  static fromFHIRPatient(patient) {
+    const name = patient.name?.find(entry => entry.use === 'official') || patient.name?.[0] || {};
+    const address = patient.address?.[0] || {};
+    const telecom = patient.telecom || [];
+    const abhaId = this.abhaId(patient);
+    const identifiers = (patient.identifier || [])
+      .filter(identifier => identifier.system && identifier.value && identifier.value !== abhaId)
+      .map(identifier => compact({
+        system: identifier.system,
+        value: identifier.value,
+        use: identifier.use,
+        assigner: identifier.assigner?.display
+      }));
+
+    return compact({
+      abhaId,
+      identifiers: identifiers.length > 0 ? identifiers : undefined,
+      demographics: {
+        firstName: name.given?.[0] || (name.text ? name.text.split(' ')[0] : undefined),
+        lastName: name.family || (name.text ? name.text.split(' ').slice(1).join(' ') || undefined : undefined),
+        dateOfBirth: patient.birthDate,
+        gender: patient.gender,
+        address: {
+          street: address.line?.filter(Boolean).join(', ') || undefined,
+          city: address.city,
+          state: address.state,
+          pincode: address.postalCode
+        },
+        contact: {
+          phone: telecom.find(entry => entry.system === 'phone')?.value,
+          email: telecom.find(entry => entry.system === 'email')?.value
+        }
+      }
+    });
+  }
+
+  static fromFHIRCondition(condition) {
+    return compact({
+      primary: firstText(condition.code),
+      stage: condition.stage?.[0]?.summary ? firstText(condition.stage[0].summary) : condition.severity?.text,
+      diagnosisDate: condition.onsetDateTime || condition.recordedDate,
+      histology: condition.note?.[0]?.text
+    });
+  }
+
+  static observationValue(observation) {
+    if (observation.valueQuantity) {
+      return { value: String(observation.valueQuantity.value), unit: observation.valueQuantity.unit || observation.valueQuantity.code };
+    }
+    if (observation.valueString !== undefined) return { value: observation.valueString };
+    if (observation.valueCodeableConcept) return { value: firstText(observation.valueCodeableConcept) };
+    if (observation.valueBoolean !== undefined) return { value: String(observation.valueBoolean) };
+    if (observation.valueInteger !== undefined) return { value: String(observation.valueInteger) };
+    return {};
+  }
+
+  static referenceRangeText(range) {
+    if (!range) return undefined;
+    if (range.text) return range.text;
+    const low = range.low?.value;
+    const high = range.high?.value;
+    if (low === undefined && high === undefined) return undefined;
+    const unit = range.low?.unit || range.high?.unit;
+    return `${low ?? ''}-${high ?? ''}${unit ? ` ${unit}` : ''}`;
+  }
+
+  static fromFHIRObservation(observation, sourceSystem = 'FHIR') {
+    const coding = observation.code?.coding?.[0];
+    return compact({
+      testId: observation.id,
+      testName: firstText(observation.code),
+      testCode: coding?.code,
+      testCodeSystem: coding?.system ? SYSTEM_NAMES[coding.system] || coding.system : undefined,
+      testDate: observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued,
+      ...this.observationValue(observation),
+      referenceRange: this.referenceRangeText(observation.referenceRange?.[0]),
+      interpretation: firstText(observation.interpretation?.[0]),
+      sourceSystem
+    });
+  }
+
+  static fromFHIRImagingStudy(study, sourceSystem = 'FHIR') {
+    const dicomUid = study.identifier?.find(identifier => identifier.system === 'urn:dicom:uid')?.value;
+    const accession = study.identifier?.find(identifier =>
+      identifier.type?.coding?.some(coding => coding.code === 'ACSN')
+    )?.value;
+    const stripOid = value => value?.replace(/^urn:oid:/, '');
+
+    return compact({
+      studyId: study.id,
+      studyInstanceUid: stripOid(dicomUid),
+      accessionNumber: accession,
+      modality: study.modality?.[0]?.code || study.series?.[0]?.modality?.code,
+      bodyPart: firstText(study.series?.[0]?.bodySite),
+      studyDate: study.started,
+      description: study.description,
+      findings: study.note?.map(note => note.text).filter(Boolean).join('\n') || undefined,
+      referringPhysician: study.referrer?.display,
+      sourceSystem,
+      series: study.series?.length
+        ? study.series.map(series => compact({
+          seriesInstanceUid: series.uid,
+          seriesNumber: series.number,
+          modality: series.modality?.code,
+          bodyPart: firstText(series.bodySite) || series.bodySite?.display,
+          description: series.description,
+          instances: (series.instance || []).map(instance => compact({
+            sopInstanceUid: instance.uid,
+            sopClassUid: stripOid(instance.sopClass?.code),
+            instanceNumber: instance.number
+          }))
+        }))
+        : undefined
+    });
+  }
+
+  static fromFHIRDiagnosticReport(report, sourceSystem = 'FHIR') {
+    return compact({
+      reportId: report.id,
+      specimenType: report.specimen?.[0]?.display,
+      collectionDate: report.effectivePeriod?.start,
+      reportDate: report.effectiveDateTime || report.issued,
+      findings: report.conclusionCode?.map(firstText).filter(Boolean).join('; ') || undefined,
+      diagnosis: report.conclusion,
+      sourceSystem
+    });
+  }
+
+  static fromFHIRMedicationStatement(statement, sourceSystem = 'FHIR') {
+    return compact({
+      treatmentId: statement.id,
+      type: firstText(statement.reasonCode?.[0]) || firstText(statement.category),
+      regimen: firstText(statement.medicationCodeableConcept) || statement.medicationReference?.display,
+      startDate: statement.effectivePeriod?.start || statement.effectiveDateTime,
+      endDate: statement.effectivePeriod?.end,
+      sourceSystem
+    });
+  }
+}
+
+module.exports = FHIRResourceMapper;
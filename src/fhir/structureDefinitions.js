@@ -0,0 +1,662 @@
+// R4 (4.0.1) element definitions for the resources this server exchanges, plus
+// the ABDM/NRCeS India profiles layered on top of them. Only the parts the
+// validator checks are modelled: cardinality, types, reference targets,
+// required bindings and the invariants partners trip over in practice.
+
+const element = (type, min = 0, max = '1', options = {}) => ({ type, min, max, ...options });
+const one = (type, options) => element(type, 0, '1', options);
+const many = (type, options) => element(type, 0, '*', options);
+const required = (type, options) => element(type, 1, '1', options);
+const backbone = (min, max, elements) => element('BackboneElement', min, max, { elements });
+const reference = (targets, min = 0, max = '1') => element('Reference', min, max, { targets });
+
+const PRIMITIVE_PATTERNS = {
+  boolean: value => typeof value === 'boolean',
+  integer: value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647,
+  unsignedInt: value => Number.isInteger(value) && value >= 0,
+  positiveInt: value => Number.isInteger(value) && value >= 1,
+  decimal: value => typeof value === 'number' && Number.isFinite(value),
+  string: /^[ \r\n\t\S]+$/,
+  markdown: /^[ \r\n\t\S]+$/,
+  xhtml: /^[ \r\n\t\S]+$/,
+  code: /^[^\s]+(\s[^\s]+)*$/,
+  id: /^[A-Za-z0-9\-.]{1,64}$/,
+  uri: /^\S*$/,
+  url: /^\S*$/,
+  canonical: /^\S*$/,
+  oid: /^urn:oid:[0-2](\.(0|[1-9][0-9]*))+$/,
+  uuid: /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+  base64Binary: /^[A-Za-z0-9+/=\s]+$/,
+  date: /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$/,
+  dateTime: /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/,
+  instant: /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/,
+  time: /^([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?$/
+};
+
+const VALUE_SETS = {
+  'administrative-gender': { codes: ['male', 'female', 'other', 'unknown'] },
+  'observation-status': {
+    codes: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown']
+  },
+  'diagnostic-report-status': {
+    codes: ['registered', 'partial', 'preliminary', 'final', 'amended', 'corrected', 'appended', 'cancelled', 'entered-in-error', 'unknown']
+  },
+  'imagingstudy-status': { codes: ['registered', 'available', 'cancelled', 'entered-in-error', 'unknown'] },
+  'medication-statement-status': {
+    codes: ['active', 'completed', 'entered-in-error', 'intended', 'stopped', 'on-hold', 'unknown', 'not-taken']
+  },
+  'condition-clinical': {
+    system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+    codes: ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved']
+  },
+  'condition-ver-status': {
+    system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+    codes: ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error']
+  },
+  'bundle-type': {
+    codes: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection']
+  },
+  'http-verb': { codes: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'] },
+  'search-entry-mode': { codes: ['match', 'include', 'outcome'] },
+  'identifier-use': { codes: ['usual', 'official', 'temp', 'secondary', 'old'] },
+  'name-use': { codes: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'] },
+  'address-use': { codes: ['home', 'work', 'temp', 'old', 'billing'] },
+  'address-type': { codes: ['postal', 'physical', 'both'] },
+  'contact-point-system': { codes: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'] },
+  'contact-point-use': { codes: ['home', 'work', 'temp', 'old', 'mobile'] },
+  'quantity-comparator': { codes: ['<', '<=', '>=', '>'] },
+  'narrative-status': { codes: ['generated', 'extensions', 'additional', 'empty'] },
+  'link-type': { codes: ['replaced-by', 'replaces', 'refer', 'seealso'] },
+  'provenance-entity-role': { codes: ['derivation', 'revision', 'quotation', 'source', 'removal'] }
+};
+
+const EXTENSION_VALUE_TYPES = [
+  'base64Binary', 'boolean', 'canonical', 'code', 'date', 'dateTime', 'decimal', 'id', 'instant', 'integer',
+  'markdown', 'oid', 'positiveInt', 'string', 'time', 'unsignedInt', 'uri', 'url', 'uuid', 'Address',
+  'Attachment', 'CodeableConcept', 'Coding', 'ContactPoint', 'HumanName', 'Identifier', 'Period', 'Quantity',
+  'Range', 'Ratio', 'Reference'
+];
+
+const DATA_TYPES = {
+  Extension: {
+    url: required('uri'),
+    'value[x]': one(EXTENSION_VALUE_TYPES)
+  },
+  Coding: {
+    system: one('uri'),
+    version: one('string'),
+    code: one('code'),
+    display: one('string'),
+    userSelected: one('boolean')
+  },
+  CodeableConcept: {
+    coding: many('Coding'),
+    text: one('string')
+  },
+  Identifier: {
+    use: one('code', { binding: 'identifier-use' }),
+    type: one('CodeableConcept'),
+    system: one('uri'),
+    value: one('string'),
+    period: one('Period'),
+    assigner: reference(['Organization'])
+  },
+  Reference: {
+    reference: one('string'),
+    type: one('uri'),
+    identifier: one('Identifier'),
+    display: one('string')
+  },
+  Period: {
+    start: one('dateTime'),
+    end: one('dateTime')
+  },
+  Quantity: {
+    value: one('decimal'),
+    comparator: one('code', { binding: 'quantity-comparator' }),
+    unit: one('string'),
+    system: one('uri'),
+    code: one('code')
+  },
+  Range: {
+    low: one('Quantity'),
+    high: one('Quantity')
+  },
+  Ratio: {
+    numerator: one('Quantity'),
+    denominator: one('Quantity')
+  },
+  HumanName: {
+    use: one('code', { binding: 'name-use' }),
+    text: one('string'),
+    family: one('string'),
+    given: many('string'),
+    prefix: many('string'),
+    suffix: many('string'),
+    period: one('Period')
+  },
+  Address: {
+    use: one('code', { binding: 'address-use' }),
+    type: one('code', { binding: 'address-type' }),
+    text: one('string'),
+    line: many('string'),
+    city: one('string'),
+    district: one('string'),
+    state: one('string'),
+    postalCode: one('string'),
+    country: one('string'),
+    period: one('Period')
+  },
+  ContactPoint: {
+    system: one('code', { binding: 'contact-point-system' }),
+    value: one('string'),
+    use: one('code', { binding: 'contact-point-use' }),
+    rank: one('positiveInt'),
+    period: one('Period')
+  },
+  Annotation: {
+    'author[x]': one(['Reference', 'string']),
+    time: one('dateTime'),
+    text: required('markdown')
+  },
+  Attachment: {
+    contentType: one('code'),
+    language: one('code'),
+    data: one('base64Binary'),
+    url: one('url'),
+    size: one('unsignedInt'),
+    hash: one('base64Binary'),
+    title: one('string'),
+    creation: one('dateTime')
+  },
+  Meta: {
+    versionId: one('id'),
+    lastUpdated: one('instant'),
+    source: one('uri'),
+    profile: many('canonical'),
+    security: many('Coding'),
+    tag: many('Coding')
+  },
+  Narrative: {
+    status: required('code', { binding: 'narrative-status' }),
+    div: required('xhtml')
+  },
+  Dosage: {
+    sequence: one('integer'),
+    text: one('string'),
+    additionalInstruction: many('CodeableConcept'),
+    patientInstruction: one('string'),
+    timing: one('Any'),
+    'asNeeded[x]': one(['boolean', 'CodeableConcept']),
+    site: one('CodeableConcept'),
+    route: one('CodeableConcept'),
+    method: one('CodeableConcept'),
+    doseAndRate: many('Any'),
+    maxDosePerPeriod: one('Ratio'),
+    maxDosePerAdministration: one('Quantity'),
+    maxDosePerLifetime: one('Quantity')
+  }
+};
+
+DATA_TYPES.Age = DATA_TYPES.Quantity;
+
+// Elements every data type and backbone element may carry
+const ELEMENT_BASE = {
+  id: one('string'),
+  extension: many('Extension')
+};
+
+const BACKBONE_BASE = {
+  ...ELEMENT_BASE,
+  modifierExtension: many('Extension')
+};
+
+const RESOURCE_BASE = {
+  id: one('id'),
+  meta: one('Meta'),
+  implicitRules: one('uri'),
+  language: one('code')
+};
+
+const DOMAIN_RESOURCE_BASE = {
+  ...RESOURCE_BASE,
+  text: one('Narrative'),
+  contained: many('Resource'),
+  extension: many('Extension'),
+  modifierExtension: many('Extension')
+};
+
+const hasValue = (resource, prefix) => Object.keys(resource).some(key => key.startsWith(prefix) && key !== prefix);
+const codes = concept => (concept?.coding || []).map(coding => coding.code);
+
+const REFERENCE_RANGE = backbone(0, '*', {
+  low: one('Quantity'),
+  high: one('Quantity'),
+  type: one('CodeableConcept'),
+  appliesTo: many('CodeableConcept'),
+  age: one('Range'),
+  text: one('string')
+});
+
+const OBSERVATION_VALUE = one([
+  'Quantity', 'CodeableConcept', 'string', 'boolean', 'integer', 'Range', 'Ratio', 'time', 'dateTime', 'Period'
+]);
+
+const RESOURCES = {
+  Patient: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      active: one('boolean'),
+      name: many('HumanName'),
+      telecom: many('ContactPoint'),
+      gender: one('code', { binding: 'administrative-gender' }),
+      birthDate: one('date'),
+      'deceased[x]': one(['boolean', 'dateTime']),
+      address: many('Address'),
+      maritalStatus: one('CodeableConcept'),
+      'multipleBirth[x]': one(['boolean', 'integer']),
+      photo: many('Attachment'),
+      contact: backbone(0, '*', {
+        relationship: many('CodeableConcept'),
+        name: one('HumanName'),
+        telecom: many('ContactPoint'),
+        address: one('Address'),
+        gender: one('code', { binding: 'administrative-gender' }),
+        organization: reference(['Organization']),
+        period: one('Period')
+      }),
+      communication: backbone(0, '*', {
+        language: required('CodeableConcept'),
+        preferred: one('boolean')
+      }),
+      generalPractitioner: reference(['Organization', 'Practitioner', 'PractitionerRole'], 0, '*'),
+      managingOrganization: reference(['Organization']),
+      link: backbone(0, '*', {
+        other: reference(['Patient', 'RelatedPerson'], 1),
+        type: required('code', { binding: 'link-type' })
+      })
+    },
+    invariants: [{
+      key: 'pat-1',
+      human: 'SHALL at least contain a contact\'s details or a reference to an organization',
+      check: patient => (patient.contact || []).every(contact =>
+        contact.name || contact.telecom || contact.address || contact.organization)
+    }]
+  },
+
+  Condition: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      clinicalStatus: one('CodeableConcept', { binding: 'condition-clinical' }),
+      verificationStatus: one('CodeableConcept', { binding: 'condition-ver-status' }),
+      category: many('CodeableConcept'),
+      severity: one('CodeableConcept'),
+      code: one('CodeableConcept'),
+      bodySite: many('CodeableConcept'),
+      subject: reference(['Patient', 'Group'], 1),
+      encounter: reference(['Encounter']),
+      'onset[x]': one(['dateTime', 'Age', 'Period', 'Range', 'string']),
+      'abatement[x]': one(['dateTime', 'Age', 'Period', 'Range', 'string']),
+      recordedDate: one('dateTime'),
+      recorder: reference(['Practitioner', 'PractitionerRole', 'Patient', 'RelatedPerson']),
+      asserter: reference(['Practitioner', 'PractitionerRole', 'Patient', 'RelatedPerson']),
+      stage: backbone(0, '*', {
+        summary: one('CodeableConcept'),
+        assessment: reference(['ClinicalImpression', 'DiagnosticReport', 'Observation'], 0, '*'),
+        type: one('CodeableConcept')
+      }),
+      evidence: backbone(0, '*', {
+        code: many('CodeableConcept'),
+        detail: many('Reference')
+      }),
+      note: many('Annotation')
+    },
+    invariants: [{
+      key: 'con-4',
+      human: 'If condition is abated, then clinicalStatus must be either inactive, resolved, or remission',
+      check: condition => !hasValue(condition, 'abatement') ||
+        !condition.clinicalStatus ||
+        codes(condition.clinicalStatus).some(code => ['inactive', 'resolved', 'remission'].includes(code))
+    }, {
+      key: 'con-5',
+      human: 'Condition.clinicalStatus SHALL NOT be present if verification Status is entered-in-error',
+      check: condition => !condition.clinicalStatus || !codes(condition.verificationStatus).includes('entered-in-error')
+    }]
+  },
+
+  Observation: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      basedOn: many('Reference'),
+      partOf: many('Reference'),
+      status: required('code', { binding: 'observation-status' }),
+      category: many('CodeableConcept'),
+      code: required('CodeableConcept'),
+      subject: reference(['Patient', 'Group', 'Device', 'Location']),
+      focus: many('Reference'),
+      encounter: reference(['Encounter']),
+      'effective[x]': one(['dateTime', 'Period', 'instant']),
+      issued: one('instant'),
+      performer: many('Reference'),
+      'value[x]': OBSERVATION_VALUE,
+      dataAbsentReason: one('CodeableConcept'),
+      interpretation: many('CodeableConcept'),
+      note: many('Annotation'),
+      bodySite: one('CodeableConcept'),
+      method: one('CodeableConcept'),
+      specimen: reference(['Specimen']),
+      device: reference(['Device', 'DeviceMetric']),
+      referenceRange: REFERENCE_RANGE,
+      hasMember: reference(['Observation', 'QuestionnaireResponse', 'MolecularSequence'], 0, '*'),
+      derivedFrom: many('Reference'),
+      component: backbone(0, '*', {
+        code: required('CodeableConcept'),
+        'value[x]': OBSERVATION_VALUE,
+        dataAbsentReason: one('CodeableConcept'),
+        interpretation: many('CodeableConcept'),
+        referenceRange: REFERENCE_RANGE
+      })
+    },
+    invariants: [{
+      key: 'obs-6',
+      human: 'dataAbsentReason SHALL only be present if Observation.value[x] is not present',
+      check: observation => !observation.dataAbsentReason || !hasValue(observation, 'value')
+    }, {
+      key: 'obs-3',
+      human: 'Must have at least a low or a high or text',
+      check: observation => (observation.referenceRange || []).every(range => range.low || range.high || range.text)
+    }]
+  },
+
+  ImagingStudy: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      status: required('code', { binding: 'imagingstudy-status' }),
+      modality: many('Coding'),
+      subject: reference(['Patient', 'Device', 'Group'], 1),
+      encounter: reference(['Encounter']),
+      started: one('dateTime'),
+      basedOn: many('Reference'),
+      referrer: reference(['Practitioner', 'PractitionerRole']),
+      interpreter: reference(['Practitioner', 'PractitionerRole'], 0, '*'),
+      endpoint: reference(['Endpoint'], 0, '*'),
+      numberOfSeries: one('unsignedInt'),
+      numberOfInstances: one('unsignedInt'),
+      procedureReference: reference(['Procedure']),
+      procedureCode: many('CodeableConcept'),
+      location: reference(['Location']),
+      reasonCode: many('CodeableConcept'),
+      reasonReference: many('Reference'),
+      note: many('Annotation'),
+      description: one('string'),
+      series: backbone(0, '*', {
+        uid: required('id'),
+        number: one('unsignedInt'),
+        modality: required('Coding'),
+        description: one('string'),
+        numberOfInstances: one('unsignedInt'),
+        endpoint: reference(['Endpoint'], 0, '*'),
+        bodySite: one('Coding'),
+        laterality: one('Coding'),
+        specimen: reference(['Specimen'], 0, '*'),
+        started: one('dateTime'),
+        performer: backbone(0, '*', {
+          function: one('CodeableConcept'),
+          actor: reference(['Practitioner', 'PractitionerRole', 'Organization', 'CareTeam', 'Patient', 'Device', 'RelatedPerson'], 1)
+        }),
+        instance: backbone(0, '*', {
+          uid: required('id'),
+          sopClass: required('Coding'),
+          number: one('unsignedInt'),
+          title: one('string')
+        })
+      })
+    }
+  },
+
+  DiagnosticReport: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      basedOn: many('Reference'),
+      status: required('code', { binding: 'diagnostic-report-status' }),
+      category: many('CodeableConcept'),
+      code: required('CodeableConcept'),
+      subject: reference(['Patient', 'Group', 'Device', 'Location']),
+      encounter: reference(['Encounter']),
+      'effective[x]': one(['dateTime', 'Period']),
+      issued: one('instant'),
+      performer: many('Reference'),
+      resultsInterpreter: many('Reference'),
+      specimen: reference(['Specimen'], 0, '*'),
+      result: reference(['Observation'], 0, '*'),
+      imagingStudy: reference(['ImagingStudy'], 0, '*'),
+      media: backbone(0, '*', {
+        comment: one('string'),
+        link: reference(['Media'], 1)
+      }),
+      conclusion: one('string'),
+      conclusionCode: many('CodeableConcept'),
+      presentedForm: many('Attachment')
+    }
+  },
+
+  MedicationStatement: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      identifier: many('Identifier'),
+      basedOn: many('Reference'),
+      partOf: many('Reference'),
+      status: required('code', { binding: 'medication-statement-status' }),
+      statusReason: many('CodeableConcept'),
+      category: one('CodeableConcept'),
+      'medication[x]': element(['CodeableConcept', 'Reference'], 1, '1', { targets: ['Medication'] }),
+      subject: reference(['Patient', 'Group'], 1),
+      context: reference(['Encounter', 'EpisodeOfCare']),
+      'effective[x]': one(['dateTime', 'Period']),
+      dateAsserted: one('dateTime'),
+      informationSource: reference(['Patient', 'Practitioner', 'PractitionerRole', 'RelatedPerson', 'Organization']),
+      derivedFrom: many('Reference'),
+      reasonCode: many('CodeableConcept'),
+      reasonReference: many('Reference'),
+      note: many('Annotation'),
+      dosage: many('Dosage')
+    }
+  },
+
+  Provenance: {
+    base: DOMAIN_RESOURCE_BASE,
+    elements: {
+      target: element('Reference', 1, '*'),
+      'occurred[x]': one(['Period', 'dateTime']),
+      recorded: required('instant'),
+      policy: many('uri'),
+      location: reference(['Location']),
+      reason: many('CodeableConcept'),
+      activity: one('CodeableConcept'),
+      agent: backbone(1, '*', {
+        type: one('CodeableConcept'),
+        role: many('CodeableConcept'),
+        who: reference(['Practitioner', 'PractitionerRole', 'RelatedPerson', 'Patient', 'Device', 'Organization'], 1),
+        onBehalfOf: reference(['Practitioner', 'PractitionerRole', 'RelatedPerson', 'Patient', 'Device', 'Organization'])
+      }),
+      entity: backbone(0, '*', {
+        role: required('code', { binding: 'provenance-entity-role' }),
+        what: element('Reference', 1, '1'),
+        agent: many('Any')
+      }),
+      signature: many('Any')
+    }
+  },
+
+  Bundle: {
+    base: RESOURCE_BASE,
+    elements: {
+      identifier: one('Identifier'),
+      type: required('code', { binding: 'bundle-type' }),
+      timestamp: one('instant'),
+      total: one('unsignedInt'),
+      link: backbone(0, '*', {
+        relation: required('string'),
+        url: required('uri')
+      }),
+      entry: backbone(0, '*', {
+        link: many('Any'),
+        fullUrl: one('uri'),
+        resource: one('Resource'),
+        search: backbone(0, '1', {
+          mode: one('code', { binding: 'search-entry-mode' }),
+          score: one('decimal')
+        }),
+        request: backbone(0, '1', {
+          method: required('code', { binding: 'http-verb' }),
+          url: required('uri'),
+          ifNoneMatch: one('string'),
+          ifModifiedSince: one('instant'),
+          ifMatch: one('string'),
+          ifNoneExist: one('string')
+        }),
+        response: backbone(0, '1', {
+          status: required('string'),
+          location: one('uri'),
+          etag: one('string'),
+          lastModified: one('instant'),
+          outcome: one('Any')
+        })
+      }),
+      signature: one('Any')
+    },
+    invariants: [{
+      key: 'bdl-1',
+      human: 'total only when a search or history',
+      check: bundle => bundle.total === undefined || ['searchset', 'history'].includes(bundle.type)
+    }, {
+      key: 'bdl-2',
+      human: 'entry.search only when a search',
+      check: bundle => bundle.type === 'searchset' || (bundle.entry || []).every(entry => !entry.search)
+    }, {
+      key: 'bdl-3',
+      human: 'entry.request mandatory for batch/transaction/history, otherwise prohibited',
+      check: bundle => (bundle.entry || []).every(entry =>
+        Boolean(entry.request) === ['batch', 'transaction', 'history'].includes(bundle.type))
+    }, {
+      key: 'bdl-4',
+      human: 'entry.response mandatory for batch-response/transaction-response/history, otherwise prohibited',
+      check: bundle => (bundle.entry || []).every(entry =>
+        Boolean(entry.response) === ['batch-response', 'transaction-response', 'history'].includes(bundle.type))
+    }, {
+      key: 'bdl-5',
+      human: 'must be a resource unless there\'s a request or response',
+      check: bundle => (bundle.entry || []).every(entry => entry.resource || entry.request || entry.response)
+    }, {
+      key: 'bdl-7',
+      human: 'FullUrl must be unique in a bundle',
+      check: bundle => {
+        const urls = (bundle.entry || []).map(entry => entry.fullUrl).filter(Boolean);
+        return new Set(urls).size === urls.length;
+      }
+    }, {
+      key: 'bdl-8',
+      human: 'fullUrl cannot be a version specific reference',
+      check: bundle => (bundle.entry || []).every(entry => !entry.fullUrl?.includes('/_history/'))
+    }]
+  }
+};
+
+const DATA_TYPE_INVARIANTS = {
+  Period: [{
+    key: 'per-1',
+    human: 'If present, start SHALL have a lower value than end',
+    check: period => !period.start || !period.end || new Date(period.start) <= new Date(period.end)
+  }],
+  ContactPoint: [{
+    key: 'cpt-2',
+    human: 'A system is required if a value is provided',
+    check: contactPoint => !contactPoint.value || Boolean(contactPoint.system)
+  }]
+};
+
+// ABHA number (14 digits, optionally hyphenated 2-4-4-4) or ABHA address (user@abdm, user@sbx)
+const ABHA_NUMBER = /^\d{2}-?\d{4}-?\d{4}-?\d{4}$/;
+const ABHA_ADDRESS = /^[A-Za-z0-9._]+@(abdm|sbx)$/;
+const ABHA_SYSTEMS = ['https://healthid.ndhm.gov.in', 'https://healthid.abdm.gov.in', 'https://abdm.gov.in/abha'];
+
+const NRCES = 'https://nrces.in/ndhm/fhir/r4/StructureDefinition';
+
+// Constraints the NRCeS implementation guide adds to the base resources.
+// Paths are dotted element paths relative to the resource.
+const PROFILES = {
+  [`${NRCES}/Patient`]: {
+    type: 'Patient',
+    constraints: {
+      identifier: { min: 1 },
+      name: { min: 1 },
+      gender: { min: 1 }
+    },
+    rules: [{
+      key: 'abdm-abha',
+      severity: 'warning',
+      human: 'ABHA identifiers should be a 14 digit ABHA number or an ABHA address',
+      check: patient => (patient.identifier || [])
+        .filter(identifier => ABHA_SYSTEMS.some(system => identifier.system?.startsWith(system)))
+        .every(identifier => ABHA_NUMBER.test(identifier.value || '') || ABHA_ADDRESS.test(identifier.value || ''))
+    }]
+  },
+  [`${NRCES}/Condition`]: {
+    type: 'Condition',
+    constraints: {
+      code: { min: 1 },
+      subject: { min: 1, targets: ['Patient'] }
+    }
+  },
+  [`${NRCES}/Observation`]: {
+    type: 'Observation',
+    constraints: {
+      subject: { min: 1, targets: ['Patient'] },
+      performer: { targets: ['Practitioner', 'PractitionerRole', 'Organization', 'CareTeam', 'Patient', 'RelatedPerson'] }
+    }
+  },
+  [`${NRCES}/ImagingStudy`]: {
+    type: 'ImagingStudy',
+    constraints: {
+      subject: { min: 1, targets: ['Patient'] }
+    }
+  },
+  [`${NRCES}/DiagnosticReportLab`]: {
+    type: 'DiagnosticReport',
+    constraints: {
+      subject: { min: 1, targets: ['Patient'] },
+      'code.coding': { min: 1 },
+      result: { targets: ['Observation'] }
+    }
+  },
+  [`${NRCES}/DiagnosticReportImaging`]: {
+    type: 'DiagnosticReport',
+    constraints: {
+      subject: { min: 1, targets: ['Patient'] },
+      'code.coding': { min: 1 },
+      imagingStudy: { targets: ['ImagingStudy'] }
+    }
+  },
+  [`${NRCES}/MedicationStatement`]: {
+    type: 'MedicationStatement',
+    constraints: {
+      subject: { min: 1, targets: ['Patient'] }
+    }
+  }
+};
+
+module.exports = {
+  PRIMITIVE_PATTERNS,
+  VALUE_SETS,
+  DATA_TYPES,
+  DATA_TYPE_INVARIANTS,
+  ELEMENT_BASE,
+  BACKBONE_BASE,
+  RESOURCES,
+  PROFILES
+};
@@ -0,0 +1,62 @@
+const HL7Parser = require('./hl7Parser');
+
+// Original-mode acknowledgements (HL7 table 0008)
+const ACK_CODES = {
+  ACCEPT: 'AA',
+  ERROR: 'AE',
+  REJECT: 'AR'
+};
+
+class HL7Ack {
+  // Builds an ACK for `message`. When the inbound message could not be parsed,
+  // pass null and a generic header is used so the sender still gets an answer.
+  static build(message, code = ACK_CODES.ACCEPT, text = '') {
+    const encoding = message?.encoding || { field: '|', component: '^', repetition: '~', escape: '\\', subcomponent: '&' };
+    const f = encoding.field;
+    const encodingCharacters = `${encoding.component}${encoding.repetition}${encoding.escape}${encoding.subcomponent}`;
+    const controlId = `ACK${Date.now()}`;
+    const version = message?.version || '2.5.1';
+    const trigger = message?.triggerEvent || '';
+
+    // Sender and receiver swap places in the response header
+    const msh = [
+      'MSH',
+      encodingCharacters,
+      message?.get('MSH', 5) || 'ONCO_POC',
+      message?.get('MSH', 6) || 'ENTHEORY',
+      message?.get('MSH', 3) || '',
+      message?.get('MSH', 4) || '',
+      HL7Parser.formatDateTime(),
+      '',
+      trigger ? `ACK${encoding.component}${trigger}${encoding.component}ACK` : 'ACK',
+      controlId,
+      message?.get('MSH', 11) || 'P',
+      version
+    ].join(f);
+
+    const msa = ['MSA', code, message?.controlId || '', HL7Ack.escape(text, encoding)].join(f);
+    const segments = [msh, msa];
+
+    if (code !== ACK_CODES.ACCEPT && text) {
+      const errorCode = code === ACK_CODES.REJECT ? '200' : '207';
+      segments.push(['ERR', '', '', errorCode, 'E', '', '', '', HL7Ack.escape(text, encoding)].join(f));
+    }
+
+    return segments.join('\r');
+  }
+
+  static escape(text, encoding) {
+    const e = encoding.escape;
+    return String(text || '')
+      .split(e).join(`${e}E${e}`)
+      .split(encoding.field).join(`${e}F${e}`)
+      .split(encoding.component).join(`${e}S${e}`)
+      .split(encoding.subcomponent).join(`${e}T${e}`)
+      .split(encoding.repetition).join(`${e}R${e}`)
+      .replace(/\r?\n/g, `${e}.br${e}`);
+  }
+}
+
+HL7Ack.CODES = ACK_CODES;
+
+module.exports = HL7Ack;
@@ -0,0 +1,169 @@
+const HL7Parser = require('./hl7Parser');
+
+// HL7 table 0078 abnormal flags -> the interpretation strings used by the LIS loaders
+const ABNORMAL_FLAGS = {
+  N: 'Normal',
+  L: 'Low',
+  LL: 'Critically Low',
+  H: 'High',
+  HH: 'Critically High',
+  A: 'Abnormal',
+  AA: 'Critically Abnormal'
+};
+
+const ADT_EVENTS = {
+  A01: { type: 'admission', label: 'Hospital admission' },
+  A03: { type: 'discharge', label: 'Hospital discharge' }
+};
+
+// Maps parsed HL7 v2 messages onto the internal Patient model
+class HL7Mapper {
+  static sourceSystem(message, fallback) {
+    const application = message.sendingApplication;
+    const facility = message.sendingFacility;
+    if (!application) return fallback;
+    return facility ? `${application}@${facility}` : application;
+  }
+
+  // PID-3 identifiers, e.g. "ABHA123^^^ABHA^PI~MRN42^^^AIIMS^MR"
+  static patientIdentifiers(message) {
+    const pid = message.getSegment('PID');
+    if (!pid) return [];
+
+    return HL7Parser.repetitions(pid, 3)
+      .filter(components => components[0])
+      .map(components => ({
+        value: components[0],
+        assigningAuthority: components[3] || '',
+        type: components[4] || ''
+      }));
+  }
+
+  static matchesPatient(message, abhaId) {
+    return this.patientIdentifiers(message).some(identifier => identifier.value === abhaId);
+  }
+
+  static toDemographics(message) {
+    const pid = message.getSegment('PID');
+    if (!pid) return {};
+
+    const genderCodes = { M: 'male', F: 'female', O: 'other', U: 'unknown' };
+    const birthDate = HL7Parser.parseDateTime(message.get(pid, 7));
+
+    return {
+      firstName: message.get(pid, 5, 2) || undefined,
+      lastName: message.get(pid, 5, 1) || undefined,
+      dateOfBirth: birthDate || undefined,
+      gender: genderCodes[message.get(pid, 8)] || undefined,
+      address: {
+        street: message.get(pid, 11, 1) || undefined,
+        city: message.get(pid, 11, 3) || undefined,
+        state: message.get(pid, 11, 4) || undefined,
+        pincode: message.get(pid, 11, 5) || undefined
+      },
+      contact: {
+        phone: message.get(pid, 13, 1) || undefined
+      }
+    };
+  }
+
+  // ORU^R01: every OBX under an OBR becomes one labResults entry
+  static toLabResults(message, fallbackSource = 'LIS') {
+    if (message.messageType !== 'ORU') {
+      return [];
+    }
+
+    const sourceSystem = this.sourceSystem(message, fallbackSource);
+    const results = [];
+    let currentOrder = null;
+
+    message.segments.forEach(segment => {
+      if (segment.name === 'OBR') {
+        currentOrder = {
+          fillerOrderNumber: message.get(segment, 3) || message.get(segment, 2),
+          observedAt: HL7Parser.parseDateTime(message.get(segment, 7))
+        };
+        return;
+      }
+
+      if (segment.name !== 'OBX') return;
+
+      const setId = message.get(segment, 1);
+      const code = message.get(segment, 3, 1);
+      const flag = message.get(segment, 8);
+      const observedAt = HL7Parser.parseDateTime(message.get(segment, 14)) || currentOrder?.observedAt || null;
+      const orderId = currentOrder?.fillerOrderNumber || message.controlId;
+
+      results.push({
+        testId: `${orderId}-${code || setId}`,
+        testName: message.get(segment, 3, 2) || code,
+        testCode: code || undefined,
+        testCodeSystem: message.get(segment, 3, 3) || undefined,
+        testDate: observedAt,
+        value: message.get(segment, 5),
+        unit: message.get(segment, 6, 1),
+        referenceRange: message.get(segment, 7),
+        interpretation: ABNORMAL_FLAGS[flag] || (flag ? flag : 'Normal'),
+        sourceSystem
+      });
+    });
+
+    return results;
+  }
+
+  // ADT^A01 / ADT^A03: one admission/discharge entry plus any DG1 diagnoses
+  static toMedicalHistory(message, fallbackSource = 'HIMS') {
+    const event = ADT_EVENTS[message.triggerEvent];
+    if (message.messageType !== 'ADT' || !event) {
+      return [];
+    }
+
+    const sourceSystem = this.sourceSystem(message, fallbackSource);
+    const pv1 = message.getSegment('PV1');
+    const eventDate = HL7Parser.parseDateTime(message.get('EVN', 2));
+    const date = event.type === 'admission'
+      ? HL7Parser.parseDateTime(message.get(pv1, 44)) || eventDate
+      : HL7Parser.parseDateTime(message.get(pv1, 45)) || eventDate;
+
+    const location = [message.get(pv1, 3, 1), message.get(pv1, 3, 2), message.get(pv1, 3, 3)]
+      .filter(Boolean)
+      .join(' / ');
+    const provider = [message.get(pv1, 7, 6), message.get(pv1, 7, 3), message.get(pv1, 7, 2)]
+      .filter(Boolean)
+      .join(' ');
+
+    const history = [{
+      date,
+      type: event.type,
+      description: location ? `${event.label} (${location})` : event.label,
+      provider: provider || undefined,
+      sourceSystem
+    }];
+
+    message.getSegments('DG1').forEach(dg1 => {
+      const description = message.get(dg1, 4) || message.get(dg1, 3, 2) || message.get(dg1, 3, 1);
+      if (!description) return;
+
+      history.push({
+        date: HL7Parser.parseDateTime(message.get(dg1, 5)) || date,
+        type: 'diagnosis',
+        description,
+        provider: provider || undefined,
+        sourceSystem
+      });
+    });
+
+    return history;
+  }
+
+  // Convenience for adapters: everything a single message contributes to a patient
+  static toPatientData(message, fallbackSource) {
+    return {
+      demographics: this.toDemographics(message),
+      labResults: this.toLabResults(message, fallbackSource),
+      medicalHistory: this.toMedicalHistory(message, fallbackSource)
+    };
+  }
+}
+
+module.exports = HL7Mapper;
@@ -0,0 +1,198 @@
+// Parser for pipe-delimited HL7 v2.x messages (v2.3 - v2.8). Field numbers in
+// get() follow the HL7 convention: MSH-1 is the field separator itself.
+
+const DEFAULT_ENCODING = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+};
+
+class HL7Message {
+  constructor(segments, encoding, raw) {
+    this.segments = segments;
+    this.encoding = encoding;
+    this.raw = raw;
+  }
+
+  get header() {
+    return this.getSegment('MSH');
+  }
+
+  get messageType() {
+    return this.get('MSH', 9, 1);
+  }
+
+  get triggerEvent() {
+    return this.get('MSH', 9, 2);
+  }
+
+  get controlId() {
+    return this.get('MSH', 10);
+  }
+
+  get version() {
+    return this.get('MSH', 12);
+  }
+
+  get sendingApplication() {
+    return this.get('MSH', 3, 1);
+  }
+
+  get sendingFacility() {
+    return this.get('MSH', 4, 1);
+  }
+
+  getSegment(name) {
+    return this.segments.find(segment => segment.name === name) || null;
+  }
+
+  getSegments(name) {
+    return this.segments.filter(segment => segment.name === name);
+  }
+
+  // Value of SEG-field[.component[.subcomponent]] from the first repetition
+  get(segmentOrName, field, component, subcomponent) {
+    const segment = typeof segmentOrName === 'string' ? this.getSegment(segmentOrName) : segmentOrName;
+    if (!segment) return '';
+    return HL7Parser.value(segment, field, component, subcomponent);
+  }
+}
+
+class HL7Parser {
+  static parse(text) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('HL7 message must be a non-empty string');
+    }
+
+    const lines = text
+      .replace(/^\uFEFF/, '')
+      .split(/\r\n|\r|\n/)
+      .map(line => line.trimEnd())
+      .filter(line => line.length > 0);
+
+    if (lines.length === 0 || !lines[0].startsWith('MSH')) {
+      throw new Error('HL7 message must start with an MSH segment');
+    }
+
+    const encoding = this.readEncoding(lines[0]);
+    const segments = lines.map(line => this.parseSegment(line, encoding));
+
+    return new HL7Message(segments, encoding, lines.join('\r'));
+  }
+
+  // A file drop may hold several messages, optionally wrapped in FHS/BHS batch envelopes
+  static parseBatch(text) {
+    const messages = [];
+    let current = [];
+
+    (text || '').split(/\r\n|\r|\n/).forEach(line => {
+      if (/^(FHS|BHS|BTS|FTS)/.test(line)) return;
+      if (line.startsWith('MSH') && current.length > 0) {
+        messages.push(current.join('\r'));
+        current = [];
+      }
+      if (line.trim().length > 0) {
+        current.push(line);
+      }
+    });
+
+    if (current.length > 0) {
+      messages.push(current.join('\r'));
+    }
+
+    return messages.map(message => this.parse(message));
+  }
+
+  static readEncoding(mshLine) {
+    const field = mshLine.charAt(3) || DEFAULT_ENCODING.field;
+    const characters = mshLine.slice(4).split(field)[0];
+
+    return {
+      field,
+      component: characters.charAt(0) || DEFAULT_ENCODING.component,
+      repetition: characters.charAt(1) || DEFAULT_ENCODING.repetition,
+      escape: characters.charAt(2) || DEFAULT_ENCODING.escape,
+      subcomponent: characters.charAt(3) || DEFAULT_ENCODING.subcomponent
+    };
+  }
+
+  // Segment fields are stored as repetitions -> components -> subcomponents,
+  // indexed so that fields[n] is SEG-n.
+  static parseSegment(line, encoding) {
+    const name = line.slice(0, 3);
+    const rawFields = line.split(encoding.field);
+    const fields = [null];
+
+    if (name === 'MSH') {
+      fields.push([[[encoding.field]]]);
+      fields.push([[[rawFields[1]]]]);
+      rawFields.slice(2).forEach(raw => fields.push(this.parseField(raw, encoding)));
+    } else {
+      rawFields.slice(1).forEach(raw => fields.push(this.parseField(raw, encoding)));
+    }
+
+    return { name, fields };
+  }
+
+  static parseField(raw, encoding) {
+    return raw.split(encoding.repetition).map(repetition =>
+      repetition.split(encoding.component).map(component =>
+        component.split(encoding.subcomponent).map(sub => this.unescape(sub, encoding))
+      )
+    );
+  }
+
+  static unescape(value, encoding) {
+    if (!value.includes(encoding.escape)) return value;
+
+    const e = encoding.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return value.replace(new RegExp(`${e}([FSTRE]|\\.br)${e}`, 'g'), (match, code) => {
+      switch (code) {
+        case 'F': return encoding.field;
+        case 'S': return encoding.component;
+        case 'T': return encoding.subcomponent;
+        case 'R': return encoding.repetition;
+        case 'E': return encoding.escape;
+        case '.br': return '\n';
+        default: return match;
+      }
+    });
+  }
+
+  static value(segment, field, component = 1, subcomponent = 1) {
+    const repetition = segment.fields[field]?.[0];
+    return repetition?.[component - 1]?.[subcomponent - 1] || '';
+  }
+
+  // All repetitions of a field, each as an array of component strings
+  static repetitions(segment, field) {
+    return (segment.fields[field] || []).map(repetition =>
+      repetition.map(component => component[0] || '')
+    );
+  }
+
+  // HL7 TS/DTM: YYYY[MM[DD[HH[MM[SS[.S+]]]]]][+/-ZZZZ]
+  static parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.(\d+))?([+-]\d{4})?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', fraction = '0', offset] = match;
+    const millis = fraction.padEnd(3, '0').slice(0, 3);
+    const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${millis}${zone}`);
+
+    return isNaN(date) ? null : date;
+  }
+
+  static formatDateTime(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+0000`;
+  }
+}
+
+HL7Parser.HL7Message = HL7Message;
+
+module.exports = HL7Parser;
@@ -0,0 +1,53 @@
+// MLLP (Minimal Lower Layer Protocol) framing: <VT> message <FS><CR>
+const START_BLOCK = 0x0b;
+const END_BLOCK = 0x1c;
+const CARRIAGE_RETURN = 0x0d;
+
+function frame(message) {
+  return Buffer.concat([
+    Buffer.from([START_BLOCK]),
+    Buffer.from(message, 'utf8'),
+    Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+  ]);
+}
+
+// Accumulates socket chunks and returns every complete message received so far.
+// Bytes outside a start/end block pair are discarded, as the protocol requires.
+class MLLPDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const messages = [];
+
+    for (;;) {
+      const start = this.buffer.indexOf(START_BLOCK);
+      if (start === -1) {
+        this.buffer = Buffer.alloc(0);
+        break;
+      }
+
+      const end = this.buffer.indexOf(END_BLOCK, start + 1);
+      if (end === -1 || end + 1 >= this.buffer.length) {
+        this.buffer = this.buffer.subarray(start);
+        break;
+      }
+
+      messages.push(this.buffer.subarray(start + 1, end).toString('utf8'));
+      const next = this.buffer[end + 1] === CARRIAGE_RETURN ? end + 2 : end + 1;
+      this.buffer = this.buffer.subarray(next);
+    }
+
+    return messages;
+  }
+}
+
+module.exports = {
+  START_BLOCK,
+  END_BLOCK,
+  CARRIAGE_RETURN,
+  frame,
+  MLLPDecoder
+};
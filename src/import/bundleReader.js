@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const CSVParser = require('./csvParser');
+const XlsxReader = require('./xlsxReader');
+const SpreadsheetMapper = require('./spreadsheetMapper');
+const MappingEngine = require('../mapping/mappingEngine');
+const FHIRResourceMapper = require('../fhir/resourceMapper');
+const HL7Parser = require('../hl7/hl7Parser');
+const HL7Mapper = require('../hl7/hl7Mapper');
+const DicomParser = require('../dicom/dicomParser');
+const DicomImporter = require('../dicom/dicomImporter');
+
+const PROFILES_PATH = path.join(__dirname, 'profiles');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// FHIR resources a case file may hold, the patient fields they fill and the
+// kind of system they stand for
+const FHIR_RESOURCES = {
+  // The synthetic cases carry the diagnosis on the Patient as a plain cancerType object
+  Patient: { type: 'EMR', map: resource => ({
+    ...FHIRResourceMapper.fromFHIRPatient(resource),
+    ...(isPlainObject(resource.cancerType) ? { cancerType: resource.cancerType } : {})
+  }) },
+  Condition: { type: 'EMR', map: resource => ({ cancerType: FHIRResourceMapper.fromFHIRCondition(resource) }) },
+  Observation: { type: 'LIS', map: resource => ({ labResults: [FHIRResourceMapper.fromFHIRObservation(resource)] }) },
+  ImagingStudy: { type: 'PACS', map: resource => ({ imaging: [FHIRResourceMapper.fromFHIRImagingStudy(resource)] }) },
+  DiagnosticReport: { type: 'PATHOLOGY', map: resource => ({ pathologyReports: [FHIRResourceMapper.fromFHIRDiagnosticReport(resource)] }) },
+  MedicationStatement: { type: 'EMR', map: resource => ({ treatments: [FHIRResourceMapper.fromFHIRMedicationStatement(resource)] }) }
+};
+
+const SPREADSHEET_TYPES = { labs: 'LIS', treatments: 'EMR' };
+
+// A resource, an array of them or a Bundle
+const fhirResources = json => {
+  if (json?.resourceType === 'Bundle') return (json.entry || []).map(entry => entry?.resource).filter(Boolean);
+  const resources = Array.isArray(json) ? json : [json];
+  return resources.length > 0 && resources.every(resource => typeof resource?.resourceType === 'string') ? resources : null;
+};
+
+let profiles = null;
+
+// Reads a case folder: one patient's files of any kind the platform knows
+// (FHIR JSON, CSV or .xlsx lab panels and treatment logs, HL7 v2 messages,
+// DICOM images, and JSON exports described by a profile under profiles/),
+// each mapped onto the patient model. Files are recognised by their content,
+// not their names, so a new case needs no code.
+class BundleReader {
+  // JSON exports recognised by their fields and mapped with mapping rules
+  static profiles() {
+    if (!profiles) {
+      profiles = fs.readdirSync(PROFILES_PATH)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(PROFILES_PATH, file), 'utf8')));
+    }
+    return profiles;
+  }
+
+  // Files under the folder, relative to it; hidden files are left out
+  static listFiles(folder) {
+    const files = [];
+    const walk = relative => {
+      fs.readdirSync(path.join(folder, relative), { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const name = relative ? path.join(relative, entry.name) : entry.name;
+          if (entry.isDirectory()) walk(name);
+          else if (entry.isFile()) files.push(name);
+        });
+    };
+    walk('');
+    return files;
+  }
+
+  // What each file is, without mapping anything: [{ file, format, type, detail }]
+  static scan(folder) {
+    return this.listFiles(folder).map(file => {
+      const { content, ...kind } = this.detect(folder, file);
+      return { file, ...kind };
+    });
+  }
+
+  static detect(folder, file) {
+    try {
+      return this.recognise(fs.readFileSync(path.join(folder, file)), file);
+    } catch (error) {
+      return { format: 'unknown', detail: error.message };
+    }
+  }
+
+  static recognise(buffer, file) {
+    if (DicomParser.isDicom(buffer) || path.basename(file) === 'DICOMDIR') {
+      return { format: 'dicom', type: 'PACS' };
+    }
+    if (XlsxReader.isWorkbook(buffer)) {
+      return { format: 'spreadsheet', content: buffer };
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (/^MSH\|/.test(text.trimStart()) || /^(FHS|BHS)\|/.test(text.trimStart())) {
+      return { format: 'hl7', type: 'LIS', content: text };
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.json' || /^[[{]/.test(text.trimStart())) {
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        return { format: 'unknown', detail: `Unreadable JSON: ${error.message}` };
+      }
+      const resources = fhirResources(json);
+      if (resources) {
+        const unsupported = resources.filter(resource => !FHIR_RESOURCES[resource.resourceType]).map(resource => resource.resourceType);
+        return { format: 'fhir', type: FHIR_RESOURCES[resources[0]?.resourceType]?.type || 'EMR', content: resources, unsupported };
+      }
+      const profile = isPlainObject(json) && this.profiles().find(candidate => candidate.detect.some(field => json[field] !== undefined));
+      if (profile) {
+        return { format: 'profile', type: profile.type, profile: profile.name, content: json };
+      }
+      return { format: 'unknown', detail: 'JSON that is neither FHIR nor described by a profile' };
+    }
+    if (['.csv', '.tsv', '.txt'].includes(extension)) {
+      return { format: 'spreadsheet', content: text };
+    }
+    return { format: 'unknown', detail: `No reader for ${extension || 'files without an extension'}` };
+  }
+
+  // The patient a case describes: a FHIR Patient's ABHA or first identifier,
+  // then an HL7 PID-3 identifier (ABHA first), then the folder name
+  static patientId(caseId, detected) {
+    const patient = detected
+      .filter(entry => entry.format === 'fhir')
+      .flatMap(entry => entry.content)
+      .find(resource => resource.resourceType === 'Patient');
+    if (patient) return FHIRResourceMapper.abhaId(patient);
+
+    for (const entry of detected.filter(item => item.format === 'hl7')) {
+      let identifiers = [];
+      try {
+        identifiers = HL7Parser.parseBatch(entry.content).flatMap(message => HL7Mapper.patientIdentifiers(message))
+          .sort((a, b) => (b.assigningAuthority === 'ABHA') - (a.assigningAuthority === 'ABHA'));
+      } catch (error) {
+        // Reported when the file itself is read
+      }
+      if (identifiers[0]) return identifiers[0].value;
+    }
+    return `SYNTHETIC-${caseId.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  }
+
+  // { caseId, abhaId, files, records }: a report line per file and the
+  // patient data each file contributed, as { file, type, data }
+  static read(folder, caseId = path.basename(folder)) {
+    const detected = this.listFiles(folder).map(file => ({ file, ...this.detect(folder, file) }));
+    const abhaId = this.patientId(caseId, detected);
+
+    const files = [];
+    const records = [];
+    detected.forEach(entry => {
+      const report = { file: entry.file, format: entry.format, status: 'imported', entries: 0, errors: [], warnings: [] };
+      files.push(report);
+      if (entry.format === 'dicom') return;
+      if (entry.format === 'unknown') {
+        Object.assign(report, { status: 'skipped', errors: [{ message: entry.detail }] });
+        return;
+      }
+      try {
+        const { type, data, entries } = this[entry.format](entry, { abhaId, report });
+        report.type = type;
+        report.entries = entries;
+        if (entries === 0) report.status = report.errors.length > 0 ? 'failed' : 'skipped';
+        else records.push({ file: entry.file, type, data: { ...data, abhaId } });
+      } catch (error) {
+        Object.assign(report, { status: 'failed', errors: [...report.errors, { message: error.message }] });
+      }
+    });
+
+    // DICOM studies are assembled across files, so the folder is read as a whole
+    const dicomFiles = files.filter(report => report.format === 'dicom');
+    if (dicomFiles.length > 0) {
+      const studies = DicomImporter.readStudies(folder);
+      dicomFiles.forEach(report => Object.assign(report, { type: 'PACS', entries: 0 }));
+      if (studies.length > 0) {
+        dicomFiles[0].entries = studies.length;
+        records.push({ file: dicomFiles[0].file, type: 'PACS', data: { abhaId, imaging: studies.map(study => study.imaging) } });
+      }
+    }
+
+    return { caseId, abhaId, files, records };
+  }
+
+  static fhir(entry, { report }) {
+    const data = {};
+    let entries = 0;
+    entry.content.forEach((resource, index) => {
+      const reader = FHIR_RESOURCES[resource.resourceType];
+      if (!reader) {
+        report.warnings.push({ entry: index, message: `${resource.resourceType} resources are not imported` });
+        return;
+      }
+      MappingEngine.merge(data, reader.map(resource));
+      entries++;
+    });
+    return { type: entry.type, data, entries };
+  }
+
+  static profile(entry, { report }) {
+    const profile = this.profiles().find(candidate => candidate.name === entry.profile);
+    const { data, errors } = MappingEngine.apply(entry.content, profile.mappingRules);
+    errors.forEach(error => report.warnings.push({ field: error.targetField, message: error.message }));
+    return { type: profile.type, data, entries: 1 };
+  }
+
+  static hl7(entry) {
+    const data = {};
+    const messages = HL7Parser.parseBatch(entry.content);
+    messages.forEach(message => MappingEngine.merge(data, HL7Mapper.toPatientData(message, 'LIS')));
+    return { type: entry.type, data, entries: messages.length };
+  }
+
+  // Rows are checked as an upload would be; rows with errors are left out
+  static spreadsheet(entry, { abhaId, report }) {
+    const rows = Buffer.isBuffer(entry.content)
+      ? XlsxReader.read(entry.content)[0]?.rows || []
+      : CSVParser.parse(entry.content);
+    const table = SpreadsheetMapper.table(rows);
+    const mapping = SpreadsheetMapper.propose(table, { abhaId });
+    const rules = SpreadsheetMapper.rules(mapping);
+
+    const data = {};
+    let entries = 0;
+    table.records.forEach(record => {
+      const result = SpreadsheetMapper.check(record, rules, { ...mapping, headers: table.headers });
+      report.warnings.push(...result.warnings);
+      if (result.errors.length > 0) {
+        report.errors.push(...result.errors);
+        return;
+      }
+      const { abhaId: rowPatient, demographics, ...rest } = result.data;
+      if (rowPatient && rowPatient !== abhaId) {
+        report.errors.push({ row: record.row, column: null, field: 'abhaId', message: `Row is about ${rowPatient}, not this case's patient ${abhaId}` });
+        return;
+      }
+      MappingEngine.merge(data, rest);
+      entries++;
+    });
+    return { type: SPREADSHEET_TYPES[mapping.kind], data, entries };
+  }
+}
+
+module.exports = BundleReader;
@@ -0,0 +1,58 @@
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// RFC 4180 CSV: quoted fields may hold delimiters, line breaks and doubled
+// quotes. The delimiter is whichever of , ; tab | splits the first line most.
+class CSVParser {
+  static sniffDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = DELIMITERS.map(delimiter => ({
+      delimiter,
+      count: firstLine.replace(/"[^"]*"/g, '').split(delimiter).length - 1
+    }));
+    return counts.sort((a, b) => b.count - a.count)[0].count > 0 ? counts[0].delimiter : ',';
+  }
+
+  // Rows as arrays of strings; blank lines are dropped
+  static parse(input, { delimiter } = {}) {
+    const text = String(input).replace(/^\uFEFF/, '');
+    const separator = delimiter || this.sniffDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[index + 1] === '\n') index++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+}
+
+module.exports = CSVParser;
@@ -0,0 +1,396 @@
+const MappingEngine = require('../mapping/mappingEngine');
+const TerminologyService = require('../terminology/terminologyService');
+const { ValidationError } = require('../utils/errors');
+
+// Header spellings seen in hospital exports, compared lowercased with
+// everything but letters and digits removed
+const PATIENT_COLUMNS = {
+  abhaId: ['abhaid', 'abha', 'abhanumber', 'abhano', 'healthid', 'patientid', 'mrn', 'uhid', 'caseid', 'patientno', 'regno', 'registrationno', 'hospitalno'],
+  name: ['patientname', 'name', 'fullname'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+  gender: ['gender', 'sex']
+};
+
+const KINDS = {
+  labs: {
+    list: 'labResults',
+    sourceSystem: 'LIS',
+    columns: {
+      testId: ['testid', 'labid', 'resultid', 'accessionno', 'accessionnumber', 'accession', 'sampleid', 'labno'],
+      testName: ['testname', 'test', 'investigation', 'parameter', 'analyte', 'testdescription', 'labtest'],
+      testCode: ['testcode', 'loinccode', 'loinc', 'code'],
+      testDate: ['testdate', 'collectiondate', 'collectedon', 'resultdate', 'reportdate', 'sampledate', 'reportedon', 'date'],
+      value: ['value', 'result', 'resultvalue', 'observedvalue', 'reading', 'observation'],
+      unit: ['unit', 'units', 'uom'],
+      referenceRange: ['referencerange', 'refrange', 'normalrange', 'biologicalreferenceinterval', 'referenceinterval', 'normalvalues', 'range', 'reference'],
+      interpretation: ['interpretation', 'abnormalflag', 'flag', 'remarks', 'comment']
+    },
+    // Enough to tell a lab sheet from a treatment log
+    required: [['testName', 'testCode'], ['value']],
+    dates: ['testDate']
+  },
+  treatments: {
+    list: 'treatments',
+    sourceSystem: 'EMR',
+    columns: {
+      treatmentId: ['treatmentid', 'txid', 'regimenid', 'cycleid', 'orderid'],
+      type: ['treatmenttype', 'therapytype', 'modality', 'type', 'therapy'],
+      regimen: ['regimen', 'protocol', 'drugs', 'drug', 'medications', 'medication', 'chemotherapy', 'treatment'],
+      startDate: ['startdate', 'datestarted', 'fromdate', 'administeredon', 'cycledate', 'start', 'date'],
+      endDate: ['enddate', 'stopdate', 'todate', 'completedon', 'end'],
+      response: ['response', 'responseassessment', 'recist', 'outcome', 'status'],
+      adverseEvents: ['adverseevents', 'sideeffects', 'toxicities', 'toxicity', 'aes', 'ae']
+    },
+    required: [['regimen', 'type']],
+    dates: ['startDate', 'endDate']
+  }
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Mapping rules read record fields by path, so headers lose the characters paths use
+const fieldName = header => String(header).replace(/[.[\]{}]/g, '').replace(/\s+/g, ' ').trim();
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+// "×10⁹/L", "x10^9/l" and "10^9/L" are one unit
+function canonicalUnit(unit) {
+  return String(unit).trim().toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/^[x×*]/, '')
+    .replace(/10([⁰¹²³⁴⁵⁶⁷⁸⁹]+)/g, (match, digits) => `10^${digits.split('').map(digit => SUPERSCRIPTS[digit]).join('')}`)
+    .replace(/mcg/g, 'ug')
+    .replace(/cumm|mm3/g, 'ul');
+}
+
+// "12-16 g/dL", "3.5 to 5.0", "<1.5 ng/mL", ">= 60"
+function parseRange(text) {
+  const value = String(text).trim();
+  const bound = value.match(/^(<=?|>=?|≤|≥)\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+  if (bound) {
+    const below = bound[1].startsWith('<') || bound[1] === '≤';
+    return { low: below ? null : Number(bound[2]), high: below ? Number(bound[2]) : null, unit: bound[3] || null };
+  }
+  const between = value.match(/^(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)\s*(.*)$/i);
+  if (between) {
+    return { low: Number(between[1]), high: Number(between[2]), unit: between[3] || null };
+  }
+  return null;
+}
+
+const numeric = value => (/^\s*-?\d+(\.\d+)?\s*$/.test(String(value)) ? Number(value) : null);
+
+// Turns uploaded spreadsheets (rows of cells) into mapping rules for the lab
+// results or treatments they hold, guessing which column is which from the
+// headers, and checks each mapped row before anything is written. Lab panels
+// come either one result per row ("long") or one test per column ("wide").
+class SpreadsheetMapper {
+  // Header row (the first with two or more cells) and the records under it,
+  // keyed by field name, with their 1-based spreadsheet row numbers
+  static table(rows) {
+    const headerIndex = rows.findIndex(row => (row || []).filter(cell => !isBlank(cell) && String(cell).trim() !== '').length >= 2);
+    if (headerIndex < 0) {
+      throw new ValidationError('The sheet has no header row');
+    }
+
+    const seen = new Map();
+    const headers = rows[headerIndex].map((header, index) => {
+      if (isBlank(header) || String(header).trim() === '') return null;
+      const base = fieldName(header);
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return { index, header: String(header).trim(), field: count > 1 ? `${base} ${count}` : base };
+    }).filter(Boolean);
+
+    const records = rows.slice(headerIndex + 1)
+      .map((row, offset) => ({ row: headerIndex + offset + 2, cells: row || [] }))
+      .filter(({ cells }) => cells.some(cell => !isBlank(cell) && String(cell).trim() !== ''))
+      .map(({ row, cells }) => ({
+        row,
+        values: Object.fromEntries(headers.map(({ index, field }) => [field, isBlank(cells[index]) ? '' : cells[index]]))
+      }));
+    return { headers, records };
+  }
+
+  // Columns claimed by each target field: exact spellings first, then headers
+  // containing one ("Result (g/dL)"); a column serves one field at most
+  static matchColumns(headers, synonyms) {
+    const columns = {};
+    const used = new Set();
+    const normalized = headers.map(header => ({ ...header, key: normalizeHeader(header.header) }));
+    [(key, synonym) => key === synonym, (key, synonym) => synonym.length >= 4 && key.includes(synonym)].forEach(matches => {
+      Object.entries(synonyms).forEach(([target, spellings]) => {
+        if (columns[target]) return;
+        const found = spellings.map(synonym => normalized.find(header => !used.has(header.field) && matches(header.key, synonym))).find(Boolean);
+        if (found) {
+          columns[target] = found.field;
+          used.add(found.field);
+        }
+      });
+    });
+    return columns;
+  }
+
+  // Columns named after known lab tests, for panels laid out one test per column
+  static testColumns(headers, exclude) {
+    const terminology = TerminologyService.shared();
+    return headers
+      .filter(header => !exclude.has(header.field))
+      .map(header => {
+        const [, name, unit] = header.header.match(/^(.*?)\s*(?:\(([^)]*)\)|\[([^\]]*)\])?\s*$/) || [];
+        const lab = terminology.resolveLab({ name: (name || header.header).trim() });
+        return lab && { column: header.field, testName: lab.commonName || name, unit: unit || lab.unit || '' };
+      })
+      .filter(Boolean);
+  }
+
+  // Proposed mapping: { kind, layout, columns: { target: field }, tests, dateFormats }
+  static propose({ headers, records }, { kind, abhaId } = {}) {
+    if (kind && !KINDS[kind]) {
+      throw new ValidationError(`kind must be one of: ${Object.keys(KINDS).join(', ')}`);
+    }
+    const candidates = (kind ? [kind] : Object.keys(KINDS)).map(name => {
+      const columns = this.matchColumns(headers, { ...PATIENT_COLUMNS, ...KINDS[name].columns });
+      const complete = KINDS[name].required.every(options => options.some(target => columns[target]));
+      let tests = [];
+      if (name === 'labs' && !columns.value) {
+        tests = this.testColumns(headers, new Set(Object.values(columns)));
+      }
+      const score = Object.keys(KINDS[name].columns).filter(target => columns[target]).length + tests.length;
+      return { kind: name, columns, tests, layout: tests.length > 0 ? 'wide' : 'long', complete: complete || tests.length > 0, score };
+    });
+    const best = candidates
+      .filter(candidate => candidate.complete)
+      .sort((a, b) => b.score - a.score)[0];
+    if (!best) {
+      throw new ValidationError(kind
+        ? `Could not find the columns ${kind} need; send the mapping explicitly`
+        : 'Could not tell whether the sheet holds lab results or treatments; send kind and the mapping explicitly', {
+        headers: headers.map(header => header.header)
+      });
+    }
+    if (best.layout === 'wide') {
+      delete best.columns.testName;
+      delete best.columns.testCode;
+    }
+    const mapping = { kind: best.kind, layout: best.layout, columns: best.columns, tests: best.tests, abhaId: abhaId || null };
+    return { ...mapping, dateFormats: this.dateFormats(mapping, records) };
+  }
+
+  // Layout of each date column, from its values: ISO dates parse as they are,
+  // "03/11/2024" is day first unless a value only works month first
+  static dateFormats(mapping, records) {
+    const dateColumns = [...KINDS[mapping.kind].dates, 'dateOfBirth'].map(target => mapping.columns[target]).filter(Boolean);
+    return Object.fromEntries(dateColumns.map(column => {
+      const values = records.map(record => String(record.values[column] ?? '').trim()).filter(value => value !== '');
+      const parts = values.map(value => value.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/));
+      if (values.length === 0 || parts.some(match => !match)) return [column, null];
+      const separator = parts[0][2];
+      const year = parts[0][4].length === 4 ? 'YYYY' : 'YY';
+      const monthFirst = parts.some(match => Number(match[3]) > 12) && parts.every(match => Number(match[1]) <= 12);
+      return [column, monthFirst ? `MM${separator}DD${separator}${year}` : `DD${separator}MM${separator}${year}`];
+    }));
+  }
+
+  // Mapping rules for a mapping, the same rules data sources declare
+  static rules(mapping, { sourceSystem } = {}) {
+    const kind = KINDS[mapping.kind];
+    if (!kind) {
+      throw new ValidationError(`kind must be one of: ${Object.keys(KINDS).join(', ')}`);
+    }
+    const { columns = {}, tests = [], dateFormats = {} } = mapping;
+    const system = sourceSystem || kind.sourceSystem;
+    const rule = (sourceField, targetField, transformation = '') => ({ sourceField, targetField, transformation });
+    const date = column => (dateFormats[column] ? `date("${dateFormats[column]}")` : 'date');
+    const rules = [];
+
+    // A sheet exported for one patient may have no patient column at all
+    if (columns.abhaId) {
+      rules.push(rule(columns.abhaId, 'abhaId', 'string | trim'));
+    } else if (mapping.abhaId) {
+      rules.push(rule('', 'abhaId', `constant(${JSON.stringify(mapping.abhaId)})`));
+    }
+    if (columns.name) {
+      rules.push(rule(columns.name, 'demographics.firstName', 'split(" ") | first'));
+      rules.push(rule(columns.name, 'demographics.lastName', 'split(" ") | slice(1) | join(" ")'));
+    }
+    if (columns.firstName) rules.push(rule(columns.firstName, 'demographics.firstName', 'trim'));
+    if (columns.lastName) rules.push(rule(columns.lastName, 'demographics.lastName', 'trim'));
+    if (columns.dateOfBirth) rules.push(rule(columns.dateOfBirth, 'demographics.dateOfBirth', date(columns.dateOfBirth)));
+    if (columns.gender) rules.push(rule(columns.gender, 'demographics.gender', 'lookup("gender")'));
+
+    const patientRef = columns.abhaId ? `{${columns.abhaId}}` : mapping.abhaId || '{$row}';
+    if (mapping.kind === 'labs' && mapping.layout === 'wide') {
+      const dateRef = columns.testDate ? `-{${columns.testDate}}` : '';
+      tests.forEach((test, index) => {
+        const target = field => `labResults[${index}].${field}`;
+        rules.push(rule(test.column, target('value'), 'string | trim'));
+        rules.push(rule('', target('testId'), `template("${system}-${patientRef}-${test.testName}${dateRef}")`));
+        rules.push(rule('', target('testName'), `constant(${JSON.stringify(test.testName)})`));
+        if (test.unit) rules.push(rule('', target('unit'), `constant(${JSON.stringify(test.unit)})`));
+        if (columns.testDate) rules.push(rule(columns.testDate, target('testDate'), date(columns.testDate)));
+        rules.push(rule('', target('sourceSystem'), `constant("${system}")`));
+      });
+      return rules;
+    }
+
+    const target = field => `${kind.list}[].${field}`;
+    if (mapping.kind === 'labs') {
+      const testRef = `{${columns.testName || columns.testCode}}`;
+      const dateRef = columns.testDate ? `-{${columns.testDate}}` : '';
+      rules.push(columns.testId
+        ? rule(columns.testId, target('testId'), 'string | trim')
+        : rule('', target('testId'), `template("${system}-${patientRef}-${testRef}${dateRef}")`));
+      if (columns.testName) rules.push(rule(columns.testName, target('testName'), 'trim'));
+      if (columns.testCode) rules.push(rule(columns.testCode, target('testCode'), 'string | trim'));
+      if (columns.testDate) rules.push(rule(columns.testDate, target('testDate'), date(columns.testDate)));
+      if (columns.value) rules.push(rule(columns.value, target('value'), 'string | trim'));
+      rules.push(columns.unit
+        ? rule(columns.unit, target('unit'), 'trim')
+        : rule(columns.testName || columns.testCode, target('unit'), 'labUnit'));
+      if (columns.referenceRange) rules.push(rule(columns.referenceRange, target('referenceRange'), 'string | trim'));
+      if (columns.interpretation) rules.push(rule(columns.interpretation, target('interpretation'), 'trim'));
+    } else {
+      const regimenRef = `{${columns.regimen || columns.type}}`;
+      const dateRef = columns.startDate ? `-{${columns.startDate}}` : '';
+      rules.push(columns.treatmentId
+        ? rule(columns.treatmentId, target('treatmentId'), 'string | trim')
+        : rule('', target('treatmentId'), `template("TX-${patientRef}-${regimenRef}${dateRef}")`));
+      if (columns.type) rules.push(rule(columns.type, target('type'), 'trim | lowercase'));
+      if (columns.regimen) rules.push(rule(columns.regimen, target('regimen'), 'trim'));
+      if (columns.startDate) rules.push(rule(columns.startDate, target('startDate'), date(columns.startDate)));
+      if (columns.endDate) rules.push(rule(columns.endDate, target('endDate'), date(columns.endDate)));
+      if (columns.response) rules.push(rule(columns.response, target('response'), 'trim'));
+      if (columns.adverseEvents) rules.push(rule(columns.adverseEvents, target('adverseEvents'), 'replace(";", ",") | split(",")'));
+    }
+    rules.push(rule('', target('sourceSystem'), `constant("${system}")`));
+    return rules;
+  }
+
+  // Maps one record and checks it: { data, errors, warnings }, each problem
+  // naming the spreadsheet row, column and target field. Rows with errors are
+  // not imported; warnings are reported and the row goes in.
+  static check(record, rules, { kind, layout, lookupTables = {}, headers = [] }) {
+    const columnOf = field => headers.find(header => header.field === field)?.header || field || null;
+    const errors = [];
+    const warnings = [];
+    const problem = (list, field, message, column = null) => list.push({ row: record.row, column: columnOf(column), field, message });
+
+    const { data, errors: ruleErrors } = MappingEngine.apply({ ...record.values, $row: record.row }, rules, { lookupTables });
+    ruleErrors.forEach(error => problem(errors, error.targetField, error.message, error.sourceField));
+
+    const sourceOf = targetField => rules.find(rule => rule.targetField === targetField && rule.sourceField)?.sourceField;
+    const listName = KINDS[kind]?.list || (data.treatments ? 'treatments' : 'labResults');
+    const entries = (data[listName] || []).filter(Boolean);
+
+    if (isBlank(data.abhaId) && isBlank(data.demographics?.firstName) && isBlank(data.demographics?.lastName)) {
+      problem(errors, 'abhaId', 'No patient ID or name', sourceOf('abhaId'));
+    }
+
+    // A blank cell in a one-test-per-column panel means the test was not done
+    const kept = layout === 'wide' ? entries.filter(entry => !isBlank(entry.value)) : entries;
+    if (kept.length === 0) {
+      problem(errors, listName, layout === 'wide' ? 'No test results in this row' : `No ${kind === 'treatments' ? 'treatment' : 'lab result'} in this row`);
+    }
+
+    const checkDate = (entry, field, { required }) => {
+      const column = sourceOf(`${listName}[].${field}`) || rules.find(rule => /\[\d+\]\./.test(rule.targetField) && rule.targetField.endsWith(`.${field}`) && rule.sourceField)?.sourceField;
+      const raw = column ? record.values[column] : undefined;
+      if (!isBlank(raw) && isBlank(entry[field])) {
+        problem(errors, `${listName}.${field}`, `Unrecognised date "${raw}"`, column);
+      } else if (isBlank(entry[field]) && required) {
+        problem(errors, `${listName}.${field}`, 'Date is missing', column);
+      } else if (!isBlank(entry[field]) && new Date(entry[field]) > new Date(Date.now() + 86400000)) {
+        problem(warnings, `${listName}.${field}`, 'Date is in the future', column);
+      }
+    };
+
+    kept.forEach(entry => {
+      if (listName === 'labResults') {
+        this.checkLab(entry, { record, rules, problem, errors, warnings, sourceOf, layout });
+        checkDate(entry, 'testDate', { required: true });
+      } else {
+        if (isBlank(entry.regimen) && isBlank(entry.type)) {
+          problem(errors, 'treatments.regimen', 'Regimen or treatment type is missing', sourceOf('treatments[].regimen'));
+        }
+        checkDate(entry, 'startDate', { required: false });
+        checkDate(entry, 'endDate', { required: false });
+        if (entry.startDate && entry.endDate && new Date(entry.endDate) < new Date(entry.startDate)) {
+          problem(errors, 'treatments.endDate', 'End date is before the start date', sourceOf('treatments[].endDate'));
+        }
+      }
+    });
+
+    if (data[listName]) data[listName] = kept;
+    return { data, errors, warnings };
+  }
+
+  // Units against the test's usual unit, the result against its reference
+  // range; a missing interpretation is derived from the range
+  static checkLab(entry, { problem, errors, warnings, sourceOf, layout }) {
+    const column = field => (layout === 'wide' ? null : sourceOf(`labResults[].${field}`));
+    if (isBlank(entry.testName) && isBlank(entry.testCode)) {
+      problem(errors, 'labResults.testName', 'Test name is missing', column('testName'));
+    }
+    if (isBlank(entry.value)) {
+      problem(errors, 'labResults.value', 'Result value is missing', column('value'));
+      return;
+    }
+
+    // "88 umol/L" in the result column: the number is the value, the rest its unit
+    const embedded = String(entry.value).match(/^(-?\d+(?:\.\d+)?)\s*([a-zA-Zµμ%×][^\s]*)$/);
+    if (embedded) {
+      if (!isBlank(entry.unit) && layout !== 'wide' && canonicalUnit(entry.unit) !== canonicalUnit(embedded[2])) {
+        problem(errors, 'labResults.value', `Result "${entry.value}" carries a unit other than ${entry.unit}`, column('value'));
+        return;
+      }
+      entry.value = embedded[1];
+      entry.unit = embedded[2];
+    }
+
+    const label = entry.testName || entry.testCode;
+    const expected = TerminologyService.shared().resolveLab({ code: entry.testCode, name: entry.testName })?.unit;
+    if (isBlank(entry.unit)) {
+      if (expected) {
+        entry.unit = expected;
+        problem(warnings, 'labResults.unit', `No unit given; ${expected} assumed for ${label}`, column('unit'));
+      }
+    } else if (expected && canonicalUnit(entry.unit) !== canonicalUnit(expected)) {
+      const [from, to] = [MappingEngine.parseUnit(canonicalUnit(entry.unit)), MappingEngine.parseUnit(canonicalUnit(expected))];
+      if (from && to && from.dimension !== to.dimension) {
+        problem(errors, 'labResults.unit', `${entry.unit} is not a unit for ${label} (expected ${expected})`, column('unit'));
+      } else {
+        problem(warnings, 'labResults.unit', `${entry.unit} differs from the usual ${expected} for ${label}; the value is kept as reported`, column('unit'));
+      }
+    }
+
+    if (isBlank(entry.referenceRange)) return;
+    const range = parseRange(entry.referenceRange);
+    if (!range) {
+      problem(warnings, 'labResults.referenceRange', `Unrecognised reference range "${entry.referenceRange}"`, column('referenceRange'));
+      return;
+    }
+    if (range.low !== null && range.high !== null && range.low > range.high) {
+      problem(errors, 'labResults.referenceRange', `Reference range ${entry.referenceRange} has its low bound above the high one`, column('referenceRange'));
+      return;
+    }
+    if (range.unit && entry.unit && canonicalUnit(range.unit) !== canonicalUnit(entry.unit)) {
+      problem(warnings, 'labResults.referenceRange', `Reference range unit ${range.unit} differs from the result unit ${entry.unit}`, column('referenceRange'));
+    }
+    const value = numeric(entry.value);
+    if (value === null) {
+      problem(warnings, 'labResults.value', `Result "${entry.value}" is not numeric and was not checked against the reference range`, column('value'));
+    } else if (isBlank(entry.interpretation)) {
+      entry.interpretation = range.low !== null && value < range.low ? 'Low' : range.high !== null && value > range.high ? 'High' : 'Normal';
+    }
+  }
+}
+
+SpreadsheetMapper.KINDS = Object.keys(KINDS);
+SpreadsheetMapper.parseRange = parseRange;
+SpreadsheetMapper.canonicalUnit = canonicalUnit;
+
+module.exports = SpreadsheetMapper;
@@ -0,0 +1,186 @@
+const zlib = require('zlib');
+const { ValidationError } = require('../utils/errors');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Built-in number formats that display dates (ECMA-376 18.8.30)
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// Days from the 1900 date system's epoch to 1970-01-01, counting Excel's phantom 29 Feb 1900
+const EPOCH_1900 = 25569;
+const EPOCH_1904 = 24107;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return ENTITIES[name] ?? entity;
+  });
+}
+
+function attributes(text) {
+  const result = {};
+  for (const [, name, value] of text.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    result[name] = decodeXml(value);
+  }
+  return result;
+}
+
+// Text of an <si> or <is> element; phonetic guides are not part of the value
+function textOf(xml) {
+  return Array.from(xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g))
+    .map(([, text]) => decodeXml(text))
+    .join('');
+}
+
+// "AB12" -> 27
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function isDateFormat(formatCode) {
+  const code = formatCode.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+  return /[dmyhs]/i.test(code) && !/^general$/i.test(code);
+}
+
+// Reads the cell values of Office Open XML workbooks (.xlsx): a ZIP archive
+// of XML parts. Only what a data export needs is supported: shared and inline
+// strings, numbers, booleans and date-formatted numbers, which come back as
+// ISO date strings.
+class XlsxReader {
+  static isWorkbook(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+  }
+
+  // Archive members by name
+  static unzip(buffer) {
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+      if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    if (end < 0) {
+      throw new ValidationError('Not an .xlsx workbook: the ZIP directory is missing');
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let index = 0; index < count; index++) {
+      if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new ValidationError('Not an .xlsx workbook: the ZIP directory is corrupt');
+      }
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localHeader = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      entries.set(name, { method, data });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return {
+      has: name => entries.has(name),
+      read: name => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (entry.method === 0) return entry.data.toString('utf8');
+        if (entry.method === 8) return zlib.inflateRawSync(entry.data).toString('utf8');
+        throw new ValidationError(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+      }
+    };
+  }
+
+  // Worksheets in workbook order as { name, rows }, rows being arrays of cell
+  // values (null for empty cells)
+  static read(buffer) {
+    const archive = this.unzip(buffer);
+    const workbook = archive.read('xl/workbook.xml');
+    if (!workbook) {
+      throw new ValidationError('Not an .xlsx workbook: xl/workbook.xml is missing');
+    }
+
+    const relationships = new Map(Array.from((archive.read('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b([^>]*)\/?>/g))
+      .map(([, attrs]) => attributes(attrs))
+      .map(rel => [rel.Id, rel.Target.startsWith('/') ? rel.Target.slice(1) : `xl/${rel.Target}`]));
+    const sharedStrings = Array.from((archive.read('xl/sharedStrings.xml') || '').matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g))
+      .map(([, xml]) => textOf(xml));
+    const dateStyles = this.dateStyles(archive.read('xl/styles.xml') || '');
+    const epoch = /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbook) ? EPOCH_1904 : EPOCH_1900;
+
+    return Array.from(workbook.matchAll(/<sheet\b([^>]*)\/?>/g)).map(([, attrs]) => {
+      const sheet = attributes(attrs);
+      const xml = archive.read(relationships.get(sheet['r:id'])) || '';
+      return { name: sheet.name, rows: this.readRows(xml, { sharedStrings, dateStyles, epoch }) };
+    });
+  }
+
+  // Indexes of the cell formats (the `s` attribute of a cell) that display dates
+  static dateStyles(styles) {
+    const custom = new Map(Array.from(styles.matchAll(/<numFmt\b([^>]*)\/?>/g))
+      .map(([, attrs]) => attributes(attrs))
+      .map(format => [Number(format.numFmtId), format.formatCode]));
+    const cellFormats = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+    const dates = new Set();
+    Array.from(cellFormats.matchAll(/<xf\b([^>]*?)\/?>/g)).forEach(([, attrs], index) => {
+      const id = Number(attributes(attrs).numFmtId || 0);
+      if (DATE_FORMAT_IDS.has(id) || (custom.has(id) && isDateFormat(custom.get(id)))) {
+        dates.add(index);
+      }
+    });
+    return dates;
+  }
+
+  static readRows(xml, { sharedStrings, dateStyles, epoch }) {
+    const rows = [];
+    for (const [, rowAttrs, content] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const rowIndex = Number(attributes(rowAttrs).r || rows.length + 1) - 1;
+      const row = [];
+      for (const [, cellAttrs, cellContent = ''] of (content || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const cell = attributes(cellAttrs);
+        const column = cell.r ? columnIndex(cell.r) : row.length;
+        row[column] = this.cellValue(cell, cellContent, { sharedStrings, dateStyles, epoch });
+      }
+      rows[rowIndex] = Array.from(row, value => (value === undefined ? null : value));
+    }
+    return Array.from(rows, row => row || []);
+  }
+
+  static cellValue(cell, content, { sharedStrings, dateStyles, epoch }) {
+    const raw = content.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+    switch (cell.t) {
+      case 's':
+        return raw === undefined ? null : sharedStrings[Number(raw)] ?? null;
+      case 'inlineStr':
+        return textOf(content);
+      case 'str':
+        return raw === undefined ? null : decodeXml(raw);
+      case 'b':
+        return raw === '1';
+      case 'e':
+        return null;
+      default: {
+        if (raw === undefined) return null;
+        const number = Number(raw);
+        if (!dateStyles.has(Number(cell.s || 0))) return number;
+        const iso = new Date(Math.round((number - epoch) * 86400000)).toISOString();
+        return Number.isInteger(number) ? iso.slice(0, 10) : iso;
+      }
+    }
+  }
+}
+
+module.exports = XlsxReader;
@@ -0,0 +1,135 @@
+const PerplexityProvider = require('./perplexityProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+const { AppError } = require('../utils/errors');
+
+// Features that call a model. `phi` marks prompts that carry patient details,
+// which LLM_PHI_PROVIDERS can keep on providers inside the hospital network.
+const FEATURES = {
+  report: { env: 'REPORT', phi: true },
+  search: { env: 'SEARCH', phi: false },
+  patientSearch: { env: 'PATIENT_SEARCH', phi: true }
+};
+
+const timeoutMs = env => Number(env.LLM_TIMEOUT_MS) || 300000;
+
+// How each provider is built from the environment, and the model it uses
+// when neither LLM_<FEATURE>_MODEL nor LLM_MODEL names one
+const PROVIDERS = {
+  perplexity: {
+    label: 'Perplexity AI',
+    defaultModel: 'sonar-deep-research',
+    create: env => new PerplexityProvider({ apiKey: env.PERPLEXITY_API_KEY, timeoutMs: timeoutMs(env) })
+  },
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o',
+    create: env => new OpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL || undefined,
+      timeoutMs: timeoutMs(env)
+    })
+  },
+  // llama.cpp's server answers to any model name; vLLM expects its --served-model-name
+  local: {
+    label: 'Local model',
+    defaultModel: 'local-model',
+    create: env => new OpenAICompatibleProvider({
+      name: 'local',
+      label: 'Local model',
+      apiKey: env.LOCAL_LLM_API_KEY,
+      baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1',
+      timeoutMs: timeoutMs(env)
+    })
+  },
+  offline: {
+    label: 'Offline generator',
+    defaultModel: 'offline',
+    create: () => new OfflineProvider()
+  }
+};
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Picks the provider and model for each feature from the environment:
+// LLM_PROVIDER and LLM_MODEL for every feature, LLM_REPORT_PROVIDER,
+// LLM_SEARCH_MODEL and so on for one. Providers are built once and reused.
+class LLMProviders {
+  constructor(env = process.env) {
+    this.env = env;
+    this.instances = new Map();
+  }
+
+  configFor(feature) {
+    const definition = FEATURES[feature];
+    if (!definition) {
+      throw new AppError(`Unknown LLM feature "${feature}". Expected one of: ${Object.keys(FEATURES).join(', ')}`, 500);
+    }
+
+    const providerVariable = this.env[`LLM_${definition.env}_PROVIDER`] ? `LLM_${definition.env}_PROVIDER` : 'LLM_PROVIDER';
+    const provider = (this.env[providerVariable] || 'perplexity').trim().toLowerCase();
+    if (!PROVIDERS[provider]) {
+      throw new AppError(`Unknown LLM provider "${provider}" in ${providerVariable}. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`, 500);
+    }
+
+    // A model named for all features only applies when they share the default provider
+    const sharedModel = providerVariable === 'LLM_PROVIDER' ? this.env.LLM_MODEL : null;
+    return {
+      feature,
+      provider,
+      model: this.env[`LLM_${definition.env}_MODEL`] || sharedModel || PROVIDERS[provider].defaultModel,
+      phi: definition.phi
+    };
+  }
+
+  // Providers allowed to receive patient details; all of them unless restricted
+  phiProviders() {
+    const allowed = list(this.env.LLM_PHI_PROVIDERS).map(name => name.toLowerCase());
+    return allowed.length > 0 ? allowed : Object.keys(PROVIDERS);
+  }
+
+  provider(name) {
+    if (!this.instances.has(name)) {
+      this.instances.set(name, PROVIDERS[name].create(this.env));
+    }
+    return this.instances.get(name);
+  }
+
+  // The provider, model and residency check in force for every feature
+  describe() {
+    const phiProviders = this.phiProviders();
+    return Object.keys(FEATURES).map(feature => {
+      const config = this.configFor(feature);
+      return { ...config, allowed: !config.phi || phiProviders.includes(config.provider) };
+    });
+  }
+
+  // Resolves to { content, citations, model, usage, provider }. Refuses to send a
+  // patient-identifying prompt to a provider outside LLM_PHI_PROVIDERS.
+  async complete(feature, request) {
+    const config = this.configFor(feature);
+    if (config.phi && !this.phiProviders().includes(config.provider)) {
+      throw new AppError(
+        `The ${feature} feature sends patient data, which may not go to the ${config.provider} provider. ` +
+        `Configure LLM_${FEATURES[feature].env}_PROVIDER as one of: ${this.phiProviders().join(', ')}`,
+        503,
+        { feature, provider: config.provider, allowed: this.phiProviders() }
+      );
+    }
+
+    const provider = this.provider(config.provider);
+    const completion = await provider.complete({ ...request, feature, model: config.model });
+    return { ...completion, model: completion.model || config.model, provider: provider.name };
+  }
+
+  static label(name) {
+    return PROVIDERS[name]?.label || name;
+  }
+}
+
+LLMProviders.FEATURES = Object.keys(FEATURES);
+LLMProviders.PROVIDERS = Object.keys(PROVIDERS);
+
+module.exports = LLMProviders;
@@ -0,0 +1,52 @@
+const OpenAI = require('openai');
+
+// Any server that speaks the OpenAI chat completions API: OpenAI itself, a
+// regional or private deployment, or a model served inside the hospital by
+// llama.cpp or vLLM. These do not search the web, so answers carry no citations.
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', label = 'OpenAI', apiKey, baseURL, timeoutMs = 300000, client } = {}) {
+    this.name = name;
+    this.label = label;
+    this.baseURL = baseURL;
+    this.client = client || new OpenAI({
+      // Local servers accept any key, but the client insists on one
+      apiKey: apiKey || 'not-needed',
+      baseURL,
+      timeout: timeoutMs,
+      maxRetries: 1
+    });
+  }
+
+  async complete({ model, system, prompt, temperature = 0.2, maxTokens = 4000 }) {
+    try {
+      const response = await this.client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return {
+        content: response.choices[0]?.message?.content || '',
+        citations: [],
+        model: response.model || model,
+        usage: response.usage
+      };
+    } catch (error) {
+      if (error.status === 429) {
+        throw new Error(`${this.label} rate limit reached. Please wait a moment and try again.`);
+      } else if (error.status === 401 || error.status === 403) {
+        throw new Error(`${this.label} rejected the API key. Please check your configuration.`);
+      } else if (error instanceof OpenAI.APIConnectionTimeoutError) {
+        throw new Error(`${this.label} request timed out. Please try with a simpler query or try again later.`);
+      } else {
+        throw new Error(`${this.label} unavailable${this.baseURL ? ` at ${this.baseURL}` : ''}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
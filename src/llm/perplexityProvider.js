@@ -0,0 +1,64 @@
+const axios = require('axios');
+
+const PLACEHOLDER_KEY = 'your_perplexity_api_key_here';
+
+// Perplexity's chat completions API: searches the web (limited to the given
+// domains) while answering and returns the sources it cited.
+class PerplexityProvider {
+  constructor({ apiKey, baseURL = 'https://api.perplexity.ai/chat/completions', timeoutMs = 300000 } = {}) {
+    this.name = 'perplexity';
+    this.label = 'Perplexity AI';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete({ model, system, prompt, temperature = 0.2, maxTokens = 4000, search = {} }) {
+    if (!this.apiKey || this.apiKey === PLACEHOLDER_KEY) {
+      throw new Error('Perplexity API key not configured. Please add a valid API key to use the search functionality.');
+    }
+
+    const payload = {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      search_domain_filter: search.domains,
+      search_recency_filter: search.recency,
+      temperature,
+      max_tokens: maxTokens,
+      return_citations: true,
+      return_images: false
+    };
+
+    try {
+      const { data } = await axios.post(this.baseURL, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeoutMs
+      });
+
+      return {
+        content: data.choices[0].message.content,
+        citations: data.citations || [],
+        model: data.model,
+        usage: data.usage
+      };
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw new Error('API rate limit reached. Please wait a moment and try again.');
+      } else if (error.response?.status === 401) {
+        throw new Error('Invalid API key. Please check your configuration.');
+      } else if (error.code === 'ECONNABORTED') {
+        throw new Error('Search request timed out. Please try with a simpler query or try again later.');
+      } else {
+        throw new Error(`Search service temporarily unavailable: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = PerplexityProvider;
@@ -0,0 +1,541 @@
+const fs = require('fs');
+const path = require('path');
+const TerminologyService = require('../terminology/terminologyService');
+const { ValidationError } = require('../utils/errors');
+
+// Lookup tables every source can use without declaring them
+const BUILT_IN_LOOKUPS = {
+  gender: {
+    m: 'male', male: 'male', man: 'male',
+    f: 'female', female: 'female', woman: 'female',
+    o: 'other', other: 'other',
+    u: 'unknown', unknown: 'unknown'
+  }
+};
+
+// Units convertible by prefix, relative to grams and litres
+const MASS = { kg: 1e3, g: 1, mg: 1e-3, ug: 1e-6, 'µg': 1e-6, mcg: 1e-6, ng: 1e-9, pg: 1e-12 };
+const VOLUME = { l: 1, dl: 0.1, cl: 0.01, ml: 1e-3, ul: 1e-6, 'µl': 1e-6, fl: 1e-15 };
+
+const CONVERSIONS = {
+  'lb>kg': value => value * 0.45359237,
+  'kg>lb': value => value / 0.45359237,
+  'in>cm': value => value * 2.54,
+  'cm>in': value => value / 2.54,
+  'f>c': value => (value - 32) * 5 / 9,
+  'c>f': value => value * 9 / 5 + 32
+};
+
+const PROFILES_PATH = path.join(__dirname, 'profiles');
+
+let defaultProfiles = null;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// "mg/dL" -> { dimension: 'mass/volume', factor }, "10^9/L" -> { dimension: 'count/volume', factor }
+function parseUnit(unit) {
+  const [numerator, denominator] = String(unit).toLowerCase().replace(/\s+/g, '').split('/');
+  let dimension;
+  let factor;
+  const count = numerator.match(/^(?:×)?10[\^*](\d+)$/);
+  if (count) {
+    dimension = 'count';
+    factor = 10 ** Number(count[1]);
+  } else if (numerator in MASS) {
+    dimension = 'mass';
+    factor = MASS[numerator];
+  } else if (numerator in VOLUME) {
+    dimension = 'volume';
+    factor = VOLUME[numerator];
+  } else {
+    return null;
+  }
+
+  if (denominator !== undefined) {
+    if (!(denominator in VOLUME)) return null;
+    dimension += '/volume';
+    factor /= VOLUME[denominator];
+  }
+  return { dimension, factor };
+}
+
+function convertUnit(value, from, to) {
+  const number = Number(value);
+  if (isBlank(value) || Number.isNaN(number) || from === to) return value;
+
+  const special = CONVERSIONS[`${String(from).toLowerCase()}>${String(to).toLowerCase()}`];
+  if (special) return Number(special(number).toPrecision(12));
+
+  const source = parseUnit(from);
+  const target = parseUnit(to);
+  if (!source || !target || source.dimension !== target.dimension) {
+    throw new ValidationError(`Cannot convert ${from} to ${to}`);
+  }
+  return Number((number * source.factor / target.factor).toPrecision(12));
+}
+
+// Dates in a fixed layout such as "DD/MM/YYYY" or "YYYYMMDDHHmm"
+function parseDate(value, format) {
+  if (isBlank(value)) return undefined;
+  if (value instanceof Date) return value;
+  if (!format) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  const tokens = [];
+  // "5/3/2024" reads as "DD/MM/YYYY"; layouts without separators need every digit
+  const separated = /[^YMDHms]/.test(format);
+  const pattern = format.replace(/YYYY|YY|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+    if (/^[YMDHms]/.test(token)) {
+      tokens.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : token === 'YY' || !separated ? '(\\d{2})' : '(\\d{1,2})';
+    }
+    return `\\${token}`;
+  });
+  const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) return undefined;
+
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  tokens.forEach((token, index) => {
+    const number = Number(match[index + 1]);
+    if (token === 'YY') {
+      parts.YYYY = number + (number < 50 ? 2000 : 1900);
+    } else {
+      parts[token] = number;
+    }
+  });
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+  // A day or month out of range means the layout is wrong, not a date to roll over
+  if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) return undefined;
+  return date;
+}
+
+function lookupTable(ref, context) {
+  if (ref && typeof ref === 'object') return ref;
+  const table = context.lookupTables?.[ref] || BUILT_IN_LOOKUPS[ref];
+  if (!table) {
+    throw new ValidationError(`Unknown lookup table ${ref}`);
+  }
+  return table;
+}
+
+function lookupValue(table, value) {
+  if (isBlank(value)) return undefined;
+  if (Object.prototype.hasOwnProperty.call(table, value)) return table[value];
+  const key = Object.keys(table).find(candidate => candidate.toLowerCase() === String(value).trim().toLowerCase());
+  return key === undefined ? undefined : table[key];
+}
+
+function resolvePath(value, fieldPath) {
+  return fieldPath.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+// Each transformation receives the current value, its arguments and the match context.
+// Transformations listed in ARRAY_TRANSFORMS see whole arrays; the rest are applied per element.
+const TRANSFORMS = {
+  string: value => (isBlank(value) ? value : String(value)),
+  number: value => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? undefined : number;
+  },
+  integer: value => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? undefined : number;
+  },
+  boolean: value => (isBlank(value) ? undefined : ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase())),
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  replace: (value, [search, replacement = '']) => (isBlank(value) ? value : String(value).split(search).join(replacement)),
+  match: (value, [pattern, group = 1]) => (isBlank(value) ? value : String(value).match(new RegExp(pattern))?.[group]),
+  prefix: (value, [text]) => (isBlank(value) ? value : `${text}${value}`),
+  suffix: (value, [text]) => (isBlank(value) ? value : `${value}${text}`),
+  date: (value, [format]) => parseDate(value, format),
+  // "day_30" counted from a study start date; anything else parses as a date
+  relativeDate: (value, [base, unitPrefix = 'day_']) => {
+    if (typeof value === 'string' && value.startsWith(unitPrefix)) {
+      const date = new Date(base);
+      date.setUTCDate(date.getUTCDate() + parseInt(value.slice(unitPrefix.length), 10));
+      return date;
+    }
+    return parseDate(value);
+  },
+  ageToBirthDate: value => {
+    const age = parseInt(value, 10);
+    return Number.isNaN(age) ? undefined : new Date(`${new Date().getFullYear() - age}-01-01`);
+  },
+  split: (value, [separator = ',']) => (isBlank(value)
+    ? value
+    : String(value).split(separator).map(part => part.trim()).filter(part => part !== '')),
+  first: value => (Array.isArray(value) ? value[0] : value),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : value),
+  index: (value, [position]) => (Array.isArray(value) ? value[position] : position === 0 ? value : undefined),
+  slice: (value, [start, end]) => (Array.isArray(value) ? value.slice(start, end) : value),
+  join: (value, [separator = ' ']) => (Array.isArray(value) ? value.join(separator) : value),
+  lookup: (value, [ref, fallback], context) => {
+    const mapped = lookupValue(lookupTable(ref, context), value);
+    if (mapped !== undefined) return mapped;
+    return fallback === undefined ? value : fallback;
+  },
+  unit: (value, [from, to]) => convertUnit(value, from, to),
+  multiply: (value, [factor]) => (isBlank(value) ? value : Number((Number(value) * factor).toPrecision(12))),
+  // First non-blank field of an object value, e.g. pick("regimen", "description")
+  pick: (value, fieldPaths) => fieldPaths.map(fieldPath => resolvePath(value, fieldPath)).find(candidate => !isBlank(candidate)),
+  default: (value, [fallback]) => (isBlank(value) ? fallback : value),
+  constant: (value, [constant]) => constant,
+  // "{patient_id}" reads the source record, "{$value}" (or "{$value.field}") the
+  // current value and "{$0}", "{$1}"... the array indexes or object keys iterated to reach it
+  template: (value, [text], context) => text.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+    let resolved;
+    if (name === '$value') {
+      resolved = value;
+    } else if (name.startsWith('$value.')) {
+      resolved = resolvePath(value, name.slice('$value.'.length));
+    } else if (/^\$\d+$/.test(name)) {
+      resolved = context.keys[Number(name.slice(1))];
+    } else {
+      resolved = resolvePath(context.record, name);
+    }
+    return isBlank(resolved) ? '' : String(resolved);
+  }),
+  labName: value => (isBlank(value) ? value : TerminologyService.shared().resolveLab({ name: String(value) })?.commonName || value),
+  labUnit: value => (isBlank(value) ? value : TerminologyService.shared().resolveLab({ name: String(value) })?.unit || ''),
+  labCode: value => (isBlank(value) ? value : TerminologyService.shared().resolveLab({ name: String(value) })?.coding.code)
+};
+
+const ARRAY_TRANSFORMS = new Set(['first', 'last', 'index', 'slice', 'join', 'default', 'constant', 'template']);
+
+// Reads one argument list such as `"DD/MM/YYYY"`, `{"M": "male"}`, 2 or `" to ", 1`
+function parseArguments(text) {
+  const args = [];
+  let index = 0;
+  const skipSpace = () => {
+    while (/\s/.test(text[index])) index++;
+  };
+
+  while (index < text.length) {
+    skipSpace();
+    const start = index;
+    const quote = text[index];
+    if (quote === '"' || quote === "'") {
+      let value = '';
+      index++;
+      while (index < text.length && text[index] !== quote) {
+        if (text[index] === '\\') index++;
+        value += text[index++];
+      }
+      if (text[index] !== quote) throw new Error(`unterminated string in (${text})`);
+      index++;
+      args.push(value);
+    } else if (quote === '{' || quote === '[') {
+      let depth = 0;
+      let inString = false;
+      do {
+        const char = text[index];
+        if (char === '"' && text[index - 1] !== '\\') inString = !inString;
+        if (!inString && (char === '{' || char === '[')) depth++;
+        if (!inString && (char === '}' || char === ']')) depth--;
+        index++;
+      } while (index < text.length && depth > 0);
+      args.push(JSON.parse(text.slice(start, index)));
+    } else {
+      while (index < text.length && text[index] !== ',') index++;
+      const literal = text.slice(start, index).trim();
+      args.push(literal === '' ? undefined : JSON.parse(literal));
+    }
+    skipSpace();
+    if (index < text.length && text[index++] !== ',') {
+      throw new Error(`expected "," in (${text})`);
+    }
+  }
+  return args;
+}
+
+// Splits "split(' | ') | first" on the pipes that are outside quotes and brackets
+function splitPipeline(transformation) {
+  const steps = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let index = 0; index < transformation.length; index++) {
+    const char = transformation[index];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (transformation[++index] || '');
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === '|' && depth === 0) {
+      steps.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  steps.push(current);
+  return steps.map(step => step.trim()).filter(step => step !== '');
+}
+
+const pipelineCache = new Map();
+
+// "name[]" iterates an array, "*" iterates the keys of an object, "$key" is the
+// key or index reached by the last iteration and "name[2]" picks one element
+function parseSegments(fieldPath) {
+  return (fieldPath || '').split('.').filter(segment => segment !== '').map(segment => {
+    const match = segment.match(/^(.*)\[(\d*)\]$/);
+    if (!match) return { name: segment };
+    return match[2] === '' ? { name: match[1], iterate: true } : { name: match[1], position: Number(match[2]) };
+  });
+}
+
+function setPath(target, segments, value) {
+  let current = target;
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    if (segment.position !== undefined) {
+      current[segment.name] = current[segment.name] || [];
+      if (last) {
+        current[segment.name][segment.position] = value;
+        return;
+      }
+      current[segment.name][segment.position] = current[segment.name][segment.position] || {};
+      current = current[segment.name][segment.position];
+    } else if (last) {
+      current[segment.name] = value;
+    } else {
+      current[segment.name] = current[segment.name] || {};
+      current = current[segment.name];
+    }
+  });
+}
+
+// Declarative field mapping for source system exports. A rule reads sourceField
+// from a record, runs its transformation pipeline and writes targetField on the
+// internal patient model; rules reading "lab_results[].observations.*" and
+// writing "labResults[].value" produce one target element per source match.
+class MappingEngine {
+  // Profiles for the bundled raw exports, also the fallback for JSON data
+  // sources of the same type that have no mapping rules of their own
+  static defaultProfiles() {
+    if (!defaultProfiles) {
+      defaultProfiles = fs.readdirSync(PROFILES_PATH)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(PROFILES_PATH, file), 'utf8')));
+    }
+    return defaultProfiles;
+  }
+
+  static defaultProfile(type) {
+    return this.defaultProfiles().find(profile => profile.type === type) || null;
+  }
+
+  // Records from the *.json files in a folder (those `include` accepts); a file
+  // holds one record or an array of them
+  static readRecords(folder, include = () => true) {
+    if (!fs.existsSync(folder)) {
+      return [];
+    }
+
+    return fs.readdirSync(folder)
+      .filter(file => file.toLowerCase().endsWith('.json') && include(file))
+      .sort()
+      .flatMap(file => {
+        try {
+          const content = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'));
+          return (Array.isArray(content) ? content : [content]).map(record => ({ file, record }));
+        } catch (error) {
+          console.error(`Skipping unreadable source file ${file}:`, error.message);
+          return [];
+        }
+      });
+  }
+
+  static parseTransformation(transformation) {
+    const key = transformation || '';
+    if (!pipelineCache.has(key)) {
+      const steps = splitPipeline(key).map(step => {
+        const match = step.match(/^([A-Za-z]\w*)\s*(?:\(([\s\S]*)\))?$/);
+        if (!match) {
+          throw new ValidationError(`Invalid transformation step "${step}"`);
+        }
+        const [, name, args] = match;
+        if (!TRANSFORMS[name]) {
+          throw new ValidationError(`Unknown transformation ${name}`);
+        }
+        try {
+          return { name, args: args === undefined ? [] : parseArguments(args) };
+        } catch (error) {
+          throw new ValidationError(`Invalid arguments for ${name}: ${error.message}`);
+        }
+      });
+      pipelineCache.set(key, steps);
+    }
+    return pipelineCache.get(key);
+  }
+
+  static transform(value, transformation, context) {
+    return this.parseTransformation(transformation).reduce((current, step) => {
+      const run = item => TRANSFORMS[step.name](item, step.args, context);
+      return Array.isArray(current) && !ARRAY_TRANSFORMS.has(step.name)
+        ? current.map(run)
+        : run(current);
+    }, value);
+  }
+
+  // Every value reached by a source path, with the indexes/keys iterated on the way
+  static resolveSource(record, sourceField) {
+    let matches = [{ keys: [], value: record }];
+    parseSegments(sourceField).forEach(segment => {
+      matches = matches.flatMap(({ keys, value }) => {
+        if (segment.name === '$key') {
+          return [{ keys, value: keys[keys.length - 1] }];
+        }
+        if (segment.name === '*') {
+          if (!value || typeof value !== 'object') return [];
+          return Object.entries(value).map(([key, entry]) => ({ keys: [...keys, key], value: entry }));
+        }
+
+        const child = value === undefined || value === null ? undefined : value[segment.name];
+        if (segment.position !== undefined) {
+          return [{ keys, value: Array.isArray(child) ? child[segment.position] : undefined }];
+        }
+        if (!segment.iterate) {
+          return [{ keys, value: child }];
+        }
+        if (child === undefined || child === null) return [];
+        // A single value where a list was expected is a list of one
+        return (Array.isArray(child) ? child : [child]).map((entry, index) => ({ keys: [...keys, index], value: entry }));
+      });
+    });
+    return sourceField ? matches : [{ keys: [], value: undefined }];
+  }
+
+  static validateRules(rules, lookupTables = {}) {
+    if (!Array.isArray(rules)) {
+      return [{ path: 'mappingRules', message: 'mappingRules must be an array' }];
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const rulePath = `mappingRules[${index}]`;
+      if (!rule || typeof rule.targetField !== 'string' || rule.targetField.trim() === '') {
+        errors.push({ path: `${rulePath}.targetField`, message: 'targetField is required' });
+        return;
+      }
+      if ((rule.targetField.match(/\[\]/g) || []).length > 1) {
+        errors.push({ path: `${rulePath}.targetField`, message: 'targetField may iterate only one array' });
+      }
+      try {
+        this.parseTransformation(rule.transformation).forEach(step => {
+          if (step.name === 'lookup' && typeof step.args[0] === 'string') {
+            lookupTable(step.args[0], { lookupTables });
+          }
+        });
+      } catch (error) {
+        errors.push({ path: `${rulePath}.transformation`, message: error.message });
+      }
+    });
+    return errors;
+  }
+
+  static assertValidRules(rules, lookupTables) {
+    const errors = this.validateRules(rules, lookupTables);
+    if (errors.length > 0) {
+      throw new ValidationError('Mapping rules are invalid', errors);
+    }
+  }
+
+  // Maps one source record. Errors from individual rules are collected rather
+  // than thrown so one malformed field does not drop the whole record.
+  static apply(record, rules = [], { lookupTables = {} } = {}) {
+    const data = {};
+    const errors = [];
+    const arrayGroups = new Map();
+
+    rules.forEach((rule, index) => {
+      const [arrayPath, elementPath] = rule.targetField.split('[]');
+      const matches = this.resolveSource(record, rule.sourceField).map(match => {
+        try {
+          return { ...match, value: this.transform(match.value, rule.transformation, { record, keys: match.keys, lookupTables }) };
+        } catch (error) {
+          errors.push({ rule: index, sourceField: rule.sourceField, targetField: rule.targetField, message: error.message });
+          return { ...match, value: undefined };
+        }
+      });
+
+      if (elementPath === undefined) {
+        const values = matches.map(match => match.value).filter(value => value !== undefined);
+        const value = matches.some(match => match.keys.length > 0) ? values : values[0];
+        if (value !== undefined) {
+          setPath(data, parseSegments(rule.targetField), value);
+        }
+        return;
+      }
+
+      if (!arrayGroups.has(arrayPath)) arrayGroups.set(arrayPath, []);
+      arrayGroups.get(arrayPath).push({ field: elementPath.replace(/^\./, ''), matches });
+    });
+
+    arrayGroups.forEach((groupRules, arrayPath) => {
+      setPath(data, parseSegments(arrayPath), this.buildElements(groupRules));
+    });
+
+    return { data, errors };
+  }
+
+  // Rules iterating deepest decide how many elements there are; rules iterating
+  // less deeply (or not at all) fill the fields of every element under them
+  static buildElements(groupRules) {
+    const depth = Math.max(...groupRules.flatMap(rule => rule.matches.map(match => match.keys.length)));
+    const elements = new Map();
+    groupRules.forEach(rule => rule.matches
+      .filter(match => match.keys.length === depth)
+      .forEach(match => {
+        const id = JSON.stringify(match.keys);
+        if (!elements.has(id)) elements.set(id, { keys: match.keys, element: {}, populated: false });
+        if (!isBlank(match.value)) elements.get(id).populated = true;
+      }));
+
+    elements.forEach(entry => {
+      groupRules.forEach(rule => {
+        const match = rule.matches.find(candidate => candidate.keys.every((key, index) => entry.keys[index] === key));
+        if (match && match.value !== undefined) {
+          setPath(entry.element, parseSegments(rule.field), match.value);
+        }
+      });
+    });
+
+    return Array.from(elements.values())
+      .filter(entry => entry.populated)
+      .map(entry => entry.element);
+  }
+
+  // Folds one mapped record into a patient: lists are appended, nested objects
+  // merged and scalars replaced
+  static merge(target, mapped) {
+    Object.entries(mapped).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        target[key] = [...(Array.isArray(target[key]) ? target[key] : []), ...value.filter(item => item !== undefined)];
+      } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        target[key] = this.merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  }
+}
+
+MappingEngine.TRANSFORMS = Object.keys(TRANSFORMS);
+MappingEngine.parseUnit = parseUnit;
+MappingEngine.convertUnit = convertUnit;
+
+module.exports = MappingEngine;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One ABDM consent request and, once the patient grants it, its consent artefact
+const consentArtefactSchema = new mongoose.Schema({
+  consentRequestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  consentId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['REQUESTED', 'GRANTED', 'DENIED', 'REVOKED', 'EXPIRED'],
+    default: 'REQUESTED'
+  },
+  patient: {
+    id: String
+  },
+  purpose: {
+    code: String,
+    text: String
+  },
+  hiu: {
+    id: String,
+    name: String
+  },
+  hip: {
+    id: String,
+    name: String
+  },
+  requester: {
+    name: String,
+    identifier: {
+      type: { type: String },
+      value: String,
+      system: String
+    }
+  },
+  hiTypes: [String],
+  permission: {
+    accessMode: String,
+    dateRange: {
+      from: Date,
+      to: Date
+    },
+    dataEraseAt: Date,
+    frequency: {
+      unit: String,
+      value: Number,
+      repeats: Number
+    }
+  },
+  careContexts: [{
+    patientReference: String,
+    careContextReference: String
+  }],
+  grantedAt: Date,
+  signature: String,
+  history: [{
+    status: String,
+    at: Date,
+    actor: String,
+    reason: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ConsentArtefact', consentArtefactSchema);
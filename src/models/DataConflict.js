@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const sideSchema = {
+  value: Object,
+  source: String,
+  sourceType: String,
+  sourceRecordId: String,
+  ingestedAt: Date,
+  recordedAt: Date,
+  activity: String,
+  agent: String
+};
+
+// A disagreement between two sources over one patient field or list entry,
+// and every decision taken on it, by policy or by a data steward
+const dataConflictSchema = new mongoose.Schema({
+  conflictId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Same patient, field, sources and values: re-detections count as occurrences
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  abhaId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // For list entries: the key of the entry on the record, the incoming entry's key and the fields that differ
+  key: String,
+  incomingKey: String,
+  fields: [String],
+  policy: {
+    type: String,
+    enum: ['most-recent', 'trusted-source', 'manual']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'auto-resolved', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  current: sideSchema,
+  incoming: sideSchema,
+  decisions: [{
+    choice: {
+      type: String,
+      enum: ['current', 'incoming', 'value']
+    },
+    value: Object,
+    decidedBy: String,
+    decidedAt: Date,
+    reason: String
+  }],
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  detectedAt: Date,
+  lastDetectedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('DataConflict', dataConflictSchema);
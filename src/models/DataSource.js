@@ -19,8 +19,9 @@ const dataSourceSchema = new mongoose.Schema({
   connectionDetails: {
     protocol: String,
     endpoint: String,
+    timeoutMs: Number,
     authentication: {
-      type: String,
+      type: { type: String },
       credentials: Object
     }
   },
@@ -34,11 +35,35 @@ const dataSourceSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'error'],
     default: 'inactive'
   },
+  // Cron-like schedule for incremental syncs; retries back off exponentially from retryDelayMs
+  syncSchedule: {
+    cron: String,
+    enabled: { type: Boolean, default: true },
+    maxRetries: Number,
+    retryDelayMs: Number
+  },
+  // Written by the sync scheduler: the high-water mark the next run starts
+  // after, the last run's counts and errors, and a short run history
+  syncState: {
+    watermark: String,
+    lastRun: Object,
+    lastSuccessAt: Date,
+    consecutiveFailures: Number,
+    history: [Object]
+  },
+  // Results of connection probes, newest first
+  connectionState: {
+    lastProbe: Object,
+    history: [Object]
+  },
   mappingRules: [{
     sourceField: String,
     targetField: String,
     transformation: String
   }],
+  lookupTables: Object,
+  // Rank under the trusted-source conflict policy; higher wins (hand-entered values rank 100)
+  trustLevel: Number,
   metadata: {
     version: String,
     vendor: String,
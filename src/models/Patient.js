@@ -6,6 +6,17 @@ const patientSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Source-local identifiers (hospital MRNs, case numbers, ABHA numbers) the
+  // master patient index resolves to this record; `use: 'old'` marks merged-away IDs
+  identifiers: [{
+    system: String,
+    value: String,
+    use: String,
+    assigner: String
+  }],
+  // Set on a record merged into another; the survivor lists what it absorbed
+  mergedInto: String,
+  mergedFrom: [String],
   demographics: {
     firstName: String,
     lastName: String,
@@ -31,23 +42,42 @@ const patientSchema = new mongoose.Schema({
   },
   medicalHistory: [{
     date: Date,
-    type: String,
+    type: { type: String },
     description: String,
     provider: String,
     sourceSystem: String
   }],
   imaging: [{
     studyId: String,
+    studyInstanceUid: String,
+    accessionNumber: String,
     modality: String,
+    bodyPart: String,
     studyDate: Date,
     description: String,
     findings: String,
+    referringPhysician: String,
     sourceSystem: String,
-    dicomUrl: String
+    dicomUrl: String,
+    series: [{
+      seriesInstanceUid: String,
+      seriesNumber: Number,
+      modality: String,
+      bodyPart: String,
+      description: String,
+      instances: [{
+        sopInstanceUid: String,
+        sopClassUid: String,
+        instanceNumber: Number,
+        filePath: String
+      }]
+    }]
   }],
   labResults: [{
     testId: String,
     testName: String,
+    testCode: String,
+    testCodeSystem: String,
     testDate: Date,
     value: String,
     unit: String,
@@ -77,7 +107,7 @@ const patientSchema = new mongoose.Schema({
   },
   treatments: [{
     treatmentId: String,
-    type: String,
+    type: { type: String },
     regimen: String,
     startDate: Date,
     endDate: Date,
@@ -92,6 +122,14 @@ const patientSchema = new mongoose.Schema({
     status: String,
     arm: String
   }],
+  // ABDM care contexts this hospital, as HIP, has linked to the patient's ABHA
+  careContexts: [{
+    referenceNumber: String,
+    display: String,
+    hiTypes: [String],
+    hipId: String,
+    linkedAt: Date
+  }],
   tumorBoardReports: [{
     reportId: String,
     generatedDate: Date,
@@ -106,6 +144,24 @@ const patientSchema = new mongoose.Schema({
       relevance: String
     }]
   }],
+  // Field-level provenance: one entry per leaf field path, or per list entry
+  // (path is the list, key the entry's record key), for the last write of it
+  provenance: [{
+    path: String,
+    key: String,
+    source: String,
+    sourceType: String,
+    sourceRecordId: String,
+    ingestedAt: Date,
+    recordedAt: Date,
+    activity: String,
+    agent: String,
+    rules: [{
+      sourceField: String,
+      targetField: String,
+      transformation: String
+    }]
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Master patient index audit trail: one merge of two patient records and its reversal
+const patientLinkSchema = new mongoose.Schema({
+  linkId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['merge'],
+    default: 'merge'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  survivorId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  mergedId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  match: {
+    score: Number,
+    decision: String,
+    breakdown: Object
+  },
+  reason: String,
+  mergedBy: String,
+  mergedAt: Date,
+  survivorVersion: Number,
+  // Survivor record before the merge, restored on unmerge
+  survivorSnapshot: Object,
+  unmergedBy: String,
+  unmergedAt: Date,
+  unmergeReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PatientLink', patientLinkSchema);
@@ -17,7 +17,7 @@ const tumorBoardReportSchema = new mongoose.Schema({
   },
   reportType: {
     type: String,
-    enum: ['initial', 'follow-up', 'progression', 'response'],
+    enum: ['initial', 'follow-up', 'progression', 'response', 'ai_generated'],
     default: 'initial'
   },
   summary: {
@@ -84,6 +84,8 @@ const tumorBoardReportSchema = new mongoose.Schema({
     specialty: String,
     institution: String
   }],
+  // Model, token usage and citation count of AI-generated reports
+  aiMetadata: Object,
   discussionNotes: String,
   nextSteps: [{
     action: String,
@@ -101,6 +103,24 @@ const tumorBoardReportSchema = new mongoose.Schema({
     enum: ['draft', 'pending_review', 'approved', 'revised'],
     default: 'draft'
   },
+  // Board review: section co-signatures and every transition taken
+  review: {
+    signatures: [{
+      section: String,
+      role: String,
+      signedBy: String,
+      signedAt: Date
+    }],
+    history: [{
+      action: String,
+      from: String,
+      to: String,
+      by: String,
+      role: String,
+      comment: String,
+      at: Date
+    }]
+  },
   approvedBy: {
     name: String,
     designation: String,
@@ -110,6 +130,8 @@ const tumorBoardReportSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // When the current version was saved; snapshots live in TumorBoardReportVersion
+  updatedAt: Date,
   previousVersions: [{
     version: Number,
     generatedDate: Date,
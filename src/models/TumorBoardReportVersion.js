@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a tumor board report as it stood at one version
+const tumorBoardReportVersionSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // generate, notes, regenerate, a review action (submit, sign, approve, ...),
+  // or baseline for content saved before versioning
+  operation: {
+    type: String,
+    required: true
+  },
+  author: String,
+  savedAt: {
+    type: Date,
+    default: Date.now
+  },
+  report: {
+    type: Object,
+    required: true
+  }
+});
+
+tumorBoardReportVersionSchema.index({ reportId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('TumorBoardReportVersion', tumorBoardReportVersionSchema);
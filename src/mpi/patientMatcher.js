@@ -0,0 +1,212 @@
+// Probabilistic record linkage in the Fellegi-Sunter style: each compared field
+// adds its agreement weight (roughly log2 of m/u) or its disagreement penalty,
+// and the total is classified against the match and review thresholds.
+
+const SYSTEMS = {
+  ABHA: 'https://abdm.gov.in/abha',
+  // Case numbers of the bundled synthetic exports (case_1, case_2, ...)
+  CASE_ID: 'https://oncology-poc.local/fhir/sid/case-id'
+};
+
+const WEIGHTS = {
+  identifier: { agree: 20 },
+  abha: { agree: 14, disagree: -12 },
+  name: { exact: 8, close: 4, disagree: -5 },
+  birthDate: { exact: 6, year: 2, disagree: -6 },
+  gender: { agree: 1, disagree: -6 },
+  phone: { agree: 7, disagree: -1 },
+  state: { agree: 1, disagree: -2 }
+};
+
+const HONORIFICS = new Set(['dr', 'mr', 'mrs', 'ms', 'miss', 'smt', 'shri', 'sri', 'kumari']);
+
+// 14-digit ABHA numbers (with or without hyphens) and ABHA addresses such as name@abdm
+const ABHA_PATTERN = /^(\d{2}-?\d{4}-?\d{4}-?\d{4}|[\w.]+@(abdm|sbx|ndhm))$/i;
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+function jaroWinkler(a, b) {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return similarity + prefix * 0.1 * (1 - similarity);
+}
+
+const threshold = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+};
+
+class PatientMatcher {
+  static thresholds() {
+    return {
+      match: threshold('MPI_MATCH_THRESHOLD', 14),
+      review: threshold('MPI_REVIEW_THRESHOLD', 6)
+    };
+  }
+
+  // Tokens sorted so "KUMAR, Rajesh" and "Rajesh Kumar" compare equal
+  static normalizeName(demographics = {}) {
+    const tokens = `${demographics.firstName || ''} ${demographics.lastName || ''}`
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !HONORIFICS.has(token));
+    return tokens.sort().join(' ');
+  }
+
+  static normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+  }
+
+  // "M", "Male" and "male" agree; unknown compares as missing
+  static normalizeGender(gender) {
+    const value = String(gender || '').trim().toLowerCase();
+    return { m: 'male', male: 'male', f: 'female', female: 'female', o: 'other', other: 'other' }[value] || null;
+  }
+
+  static birthDate(demographics = {}) {
+    const date = demographics.dateOfBirth ? new Date(demographics.dateOfBirth) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  }
+
+  static abhaNumbers(patient = {}) {
+    const values = [patient.abhaId, ...(patient.identifiers || [])
+      .filter(identifier => identifier.system === SYSTEMS.ABHA && identifier.use !== 'old')
+      .map(identifier => identifier.value)];
+    return new Set(values.filter(value => value && ABHA_PATTERN.test(value)).map(value => value.replace(/-/g, '').toLowerCase()));
+  }
+
+  static identifierKeys(patient = {}) {
+    return new Set((patient.identifiers || [])
+      .filter(identifier => identifier.system && identifier.value)
+      .map(identifier => `${identifier.system}|${identifier.value}`));
+  }
+
+  static sharesIdentifier(a, b) {
+    const keys = this.identifierKeys(a);
+    return Array.from(this.identifierKeys(b)).some(key => keys.has(key));
+  }
+
+  // Union of identifier lists, keeping the first occurrence of each system|value
+  static mergeIdentifiers(...lists) {
+    const seen = new Map();
+    lists.flat().filter(identifier => identifier?.system && identifier.value).forEach(identifier => {
+      const key = `${identifier.system}|${identifier.value}`;
+      if (!seen.has(key)) seen.set(key, identifier);
+    });
+    return Array.from(seen.values());
+  }
+
+  // `commonPhones` holds numbers shared by many records (placeholders, a
+  // hospital's switchboard); agreeing on one of those says nothing
+  static compare(a, b, { commonPhones = new Set() } = {}) {
+    const breakdown = {};
+    const demoA = a.demographics || {};
+    const demoB = b.demographics || {};
+
+    if (a.abhaId && a.abhaId === b.abhaId) {
+      breakdown.identifier = WEIGHTS.identifier.agree;
+    } else if (this.sharesIdentifier(a, b)) {
+      breakdown.identifier = WEIGHTS.identifier.agree;
+    }
+
+    const abhaA = this.abhaNumbers(a);
+    const abhaB = this.abhaNumbers(b);
+    if (abhaA.size > 0 && abhaB.size > 0) {
+      breakdown.abha = Array.from(abhaA).some(value => abhaB.has(value)) ? WEIGHTS.abha.agree : WEIGHTS.abha.disagree;
+    }
+
+    const nameA = this.normalizeName(demoA);
+    const nameB = this.normalizeName(demoB);
+    if (nameA && nameB) {
+      const similarity = jaroWinkler(nameA, nameB);
+      breakdown.name = similarity >= 0.97 ? WEIGHTS.name.exact : similarity >= 0.9 ? WEIGHTS.name.close : WEIGHTS.name.disagree;
+    }
+
+    const birthA = this.birthDate(demoA);
+    const birthB = this.birthDate(demoB);
+    if (birthA && birthB) {
+      const years = Math.abs(birthA.getUTCFullYear() - birthB.getUTCFullYear());
+      if (birthA.toISOString().slice(0, 10) === birthB.toISOString().slice(0, 10)) {
+        breakdown.birthDate = WEIGHTS.birthDate.exact;
+      } else if (years <= 1) {
+        // Birth dates derived from an age are only good to the year
+        breakdown.birthDate = WEIGHTS.birthDate.year;
+      } else if (years > 2) {
+        breakdown.birthDate = WEIGHTS.birthDate.disagree;
+      }
+    }
+
+    const genderA = this.normalizeGender(demoA.gender);
+    const genderB = this.normalizeGender(demoB.gender);
+    if (genderA && genderB) {
+      breakdown.gender = genderA === genderB ? WEIGHTS.gender.agree : WEIGHTS.gender.disagree;
+    }
+
+    const phoneA = this.normalizePhone(demoA.contact?.phone);
+    const phoneB = this.normalizePhone(demoB.contact?.phone);
+    if (phoneA && phoneB && !commonPhones.has(phoneA) && !commonPhones.has(phoneB)) {
+      breakdown.phone = phoneA === phoneB ? WEIGHTS.phone.agree : WEIGHTS.phone.disagree;
+    }
+
+    const stateA = demoA.address?.state?.toLowerCase();
+    const stateB = demoB.address?.state?.toLowerCase();
+    if (stateA && stateB && stateA !== 'unknown' && stateB !== 'unknown') {
+      breakdown.state = stateA === stateB ? WEIGHTS.state.agree : WEIGHTS.state.disagree;
+    }
+
+    const score = Object.values(breakdown).reduce((sum, weight) => sum + weight, 0);
+    const { match, review } = this.thresholds();
+    return {
+      score,
+      decision: score >= match ? 'match' : score >= review ? 'possible' : 'non-match',
+      breakdown
+    };
+  }
+
+  // Phone numbers found on more than `limit` records
+  static commonPhones(patients, limit = 2) {
+    const counts = new Map();
+    patients.forEach(patient => {
+      const phone = this.normalizePhone(patient.demographics?.contact?.phone);
+      if (phone) counts.set(phone, (counts.get(phone) || 0) + 1);
+    });
+    return new Set(Array.from(counts).filter(([, count]) => count > limit).map(([phone]) => phone));
+  }
+}
+
+PatientMatcher.SYSTEMS = SYSTEMS;
+PatientMatcher.jaroWinkler = jaroWinkler;
+
+module.exports = PatientMatcher;
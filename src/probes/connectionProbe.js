@@ -0,0 +1,254 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const HL7Parser = require('../hl7/hl7Parser');
+const DicomEcho = require('../dicom/dicomEcho');
+const MLLPListenerService = require('../services/mllpListenerService');
+const { frame, MLLPDecoder } = require('../hl7/mllp');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+
+// Which check answers for each connectionDetails.protocol
+const PROBES = {
+  FILE: 'file',
+  HTTP: 'http',
+  HTTPS: 'http',
+  REST: 'http',
+  FHIR: 'fhir',
+  DICOMWEB: 'dicomweb',
+  MLLP: 'mllp',
+  DICOM: 'dicom',
+  DIMSE: 'dicom'
+};
+
+// Socket, filesystem and protocol failures grouped into what ops can act on
+const ERROR_CLASSES = {
+  timeout: 'timeout',
+  ETIMEDOUT: 'timeout',
+  ECONNABORTED: 'timeout',
+  ECONNREFUSED: 'connection_refused',
+  ECONNRESET: 'connection_reset',
+  EPIPE: 'connection_reset',
+  EHOSTUNREACH: 'unreachable',
+  ENETUNREACH: 'unreachable',
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  ENOENT: 'not_found',
+  ENOTDIR: 'misconfigured',
+  EACCES: 'permission_denied',
+  EPERM: 'permission_denied',
+  rejected: 'rejected',
+  aborted: 'rejected',
+  protocol: 'protocol',
+  misconfigured: 'misconfigured',
+  auth: 'auth',
+  not_found: 'not_found',
+  server_error: 'server_error',
+  http_error: 'http_error',
+  unsupported_protocol: 'unsupported_protocol'
+};
+
+function probeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(probeError('timeout', `No answer within ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Listeners bound to every interface are probed over loopback
+const connectHost = host => (!host || host === '0.0.0.0' || host === '::' ? '127.0.0.1' : host);
+
+function httpStatusError(response) {
+  const { status } = response;
+  const code = status === 401 || status === 403 ? 'auth' : status === 404 ? 'not_found' : status >= 500 ? 'server_error' : 'http_error';
+  return probeError(code, `HTTP ${status} ${response.statusText || ''}`.trim());
+}
+
+// Active checks of a data source endpoint. Every probe resolves (never throws)
+// to the measured latency, the timeout used and, on failure, an error class.
+class ConnectionProbe {
+  static timeoutFor(source) {
+    const configured = Number(source.connectionDetails?.timeoutMs || process.env.PROBE_TIMEOUT_MS);
+    return Number.isFinite(configured) && configured > 0 ? configured : 5000;
+  }
+
+  static probeFor(source) {
+    const protocol = String(source.connectionDetails?.protocol || '').toUpperCase();
+    const probe = PROBES[protocol];
+    // A plain HTTP endpoint serving FHIR is checked through its CapabilityStatement
+    return probe === 'http' && source.dataFormat === 'FHIR' ? 'fhir' : probe;
+  }
+
+  static classify(error) {
+    return ERROR_CLASSES[error.code] || (error.response ? 'http_error' : 'unknown');
+  }
+
+  // `listenerAddress` is the bound address of this server's own MLLP listener
+  // for the source, when it has one (sources may be configured with port 0)
+  static async probe(source, { listenerAddress } = {}) {
+    const timeoutMs = this.timeoutFor(source);
+    const probe = this.probeFor(source);
+    const endpoint = source.connectionDetails?.endpoint;
+    const result = {
+      sourceId: source._id,
+      source: source.name,
+      protocol: source.connectionDetails?.protocol || null,
+      probe: probe || null,
+      target: endpoint || null,
+      status: 'connected',
+      latencyMs: null,
+      timeoutMs,
+      errorClass: null,
+      error: null,
+      detail: null,
+      timestamp: new Date()
+    };
+
+    const started = process.hrtime.bigint();
+    try {
+      if (!probe) {
+        throw probeError('unsupported_protocol', `No connection probe for protocol "${result.protocol || ''}"`);
+      }
+      if (!endpoint) {
+        throw probeError('misconfigured', 'connectionDetails.endpoint is not set');
+      }
+      result.detail = await withTimeout(this[probe](source, { timeoutMs, listenerAddress }), timeoutMs);
+    } catch (error) {
+      result.status = 'error';
+      result.errorClass = this.classify(error);
+      result.error = error.message;
+    }
+    result.latencyMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+    return result;
+  }
+
+  // Folder feeds: the path exists, is readable, and what it holds
+  static async file(source) {
+    const endpoint = source.connectionDetails.endpoint;
+    const target = path.isAbsolute(endpoint) ? endpoint : path.join(DATA_ROOT, endpoint);
+    await fs.promises.access(target, fs.constants.R_OK);
+    const stats = await fs.promises.stat(target);
+    if (!stats.isDirectory()) {
+      return { path: target, size: stats.size, modifiedAt: stats.mtime };
+    }
+    const entries = await fs.promises.readdir(target);
+    return { path: target, entries: entries.length, modifiedAt: stats.mtime };
+  }
+
+  static authHeaders(source) {
+    const { type, credentials = {} } = source.connectionDetails?.authentication || {};
+    if (String(type).toLowerCase() === 'bearer' && credentials.token) {
+      return { Authorization: `Bearer ${credentials.token}` };
+    }
+    if (String(type).toLowerCase() === 'basic' && credentials.username) {
+      const encoded = Buffer.from(`${credentials.username}:${credentials.password || ''}`).toString('base64');
+      return { Authorization: `Basic ${encoded}` };
+    }
+    return {};
+  }
+
+  static async get(source, url, { timeoutMs, accept }) {
+    const response = await axios.get(url, {
+      timeout: timeoutMs,
+      headers: { Accept: accept, ...this.authHeaders(source) },
+      validateStatus: () => true,
+      maxRedirects: 3
+    });
+    if (response.status >= 400) {
+      throw httpStatusError(response);
+    }
+    return response;
+  }
+
+  static async http(source, options) {
+    const url = source.connectionDetails.endpoint;
+    const response = await this.get(source, url, { ...options, accept: '*/*' });
+    return { url, httpStatus: response.status };
+  }
+
+  // FHIR servers must answer GET [base]/metadata with a CapabilityStatement
+  static async fhir(source, options) {
+    const url = `${source.connectionDetails.endpoint.replace(/\/+$/, '')}/metadata`;
+    const response = await this.get(source, url, { ...options, accept: 'application/fhir+json' });
+    const capability = response.data;
+    if (capability?.resourceType !== 'CapabilityStatement') {
+      throw probeError('protocol', `${url} did not return a CapabilityStatement`);
+    }
+    return {
+      url,
+      httpStatus: response.status,
+      fhirVersion: capability.fhirVersion,
+      software: capability.software?.name,
+      formats: capability.format
+    };
+  }
+
+  // QIDO-RS study search limited to one result
+  static async dicomweb(source, options) {
+    const url = `${source.connectionDetails.endpoint.replace(/\/+$/, '')}/studies?limit=1`;
+    const response = await this.get(source, url, { ...options, accept: 'application/dicom+json' });
+    if (response.status !== 204 && !Array.isArray(response.data)) {
+      throw probeError('protocol', `${url} did not return a DICOM JSON study list`);
+    }
+    return { url, httpStatus: response.status };
+  }
+
+  // Sends an HL7 NMD^N02 (network management) message and waits for its ACK.
+  // Any acknowledgement shows the peer speaks MLLP; the ACK code is reported.
+  static mllp(source, { timeoutMs, listenerAddress }) {
+    let configured;
+    try {
+      configured = MLLPListenerService.parseEndpoint(source.connectionDetails.endpoint);
+    } catch (error) {
+      return Promise.reject(probeError('misconfigured', error.message));
+    }
+    const host = connectHost(listenerAddress?.address || configured.host);
+    const port = listenerAddress?.port || configured.port;
+    const message = [
+      `MSH|^~\\&|ONCO_POC|PROBE|||${HL7Parser.formatDateTime()}||NMD^N02^NMD_N02|PROBE${Date.now()}|P|2.5.1`,
+      `NCK|${HL7Parser.formatDateTime()}`
+    ].join('\r');
+
+    return new Promise((resolve, reject) => {
+      const decoder = new MLLPDecoder();
+      const socket = net.connect(port, host, () => socket.write(frame(message)));
+      socket.setTimeout(timeoutMs, () => socket.destroy(probeError('timeout', `No acknowledgement within ${timeoutMs} ms`)));
+      socket.on('data', chunk => {
+        const [ack] = decoder.push(chunk);
+        if (!ack) return;
+        socket.destroy();
+        try {
+          const parsed = HL7Parser.parse(ack);
+          const code = parsed.get('MSA', 1);
+          if (!code) {
+            reject(probeError('protocol', 'Response had no MSA acknowledgement'));
+            return;
+          }
+          resolve({ host, port, acknowledgement: code, text: parsed.get('MSA', 3) || undefined });
+        } catch (error) {
+          reject(probeError('protocol', `Unreadable acknowledgement: ${error.message}`));
+        }
+      });
+      socket.on('error', reject);
+      socket.on('close', () => reject(probeError('protocol', 'Connection closed without an acknowledgement')));
+    });
+  }
+
+  static async dicom(source, { timeoutMs }) {
+    const { host, port, calledAe } = DicomEcho.parseEndpoint(source.connectionDetails.endpoint);
+    await DicomEcho.echo({ host: connectHost(host), port, calledAe, timeoutMs });
+    return { host, port, calledAe, verification: 'C-ECHO success' };
+  }
+}
+
+ConnectionProbe.PROBES = PROBES;
+
+module.exports = ConnectionProbe;
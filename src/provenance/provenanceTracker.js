@@ -0,0 +1,131 @@
+const { RECORD_KEYS, entryKey } = require('../utils/recordLists');
+
+// Lists whose entries carry their own provenance; everything else is tracked per leaf field
+const LIST_KEYS = {
+  ...RECORD_KEYS,
+  identifiers: identifier => `${identifier.system || ''}|${identifier.value}`
+};
+
+// Bookkeeping fields that never come from a source system
+const UNTRACKED = new Set(['_id', '__v', 'abhaId', 'provenance', 'mergedInto', 'mergedFrom', 'createdAt', 'updatedAt']);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+const isBlank = value => value === undefined || value === null || value === '';
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const resolvePath = (value, fieldPath) => fieldPath.split('.')
+  .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+
+// Field-level provenance: for every leaf field and every list entry a source
+// wrote, which system supplied it, from which of its records, when, and through
+// which mapping rules. Entries live on the patient under `provenance`, one per
+// path (and list entry key); the newest write of a field replaces its entry.
+class ProvenanceTracker {
+  // Provenance fields shared by everything one source record supplies;
+  // recordedAt is when the source wrote the record (a file's modification time)
+  static context(source, { sourceRecordId = null, activity, agent = null, rules = [], ingestedAt = new Date(), recordedAt = null } = {}) {
+    return {
+      source: source?.name || null,
+      sourceType: source?.type || null,
+      sourceRecordId: sourceRecordId === null || sourceRecordId === undefined ? null : String(sourceRecordId),
+      ingestedAt,
+      recordedAt,
+      activity,
+      agent,
+      rules
+    };
+  }
+
+  static entryKey(field, entry) {
+    return LIST_KEYS[field] ? entryKey(LIST_KEYS[field], entry) : null;
+  }
+
+  // Entries for the fields and list entries in `data`. With `current` (the
+  // patient before the write) only values that differ from it are described.
+  static describe(data, context, current = null) {
+    const entries = [];
+    const add = (fieldPath, key) => entries.push({
+      path: fieldPath,
+      key,
+      source: context.source,
+      sourceType: context.sourceType,
+      sourceRecordId: context.sourceRecordId,
+      ingestedAt: context.ingestedAt,
+      recordedAt: context.recordedAt ?? null,
+      activity: context.activity,
+      agent: context.agent,
+      rules: this.rulesFor(fieldPath, context.rules)
+    });
+
+    const walk = (value, fieldPath) => {
+      if (isBlank(value)) return;
+      if (isPlainObject(value)) {
+        Object.entries(value).forEach(([name, nested]) => walk(nested, `${fieldPath}.${name}`));
+      } else if (!current || !same(value, resolvePath(current, fieldPath))) {
+        add(fieldPath, null);
+      }
+    };
+
+    Object.entries(data || {}).forEach(([field, value]) => {
+      if (UNTRACKED.has(field) || isBlank(value)) return;
+      if (LIST_KEYS[field] && Array.isArray(value)) {
+        const existing = new Map((current?.[field] || []).map(entry => [this.entryKey(field, entry), entry]));
+        value.filter(Boolean).forEach(entry => {
+          const key = this.entryKey(field, entry);
+          if (!existing.has(key) || !same(entry, existing.get(key))) add(field, key);
+        });
+      } else {
+        walk(value, field);
+      }
+    });
+    return entries;
+  }
+
+  // Mapping rules whose targetField wrote the path: "labResults[].value" for a
+  // lab result, "demographics.address" for "demographics.address.city"
+  static rulesFor(fieldPath, rules = []) {
+    return rules
+      .filter(rule => {
+        const target = String(rule.targetField || '').replace(/\[\d*\]/g, '');
+        return target === fieldPath || target.startsWith(`${fieldPath}.`) || fieldPath.startsWith(`${target}.`);
+      })
+      .map(({ sourceField, targetField, transformation }) => ({ sourceField, targetField, transformation: transformation || '' }));
+  }
+
+  // Incoming entries replace current ones for the same path and list entry
+  static merge(current = [], incoming = []) {
+    const id = entry => JSON.stringify([entry.path, entry.key ?? null]);
+    const result = [...(current || [])];
+    const positions = new Map(result.map((entry, index) => [id(entry), index]));
+    incoming.forEach(entry => {
+      if (positions.has(id(entry))) {
+        result[positions.get(id(entry))] = entry;
+      } else {
+        positions.set(id(entry), result.length);
+        result.push(entry);
+      }
+    });
+    return result;
+  }
+
+  // The patient's provenance with the value each entry currently describes;
+  // entries for values since removed from the record are left out
+  static resolve(patient, { path: prefix } = {}) {
+    return (patient.provenance || [])
+      .filter(entry => !prefix || entry.path === prefix || entry.path.startsWith(`${prefix}.`))
+      .map(entry => ({ ...entry, value: this.valueOf(patient, entry) }))
+      .filter(entry => !isBlank(entry.value));
+  }
+
+  // The field value or list entry a provenance entry describes, if still on the patient
+  static valueOf(patient, entry) {
+    if (entry.key === null || entry.key === undefined) {
+      return resolvePath(patient, entry.path);
+    }
+    return (patient[entry.path] || []).find(item => this.entryKey(entry.path, item) === entry.key);
+  }
+}
+
+ProvenanceTracker.LIST_KEYS = LIST_KEYS;
+
+module.exports = ProvenanceTracker;
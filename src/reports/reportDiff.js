@@ -0,0 +1,189 @@
+// Free-text fields compared word by word (line by line for multi-line text)
+const TEXT_FIELDS = [
+  'summary.clinicalPresentation',
+  'summary.diagnosticFindings',
+  'summary.currentStatus',
+  'summary.treatmentHistory',
+  'molecularProfile.summary',
+  'imagingFindings.summary',
+  'pathologyReview.diagnosis',
+  'discussionNotes'
+];
+
+const RECOMMENDATION_FIELDS = ['priority', 'category', 'rationale', 'evidenceLevel'];
+
+// Covered field by field above, or version bookkeeping that changes every time
+const SKIPPED_FIELDS = ['summary', 'recommendations', 'discussionNotes', 'version', 'previousVersions', 'updatedAt'];
+
+// Beyond this many token pairs the changed middle is shown as replaced outright
+const MAX_TEXT_CELLS = 4000000;
+
+const valueAt = (report, field) => field.split('.').reduce((value, key) => value?.[key], report);
+
+const normalize = text => String(text || '').trim().toLowerCase();
+
+// Stable serialization so key order does not count as a change
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Tokens keep their trailing whitespace so segments join back into the original text
+function tokenize(text) {
+  const value = String(text || '');
+  return value.includes('\n') ? value.split(/(?<=\n)/) : value.split(/(?<=\s)(?=\S)/);
+}
+
+function pushSegment(segments, type, text) {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else if (text) {
+    segments.push({ type, text });
+  }
+}
+
+// Longest-common-subsequence walk over the part between the common prefix and suffix
+function middleSegments(before, after, segments) {
+  if (before.length * after.length > MAX_TEXT_CELLS) {
+    pushSegment(segments, 'removed', before.join(''));
+    pushSegment(segments, 'added', after.join(''));
+    return;
+  }
+
+  const cols = after.length + 1;
+  const table = new Uint32Array((before.length + 1) * cols);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushSegment(segments, 'unchanged', before[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      pushSegment(segments, 'removed', before[i++]);
+    } else {
+      pushSegment(segments, 'added', after[j++]);
+    }
+  }
+  before.slice(i).forEach(token => pushSegment(segments, 'removed', token));
+  after.slice(j).forEach(token => pushSegment(segments, 'added', token));
+}
+
+function citationKey(citation) {
+  if (citation.pmid) return `pmid:${citation.pmid}`;
+  if (citation.doi) return `doi:${normalize(citation.doi)}`;
+  return `title:${normalize(citation.title)}`;
+}
+
+const citationLabel = citation => citation.title || citation.source || citationKey(citation);
+
+function keyedDifference(before, after, keyOf) {
+  const beforeKeys = new Set(before.map(keyOf));
+  const afterKeys = new Set(after.map(keyOf));
+  return {
+    added: after.filter(item => !beforeKeys.has(keyOf(item))),
+    removed: before.filter(item => !afterKeys.has(keyOf(item)))
+  };
+}
+
+const uniqueBy = (items, keyOf) => Array.from(new Map(items.map(item => [keyOf(item), item])).values());
+
+// What changed between two stored versions of a tumor board report: summary
+// and note text as added/removed segments, recommendations matched by their
+// description, citations across all recommendations, and the names of any
+// other top-level fields that differ.
+class ReportDiff {
+  static textChanges(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+      end++;
+    }
+
+    const segments = [];
+    pushSegment(segments, 'unchanged', a.slice(0, start).join(''));
+    middleSegments(a.slice(start, a.length - end), b.slice(start, b.length - end), segments);
+    pushSegment(segments, 'unchanged', a.slice(a.length - end).join(''));
+    return segments;
+  }
+
+  static text(from, to) {
+    return TEXT_FIELDS
+      .map(field => ({ field, from: valueAt(from, field) ?? null, to: valueAt(to, field) ?? null }))
+      .filter(change => (change.from || '') !== (change.to || ''))
+      .map(change => ({ ...change, changes: this.textChanges(change.from, change.to) }));
+  }
+
+  static recommendations(from, to) {
+    const before = from.recommendations || [];
+    const after = to.recommendations || [];
+    const keyOf = recommendation => normalize(recommendation.description);
+    const previous = new Map(before.map(recommendation => [keyOf(recommendation), recommendation]));
+
+    const changed = after
+      .filter(recommendation => previous.has(keyOf(recommendation)))
+      .map(recommendation => {
+        const old = previous.get(keyOf(recommendation));
+        const changes = RECOMMENDATION_FIELDS
+          .filter(field => canonical(old[field]) !== canonical(recommendation[field]))
+          .map(field => ({ field, from: old[field] ?? null, to: recommendation[field] ?? null }));
+
+        const citations = keyedDifference(old.citations || [], recommendation.citations || [], citationKey);
+        if (citations.added.length > 0 || citations.removed.length > 0) {
+          changes.push({
+            field: 'citations',
+            from: (old.citations || []).map(citationLabel),
+            to: (recommendation.citations || []).map(citationLabel)
+          });
+        }
+        return { description: recommendation.description, changes };
+      })
+      .filter(recommendation => recommendation.changes.length > 0);
+
+    return { ...keyedDifference(before, after, keyOf), changed };
+  }
+
+  static citations(from, to) {
+    const cited = report => uniqueBy((report.recommendations || []).flatMap(recommendation => recommendation.citations || []), citationKey);
+    return keyedDifference(cited(from), cited(to), citationKey);
+  }
+
+  static fields(from, to) {
+    return Array.from(new Set([...Object.keys(from), ...Object.keys(to)]))
+      .filter(field => !SKIPPED_FIELDS.includes(field))
+      .filter(field => canonical(from[field]) !== canonical(to[field]))
+      .sort();
+  }
+
+  static compare(from, to) {
+    return {
+      text: this.text(from, to),
+      recommendations: this.recommendations(from, to),
+      citations: this.citations(from, to),
+      fields: this.fields(from, to)
+    };
+  }
+}
+
+ReportDiff.TEXT_FIELDS = TEXT_FIELDS;
+
+module.exports = ReportDiff;
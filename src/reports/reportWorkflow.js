@@ -0,0 +1,133 @@
+const { AppError, ConflictError, ValidationError } = require('../utils/errors');
+
+const ROLES = ['oncologist', 'pathologist', 'radiologist', 'chair'];
+
+// The report sections a specialist co-signs before the chair can approve
+const SECTIONS = {
+  pathologist: 'pathology',
+  radiologist: 'imaging'
+};
+
+// Which roles may take each action, from which states, and where it leads.
+// Signing keeps the report in review; `to` is null for it.
+const ACTIONS = {
+  submit: { roles: ['oncologist'], from: ['draft'], to: 'pending_review' },
+  sign: { roles: ['pathologist', 'radiologist'], from: ['pending_review'], to: null },
+  approve: { roles: ['chair'], from: ['pending_review'], to: 'approved' },
+  reject: { roles: ['chair', 'pathologist', 'radiologist'], from: ['pending_review'], to: 'revised', comment: true },
+  revise: { roles: ['oncologist', 'chair'], from: ['revised', 'approved'], to: 'draft' }
+};
+
+const ROLE_NAMES = {
+  oncologist: 'an oncologist',
+  pathologist: 'a pathologist',
+  radiologist: 'a radiologist',
+  chair: 'the board chair'
+};
+
+const describeRoles = roles => roles.map(role => ROLE_NAMES[role]).join(' or ');
+
+// Tumor board review: the oncologist submits a draft, the pathologist and
+// radiologist co-sign their sections, the chair approves. Any reviewer can
+// send the report back with a comment (revised); revising an approved or
+// returned report makes it a draft again and clears the sign-offs.
+class ReportWorkflow {
+  static status(report) {
+    return report.approvalStatus || 'draft';
+  }
+
+  static signatures(report) {
+    return report.review?.signatures || [];
+  }
+
+  static missingSignatures(report) {
+    const signed = new Set(this.signatures(report).map(signature => signature.section));
+    return Object.values(SECTIONS).filter(section => !signed.has(section));
+  }
+
+  // The actions `role` can take on the report now
+  static allowedActions(report, role) {
+    return Object.entries(ACTIONS)
+      .filter(([, action]) => action.roles.includes(role) && action.from.includes(this.status(report)))
+      .filter(([name]) => name !== 'approve' || this.missingSignatures(report).length === 0)
+      .filter(([name]) => name !== 'sign' || !this.signatures(report).some(signature => signature.section === SECTIONS[role]))
+      .map(([name]) => name);
+  }
+
+  // The report changes `action` makes, or the reason it cannot be taken
+  static transition(report, name, { actor, role, comment, at = new Date() } = {}) {
+    const action = ACTIONS[name];
+    if (!action) {
+      throw new ValidationError(`Unknown review action "${name}". Expected one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`A review role is required (X-Role): one of ${ROLES.join(', ')}`);
+    }
+    if (!actor) {
+      throw new ValidationError('The reviewer must be named (X-User)');
+    }
+    if (!action.roles.includes(role)) {
+      throw new AppError(`Only ${describeRoles(action.roles)} can ${name} a report`, 403);
+    }
+
+    const from = this.status(report);
+    if (!action.from.includes(from)) {
+      throw new ConflictError(`Cannot ${name} a report that is ${from.replace('_', ' ')}; it must be ${action.from.map(state => state.replace('_', ' ')).join(' or ')}`, {
+        status: from,
+        allowedActions: this.allowedActions(report, role)
+      });
+    }
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (action.comment && !text) {
+      throw new ValidationError(`A comment is required to ${name} a report`);
+    }
+
+    let signatures = this.signatures(report);
+    const changes = {};
+    if (name === 'sign') {
+      const section = SECTIONS[role];
+      if (signatures.some(signature => signature.section === section)) {
+        throw new ConflictError(`The ${section} section has already been signed`);
+      }
+      signatures = [...signatures, { section, role, signedBy: actor, signedAt: at }];
+    }
+    if (name === 'approve') {
+      const missing = this.missingSignatures(report);
+      if (missing.length > 0) {
+        throw new ConflictError(`The ${missing.join(' and ')} section${missing.length > 1 ? 's need' : ' needs'} a co-signature before approval`, { missing });
+      }
+      changes.approvedBy = { name: actor, designation: 'Tumor board chair', timestamp: at };
+    }
+    if (name === 'revise' || name === 'submit') {
+      // A resubmitted or reopened report is signed off afresh
+      signatures = [];
+    }
+    if (name === 'revise') {
+      changes.approvedBy = null;
+    }
+
+    const to = action.to || from;
+    return {
+      ...changes,
+      approvalStatus: to,
+      review: {
+        signatures,
+        history: [...(report.review?.history || []), {
+          action: name,
+          from,
+          to,
+          by: actor,
+          role,
+          ...(text ? { comment: text } : {}),
+          at
+        }]
+      }
+    };
+  }
+}
+
+ReportWorkflow.ROLES = ROLES;
+ReportWorkflow.SECTIONS = SECTIONS;
+ReportWorkflow.ACTIONS = Object.keys(ACTIONS);
+
+module.exports = ReportWorkflow;
@@ -0,0 +1,112 @@
+const path = require('path');
+const DataConflict = require('../models/DataConflict');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Conflict backends share one interface (findAll, findById, create, update),
+// keyed on conflictId. findAll takes exact-match filters such as { abhaId, status, fingerprint }.
+
+const FILTERS = ['abhaId', 'status', 'path', 'policy', 'fingerprint'];
+
+function byDetectedDesc(a, b) {
+  return new Date(b.lastDetectedAt || b.createdAt) - new Date(a.lastDetectedAt || a.createdAt);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const filterOf = (filter = {}) => Object.fromEntries(FILTERS
+  .filter(name => filter[name] !== undefined && filter[name] !== '')
+  .map(name => [name, filter[name]]));
+
+class MemoryConflictRepository {
+  constructor(seed = []) {
+    this.conflicts = new Map(seed.map(conflict => [conflict.conflictId, clone(conflict)]));
+  }
+
+  persist() {}
+
+  async findAll(filter) {
+    const criteria = Object.entries(filterOf(filter));
+    return Array.from(this.conflicts.values())
+      .filter(conflict => criteria.every(([name, value]) => conflict[name] === value))
+      .map(clone)
+      .sort(byDetectedDesc);
+  }
+
+  async findById(conflictId) {
+    const conflict = this.conflicts.get(conflictId);
+    return conflict ? clone(conflict) : null;
+  }
+
+  async create(conflict) {
+    if (this.conflicts.has(conflict.conflictId)) {
+      throw new ConflictError(`Data conflict ${conflict.conflictId} already exists`);
+    }
+    const now = new Date();
+    const stored = clone({ createdAt: now, updatedAt: now, ...conflict });
+    this.conflicts.set(conflict.conflictId, stored);
+    this.persist();
+    return clone(stored);
+  }
+
+  // Decisions are appended by the caller, so arrays in `changes` replace the stored ones
+  async update(conflictId, changes) {
+    const current = this.conflicts.get(conflictId);
+    if (!current) {
+      throw new NotFoundError(`Data conflict ${conflictId} not found`);
+    }
+    const updated = clone({ ...mergeUpdates(current, changes), updatedAt: new Date() });
+    this.conflicts.set(conflictId, updated);
+    this.persist();
+    return clone(updated);
+  }
+}
+
+// Same behaviour as the memory backend, written through to a JSON file on every change
+class FileConflictRepository extends MemoryConflictRepository {
+  constructor(filePath = path.join(process.env.DATA_STORE_PATH || path.join(__dirname, '../data/store'), 'conflicts.json')) {
+    super(readJson(filePath, []));
+    this.filePath = filePath;
+  }
+
+  persist() {
+    writeJsonAtomic(this.filePath, Array.from(this.conflicts.values()));
+  }
+}
+
+class MongoConflictRepository {
+  async findAll(filter) {
+    return DataConflict.find(filterOf(filter)).sort('-lastDetectedAt').lean();
+  }
+
+  async findById(conflictId) {
+    return DataConflict.findOne({ conflictId }).lean();
+  }
+
+  async create(conflict) {
+    if (await DataConflict.exists({ conflictId: conflict.conflictId })) {
+      throw new ConflictError(`Data conflict ${conflict.conflictId} already exists`);
+    }
+    const saved = await new DataConflict(conflict).save();
+    return saved.toObject();
+  }
+
+  async update(conflictId, changes) {
+    const conflict = await DataConflict.findOne({ conflictId });
+    if (!conflict) {
+      throw new NotFoundError(`Data conflict ${conflictId} not found`);
+    }
+    conflict.set({ ...changes, updatedAt: new Date() });
+    await conflict.save();
+    return conflict.toObject();
+  }
+}
+
+module.exports = {
+  FileConflictRepository,
+  MongoConflictRepository,
+  MemoryConflictRepository
+};
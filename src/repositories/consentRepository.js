@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const ConsentArtefact = require('../models/ConsentArtefact');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Consent backends share one interface (findAll, findById, findByConsentId,
+// findByPatient, create, update), keyed on the consent request id.
+
+function byCreatedDesc(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+class FileConsentRepository {
+  constructor(storePath = path.join(process.env.DATA_STORE_PATH || path.join(__dirname, '../data/store'), 'consents')) {
+    this.storePath = storePath;
+  }
+
+  consentPath(consentRequestId) {
+    return path.join(this.storePath, `${encodeURIComponent(consentRequestId)}.json`);
+  }
+
+  async findAll() {
+    if (!fs.existsSync(this.storePath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.storePath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJson(path.join(this.storePath, file)))
+      .filter(Boolean)
+      .sort(byCreatedDesc);
+  }
+
+  async findById(consentRequestId) {
+    return readJson(this.consentPath(consentRequestId));
+  }
+
+  async findByConsentId(consentId) {
+    return (await this.findAll()).find(consent => consent.consentId === consentId) || null;
+  }
+
+  async findByPatient(abhaId) {
+    return (await this.findAll()).filter(consent => consent.patient?.id === abhaId);
+  }
+
+  async create(consent) {
+    if (fs.existsSync(this.consentPath(consent.consentRequestId))) {
+      throw new ConflictError(`Consent request ${consent.consentRequestId} already exists`);
+    }
+
+    const now = new Date();
+    const stored = clone({ createdAt: now, updatedAt: now, ...consent });
+    writeJsonAtomic(this.consentPath(consent.consentRequestId), stored);
+    return stored;
+  }
+
+  async update(consentRequestId, changes) {
+    const current = await this.findById(consentRequestId);
+    if (!current) {
+      throw new NotFoundError(`Consent request ${consentRequestId} not found`);
+    }
+
+    const updated = clone({ ...mergeUpdates(current, changes), updatedAt: new Date() });
+    writeJsonAtomic(this.consentPath(consentRequestId), updated);
+    return updated;
+  }
+}
+
+class MongoConsentRepository {
+  async findAll() {
+    return ConsentArtefact.find().sort('-createdAt').lean();
+  }
+
+  async findById(consentRequestId) {
+    return ConsentArtefact.findOne({ consentRequestId }).lean();
+  }
+
+  async findByConsentId(consentId) {
+    return ConsentArtefact.findOne({ consentId }).lean();
+  }
+
+  async findByPatient(abhaId) {
+    return ConsentArtefact.find({ 'patient.id': abhaId }).sort('-createdAt').lean();
+  }
+
+  async create(consent) {
+    if (await ConsentArtefact.exists({ consentRequestId: consent.consentRequestId })) {
+      throw new ConflictError(`Consent request ${consent.consentRequestId} already exists`);
+    }
+    const saved = await new ConsentArtefact(consent).save();
+    return saved.toObject();
+  }
+
+  async update(consentRequestId, changes) {
+    const consent = await ConsentArtefact.findOne({ consentRequestId });
+    if (!consent) {
+      throw new NotFoundError(`Consent request ${consentRequestId} not found`);
+    }
+
+    consent.set({ ...changes, updatedAt: new Date() });
+    await consent.save();
+    return consent.toObject();
+  }
+}
+
+class MemoryConsentRepository {
+  constructor() {
+    this.consents = new Map();
+  }
+
+  async findAll() {
+    return Array.from(this.consents.values()).map(clone).sort(byCreatedDesc);
+  }
+
+  async findById(consentRequestId) {
+    const consent = this.consents.get(consentRequestId);
+    return consent ? clone(consent) : null;
+  }
+
+  async findByConsentId(consentId) {
+    return (await this.findAll()).find(consent => consent.consentId === consentId) || null;
+  }
+
+  async findByPatient(abhaId) {
+    return (await this.findAll()).filter(consent => consent.patient?.id === abhaId);
+  }
+
+  async create(consent) {
+    if (this.consents.has(consent.consentRequestId)) {
+      throw new ConflictError(`Consent request ${consent.consentRequestId} already exists`);
+    }
+    const now = new Date();
+    const stored = clone({ createdAt: now, updatedAt: now, ...consent });
+    this.consents.set(consent.consentRequestId, stored);
+    return clone(stored);
+  }
+
+  async update(consentRequestId, changes) {
+    const current = this.consents.get(consentRequestId);
+    if (!current) {
+      throw new NotFoundError(`Consent request ${consentRequestId} not found`);
+    }
+    const updated = clone({ ...mergeUpdates(current, changes), updatedAt: new Date() });
+    this.consents.set(consentRequestId, updated);
+    return clone(updated);
+  }
+}
+
+module.exports = {
+  FileConsentRepository,
+  MongoConsentRepository,
+  MemoryConsentRepository
+};
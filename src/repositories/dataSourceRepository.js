@@ -0,0 +1,188 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const DataSource = require('../models/DataSource');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Sources registered for the demo hospital when no data source configuration exists yet
+const DEFAULT_DATA_SOURCES = [
+  {
+    _id: '1',
+    name: 'Hospital EMR System',
+    type: 'EMR',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'EMR' },
+    dataFormat: 'JSON',
+    syncStatus: 'active'
+  },
+  {
+    _id: '2',
+    name: 'Radiology PACS',
+    type: 'PACS',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'PACS/dicom' },
+    dataFormat: 'DICOM',
+    syncStatus: 'active'
+  },
+  {
+    _id: '3',
+    name: 'Laboratory System',
+    type: 'LIS',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'lis' },
+    dataFormat: 'JSON',
+    syncStatus: 'active'
+  },
+  {
+    _id: '4',
+    name: 'Pathology Department',
+    type: 'PATHOLOGY',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'Pathology' },
+    dataFormat: 'JSON',
+    syncStatus: 'active'
+  },
+  {
+    _id: '5',
+    name: 'Genomics Lab',
+    type: 'GENOMICS',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'genomics' },
+    dataFormat: 'JSON',
+    syncStatus: 'active'
+  },
+  {
+    _id: '6',
+    name: 'Laboratory HL7 Feed',
+    type: 'LIS',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'hl7/lis' },
+    dataFormat: 'HL7',
+    syncStatus: 'active'
+  },
+  {
+    _id: '7',
+    name: 'Hospital Information System',
+    type: 'HIMS',
+    hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
+    connectionDetails: { protocol: 'FILE', endpoint: 'hl7/hims' },
+    dataFormat: 'HL7',
+    syncStatus: 'active'
+  }
+];
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+class MemoryDataSourceRepository {
+  constructor(seed = DEFAULT_DATA_SOURCES) {
+    this.sources = new Map(seed.map(source => [source._id, clone(source)]));
+  }
+
+  validate(sourceData) {
+    const validationError = new DataSource(sourceData).validateSync();
+    if (validationError) {
+      const details = Object.values(validationError.errors).map(err => ({
+        path: err.path,
+        kind: err.kind,
+        message: err.message
+      }));
+      throw new ValidationError('Data source failed schema validation', details);
+    }
+  }
+
+  persist() {}
+
+  async findAll(filter = {}) {
+    return Array.from(this.sources.values())
+      .filter(source => Object.entries(filter).every(([key, value]) => source[key] === value))
+      .map(clone);
+  }
+
+  async findById(id) {
+    const source = this.sources.get(String(id));
+    return source ? clone(source) : null;
+  }
+
+  async create(sourceData) {
+    this.validate(sourceData);
+    const source = clone({ ...sourceData, _id: uuidv4(), createdAt: new Date() });
+    this.sources.set(source._id, source);
+    this.persist();
+    return clone(source);
+  }
+
+  async update(id, changes) {
+    const current = this.sources.get(String(id));
+    if (!current) {
+      throw new NotFoundError('Data source not found');
+    }
+    const updated = clone(mergeUpdates(current, changes));
+    this.sources.set(updated._id, updated);
+    this.persist();
+    return clone(updated);
+  }
+
+  async delete(id) {
+    const source = this.sources.get(String(id));
+    if (!source) return null;
+    this.sources.delete(String(id));
+    this.persist();
+    return clone(source);
+  }
+}
+
+// Same behaviour as the memory backend, written through to a JSON file on every change
+class FileDataSourceRepository extends MemoryDataSourceRepository {
+  constructor(filePath = path.join(process.env.DATA_STORE_PATH || path.join(__dirname, '../data/store'), 'datasources.json')) {
+    super(readJson(filePath, DEFAULT_DATA_SOURCES));
+    this.filePath = filePath;
+  }
+
+  persist() {
+    writeJsonAtomic(this.filePath, Array.from(this.sources.values()));
+  }
+}
+
+// Ids that are not ObjectIds (such as the seeded '1'…'7' of the other backends)
+// match no document, instead of failing the cast with a 500
+class MongoDataSourceRepository {
+  async findAll(filter = {}) {
+    return DataSource.find(filter).lean();
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return DataSource.findById(id).lean();
+  }
+
+  async create(sourceData) {
+    const source = await new DataSource(sourceData).save();
+    return source.toObject();
+  }
+
+  async update(id, changes) {
+    const source = mongoose.isValidObjectId(id) ? await DataSource.findById(id) : null;
+    if (!source) {
+      throw new NotFoundError('Data source not found');
+    }
+    source.set(changes);
+    await source.save();
+    return source.toObject();
+  }
+
+  async delete(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return DataSource.findByIdAndDelete(id).lean();
+  }
+}
+
+module.exports = {
+  DEFAULT_DATA_SOURCES,
+  FileDataSourceRepository,
+  MongoDataSourceRepository,
+  MemoryDataSourceRepository
+};
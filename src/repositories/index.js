@@ -0,0 +1,87 @@
+const { FilePatientRepository, MongoPatientRepository, MemoryPatientRepository } = require('./patientRepository');
+const { FileReportRepository, MongoReportRepository, MemoryReportRepository } = require('./reportRepository');
+const { FileConsentRepository, MongoConsentRepository, MemoryConsentRepository } = require('./consentRepository');
+const {
+  FilePatientLinkRepository,
+  MongoPatientLinkRepository,
+  MemoryPatientLinkRepository
+} = require('./patientLinkRepository');
+const { FileConflictRepository, MongoConflictRepository, MemoryConflictRepository } = require('./conflictRepository');
+const {
+  FileDataSourceRepository,
+  MongoDataSourceRepository,
+  MemoryDataSourceRepository
+} = require('./dataSourceRepository');
+const FileBasedDataService = require('../services/fileBasedDataService');
+
+const BACKENDS = ['file', 'mongo', 'memory'];
+
+let repositories = null;
+
+function getBackend() {
+  const backend = (process.env.DATA_BACKEND || 'file').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown DATA_BACKEND "${backend}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+function createRepositories(backend = getBackend()) {
+  switch (backend) {
+    case 'mongo':
+      return {
+        backend,
+        patients: new MongoPatientRepository(),
+        reports: new MongoReportRepository(),
+        dataSources: new MongoDataSourceRepository(),
+        consents: new MongoConsentRepository(),
+        patientLinks: new MongoPatientLinkRepository(),
+        conflicts: new MongoConflictRepository()
+      };
+    case 'memory': {
+      // Seed from the static source files so the demo UI still has patients to show,
+      // and keep following them while the data folder is watched
+      const dataService = FileBasedDataService.shared();
+      const patients = new MemoryPatientRepository(Array.from(dataService.patients.values()));
+      dataService.on('patient-changed', change => patients.reseed(change));
+      return {
+        backend,
+        patients,
+        reports: new MemoryReportRepository(),
+        dataSources: new MemoryDataSourceRepository(),
+        consents: new MemoryConsentRepository(),
+        patientLinks: new MemoryPatientLinkRepository(),
+        conflicts: new MemoryConflictRepository()
+      };
+    }
+    default:
+      return {
+        backend,
+        patients: new FilePatientRepository(),
+        reports: new FileReportRepository(),
+        dataSources: new FileDataSourceRepository(),
+        consents: new FileConsentRepository(),
+        patientLinks: new FilePatientLinkRepository(),
+        conflicts: new FileConflictRepository()
+      };
+  }
+}
+
+// Repositories are process-wide singletons so every route sees the same data
+function getRepositories() {
+  if (!repositories) {
+    repositories = createRepositories();
+  }
+  return repositories;
+}
+
+function setRepositories(overrides) {
+  repositories = overrides ? { ...getRepositories(), ...overrides } : null;
+}
+
+module.exports = {
+  getBackend,
+  createRepositories,
+  getRepositories,
+  setRepositories
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const PatientLink = require('../models/PatientLink');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Patient link backends share one interface (findAll, findById, create, update),
+// keyed on linkId. findAll({ abhaId }) returns links where the patient is either side.
+
+function byCreatedDesc(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const involves = abhaId => link => !abhaId || link.survivorId === abhaId || link.mergedId === abhaId;
+
+class MemoryPatientLinkRepository {
+  constructor(seed = []) {
+    this.links = new Map(seed.map(link => [link.linkId, clone(link)]));
+  }
+
+  persist() {}
+
+  async findAll({ abhaId } = {}) {
+    return Array.from(this.links.values()).filter(involves(abhaId)).map(clone).sort(byCreatedDesc);
+  }
+
+  async findById(linkId) {
+    const link = this.links.get(linkId);
+    return link ? clone(link) : null;
+  }
+
+  async create(link) {
+    if (this.links.has(link.linkId)) {
+      throw new ConflictError(`Patient link ${link.linkId} already exists`);
+    }
+    const now = new Date();
+    const stored = clone({ createdAt: now, updatedAt: now, ...link });
+    this.links.set(link.linkId, stored);
+    this.persist();
+    return clone(stored);
+  }
+
+  async update(linkId, changes) {
+    const current = this.links.get(linkId);
+    if (!current) {
+      throw new NotFoundError(`Patient link ${linkId} not found`);
+    }
+    const updated = clone({ ...mergeUpdates(current, changes), updatedAt: new Date() });
+    this.links.set(linkId, updated);
+    this.persist();
+    return clone(updated);
+  }
+}
+
+// Same behaviour as the memory backend, written through to a JSON file on every change
+class FilePatientLinkRepository extends MemoryPatientLinkRepository {
+  constructor(filePath = path.join(process.env.DATA_STORE_PATH || path.join(__dirname, '../data/store'), 'patient-links.json')) {
+    super(readJson(filePath, []));
+    this.filePath = filePath;
+  }
+
+  persist() {
+    writeJsonAtomic(this.filePath, Array.from(this.links.values()));
+  }
+}
+
+class MongoPatientLinkRepository {
+  async findAll({ abhaId } = {}) {
+    const filter = abhaId ? { $or: [{ survivorId: abhaId }, { mergedId: abhaId }] } : {};
+    return PatientLink.find(filter).sort('-createdAt').lean();
+  }
+
+  async findById(linkId) {
+    return PatientLink.findOne({ linkId }).lean();
+  }
+
+  async create(link) {
+    if (await PatientLink.exists({ linkId: link.linkId })) {
+      throw new ConflictError(`Patient link ${link.linkId} already exists`);
+    }
+    const saved = await new PatientLink(link).save();
+    return saved.toObject();
+  }
+
+  async update(linkId, changes) {
+    const link = await PatientLink.findOne({ linkId });
+    if (!link) {
+      throw new NotFoundError(`Patient link ${linkId} not found`);
+    }
+    link.set({ ...changes, updatedAt: new Date() });
+    await link.save();
+    return link.toObject();
+  }
+}
+
+module.exports = {
+  FilePatientLinkRepository,
+  MongoPatientLinkRepository,
+  MemoryPatientLinkRepository
+};
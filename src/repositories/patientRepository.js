@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const FileBasedDataService = require('../services/fileBasedDataService');
+const PatientStore = require('../services/patientStore');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// All patient backends expose the same async interface and return plain objects:
+// findAll, findByAbhaId, findByAbhaIds, search, create, update, getVersions.
+
+class FilePatientRepository {
+  constructor(dataService = FileBasedDataService.shared()) {
+    this.dataService = dataService;
+  }
+
+  async findAll() {
+    return this.dataService.getAllPatients();
+  }
+
+  async findByAbhaId(abhaId) {
+    return this.dataService.getPatientByAbhaId(abhaId);
+  }
+
+  async findByAbhaIds(abhaIds) {
+    const patients = await Promise.all(abhaIds.map(abhaId => this.findByAbhaId(abhaId)));
+    return patients.filter(Boolean);
+  }
+
+  async search(query) {
+    return this.dataService.searchPatients(query);
+  }
+
+  async create(patientData, options = {}) {
+    return this.dataService.createPatient(patientData, options);
+  }
+
+  async update(abhaId, updates, options = {}) {
+    return this.dataService.updatePatient(abhaId, updates, options);
+  }
+
+  async getVersions(abhaId) {
+    return this.dataService.getPatientVersions(abhaId);
+  }
+}
+
+// Mongoose validation failures answer 422, as the schema check of the other backends does
+function schemaError(error) {
+  if (!(error instanceof mongoose.Error.ValidationError)) return error;
+  return new ValidationError('Patient failed schema validation', Object.values(error.errors).map(err => ({
+    path: err.path,
+    kind: err.kind,
+    message: err.message
+  })));
+}
+
+class MongoPatientRepository {
+  async findAll() {
+    return Patient.find().lean();
+  }
+
+  async findByAbhaId(abhaId) {
+    return Patient.findOne({ abhaId }).lean();
+  }
+
+  async findByAbhaIds(abhaIds) {
+    return Patient.find({ abhaId: { $in: abhaIds } }).lean();
+  }
+
+  async search(query) {
+    const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return Patient.find({
+      $or: [
+        { abhaId: pattern },
+        { 'demographics.firstName': pattern },
+        { 'demographics.lastName': pattern }
+      ]
+    }).lean();
+  }
+
+  async create(patientData) {
+    if (await Patient.exists({ abhaId: patientData.abhaId })) {
+      throw new ConflictError(`Patient with ABHA ID ${patientData.abhaId} already exists`);
+    }
+    let patient;
+    try {
+      patient = await new Patient(patientData).save();
+    } catch (error) {
+      throw schemaError(error);
+    }
+    return { abhaId: patient.abhaId, version: patient.__v + 1, patient: patient.toObject() };
+  }
+
+  async update(abhaId, updates, options = {}) {
+    const patient = await Patient.findOne({ abhaId });
+    if (!patient) {
+      throw new NotFoundError(`Patient with ABHA ID ${abhaId} not found`);
+    }
+    if (options.expectedVersion !== undefined && options.expectedVersion !== patient.__v + 1) {
+      throw new ConflictError(
+        `Patient ${abhaId} is at version ${patient.__v + 1}, expected ${options.expectedVersion}`
+      );
+    }
+
+    // set() would replace nested objects whole; they are merged field by field as elsewhere
+    const merged = mergeUpdates(patient.toObject(), updates);
+    patient.set(Object.fromEntries(Object.keys(updates || {}).map(key => [key, merged[key]])));
+    patient.increment();
+    try {
+      await patient.save();
+    } catch (error) {
+      throw schemaError(error);
+    }
+    return { abhaId, version: patient.__v + 1, patient: patient.toObject() };
+  }
+
+  async getVersions() {
+    throw new AppError('Version history is only kept by the file patient backend', 501);
+  }
+}
+
+// Keeps patients in process memory, validated through the same PatientStore
+// schema check as the file backend. Optionally seeded from the static data files.
+class MemoryPatientRepository {
+  constructor(seedPatients = []) {
+    this.validator = new PatientStore();
+    this.records = new Map();
+    seedPatients.forEach(patient => {
+      this.records.set(patient.abhaId, [{ version: 1, operation: 'seed', savedAt: new Date().toISOString(), patient }]);
+    });
+  }
+
+  latest(abhaId) {
+    const history = this.records.get(abhaId);
+    return history ? history[history.length - 1] : null;
+  }
+
+  async findAll() {
+    return Array.from(this.records.keys()).map(abhaId => this.latest(abhaId).patient);
+  }
+
+  async findByAbhaId(abhaId) {
+    return this.latest(abhaId)?.patient || null;
+  }
+
+  async findByAbhaIds(abhaIds) {
+    return abhaIds.map(abhaId => this.latest(abhaId)?.patient).filter(Boolean);
+  }
+
+  async search(query) {
+    const needle = query.toLowerCase();
+    return (await this.findAll()).filter(patient => {
+      const name = `${patient.demographics?.firstName || ''} ${patient.demographics?.lastName || ''}`.toLowerCase();
+      return name.includes(needle) || patient.abhaId.includes(query);
+    });
+  }
+
+  append(abhaId, operation, patient, author) {
+    const history = this.records.get(abhaId) || [];
+    const record = {
+      abhaId,
+      version: history.length + 1,
+      operation,
+      author: author || null,
+      savedAt: new Date().toISOString(),
+      patient
+    };
+    history.push(record);
+    this.records.set(abhaId, history);
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  async create(patientData, options = {}) {
+    if (this.records.has(patientData?.abhaId)) {
+      throw new ConflictError(`Patient with ABHA ID ${patientData.abhaId} already exists`);
+    }
+    const now = new Date();
+    const patient = this.validator.validate({ ...patientData, createdAt: now, updatedAt: now });
+    return this.append(patient.abhaId, 'create', patient, options.author);
+  }
+
+  async update(abhaId, updates, options = {}) {
+    const latest = this.latest(abhaId);
+    if (!latest) {
+      throw new NotFoundError(`Patient with ABHA ID ${abhaId} not found`);
+    }
+    if (options.expectedVersion !== undefined && options.expectedVersion !== latest.version) {
+      throw new ConflictError(
+        `Patient ${abhaId} is at version ${latest.version}, expected ${options.expectedVersion}`
+      );
+    }
+
+    const merged = mergeUpdates(latest.patient, updates);
+    const patient = this.validator.validate({ ...merged, abhaId, updatedAt: new Date() });
+    return this.append(abhaId, 'update', patient, options.author);
+  }
+
+  // A seed source file changed: patients nobody has written to follow it
+  reseed({ abhaId, patient }) {
+    const history = this.records.get(abhaId);
+    if (history && history.some(record => record.operation !== 'seed')) {
+      return;
+    }
+    if (patient) {
+      this.records.set(abhaId, [...(history || []), { version: (history?.length || 0) + 1, operation: 'seed', savedAt: new Date().toISOString(), patient }]);
+    } else {
+      this.records.delete(abhaId);
+    }
+  }
+
+  async getVersions(abhaId) {
+    const history = this.records.get(abhaId);
+    if (!history) {
+      throw new NotFoundError(`No stored versions for patient ${abhaId}`);
+    }
+    return history.map(({ patient, ...meta }) => meta);
+  }
+}
+
+module.exports = {
+  FilePatientRepository,
+  MongoPatientRepository,
+  MemoryPatientRepository
+};
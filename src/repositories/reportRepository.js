@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const TumorBoardReport = require('../models/TumorBoardReport');
+const TumorBoardReportVersion = require('../models/TumorBoardReportVersion');
+const Patient = require('../models/Patient');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { readJson, writeJsonAtomic, writeJsonExclusive } = require('../utils/jsonFile');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Report backends share one interface (findAll, findById, findByPatient, create,
+// update, findVersions, findVersion) and always expose `patientId` as the
+// patient's ABHA ID. Every create and update stores an immutable snapshot of
+// the whole report as its next version; options name the operation and author,
+// and update refuses with a 409 when the report is past options.expectedVersion.
+
+const VERSION_FILE_PATTERN = /^v(\d{6})\.json$/;
+
+function byGeneratedDateDesc(a, b) {
+  return new Date(b.generatedDate) - new Date(a.generatedDate);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function firstVersion(report, now) {
+  return clone({ generatedDate: now, ...report, version: 1, updatedAt: now, previousVersions: [] });
+}
+
+// The version bookkeeping fields are the repository's to set, not the caller's.
+// Each previousVersions entry names a superseded version and the operation that replaced it.
+function nextVersion(current, changes, operation, now) {
+  const { version, previousVersions, updatedAt, ...rest } = changes || {};
+  const currentVersion = current.version || 1;
+  return clone({
+    ...mergeUpdates(current, rest),
+    version: currentVersion + 1,
+    updatedAt: now,
+    previousVersions: [
+      ...(current.previousVersions || []),
+      { version: currentVersion, generatedDate: current.updatedAt || current.generatedDate, changes: operation }
+    ]
+  });
+}
+
+function versionRecord(report, operation = 'update', author = null) {
+  return {
+    reportId: report.reportId,
+    version: report.version || 1,
+    operation,
+    author: author || null,
+    savedAt: report.updatedAt || report.generatedDate,
+    report
+  };
+}
+
+// Reports stored before versioning have no snapshot of their current content;
+// it is kept as a baseline before the first change overwrites it
+function baselineRecord(current) {
+  return versionRecord(clone({ ...current, version: current.version || 1 }), 'baseline');
+}
+
+// Callers that decided on a change from an earlier read pass the version they read
+function assertVersion(current, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== (current.version || 1)) {
+    throw new ConflictError(`Report ${current.reportId} is at version ${current.version || 1}, expected ${expectedVersion}`);
+  }
+}
+
+function versionMeta({ report, ...meta }) {
+  return { ...meta, approvalStatus: report.approvalStatus || 'draft' };
+}
+
+function withoutIds(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutIds);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id' && key !== '__v')
+      .map(([key, nested]) => [key, withoutIds(nested)]));
+  }
+  return value;
+}
+
+class FileReportRepository {
+  constructor(storePath = path.join(process.env.DATA_STORE_PATH || path.join(__dirname, '../data/store'), 'reports')) {
+    this.storePath = storePath;
+  }
+
+  reportPath(reportId) {
+    return path.join(this.storePath, `${encodeURIComponent(reportId)}.json`);
+  }
+
+  versionDir(reportId) {
+    return path.join(this.storePath, 'versions', encodeURIComponent(reportId));
+  }
+
+  versionPath(reportId, version) {
+    return path.join(this.versionDir(reportId), `v${String(version).padStart(6, '0')}.json`);
+  }
+
+  writeVersion(record) {
+    try {
+      writeJsonExclusive(this.versionPath(record.reportId, record.version), record);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new ConflictError(`Report ${record.reportId} was changed concurrently; version ${record.version} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async findAll() {
+    if (!fs.existsSync(this.storePath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.storePath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJson(path.join(this.storePath, file)))
+      .filter(Boolean)
+      .sort(byGeneratedDateDesc);
+  }
+
+  async findById(reportId) {
+    return readJson(this.reportPath(reportId));
+  }
+
+  async findByPatient(abhaId) {
+    return (await this.findAll()).filter(report => report.patientId === abhaId);
+  }
+
+  async create(report, options = {}) {
+    if (fs.existsSync(this.reportPath(report.reportId))) {
+      throw new ConflictError(`Report ${report.reportId} already exists`);
+    }
+
+    const stored = firstVersion(report, new Date());
+    this.writeVersion(versionRecord(stored, options.operation || 'create', options.author));
+    writeJsonAtomic(this.reportPath(report.reportId), stored);
+    return stored;
+  }
+
+  async update(reportId, changes, options = {}) {
+    const current = await this.findById(reportId);
+    if (!current) {
+      throw new NotFoundError('Report not found');
+    }
+    assertVersion(current, options.expectedVersion);
+
+    if (!fs.existsSync(this.versionPath(reportId, current.version || 1))) {
+      this.writeVersion(baselineRecord(current));
+    }
+    const operation = options.operation || 'update';
+    const updated = nextVersion(current, changes, operation, new Date());
+    this.writeVersion(versionRecord(updated, operation, options.author));
+    writeJsonAtomic(this.reportPath(reportId), updated);
+    return updated;
+  }
+
+  async findVersions(reportId) {
+    const dir = this.versionDir(reportId);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => VERSION_FILE_PATTERN.test(file))
+      .sort()
+      .map(file => versionMeta(readJson(path.join(dir, file))));
+  }
+
+  async findVersion(reportId, version) {
+    return readJson(this.versionPath(reportId, version));
+  }
+}
+
+class MongoReportRepository {
+  toPlain(report) {
+    if (!report) return null;
+    const plain = report.toObject ? report.toObject() : report;
+    return {
+      ...plain,
+      patientId: plain.patientId?.abhaId || plain.patientId
+    };
+  }
+
+  async findAll() {
+    const reports = await TumorBoardReport.find()
+      .populate('patientId', 'abhaId')
+      .sort('-generatedDate')
+      .lean();
+    return reports.map(report => this.toPlain(report));
+  }
+
+  async findById(reportId) {
+    const report = await TumorBoardReport.findOne({ reportId })
+      .populate('patientId', 'abhaId')
+      .lean();
+    return this.toPlain(report);
+  }
+
+  async findByPatient(abhaId) {
+    const patient = await Patient.findOne({ abhaId }, '_id').lean();
+    if (!patient) return [];
+
+    const reports = await TumorBoardReport.find({ patientId: patient._id })
+      .sort('-generatedDate')
+      .lean();
+    return reports.map(report => ({ ...report, patientId: abhaId }));
+  }
+
+  async writeVersion(record) {
+    try {
+      await new TumorBoardReportVersion(withoutIds(record)).save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`Report ${record.reportId} was changed concurrently; version ${record.version} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async create(report, options = {}) {
+    const patient = await Patient.findOne({ abhaId: report.patientId }, '_id').lean();
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const stored = firstVersion(report, new Date());
+    const saved = await new TumorBoardReport({ ...stored, patientId: patient._id }).save();
+    // A report without its version 1 could not be listed or diffed, so it does not stay
+    try {
+      await this.writeVersion(versionRecord(stored, options.operation || 'create', options.author));
+    } catch (error) {
+      await TumorBoardReport.deleteOne({ _id: saved._id });
+      throw error;
+    }
+    return { ...saved.toObject(), patientId: report.patientId };
+  }
+
+  async update(reportId, changes, options = {}) {
+    const report = await TumorBoardReport.findOne({ reportId });
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    const current = withoutIds(await this.findById(reportId));
+    assertVersion(current, options.expectedVersion);
+    if (!await TumorBoardReportVersion.exists({ reportId, version: current.version || 1 })) {
+      await this.writeVersion(baselineRecord(current));
+    }
+    const operation = options.operation || 'update';
+    const { patientId, ...updated } = nextVersion(current, changes, operation, new Date());
+    await this.writeVersion(versionRecord({ ...updated, patientId }, operation, options.author));
+    report.set(updated);
+    // A version the report never reached would make every later update collide with it
+    try {
+      await report.save();
+    } catch (error) {
+      await TumorBoardReportVersion.deleteOne({ reportId, version: updated.version });
+      throw error;
+    }
+    return this.findById(reportId);
+  }
+
+  async findVersions(reportId) {
+    const records = await TumorBoardReportVersion.find({ reportId }).sort('version').lean();
+    return records.map(record => versionMeta(withoutIds(record)));
+  }
+
+  async findVersion(reportId, version) {
+    const record = await TumorBoardReportVersion.findOne({ reportId, version }).lean();
+    return record ? withoutIds(record) : null;
+  }
+}
+
+class MemoryReportRepository {
+  constructor() {
+    this.reports = new Map();
+    this.versions = new Map();
+  }
+
+  writeVersion(record) {
+    const history = this.versions.get(record.reportId) || [];
+    if (history.some(existing => existing.version === record.version)) {
+      throw new ConflictError(`Report ${record.reportId} was changed concurrently; version ${record.version} already exists`);
+    }
+    this.versions.set(record.reportId, [...history, clone(record)]);
+  }
+
+  async findAll() {
+    return Array.from(this.reports.values()).map(clone).sort(byGeneratedDateDesc);
+  }
+
+  async findById(reportId) {
+    const report = this.reports.get(reportId);
+    return report ? clone(report) : null;
+  }
+
+  async findByPatient(abhaId) {
+    return (await this.findAll()).filter(report => report.patientId === abhaId);
+  }
+
+  async create(report, options = {}) {
+    if (this.reports.has(report.reportId)) {
+      throw new ConflictError(`Report ${report.reportId} already exists`);
+    }
+    const stored = firstVersion(report, new Date());
+    this.writeVersion(versionRecord(stored, options.operation || 'create', options.author));
+    this.reports.set(report.reportId, stored);
+    return clone(stored);
+  }
+
+  async update(reportId, changes, options = {}) {
+    const current = this.reports.get(reportId);
+    if (!current) {
+      throw new NotFoundError('Report not found');
+    }
+    assertVersion(current, options.expectedVersion);
+    if (!(this.versions.get(reportId) || []).some(record => record.version === (current.version || 1))) {
+      this.writeVersion(baselineRecord(current));
+    }
+    const operation = options.operation || 'update';
+    const updated = nextVersion(current, changes, operation, new Date());
+    this.writeVersion(versionRecord(updated, operation, options.author));
+    this.reports.set(reportId, updated);
+    return clone(updated);
+  }
+
+  async findVersions(reportId) {
+    return (this.versions.get(reportId) || []).map(versionMeta);
+  }
+
+  async findVersion(reportId, version) {
+    const record = (this.versions.get(reportId) || []).find(existing => existing.version === version);
+    return record ? clone(record) : null;
+  }
+}
+
+module.exports = {
+  FileReportRepository,
+  MongoReportRepository,
+  MemoryReportRepository
+};
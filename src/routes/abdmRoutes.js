@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const AbdmConsentService = require('../services/abdmConsentService');
+const AbdmHealthInformationService = require('../services/abdmHealthInformationService');
+const { sendError } = require('../utils/errors');
+
+const consentService = new AbdmConsentService();
+const healthInformationService = new AbdmHealthInformationService(consentService);
+
+router.get('/gateway/messages', (req, res) => {
+  res.json(consentService.gatewayMessages(parseInt(req.query.limit, 10) || 50));
+});
+
+// Consent lifecycle: HIU requests, patient grants/denies/revokes, gateway expires
+router.post('/consent-requests', async (req, res) => {
+  try {
+    res.status(201).json(await consentService.requestConsent(req.body, req.get('X-User') || 'hiu'));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/consent-requests', async (req, res) => {
+  try {
+    res.json(await consentService.list({ patientId: req.query.patientId, status: req.query.status }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/consent-requests/:consentRequestId', async (req, res) => {
+  try {
+    res.json(await consentService.findRequest(req.params.consentRequestId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/consent-requests/:consentRequestId/grant', async (req, res) => {
+  try {
+    res.json(await consentService.grant(req.params.consentRequestId, {
+      careContexts: req.body.careContexts,
+      actor: req.get('X-User') || 'patient'
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/consent-requests/:consentRequestId/deny', async (req, res) => {
+  try {
+    res.json(await consentService.deny(req.params.consentRequestId, {
+      reason: req.body.reason,
+      actor: req.get('X-User') || 'patient'
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/consents/:consentId', async (req, res) => {
+  try {
+    res.json(await consentService.consentArtefact(req.params.consentId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/consents/:consentId/revoke', async (req, res) => {
+  try {
+    res.json(await consentService.revoke(req.params.consentId, {
+      reason: req.body.reason,
+      actor: req.get('X-User') || 'patient'
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/consents/:consentId/expire', async (req, res) => {
+  try {
+    res.json(await consentService.expire(req.params.consentId, {
+      reason: req.body.reason,
+      actor: req.get('X-User') || 'gateway'
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// HIP care-context linking
+router.get('/patients/:abhaId/care-contexts', async (req, res) => {
+  try {
+    res.json(await consentService.getCareContexts(req.params.abhaId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/patients/:abhaId/care-contexts', async (req, res) => {
+  try {
+    const careContexts = await consentService.linkCareContexts(
+      req.params.abhaId,
+      req.body.careContexts,
+      req.get('X-User') || 'hip'
+    );
+    res.status(201).json(careContexts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/patients/:abhaId/care-contexts/:referenceNumber', async (req, res) => {
+  try {
+    res.json(await consentService.unlinkCareContext(req.params.abhaId, req.params.referenceNumber, req.get('X-User') || 'hip'));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Health information exchange
+router.post('/health-information/request', async (req, res) => {
+  try {
+    res.status(202).json(await healthInformationService.requestHealthInformation(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/health-information/push', (req, res) => {
+  try {
+    res.status(202).json(healthInformationService.receivePush(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/health-information/:transactionId', async (req, res) => {
+  try {
+    res.json(await healthInformationService.getTransaction(req.params.transactionId, {
+      decrypt: req.query.decrypt === 'true'
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const CaseBundleService = require('../services/caseBundleService');
+const { sendError } = require('../utils/errors');
+
+const bundleService = new CaseBundleService();
+
+// Case folders and the format each of their files was recognised as
+router.get('/', async (req, res) => {
+  try {
+    res.json(await bundleService.list());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { caseIds? } - every case folder when omitted
+router.post('/import', async (req, res) => {
+  try {
+    res.json(await bundleService.importAll(req.body || {}, req.get('X-User') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:caseId/import', async (req, res) => {
+  try {
+    res.json(await bundleService.importCase(req.params.caseId, req.get('X-User') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const ConflictService = require('../services/conflictService');
+const { sendError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
+
+const conflictService = new ConflictService();
+
+// Under ABDM_CONSENT_ENFORCED a conflict needs a consent for its patient, and the
+// queue shows the consented patient's conflicts alone
+const consentForConflict = requireConsent(async req => {
+  req.conflict = await conflictService.get(req.params.conflictId);
+  return req.conflict.abhaId;
+});
+
+// Review queue, newest first; ?status=open lists what waits for a data steward
+router.get('/', requireConsent(req => req.query.abhaId || null), async (req, res) => {
+  try {
+    const { status, abhaId, path, policy } = req.query;
+    res.json(await conflictService.list({ status, abhaId: req.consentedPatient || abhaId, path, policy }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Policy per field path, the fallback and the trust levels of data sources
+router.get('/policies', async (req, res) => {
+  try {
+    res.json(await conflictService.policies());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:conflictId', consentForConflict, async (req, res) => {
+  try {
+    res.json(req.conflict || await conflictService.get(req.params.conflictId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { choice: 'current' | 'incoming' | 'value', value?, reason? }
+router.post('/:conflictId/resolve', consentForConflict, async (req, res) => {
+  try {
+    res.json(await conflictService.resolve(req.params.conflictId, req.body || {}, req.get('X-User') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,41 @@
 const express = require('express');
 const router = express.Router();
-const DataSource = require('../models/DataSource');
 const InteroperabilityService = require('../services/interoperabilityService');
+const { getRepositories } = require('../repositories');
+const MappingEngine = require('../mapping/mappingEngine');
+const SyncScheduler = require('../services/syncScheduler');
+const { AppError, NotFoundError, ValidationError, sendError } = require('../utils/errors');
 
 const interopService = new InteroperabilityService();
 
+// MLLP listeners and sync timers follow the data source configuration, so
+// restart them after any change
+async function reloadListeners(req) {
+  const { mllpService, syncScheduler } = req.app.locals;
+  if (mllpService) {
+    try {
+      await mllpService.reload();
+    } catch (error) {
+      console.error('Error reloading MLLP listeners:', error.message);
+    }
+  }
+  if (syncScheduler) {
+    try {
+      await syncScheduler.reload();
+    } catch (error) {
+      console.error('Error reloading sync schedules:', error.message);
+    }
+  }
+}
+
+function syncSchedulerFor(req) {
+  const { syncScheduler } = req.app.locals;
+  if (!syncScheduler) {
+    throw new AppError('Sync scheduler is not running', 503);
+  }
+  return syncScheduler;
+}
+
 router.get('/', async (req, res) => {
   try {
     const dataSources = await interopService.getDataSources();
@@ -16,7 +47,7 @@ router.get('/', async (req, res) => {
 
 router.get('/:id', async (req, res) => {
   try {
-    const dataSource = await DataSource.findById(req.params.id);
+    const dataSource = await getRepositories().dataSources.findById(req.params.id);
     if (!dataSource) {
       return res.status(404).json({ error: 'Data source not found' });
     }
@@ -28,11 +59,15 @@ router.get('/:id', async (req, res) => {
 
 router.post('/', async (req, res) => {
   try {
-    const dataSource = new DataSource(req.body);
-    await dataSource.save();
+    MappingEngine.assertValidRules(req.body.mappingRules || [], req.body.lookupTables);
+    if (req.body.syncSchedule) {
+      SyncScheduler.validateSchedule(req.body.syncSchedule);
+    }
+    const dataSource = await getRepositories().dataSources.create(req.body);
+    await reloadListeners(req);
     res.status(201).json(dataSource);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message, details: error.details });
   }
 });
 
@@ -40,30 +75,136 @@ router.put('/:id/status', async (req, res) => {
   try {
     const { status } = req.body;
     const dataSource = await interopService.updateDataSourceStatus(req.params.id, status);
+    await reloadListeners(req);
     res.json({
       message: 'Data source status updated',
       dataSource
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+async function findDataSource(id) {
+  const dataSource = await getRepositories().dataSources.findById(id);
+  if (!dataSource) {
+    throw new NotFoundError('Data source not found');
+  }
+  return dataSource;
+}
+
+// The rules a sync applies: the source's own, else the default profile for its type
+function effectiveMapping(dataSource) {
+  if (dataSource.mappingRules?.length > 0) {
+    return { source: 'dataSource', mappingRules: dataSource.mappingRules, lookupTables: dataSource.lookupTables || {} };
+  }
+  const profile = MappingEngine.defaultProfile(dataSource.type);
+  return profile
+    ? { source: `profile:${profile.name}`, mappingRules: profile.mappingRules, lookupTables: profile.lookupTables || {} }
+    : { source: 'none', mappingRules: [], lookupTables: {} };
+}
+
+router.get('/:id/mapping', async (req, res) => {
+  try {
+    res.json({ ...effectiveMapping(await findDataSource(req.params.id)), transformations: MappingEngine.TRANSFORMS });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replaces the mapping rules; lookup tables are merged by name
+router.put('/:id/mapping', async (req, res) => {
+  try {
+    const { mappingRules, lookupTables } = req.body;
+    await findDataSource(req.params.id);
+    MappingEngine.assertValidRules(mappingRules, lookupTables);
+    const dataSource = await getRepositories().dataSources.update(req.params.id, {
+      mappingRules,
+      ...(lookupTables ? { lookupTables } : {})
+    });
+    res.json(dataSource);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dry run of a sample export record, against the stored mapping or rules in the body
+router.post('/:id/mapping/preview', async (req, res) => {
+  try {
+    const { record, mappingRules, lookupTables } = req.body;
+    if (!record || typeof record !== 'object') {
+      throw new ValidationError('record must be a JSON object from the source export');
+    }
+    const mapping = effectiveMapping(await findDataSource(req.params.id));
+    const rules = mappingRules || mapping.mappingRules;
+    const tables = { ...mapping.lookupTables, ...lookupTables };
+    MappingEngine.assertValidRules(rules, tables);
+    res.json(MappingEngine.apply(record, rules, { lookupTables: tables }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id/sync', async (req, res) => {
+  try {
+    res.json(syncSchedulerFor(req).describe(await findDataSource(req.params.id)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// { cron: "*/15 * * * *" | "@hourly" | "@every 10m", enabled, maxRetries, retryDelayMs }
+router.put('/:id/schedule', async (req, res) => {
+  try {
+    const { cron, enabled, maxRetries, retryDelayMs } = req.body;
+    const schedule = { cron, enabled, maxRetries, retryDelayMs };
+    SyncScheduler.validateSchedule(schedule);
+    await findDataSource(req.params.id);
+    const dataSource = await getRepositories().dataSources.update(req.params.id, {
+      syncSchedule: Object.fromEntries(Object.entries(schedule).filter(([, value]) => value !== undefined))
+    });
+    await reloadListeners(req);
+    res.json(syncSchedulerFor(req).describe(dataSource));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Runs a sync now; { "full": true } ignores the watermark and re-reads the whole source
+router.post('/:id/sync', async (req, res) => {
+  try {
+    await findDataSource(req.params.id);
+    const run = await syncSchedulerFor(req).runSource(req.params.id, { full: req.body?.full === true });
+    res.json(run);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 router.post('/:id/test', async (req, res) => {
   try {
-    const testResult = await interopService.testDataSourceConnection(req.params.id);
+    const testResult = await interopService.testDataSourceConnection(req.params.id, { mllpService: req.app.locals.mllpService });
     res.json(testResult);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+router.get('/:id/probes', async (req, res) => {
+  try {
+    res.json(await interopService.getProbeHistory(req.params.id));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 router.delete('/:id', async (req, res) => {
   try {
-    const dataSource = await DataSource.findByIdAndDelete(req.params.id);
+    const dataSource = await getRepositories().dataSources.delete(req.params.id);
     if (!dataSource) {
       return res.status(404).json({ error: 'Data source not found' });
     }
+    await reloadListeners(req);
     res.json({ message: 'Data source deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -72,7 +213,7 @@ router.delete('/:id', async (req, res) => {
 
 router.get('/health/check', async (req, res) => {
   try {
-    const health = await interopService.getSystemHealth();
+    const health = await interopService.getSystemHealth({ mllpService: req.app.locals.mllpService });
     res.json(health);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const DicomWebService = require('../services/dicomWebService');
+const { sendError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
+
+const dicomWebService = new DicomWebService();
+
+const DICOM_JSON = 'application/dicom+json';
+
+// Absolute WADO root for RetrieveURL attributes, so viewers can follow them from another origin
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+function sendDicomJson(res, body) {
+  res.type(DICOM_JSON).send(JSON.stringify(body));
+}
+
+// QIDO-RS answers an empty match with 204 rather than an empty array
+function sendSearchResults(res, results) {
+  if (results.length === 0) {
+    return res.status(204).end();
+  }
+  sendDicomJson(res, results);
+}
+
+// Viewer integration details for the UI; OHIF must have its DICOMweb data source pointed at qidoRoot
+router.get('/', (req, res) => {
+  res.json({
+    qidoRoot: baseUrl(req),
+    wadoRoot: baseUrl(req),
+    viewerUrl: process.env.OHIF_VIEWER_URL || 'http://localhost:3000'
+  });
+});
+
+// Under ABDM_CONSENT_ENFORCED, study searches need a consent for the PatientID they
+// name and only match the consented patient; everything below a study needs one for its patient
+router.use('/studies/:studyUid', requireConsent(req => dicomWebService.patientOfStudy(req.params.studyUid)));
+
+// QIDO-RS
+router.get('/studies', requireConsent(req => DicomWebService.readQuery(req.query).PatientID), async (req, res) => {
+  try {
+    const query = req.consentedPatient ? { ...req.query, PatientID: req.consentedPatient } : req.query;
+    sendSearchResults(res, await dicomWebService.searchStudies(query, baseUrl(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/studies/:studyUid/series', async (req, res) => {
+  try {
+    sendSearchResults(res, await dicomWebService.searchSeries(req.params.studyUid, req.query, baseUrl(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/studies/:studyUid/series/:seriesUid/instances', async (req, res) => {
+  try {
+    const { studyUid, seriesUid } = req.params;
+    sendSearchResults(res, await dicomWebService.searchInstances(studyUid, seriesUid, req.query, baseUrl(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// WADO-RS metadata
+router.get(['/studies/:studyUid/metadata', '/studies/:studyUid/series/:seriesUid/metadata'], async (req, res) => {
+  try {
+    sendDicomJson(res, await dicomWebService.getMetadata(req.params.studyUid, req.params.seriesUid, baseUrl(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// WADO-RS rendered and thumbnail resources; frames all map to the study's PNG
+router.get([
+  '/studies/:studyUid/rendered',
+  '/studies/:studyUid/thumbnail',
+  '/studies/:studyUid/series/:seriesUid/rendered',
+  '/studies/:studyUid/series/:seriesUid/thumbnail',
+  '/studies/:studyUid/series/:seriesUid/instances/:instanceUid/rendered',
+  '/studies/:studyUid/series/:seriesUid/instances/:instanceUid/thumbnail',
+  '/studies/:studyUid/series/:seriesUid/instances/:instanceUid/frames/:frames/rendered',
+  '/studies/:studyUid/series/:seriesUid/instances/:instanceUid/frames/:frames/thumbnail'
+], async (req, res) => {
+  try {
+    const { studyUid, seriesUid, instanceUid } = req.params;
+    res.sendFile(await dicomWebService.getRenderedImage(studyUid, seriesUid, instanceUid));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// WADO-RS instance retrieval: the original Part 10 file as multipart/related
+router.get('/studies/:studyUid/series/:seriesUid/instances/:instanceUid', async (req, res) => {
+  try {
+    const { studyUid, seriesUid, instanceUid } = req.params;
+    const filePath = await dicomWebService.getInstanceFile(studyUid, seriesUid, instanceUid);
+    if (!filePath) {
+      return res.status(404).json({ error: `Instance ${instanceUid} has no stored DICOM file; use /rendered` });
+    }
+
+    const boundary = crypto.randomBytes(16).toString('hex');
+    res.type(`multipart/related; type="application/dicom"; boundary=${boundary}`);
+    res.send(Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Type: application/dicom\r\n\r\n`),
+      fs.readFileSync(filePath),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const FHIRService = require('../services/fhirService');
+const OperationOutcome = require('../fhir/operationOutcome');
+const requireConsent = require('../utils/consentGate');
+
+const fhirService = new FHIRService();
+
+const FHIR_JSON = 'application/fhir+json';
+
+// FHIR clients send application/fhir+json, which the app-level JSON parser skips
+router.use(express.json({ type: ['application/json', FHIR_JSON], limit: '10mb' }));
+router.use(express.urlencoded({ extended: false }));
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+function sendResource(res, resource, status = 200) {
+  res.status(status).type(FHIR_JSON).send(JSON.stringify(resource));
+}
+
+function sendOutcome(res, error) {
+  if (!error.statusCode) {
+    console.error('FHIR request failed:', error);
+  }
+  sendResource(res, OperationOutcome.fromError(error), error.statusCode || 500);
+}
+
+// Under ABDM_CONSENT_ENFORCED, reads need a consent for the resource's patient and
+// searches one for the patient they name; either only sees the consented patient
+const consentForSearch = requireConsent(
+  req => fhirService.searchedPatient(req.params.resourceType, { ...req.query, ...req.body }),
+  { onError: sendOutcome }
+);
+const consentForResource = requireConsent(
+  req => fhirService.patientOf(req.params.resourceType, req.params.id),
+  { onError: sendOutcome }
+);
+
+router.get('/metadata', (req, res) => {
+  sendResource(res, fhirService.capabilityStatement(baseUrl(req)));
+});
+
+// Transaction/collection Bundle import; the OperationOutcome reports each entry
+router.post('/', async (req, res) => {
+  try {
+    sendResource(res, await fhirService.importBundle(req.body, req.get('X-User') || 'fhir-api'));
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+router.get('/:resourceType', consentForSearch, async (req, res) => {
+  try {
+    sendResource(res, await fhirService.search(req.params.resourceType, req.query, baseUrl(req), { patient: req.consentedPatient }));
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+// POST-based search takes form-encoded parameters, typically to keep PHI out of URLs
+router.post('/:resourceType/_search', consentForSearch, async (req, res) => {
+  try {
+    const query = { ...req.query, ...req.body };
+    sendResource(res, await fhirService.search(req.params.resourceType, query, baseUrl(req), { patient: req.consentedPatient }));
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+// $validate answers 200 with the OperationOutcome; isValid is read from its issue severities
+router.post('/:resourceType/\\$validate', (req, res) => {
+  try {
+    sendResource(res, fhirService.validateOperation(req.params.resourceType, req.body, req.query.profile));
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+router.get('/:resourceType/:id', consentForResource, async (req, res) => {
+  try {
+    sendResource(res, await fhirService.read(req.params.resourceType, req.params.id, { patient: req.consentedPatient }));
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+router.post('/:resourceType', async (req, res) => {
+  try {
+    const { resourceType } = req.params;
+    const { resource, version } = await fhirService.create(resourceType, req.body, req.get('X-User') || 'fhir-api');
+    res.location(`${baseUrl(req)}/${resourceType}/${resource.id}/_history/${version}`);
+    sendResource(res, resource, 201);
+  } catch (error) {
+    sendOutcome(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const SpreadsheetImportService = require('../services/spreadsheetImportService');
+const { AppError, ValidationError, sendError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
+
+const importService = new SpreadsheetImportService();
+
+// Under ABDM_CONSENT_ENFORCED an import is shown, remapped or committed only when
+// its rows are about the consented patient, and the list holds those imports alone
+const consentForImport = requireConsent(req => importService.patientIn(req.params.importId));
+
+const MAX_UPLOAD_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('file');
+
+// multer's own errors (too large, wrong field) answered like every other error
+const receiveFile = (req, res, next) => upload(req, res, error => {
+  if (!error) return next();
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, new AppError(`Files over ${MAX_UPLOAD_BYTES} bytes cannot be imported`, 413));
+  }
+  return sendError(res, new ValidationError(error.code === 'LIMIT_UNEXPECTED_FILE' ? 'Upload the spreadsheet in the "file" field' : error.message));
+});
+
+const parseMapping = value => {
+  if (value === undefined || value === '') return undefined;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new ValidationError(`mapping is not valid JSON: ${error.message}`);
+  }
+};
+
+router.get('/', requireConsent(() => null), async (req, res) => {
+  try {
+    res.json(await importService.list({ patient: req.consentedPatient }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Multipart upload: file, and optionally kind (labs | treatments), sheet,
+// dataSourceId, sourceName, abhaId and mapping (JSON). Nothing is written yet;
+// the answer is the proposed mapping and each row's validation result.
+router.post('/', receiveFile, requireConsent(req => req.body?.abhaId || null), async (req, res) => {
+  try {
+    const { kind, sheet, dataSourceId, sourceName, abhaId, mapping } = req.body || {};
+    const options = { kind, sheet, dataSourceId, sourceName, abhaId, mapping: parseMapping(mapping), patient: req.consentedPatient };
+    res.status(201).json(await importService.preview(req.file, options, req.get('X-User') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:importId', consentForImport, async (req, res) => {
+  try {
+    res.json(await importService.get(req.params.importId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: mapping corrections { kind, layout, columns, tests, dateFormats, abhaId }
+router.put('/:importId/mapping', consentForImport, async (req, res) => {
+  try {
+    res.json(await importService.remap(req.params.importId, req.body || {}, { patient: req.consentedPatient }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:importId/commit', consentForImport, async (req, res) => {
+  try {
+    res.json(await importService.commit(req.params.importId, req.get('X-User') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
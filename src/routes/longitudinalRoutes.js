@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const Patient = require('../models/Patient');
 const LongitudinalHistoryService = require('../services/longitudinalHistoryService');
+const { getRepositories } = require('../repositories');
+const requireConsent = require('../utils/consentGate');
 
 const longitudinalService = new LongitudinalHistoryService();
 
 // Get comprehensive longitudinal history for a patient
-router.get('/patient/:abhaId/comprehensive', async (req, res) => {
+router.get('/patient/:abhaId/comprehensive', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -27,9 +28,9 @@ router.get('/patient/:abhaId/comprehensive', async (req, res) => {
 });
 
 // Get longitudinal insights for a patient
-router.get('/patient/:abhaId/insights', async (req, res) => {
+router.get('/patient/:abhaId/insights', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -52,9 +53,9 @@ router.get('/patient/:abhaId/insights', async (req, res) => {
 });
 
 // Get treatment journey analysis
-router.get('/patient/:abhaId/treatment-journey', async (req, res) => {
+router.get('/patient/:abhaId/treatment-journey', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -76,9 +77,9 @@ router.get('/patient/:abhaId/treatment-journey', async (req, res) => {
 });
 
 // Get disease progression analysis
-router.get('/patient/:abhaId/disease-progression', async (req, res) => {
+router.get('/patient/:abhaId/disease-progression', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -100,9 +101,9 @@ router.get('/patient/:abhaId/disease-progression', async (req, res) => {
 });
 
 // Get key milestones for a patient
-router.get('/patient/:abhaId/milestones', async (req, res) => {
+router.get('/patient/:abhaId/milestones', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -125,10 +126,10 @@ router.get('/patient/:abhaId/milestones', async (req, res) => {
 });
 
 // Export longitudinal history in different formats
-router.get('/patient/:abhaId/export', async (req, res) => {
+router.get('/patient/:abhaId/export', requireConsent(), async (req, res) => {
   try {
     const { format = 'json' } = req.query;
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
@@ -162,9 +163,9 @@ router.get('/patient/:abhaId/export', async (req, res) => {
 });
 
 // Get care coordination analysis
-router.get('/patient/:abhaId/care-coordination', async (req, res) => {
+router.get('/patient/:abhaId/care-coordination', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -185,9 +186,9 @@ router.get('/patient/:abhaId/care-coordination', async (req, res) => {
 });
 
 // Get data quality assessment
-router.get('/patient/:abhaId/data-quality', async (req, res) => {
+router.get('/patient/:abhaId/data-quality', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -208,9 +209,9 @@ router.get('/patient/:abhaId/data-quality', async (req, res) => {
 });
 
 // Get clinical decision points
-router.get('/patient/:abhaId/decision-points', async (req, res) => {
+router.get('/patient/:abhaId/decision-points', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -232,8 +233,9 @@ router.get('/patient/:abhaId/decision-points', async (req, res) => {
   }
 });
 
-// Get longitudinal summary for multiple patients (for population analysis)
-router.post('/population/summary', async (req, res) => {
+// Get longitudinal summary for multiple patients (for population analysis);
+// under ABDM_CONSENT_ENFORCED it covers the consented patient alone
+router.post('/population/summary', requireConsent(() => null), async (req, res) => {
   try {
     const { patientIds } = req.body;
     
@@ -241,7 +243,9 @@ router.post('/population/summary', async (req, res) => {
       return res.status(400).json({ error: 'Patient IDs array required' });
     }
 
-    const patients = await Patient.find({ abhaId: { $in: patientIds } });
+    const patients = await getRepositories().patients.findByAbhaIds(
+      patientIds.filter(abhaId => !req.consentedPatient || abhaId === req.consentedPatient)
+    );
     const populationSummary = {
       totalPatients: patients.length,
       averageEvents: 0,
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const MasterPatientIndexService = require('../services/masterPatientIndexService');
+const { NotFoundError, sendError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
+
+const mpi = new MasterPatientIndexService();
+
+const actor = req => req.get('X-User') || 'mpi';
+const limit = req => parseInt(req.query.limit, 10) || 10;
+
+// Under ABDM_CONSENT_ENFORCED every route needs a consent for the patient it reads
+// or changes, and scored results keep only the consented patient. A merge link
+// belongs to its survivor, the record both duplicates end up in.
+const consented = req => patient => !req.consentedPatient || patient.abhaId === req.consentedPatient;
+const consentForIdentifier = requireConsent(async req => {
+  req.patient = await mpi.findByIdentifier({ system: req.query.system, value: req.query.value });
+  if (!req.patient) {
+    throw new NotFoundError(`No patient holds ${req.query.system}|${req.query.value}`);
+  }
+  return req.patient.abhaId;
+});
+const consentForLink = requireConsent(async req => (await mpi.findLink(req.params.linkId)).survivorId);
+
+// Scores an incoming patient (demographics and/or identifiers) against the index
+router.post('/match', requireConsent(() => null), async (req, res) => {
+  try {
+    const results = await mpi.match(req.body, { limit: limit(req), includeAll: req.query.includeAll === 'true' });
+    res.json(results.filter(result => consented(req)(result.patient)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/duplicates', requireConsent(() => null), async (req, res) => {
+  try {
+    res.json((await mpi.duplicates()).filter(pair => pair.patients.every(consented(req))));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/identifiers', consentForIdentifier, async (req, res) => {
+  try {
+    const patient = req.patient || await mpi.findByIdentifier({ system: req.query.system, value: req.query.value });
+    if (!patient) {
+      return res.status(404).json({ error: `No patient holds ${req.query.system}|${req.query.value}` });
+    }
+    res.json(mpi.summarize(patient));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/patients/:abhaId/candidates', requireConsent(), async (req, res) => {
+  try {
+    const results = await mpi.candidatesFor(req.params.abhaId, { limit: limit(req) });
+    res.json(results.filter(result => consented(req)(result.patient)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/patients/:abhaId/identifiers', requireConsent(), async (req, res) => {
+  try {
+    res.json(await mpi.addIdentifier(req.params.abhaId, req.body, actor(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Merge audit trail, optionally for one patient
+router.get('/links', requireConsent(req => req.query.abhaId || null), async (req, res) => {
+  try {
+    res.json(await mpi.links(req.consentedPatient || req.query.abhaId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/links/:linkId', consentForLink, async (req, res) => {
+  try {
+    res.json(await mpi.findLink(req.params.linkId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/merge', requireConsent(req => req.body?.survivorId), async (req, res) => {
+  try {
+    res.status(201).json(await mpi.merge(req.body, actor(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/links/:linkId/unmerge', consentForLink, async (req, res) => {
+  try {
+    res.json(await mpi.unmerge(req.params.linkId, req.body || {}, actor(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
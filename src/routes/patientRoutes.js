@@ -1,23 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const Patient = require('../models/Patient');
 const InteroperabilityService = require('../services/interoperabilityService');
 const LongitudinalProfileService = require('../services/longitudinalProfileService');
-const FileBasedDataService = require('../services/fileBasedDataService');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+const { sendError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
 
 const interopService = new InteroperabilityService();
 const profileService = new LongitudinalProfileService();
-const fileDataService = new FileBasedDataService();
 
-router.get('/', async (req, res) => {
+// Under ABDM_CONSENT_ENFORCED the list holds only the patient the consent covers
+router.get('/', requireConsent(() => null), async (req, res) => {
   try {
-    const patients = await fileDataService.getAllPatients();
+    const patients = (await getRepositories().patients.findAll())
+      .filter(patient => !req.consentedPatient || patient.abhaId === req.consentedPatient);
+    // Records merged into another patient stay readable by ID but leave the list
+    const listed = req.query.includeMerged === 'true' ? patients : patients.filter(patient => !patient.mergedInto);
     // Transform data to match expected format
-    const transformedPatients = patients.map(patient => ({
+    const transformedPatients = listed.map(patient => ({
       abhaId: patient.abhaId,
       demographics: patient.demographics,
       cancerType: patient.cancerType,
-      createdAt: new Date() // Default date since file-based doesn't track creation
+      mergedInto: patient.mergedInto || undefined,
+      createdAt: patient.createdAt || new Date() // Static source files don't track creation
     }));
     res.json(transformedPatients);
   } catch (error) {
@@ -25,7 +31,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:abhaId', async (req, res) => {
+router.get('/:abhaId', requireConsent(), async (req, res) => {
   try {
     const { format } = req.query;
     const patientData = await interopService.getPatientData(req.params.abhaId, { format });
@@ -36,11 +42,11 @@ router.get('/:abhaId', async (req, res) => {
     
     res.json(patientData);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.post('/:abhaId/sync', async (req, res) => {
+router.post('/:abhaId/sync', requireConsent(), async (req, res) => {
   try {
     const patientData = await interopService.getPatientData(req.params.abhaId, { forceSync: true });
     res.json({
@@ -48,13 +54,13 @@ router.post('/:abhaId/sync', async (req, res) => {
       data: patientData
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.get('/:abhaId/timeline', async (req, res) => {
+router.get('/:abhaId/timeline', requireConsent(), async (req, res) => {
   try {
-    const patient = await fileDataService.getPatientByAbhaId(req.params.abhaId);
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
@@ -71,10 +77,23 @@ router.get('/:abhaId/timeline', async (req, res) => {
   }
 });
 
-router.get('/:abhaId/profile/export', async (req, res) => {
+// Where each field and list entry came from, with its current value; ?path= narrows to one field
+router.get('/:abhaId/provenance', requireConsent(), async (req, res) => {
+  try {
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    res.json(ProvenanceTracker.resolve(patient, { path: req.query.path }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:abhaId/profile/export', requireConsent(), async (req, res) => {
   try {
     const { format = 'json' } = req.query;
-    const patient = await fileDataService.getPatientByAbhaId(req.params.abhaId);
+    const patient = await getRepositories().patients.findByAbhaId(req.params.abhaId);
     
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
@@ -92,23 +111,73 @@ router.get('/:abhaId/profile/export', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+// Optimistic concurrency: clients may send If-Match with the version they last read
+function parseExpectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) return undefined;
+  const version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+  return Number.isNaN(version) ? undefined : version;
+}
+
+// Values entered through the API are attributed to the user sending them;
+// clients cannot supply provenance of their own
+function manualProvenance(req) {
+  const author = req.get('X-User') || null;
+  return ProvenanceTracker.context({ name: author || 'API client', type: 'MANUAL' }, { activity: 'manual', agent: author });
+}
+
+// A new patient has no consent yet: under ABDM_CONSENT_ENFORCED any active
+// consent may create one, and the record is echoed only to its own patient's
+router.post('/', requireConsent(() => null), async (req, res) => {
   try {
-    // In file-based system, we don't support creating new patients via API
-    // Patients are loaded from data files
-    res.status(405).json({ error: 'Creating new patients not supported in file-based mode. Patients are loaded from data files.' });
+    const { provenance, ...patientData } = req.body || {};
+    const record = await getRepositories().patients.create({
+      ...patientData,
+      provenance: ProvenanceTracker.describe(patientData, manualProvenance(req))
+    }, {
+      author: req.get('X-User') || null
+    });
+    res.set('ETag', `W/"${record.version}"`);
+    res.status(201).json({
+      message: 'Patient created successfully',
+      version: record.version,
+      data: !req.consentedPatient || record.abhaId === req.consentedPatient ? record.patient : undefined
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/:abhaId', requireConsent(), async (req, res) => {
+  try {
+    const { patients } = getRepositories();
+    const { provenance, ...updates } = req.body || {};
+    const current = await patients.findByAbhaId(req.params.abhaId);
+    // Only the values this request changes are attributed to it
+    if (current) {
+      updates.provenance = ProvenanceTracker.merge(current.provenance, ProvenanceTracker.describe(updates, manualProvenance(req), current));
+    }
+    const record = await patients.update(req.params.abhaId, updates, {
+      expectedVersion: parseExpectedVersion(req),
+      author: req.get('X-User') || null
+    });
+    res.set('ETag', `W/"${record.version}"`);
+    res.json({
+      message: 'Patient updated successfully',
+      version: record.version,
+      data: record.patient
+    });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.put('/:abhaId', async (req, res) => {
+router.get('/:abhaId/versions', requireConsent(), async (req, res) => {
   try {
-    // In file-based system, we don't support updating patients via API
-    // Data comes from static files
-    res.status(405).json({ error: 'Updating patients not supported in file-based mode. Data comes from static files.' });
+    const versions = await getRepositories().patients.getVersions(req.params.abhaId);
+    res.json(versions);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -1,28 +1,66 @@
 const express = require('express');
 const router = express.Router();
-const TumorBoardReport = require('../models/TumorBoardReport');
-const Patient = require('../models/Patient');
-const TumorBoardReportGenerator = require('../services/tumorBoardReportGenerator');
 const PerplexityReportService = require('../services/perplexityReportService');
+const TumorBoardPdfRenderer = require('../services/tumorBoardPdfRenderer');
+const TumorBoardReportService = require('../services/tumorBoardReportService');
+const { getRepositories } = require('../repositories');
+const { sendError, NotFoundError, ValidationError } = require('../utils/errors');
+const requireConsent = require('../utils/consentGate');
 
-const reportGenerator = new TumorBoardReportGenerator();
 const perplexityService = new PerplexityReportService();
+const reportService = new TumorBoardReportService({ perplexityService });
+const pdfRenderer = new TumorBoardPdfRenderer();
 
-router.get('/', async (req, res) => {
+const EXPORT_FORMATS = ['json', 'pdf'];
+
+// Under ABDM_CONSENT_ENFORCED, report routes need a consent for the report's patient,
+// generation one for the patient in the body, and the list shows the consented patient's reports.
+// A missing report answers 404 before the check; the one read for it is kept as req.report.
+const consentForReport = requireConsent(async req => {
+  req.report = await getRepositories().reports.findById(req.params.reportId);
+  if (!req.report) {
+    throw new NotFoundError('Report not found');
+  }
+  return req.report.patientId;
+});
+const consentForBody = requireConsent(req => req.body?.abhaId);
+
+router.get('/', requireConsent(() => null), async (req, res) => {
   try {
-    const reports = await TumorBoardReport.find()
-      .populate('patientId', 'abhaId demographics cancerType')
-      .sort('-generatedDate');
-    res.json(reports);
+    const { patients, reports } = getRepositories();
+    const allReports = (await reports.findAll())
+      .filter(report => !req.consentedPatient || report.patientId === req.consentedPatient);
+    const patientList = await patients.findByAbhaIds([...new Set(allReports.map(report => report.patientId))]);
+    const patientsById = new Map(patientList.map(patient => [patient.abhaId, patient]));
+
+    res.json(allReports.map(report => {
+      const patient = patientsById.get(report.patientId);
+      return {
+        ...report,
+        patient: patient ? {
+          abhaId: patient.abhaId,
+          demographics: patient.demographics,
+          cancerType: patient.cancerType
+        } : null
+      };
+    }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/:reportId', async (req, res) => {
+// Report counts by approval status and type for the reports dashboard
+router.get('/stats', async (req, res) => {
+  try {
+    res.json(await reportService.stats());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:reportId', consentForReport, async (req, res) => {
   try {
-    const report = await TumorBoardReport.findOne({ reportId: req.params.reportId })
-      .populate('patientId');
+    const report = req.report || await getRepositories().reports.findById(req.params.reportId);
     
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
@@ -34,16 +72,16 @@ router.get('/:reportId', async (req, res) => {
   }
 });
 
-router.post('/generate', async (req, res) => {
+router.post('/generate', consentForBody, async (req, res) => {
   try {
     const { abhaId, reportType = 'initial' } = req.body;
     
-    const patient = await Patient.findOne({ abhaId });
+    const patient = await getRepositories().patients.findByAbhaId(abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    const report = await reportGenerator.generateReport(patient, reportType);
+    const report = await reportService.generateReport(patient, reportType, { actor: req.get('X-User') || null });
     
     res.status(201).json({
       message: 'Tumor board report generated successfully',
@@ -55,167 +93,173 @@ router.post('/generate', async (req, res) => {
   }
 });
 
-router.post('/generate-perplexity', async (req, res) => {
+router.post('/generate-perplexity', consentForBody, async (req, res) => {
   try {
     const { abhaId, reportType = 'comprehensive' } = req.body;
     
-    // Use file-based data service instead of MongoDB
-    const fs = require('fs');
-    const path = require('path');
-    const processedDataPath = path.join(__dirname, '../data', 'processed_patients.json');
-    const processedData = JSON.parse(fs.readFileSync(processedDataPath, 'utf8'));
-    
-    const patient = processedData.find(p => p.abhaId === abhaId);
+    const patient = await getRepositories().patients.findByAbhaId(abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    const aiReport = await perplexityService.generateTumorBoardReport(patient, reportType);
-    
-    // Create report object without MongoDB save
-    const savedReport = {
-      reportId: aiReport.reportId,
-      patientId: patient.abhaId,
-      reportType: 'ai_generated',
-      generatedDate: aiReport.generatedDate,
-      summary: {
-        clinicalPresentation: `AI-Generated Report for ${patient.demographics?.gender || 'patient'}`,
-        diagnosticFindings: 'Generated using Perplexity AI with academic citations',
-        currentStatus: 'AI analysis completed',
-        treatmentHistory: 'Analyzed with current literature'
-      },
-      recommendations: [{
-        priority: 'high',
-        category: 'treatment',
-        description: 'AI-generated evidence-based recommendations',
-        rationale: 'Based on current academic literature and guidelines',
-        evidenceLevel: 'AI-curated evidence',
-        citations: aiReport.citations.map(citation => ({
-          source: citation.journal,
-          title: citation.title,
-          authors: citation.authors,
-          year: citation.year,
-          doi: citation.doi,
-          pmid: citation.pmid,
-          relevanceScore: citation.relevanceScore,
-          excerpt: citation.excerpt
-        }))
-      }],
-      aiGeneratedInsights: {
-        confidenceScore: 0.9,
-        modelVersion: aiReport.metadata.generationModel,
-        generationTimestamp: aiReport.generatedDate,
-        contextSources: ['Perplexity AI', 'Academic Literature', 'Clinical Guidelines']
-      },
-      discussionNotes: `AI Report Content:\n\n${aiReport.content}`,
-      approvalStatus: 'pending_review'
-    };
+    const { report, aiReport } = await reportService.generateAIReport(patient, reportType, { actor: req.get('X-User') || null });
     
     res.status(201).json({
       message: 'AI-powered tumor board report generated successfully',
-      reportId: aiReport.reportId,
-      report: savedReport,
+      reportId: report.reportId,
+      report,
       aiMetadata: aiReport.metadata,
       citations: aiReport.citations
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.get('/patient/:abhaId', async (req, res) => {
+router.get('/patient/:abhaId', requireConsent(), async (req, res) => {
   try {
-    const patient = await Patient.findOne({ abhaId: req.params.abhaId });
+    const { patients, reports } = getRepositories();
+    const patient = await patients.findByAbhaId(req.params.abhaId);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    const reports = await TumorBoardReport.find({ patientId: patient._id })
-      .sort('-generatedDate');
-    
-    res.json(reports);
+    res.json(await reports.findByPatient(patient.abhaId));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.put('/:reportId/approve', async (req, res) => {
+// Review state, sign-offs and history; X-Role adds the actions that role can take now
+router.get('/:reportId/review', consentForReport, async (req, res) => {
   try {
-    const { approverName, approverDesignation } = req.body;
-    
-    const report = await TumorBoardReport.findOneAndUpdate(
-      { reportId: req.params.reportId },
-      {
-        approvalStatus: 'approved',
-        approvedBy: {
-          name: approverName,
-          designation: approverDesignation,
-          timestamp: new Date()
-        }
-      },
-      { new: true }
-    );
-    
-    if (!report) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+    res.json(await reportService.reviewState(req.params.reportId, req.get('X-Role') || null));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Actions: submit (oncologist), sign (pathologist, radiologist), approve (chair),
+// reject (any reviewer, comment required), revise (oncologist, chair).
+// X-User names the reviewer and X-Role gives their role; body: { comment? }
+router.post('/:reportId/review/:action', consentForReport, async (req, res) => {
+  try {
+    const report = await reportService.review(req.params.reportId, req.params.action, {
+      actor: req.get('X-User') || null,
+      role: req.get('X-Role') || null,
+      comment: req.body?.comment
+    });
+    res.json({ message: `Report ${report.approvalStatus.replace('_', ' ')}`, report });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Kept for existing clients: the chair's approval, named by X-User or approverName.
+// X-Role is required here too, so a caller without one is not taken for the chair
+router.put('/:reportId/approve', consentForReport, async (req, res) => {
+  try {
+    const report = await reportService.review(req.params.reportId, 'approve', {
+      actor: req.get('X-User') || req.body?.approverName || null,
+      role: req.get('X-Role') || null,
+      comment: req.body?.comment
+    });
     
     res.json({
       message: 'Report approved successfully',
       report
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.post('/:reportId/notes', async (req, res) => {
+// Replaces the notes as a new report version; GET /:reportId/versions keeps the earlier ones
+router.post('/:reportId/notes', consentForReport, async (req, res) => {
   try {
     const { notes } = req.body;
     
-    const report = await TumorBoardReport.findOneAndUpdate(
-      { reportId: req.params.reportId },
-      { discussionNotes: notes },
-      { new: true }
-    );
-    
-    if (!report) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+    const report = await reportService.updateNotes(req.params.reportId, notes, {
+      actor: req.get('X-User') || null
+    });
     
     res.json({
       message: 'Discussion notes added successfully',
       report
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Rebuilds a draft or returned report from the patient's current record as its next version
+router.post('/:reportId/regenerate', consentForReport, async (req, res) => {
+  try {
+    const report = await reportService.regenerate(req.params.reportId, { actor: req.get('X-User') || null });
+    res.json({ message: 'Report regenerated', report });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Every stored version: number, operation, author, time and approval status
+router.get('/:reportId/versions', consentForReport, async (req, res) => {
+  try {
+    res.json(await reportService.versions(req.params.reportId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:reportId/versions/:version', consentForReport, async (req, res) => {
+  try {
+    res.json(await reportService.version(req.params.reportId, req.params.version));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ?from=&to= version numbers; by default the current version against the one before
+router.get('/:reportId/diff', consentForReport, async (req, res) => {
+  try {
+    res.json(await reportService.diff(req.params.reportId, { from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-router.get('/:reportId/export', async (req, res) => {
+// ?format=json (default) or pdf, the typeset report boards print for the meeting
+router.get('/:reportId/export', consentForReport, async (req, res) => {
   try {
     const { format = 'json' } = req.query;
-    const report = await TumorBoardReport.findOne({ reportId: req.params.reportId })
-      .populate('patientId');
-    
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`Unsupported export format "${format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { patients, reports } = getRepositories();
+    const report = req.report || await reports.findById(req.params.reportId);
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
     if (format === 'pdf') {
-      res.status(501).json({ 
-        error: 'PDF export not yet implemented',
-        message: 'Please use JSON format for now'
+      const patient = await patients.findByAbhaId(report.patientId);
+      const pdf = await pdfRenderer.render(report, { patient });
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${report.reportId}.pdf"`,
+        'Content-Length': pdf.length
       });
+      res.send(pdf);
     } else {
       res.json(report);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Knowledge base search with Perplexity API
+// Knowledge base search with the model configured for search (LLM_SEARCH_PROVIDER)
 router.post('/knowledge-search', async (req, res) => {
   try {
     const { query } = req.body;
@@ -235,7 +279,7 @@ router.post('/knowledge-search', async (req, res) => {
     
   } catch (error) {
     console.error('Knowledge search error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
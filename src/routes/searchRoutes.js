@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const PerplexityReportService = require('../services/perplexityReportService');
+const { getRepositories } = require('../repositories');
+const requireConsent = require('../utils/consentGate');
 
 const perplexityService = new PerplexityReportService();
 
+// Searches with a patient context send that patient's record to the model, so under
+// ABDM_CONSENT_ENFORCED they need a consent for it; plain searches carry no patient data
+const consentForPatient = requireConsent(req => req.body.patientContext);
+
+function consentForContext(req, res, next) {
+  return req.body?.patientContext ? consentForPatient(req, res, next) : next();
+}
+
 // Medical search with patient context
-router.post('/medical-search', async (req, res) => {
+router.post('/medical-search', consentForContext, async (req, res) => {
   try {
     const { query, patientContext } = req.body;
     
@@ -18,21 +28,17 @@ router.post('/medical-search', async (req, res) => {
 
     // If patient context is provided, load patient data
     if (patientContext) {
-      // Load patient data from the frontend data structure
-      const fs = require('fs');
-      const path = require('path');
-      
-      // Try to load from processed_patients.json first
+      // Try the configured patient repository first
       try {
-        const processedDataPath = path.join(__dirname, '../data', 'processed_patients.json');
-        const processedData = JSON.parse(fs.readFileSync(processedDataPath, 'utf8'));
-        patientData = processedData.find(p => p.abhaId === patientContext);
+        patientData = await getRepositories().patients.findByAbhaId(patientContext);
       } catch (error) {
-        console.log('Could not load processed_patients.json, using frontend data structure');
+        console.log('Could not load patient from repository, using frontend data structure');
       }
       
       // If not found, use the frontend patient data structure
       if (!patientData) {
+        const fs = require('fs');
+        const path = require('path');
         // Load from the frontend patient data structure
         const frontendDataPath = path.join(__dirname, '../../public/js/patientData.js');
         try {
@@ -53,16 +59,20 @@ router.post('/medical-search', async (req, res) => {
         let patientInfo;
         
         if (patientData.demographics) {
-          // Processed data structure
+          // Internal patient model
           const demographics = patientData.demographics || {};
           const cancerType = patientData.cancerType || {};
           const genomics = patientData.genomics || {};
-          const mutations = genomics.mutatedGenes?.map(m => `${m.gene} ${m.variant}`).join(', ') || '';
+          const mutationList = genomics.mutationProfile || genomics.mutatedGenes || [];
+          const mutations = mutationList.map(m => `${m.gene} ${m.variant}`).join(', ') || '';
+          const age = demographics.age || (demographics.dateOfBirth
+            ? new Date().getFullYear() - new Date(demographics.dateOfBirth).getFullYear()
+            : undefined);
           
           patientInfo = {
-            age: demographics.age,
+            age: age,
             gender: demographics.gender,
-            location: demographics.state,
+            location: demographics.address?.state || demographics.state,
             diagnosis: cancerType.primary,
             stage: cancerType.stage,
             histology: cancerType.histology,
@@ -125,21 +135,22 @@ Treatment History:
     try {
       searchResults = await perplexityService.searchMedicalKnowledgeWithContext(query, patientContextString);
     } catch (error) {
-      // If Perplexity API fails, provide a helpful fallback response
-      console.log('Perplexity API error:', error.message);
+      // If the model provider fails, provide a helpful fallback response
+      console.log('Knowledge search error:', error.message);
       
       searchResults = {
         query: query,
         summary: `Search results for "${query}" - API currently unavailable`,
         sections: [{
           name: 'API Configuration Notice',
-          content: `The medical search functionality requires a valid Perplexity API key. 
+          content: `The medical search functionality needs a configured model provider. 
           
-To enable full search capabilities:
-1. Sign up at https://docs.perplexity.ai/
-2. Get your API key
-3. Add it to your .env file as PERPLEXITY_API_KEY=your_key_here
-4. Restart the server
+To enable full search capabilities, set LLM_PROVIDER in your .env file (or LLM_PATIENT_SEARCH_PROVIDER for searches with patient context) to:
+1. perplexity, with PERPLEXITY_API_KEY=your_key_here
+2. openai, with OPENAI_API_KEY (and OPENAI_BASE_URL for other OpenAI-compatible endpoints)
+3. local, with LOCAL_LLM_BASE_URL pointing at a llama.cpp or vLLM server
+4. offline, for canned demo answers
+Then restart the server.
 
 Current search query: "${query}"
 ${patientContext ? `Patient context: ${patientContext}` : 'No patient context selected'}
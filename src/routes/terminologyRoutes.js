@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const TerminologyService = require('../terminology/terminologyService');
+const OperationOutcome = require('../fhir/operationOutcome');
+
+router.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+
+// Operation inputs come from the query string (GET) or the body (POST), either
+// as flat JSON or as a FHIR Parameters resource
+function operationParams(req) {
+  const body = req.body || {};
+  if (body.resourceType !== 'Parameters') {
+    return { ...req.query, ...body };
+  }
+
+  const params = { ...req.query };
+  (body.parameter || []).forEach(parameter => {
+    if (parameter.valueCoding) {
+      params.system = parameter.valueCoding.system;
+      params.code = parameter.valueCoding.code;
+      params.display = params.display || parameter.valueCoding.display;
+      return;
+    }
+    const valueKey = Object.keys(parameter).find(key => key.startsWith('value'));
+    if (valueKey) {
+      params[parameter.name] = parameter[valueKey];
+    }
+  });
+  return params;
+}
+
+function operation(run) {
+  return (req, res) => {
+    try {
+      res.json(run(TerminologyService.shared(), operationParams(req)));
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Terminology operation failed:', error);
+      }
+      res.status(error.statusCode || 500).json(OperationOutcome.fromError(error));
+    }
+  };
+}
+
+router.get('/', (req, res) => {
+  res.json(TerminologyService.shared().summary());
+});
+
+const lookup = operation((terminology, params) => terminology.lookup(params));
+router.get('/\\$lookup', lookup);
+router.post('/\\$lookup', lookup);
+
+const translate = operation((terminology, params) => terminology.translate(params));
+router.get('/\\$translate', translate);
+router.post('/\\$translate', translate);
+
+const validateCode = operation((terminology, params) => terminology.validateCode(params));
+router.get('/\\$validate-code', validateCode);
+router.post('/\\$validate-code', validateCode);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const path = require('path');
 const mongoose = require('mongoose');
 const Patient = require('../models/Patient');
 const FHIRPatientConverter = require('../fhir/patientConverter');
+const TerminologyService = require('../terminology/terminologyService');
 
 class RealSyntheticDataLoader {
   constructor() {
@@ -358,28 +359,13 @@ class RealSyntheticDataLoader {
     return new Date(timestamp);
   }
 
+  // Test names and units come from the terminology tables (LOINC / local lab codes)
   expandTestName(testName) {
-    const expansions = {
-      'RBC': 'Red Blood Cell Count',
-      'WBC': 'White Blood Cell Count',
-      'Platelets': 'Platelet Count',
-      'SCC': 'Squamous Cell Carcinoma Antigen',
-      'Hgb': 'Hemoglobin',
-      'Hct': 'Hematocrit'
-    };
-    return expansions[testName] || testName;
+    return TerminologyService.shared().resolveLab({ name: testName })?.commonName || testName;
   }
 
   getTestUnit(testName) {
-    const units = {
-      'RBC': '×10¹²/L',
-      'WBC': '×10⁹/L',
-      'Platelets': '×10⁹/L',
-      'SCC': 'ng/mL',
-      'Hgb': 'g/dL',
-      'Hct': '%'
-    };
-    return units[testName] || '';
+    return TerminologyService.shared().resolveLab({ name: testName })?.unit || '';
   }
 
   getReferenceRange(testName) {
@@ -9,16 +9,38 @@ const reportRoutes = require('./routes/reportRoutes');
 const dataSourceRoutes = require('./routes/dataSourceRoutes');
 const longitudinalRoutes = require('./routes/longitudinalRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const dicomwebRoutes = require('./routes/dicomwebRoutes');
+const fhirRoutes = require('./routes/fhirRoutes');
+const abdmRoutes = require('./routes/abdmRoutes');
+const mpiRoutes = require('./routes/mpiRoutes');
+const terminologyRoutes = require('./routes/terminologyRoutes');
+const conflictRoutes = require('./routes/conflictRoutes');
+const importRoutes = require('./routes/importRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
 const InteroperabilityService = require('./services/interoperabilityService');
+const MLLPListenerService = require('./services/mllpListenerService');
+const SyncScheduler = require('./services/syncScheduler');
+const DicomEcho = require('./dicom/dicomEcho');
+const FileBasedDataService = require('./services/fileBasedDataService');
+const LLMProviders = require('./llm/llmProviders');
+const { getBackend, getRepositories } = require('./repositories');
+const requireConsent = require('./utils/consentGate');
+const seedDataFiles = require('./utils/seedDataFiles');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// One listener per data source with connectionDetails.protocol = 'MLLP'
+app.locals.mllpService = new MLLPListenerService();
+// Incremental syncs for data sources with a syncSchedule
+app.locals.syncScheduler = new SyncScheduler();
+
 app.use(cors({
   origin: true,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-User', 'X-Role', 'X-Consent-Id'],
+  exposedHeaders: ['ETag', 'Location']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -28,6 +50,14 @@ app.use('/api/patients', patientRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/datasources', dataSourceRoutes);
 app.use('/api/longitudinal', longitudinalRoutes);
+app.use('/api/dicomweb', dicomwebRoutes);
+app.use('/fhir/r4', fhirRoutes);
+app.use('/api/abdm', abdmRoutes);
+app.use('/api/mpi', mpiRoutes);
+app.use('/api/terminology', terminologyRoutes);
+app.use('/api/conflicts', conflictRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/bundles', bundleRoutes);
 app.use('/api', searchRoutes);
 
 // Default route: serve clinician dashboard
@@ -40,7 +70,7 @@ const distPath = path.join(__dirname, '../dist');
 const publicPath = path.join(__dirname, '../public');
 app.use(express.static(distPath));
 app.use(express.static(publicPath));
-app.use('/data', express.static(path.join(__dirname, 'data')));
+app.use('/data', seedDataFiles());
 
 // Simple test endpoint
 app.get('/api/test', (req, res) => {
@@ -50,102 +80,97 @@ app.get('/api/test', (req, res) => {
 app.get('/api/health', async (req, res) => {
   try {
     const interopService = new InteroperabilityService();
-    const health = await interopService.getSystemHealth();
-    res.json(health);
+    const health = await interopService.getSystemHealth({ mllpService: req.app.locals.mllpService });
+    res.json({
+      ...health,
+      mllpListeners: req.app.locals.mllpService.status(),
+      syncSchedules: req.app.locals.syncScheduler.status(),
+      dataFiles: FileBasedDataService.shared().status(),
+      // Which provider and model each AI feature uses, and whether patient data may go there
+      llm: new LLMProviders().describe()
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Test endpoint for longitudinal history without MongoDB
-app.get('/api/test/longitudinal/:patientId', async (req, res) => {
+function calculateAge(demographics = {}) {
+  if (demographics.age) return demographics.age;
+  if (!demographics.dateOfBirth) return undefined;
+  return new Date().getFullYear() - new Date(demographics.dateOfBirth).getFullYear();
+}
+
+function toDateString(value, fallback) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().split('T')[0] : fallback;
+}
+
+// Simplified longitudinal timeline, served from whichever data backend is configured
+app.get('/api/test/longitudinal/:patientId', requireConsent('patientId'), async (req, res) => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    // Load processed patient data
-    const processedDataPath = path.join(__dirname, 'data', 'processed_patients.json');
-    const processedData = JSON.parse(fs.readFileSync(processedDataPath, 'utf8'));
-    
     const patientId = req.params.patientId;
-    const patient = processedData.find(p => p.abhaId === patientId);
+    const patient = await getRepositories().patients.findByAbhaId(patientId);
     
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
     
-    // Create simplified longitudinal timeline
+    const cancerType = patient.cancerType || {};
     const timeline = [];
     
     // Add basic patient information
     timeline.push({
-      date: '2024-01-01',
+      date: toDateString(cancerType.diagnosisDate, '2024-01-01'),
       type: 'diagnosis',
-      title: `${patient.cancerType.primary} Diagnosis`,
-      description: `Patient diagnosed with ${patient.cancerType.primary}, Stage ${patient.cancerType.stage}`,
+      title: `${cancerType.primary} Diagnosis`,
+      description: `Patient diagnosed with ${cancerType.primary}, Stage ${cancerType.stage}`,
       category: 'diagnosis'
     });
     
     // Add imaging events
-    if (patient.imaging) {
-      patient.imaging.forEach((img, index) => {
-        timeline.push({
-          date: img.date,
-          type: 'imaging',
-          title: `${img.modality} Study`,
-          description: `${img.modality} imaging of ${img.bodySite}`,
-          category: 'imaging',
-          details: img
-        });
+    (patient.imaging || []).forEach(img => {
+      timeline.push({
+        date: toDateString(img.studyDate, '2024-01-15'),
+        type: 'imaging',
+        title: `${img.modality} Study`,
+        description: img.description || `${img.modality} imaging`,
+        category: 'imaging',
+        details: img
       });
-    }
+    });
     
     // Add lab results
-    if (patient.labResults) {
-      patient.labResults.forEach((lab, index) => {
-        const baseDate = new Date('2024-01-01');
-        if (lab.timestamp && lab.timestamp.includes('day_')) {
-          const dayNumber = parseInt(lab.timestamp.replace('day_', ''));
-          baseDate.setDate(baseDate.getDate() + dayNumber);
-        }
-        
-        if (lab.observations) {
-          Object.entries(lab.observations).forEach(([testName, value]) => {
-            timeline.push({
-              date: baseDate.toISOString().split('T')[0],
-              type: 'lab_result',
-              title: `${testName} Result`,
-              description: `${testName}: ${value}`,
-              category: 'laboratory',
-              details: { testName, value, timestamp: lab.timestamp }
-            });
-          });
-        }
+    (patient.labResults || []).forEach(lab => {
+      timeline.push({
+        date: toDateString(lab.testDate, '2024-01-01'),
+        type: 'lab_result',
+        title: `${lab.testName} Result`,
+        description: `${lab.testName}: ${lab.value}${lab.unit ? ` ${lab.unit}` : ''}`,
+        category: 'laboratory',
+        details: lab
       });
-    }
+    });
     
     // Add treatments
-    if (patient.treatments) {
-      patient.treatments.forEach((treatment, index) => {
-        timeline.push({
-          date: treatment.startDate || '2024-02-01',
-          type: 'treatment_start',
-          title: `${treatment.treatmentType} Started`,
-          description: treatment.description || `${treatment.treatmentType} treatment initiated`,
-          category: 'treatment',
-          details: treatment
-        });
+    (patient.treatments || []).forEach(treatment => {
+      timeline.push({
+        date: toDateString(treatment.startDate, '2024-02-01'),
+        type: 'treatment_start',
+        title: `${treatment.type} Started`,
+        description: treatment.regimen || `${treatment.type} treatment initiated`,
+        category: 'treatment',
+        details: treatment
       });
-    }
+    });
     
     // Sort timeline by date
     timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
     
     const longitudinalHistory = {
       patientId: patient.abhaId,
-      patientName: `${patient.demographics.firstName} ${patient.demographics.lastName}`,
-      diagnosis: patient.cancerType.primary,
-      stage: patient.cancerType.stage,
+      patientName: `${patient.demographics?.firstName || ''} ${patient.demographics?.lastName || ''}`.trim(),
+      diagnosis: cancerType.primary,
+      stage: cancerType.stage,
       totalEvents: timeline.length,
       timespan: {
         earliest: timeline[0]?.date,
@@ -154,12 +179,10 @@ app.get('/api/test/longitudinal/:patientId', async (req, res) => {
       timeline: timeline,
       summary: {
         demographics: patient.demographics,
-        cancer: patient.cancerType,
-        cancerType: patient.cancerType, // Keep for backward compatibility
+        cancer: cancerType,
+        cancerType: cancerType, // Keep for backward compatibility
         clinicalInfo: patient.clinicalInfo,
-        therapy: patient.therapy,
-        hospital: patient.hospital,
-        pathology: patient.pathology,
+        pathology: patient.pathologyReports,
         genomics: patient.genomics,
         treatmentCount: patient.treatments?.length || 0,
         imagingStudies: patient.imaging?.length || 0,
@@ -182,16 +205,9 @@ app.get('/api/test/longitudinal/:patientId', async (req, res) => {
 });
 
 // Get full patient data by ID
-app.get('/api/test/patient/:patientId/full', async (req, res) => {
+app.get('/api/test/patient/:patientId/full', requireConsent('patientId'), async (req, res) => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    const processedDataPath = path.join(__dirname, 'data', 'processed_patients.json');
-    const processedData = JSON.parse(fs.readFileSync(processedDataPath, 'utf8'));
-    
-    const patientId = req.params.patientId;
-    const patient = processedData.find(p => p.abhaId === patientId);
+    const patient = await getRepositories().patients.findByAbhaId(req.params.patientId);
     
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
@@ -209,22 +225,19 @@ app.get('/api/test/patient/:patientId/full', async (req, res) => {
 });
 
 // List all available patients
-app.get('/api/test/patients', async (req, res) => {
+app.get('/api/test/patients', requireConsent(() => null), async (req, res) => {
   try {
-    const fs = require('fs');
-    const path = require('path');
+    const patients = (await getRepositories().patients.findAll())
+      .filter(patient => !req.consentedPatient || patient.abhaId === req.consentedPatient);
     
-    const processedDataPath = path.join(__dirname, 'data', 'processed_patients.json');
-    const processedData = JSON.parse(fs.readFileSync(processedDataPath, 'utf8'));
-    
-    const patientsList = processedData.map(patient => ({
+    const patientsList = patients.map(patient => ({
       abhaId: patient.abhaId,
-      name: `${patient.demographics.firstName} ${patient.demographics.lastName}`,
-      diagnosis: patient.cancerType.primary,
-      stage: patient.cancerType.stage,
-      age: patient.demographics.age,
-      gender: patient.demographics.gender,
-      state: patient.demographics.state
+      name: `${patient.demographics?.firstName || ''} ${patient.demographics?.lastName || ''}`.trim(),
+      diagnosis: patient.cancerType?.primary,
+      stage: patient.cancerType?.stage,
+      age: calculateAge(patient.demographics),
+      gender: patient.demographics?.gender,
+      state: patient.demographics?.address?.state || patient.demographics?.state
     }));
     
     res.json({
@@ -252,20 +265,56 @@ app.use((err, req, res, next) => {
 });
 
 async function startServer() {
+  const backend = getBackend();
+
+  if (backend === 'mongo') {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/oncology-poc');
+      console.log('Connected to MongoDB');
+    } catch (error) {
+      console.error('MongoDB connection failed:', error.message);
+    }
+  }
+
   try {
-    // Initialize file-based data service instead of MongoDB
-    console.log('Using file-based data service (MongoDB disabled)');
     const interopService = new InteroperabilityService();
     await interopService.initializeDataSources();
-    console.log('File-based data sources initialized successfully');
   } catch (error) {
     console.error('Error initializing data sources:', error.message);
   }
 
+  try {
+    await app.locals.mllpService.start();
+  } catch (error) {
+    console.error('Error starting MLLP listeners:', error.message);
+  }
+
+  // Local stand-in PACS answering C-ECHO, for DICOM sources probed against this host
+  if (process.env.DICOM_SCP_PORT) {
+    DicomEcho.createServer({ aeTitle: process.env.DICOM_SCP_AE_TITLE })
+      .on('error', error => console.error('DICOM verification SCP failed:', error.message))
+      .listen(Number(process.env.DICOM_SCP_PORT), () => console.log(`DICOM verification SCP on port ${process.env.DICOM_SCP_PORT}`));
+  }
+
+  try {
+    await app.locals.syncScheduler.start();
+  } catch (error) {
+    console.error('Error starting sync scheduler:', error.message);
+  }
+
+  // Source files under src/data are reloaded per patient as they change; DATA_WATCH=false turns this off
+  if (backend !== 'mongo' && process.env.DATA_WATCH !== 'false') {
+    try {
+      FileBasedDataService.shared().start();
+    } catch (error) {
+      console.error('Error watching data files:', error.message);
+    }
+  }
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on http://0.0.0.0:${PORT}`);
     console.log(`Open your browser and navigate to: http://localhost:${PORT}`);
-    console.log(`Using file-based data service - no MongoDB required`);
+    console.log(`Using "${backend}" data backend (set DATA_BACKEND=file|mongo|memory)`);
   });
 }
 
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getRepositories } = require('../repositories');
+const { PURPOSES, HI_TYPES, ACCESS_MODES, HI_TYPE_RESOURCES } = require('../abdm/abdmCodes');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Which states each consent action may start from
+const TRANSITIONS = {
+  GRANTED: ['REQUESTED'],
+  DENIED: ['REQUESTED'],
+  REVOKED: ['GRANTED'],
+  EXPIRED: ['REQUESTED', 'GRANTED']
+};
+
+const MAX_GATEWAY_MESSAGES = 200;
+
+// One mock gateway per process, whichever service instance sends through it
+const gatewayLog = [];
+
+function hipIdentity() {
+  return {
+    id: process.env.ABDM_HIP_ID || 'ONCO-HIP-LOCAL',
+    name: process.env.ABDM_HIP_NAME || 'Oncology Interoperability HIP'
+  };
+}
+
+function hiuIdentity() {
+  return {
+    id: process.env.ABDM_HIU_ID || 'ONCO-HIU-LOCAL',
+    name: process.env.ABDM_HIU_NAME || 'Oncology Tumor Board HIU'
+  };
+}
+
+function toIsoDate(value, field) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+function isoOrUndefined(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+// Plays the ABDM gateway and consent manager locally: consent requests are
+// raised by the HIU, granted or denied on the patient's behalf and signed, and
+// every step that would cross the gateway is recorded as a message.
+class AbdmConsentService {
+  notify(type, payload) {
+    const message = { requestId: uuidv4(), timestamp: new Date().toISOString(), type, payload };
+    gatewayLog.push(message);
+    if (gatewayLog.length > MAX_GATEWAY_MESSAGES) {
+      gatewayLog.splice(0, gatewayLog.length - MAX_GATEWAY_MESSAGES);
+    }
+    return message;
+  }
+
+  gatewayMessages(limit = 50) {
+    return gatewayLog.slice(-limit).reverse();
+  }
+
+  async requireLinkedPatient(abhaId) {
+    const patient = await getRepositories().patients.findByAbhaId(abhaId);
+    if (!patient) {
+      throw new NotFoundError(`Patient ${abhaId} not found`);
+    }
+    return patient;
+  }
+
+  validateRequest(request) {
+    const errors = [];
+    if (!request.patient?.id) {
+      errors.push({ message: 'patient.id (ABHA address) is required', path: 'patient.id' });
+    }
+    if (!PURPOSES[request.purpose?.code]) {
+      errors.push({ message: `purpose.code must be one of ${Object.keys(PURPOSES).join(', ')}`, path: 'purpose.code' });
+    }
+    if (!Array.isArray(request.hiTypes) || request.hiTypes.length === 0) {
+      errors.push({ message: 'hiTypes must list at least one HI type', path: 'hiTypes' });
+    } else {
+      request.hiTypes.filter(type => !HI_TYPES.includes(type)).forEach(type => {
+        errors.push({ message: `Unknown HI type ${type}`, path: 'hiTypes' });
+      });
+    }
+    const permission = request.permission || {};
+    if (permission.accessMode && !ACCESS_MODES.includes(permission.accessMode)) {
+      errors.push({ message: `permission.accessMode must be one of ${ACCESS_MODES.join(', ')}`, path: 'permission.accessMode' });
+    }
+    if (!permission.dateRange?.from || !permission.dateRange?.to) {
+      errors.push({ message: 'permission.dateRange.from and .to are required', path: 'permission.dateRange' });
+    }
+    if (!permission.dataEraseAt) {
+      errors.push({ message: 'permission.dataEraseAt is required', path: 'permission.dataEraseAt' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid consent request', errors);
+    }
+  }
+
+  async requestConsent(request, actor = 'hiu') {
+    this.validateRequest(request || {});
+    await this.requireLinkedPatient(request.patient.id);
+
+    const { permission } = request;
+    const dateRange = {
+      from: toIsoDate(permission.dateRange.from, 'permission.dateRange.from'),
+      to: toIsoDate(permission.dateRange.to, 'permission.dateRange.to')
+    };
+    if (dateRange.from > dateRange.to) {
+      throw new ValidationError('permission.dateRange.from must not be after permission.dateRange.to');
+    }
+    const dataEraseAt = toIsoDate(permission.dataEraseAt, 'permission.dataEraseAt');
+    if (new Date(dataEraseAt) <= new Date()) {
+      throw new ValidationError('permission.dataEraseAt must be in the future');
+    }
+
+    const now = new Date().toISOString();
+    const consent = await getRepositories().consents.create({
+      consentRequestId: uuidv4(),
+      status: 'REQUESTED',
+      patient: { id: request.patient.id },
+      purpose: { code: request.purpose.code, text: request.purpose.text || PURPOSES[request.purpose.code] },
+      hiu: request.hiu?.id ? request.hiu : hiuIdentity(),
+      requester: request.requester,
+      hiTypes: request.hiTypes,
+      permission: {
+        accessMode: permission.accessMode || 'VIEW',
+        dateRange,
+        dataEraseAt,
+        frequency: permission.frequency || { unit: 'HOUR', value: 1, repeats: 0 }
+      },
+      history: [{ status: 'REQUESTED', at: now, actor }]
+    });
+
+    this.notify('consent-requests/on-init', { consentRequestId: consent.consentRequestId, patient: consent.patient });
+    return consent;
+  }
+
+  async list({ patientId, status } = {}) {
+    const consents = getRepositories().consents;
+    const all = patientId ? await consents.findByPatient(patientId) : await consents.findAll();
+    const refreshed = await Promise.all(all.map(consent => this.refresh(consent)));
+    return status ? refreshed.filter(consent => consent.status === status) : refreshed;
+  }
+
+  async findRequest(consentRequestId) {
+    const consent = await getRepositories().consents.findById(consentRequestId);
+    if (!consent) {
+      throw new NotFoundError(`Consent request ${consentRequestId} not found`);
+    }
+    return this.refresh(consent);
+  }
+
+  async findConsent(consentId) {
+    const consent = await getRepositories().consents.findByConsentId(consentId);
+    if (!consent) {
+      throw new NotFoundError(`Consent ${consentId} not found`);
+    }
+    return this.refresh(consent);
+  }
+
+  // Expiry is applied lazily whenever a consent is read
+  async refresh(consent) {
+    if (!consent || !TRANSITIONS.EXPIRED.includes(consent.status)) {
+      return consent;
+    }
+    if (new Date(consent.permission?.dataEraseAt) > new Date()) {
+      return consent;
+    }
+    return this.transition(consent, 'EXPIRED', 'gateway', 'permission.dataEraseAt reached');
+  }
+
+  async transition(consent, status, actor, reason, changes = {}) {
+    if (!TRANSITIONS[status].includes(consent.status)) {
+      throw new ConflictError(`Cannot move consent ${consent.consentRequestId} from ${consent.status} to ${status}`);
+    }
+
+    const updated = await getRepositories().consents.update(consent.consentRequestId, {
+      ...changes,
+      status,
+      history: [...(consent.history || []), { status, at: new Date().toISOString(), actor, reason }]
+    });
+
+    this.notify('consents/hiu/notify', {
+      consentRequestId: updated.consentRequestId,
+      consentId: updated.consentId,
+      status
+    });
+    if (updated.consentId) {
+      this.notify('consents/hip/notify', { consentId: updated.consentId, status });
+    }
+    return updated;
+  }
+
+  // The patient grants through their consent manager; only care contexts the
+  // HIP has linked to the ABHA can be shared
+  async grant(consentRequestId, { careContexts, actor = 'patient' } = {}) {
+    const consent = await this.findRequest(consentRequestId);
+    if (consent.status !== 'REQUESTED') {
+      throw new ConflictError(`Cannot move consent ${consentRequestId} from ${consent.status} to GRANTED`);
+    }
+
+    const patient = await this.requireLinkedPatient(consent.patient.id);
+    const linked = (patient.careContexts || []).filter(context =>
+      careContexts ? careContexts.includes(context.referenceNumber) : true);
+    const unknown = (careContexts || []).filter(reference => !linked.some(context => context.referenceNumber === reference));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Care contexts not linked to ${consent.patient.id}: ${unknown.join(', ')}`);
+    }
+    if (linked.length === 0) {
+      throw new ValidationError(`Patient ${consent.patient.id} has no linked care contexts; the HIP must link them first`);
+    }
+
+    const granted = {
+      ...consent,
+      consentId: uuidv4(),
+      grantedAt: new Date().toISOString(),
+      hip: hipIdentity(),
+      careContexts: linked.map(context => ({
+        patientReference: consent.patient.id,
+        careContextReference: context.referenceNumber
+      }))
+    };
+    granted.signature = this.sign(granted);
+
+    return this.transition(consent, 'GRANTED', actor, undefined, {
+      consentId: granted.consentId,
+      grantedAt: granted.grantedAt,
+      hip: granted.hip,
+      careContexts: granted.careContexts,
+      signature: granted.signature
+    });
+  }
+
+  async deny(consentRequestId, { actor = 'patient', reason } = {}) {
+    return this.transition(await this.findRequest(consentRequestId), 'DENIED', actor, reason);
+  }
+
+  async revoke(consentId, { actor = 'patient', reason } = {}) {
+    return this.transition(await this.findConsent(consentId), 'REVOKED', actor, reason);
+  }
+
+  async expire(consentId, { actor = 'gateway', reason } = {}) {
+    const consent = await getRepositories().consents.findByConsentId(consentId)
+      || await getRepositories().consents.findById(consentId);
+    if (!consent) {
+      throw new NotFoundError(`Consent ${consentId} not found`);
+    }
+    return this.transition(consent, 'EXPIRED', actor, reason);
+  }
+
+  // The signed consent artefact as the gateway would deliver it to HIP and HIU
+  artefact(consent) {
+    return {
+      schemaVersion: 'v0.5',
+      consentId: consent.consentId,
+      createdAt: isoOrUndefined(consent.grantedAt),
+      patient: { id: consent.patient?.id },
+      careContexts: (consent.careContexts || []).map(({ patientReference, careContextReference }) =>
+        ({ patientReference, careContextReference })),
+      purpose: { code: consent.purpose?.code, text: consent.purpose?.text },
+      hip: { id: consent.hip?.id, name: consent.hip?.name },
+      hiu: { id: consent.hiu?.id, name: consent.hiu?.name },
+      consentManager: { id: 'sbx' },
+      hiTypes: [...(consent.hiTypes || [])],
+      permission: {
+        accessMode: consent.permission?.accessMode,
+        dateRange: {
+          from: isoOrUndefined(consent.permission?.dateRange?.from),
+          to: isoOrUndefined(consent.permission?.dateRange?.to)
+        },
+        dataEraseAt: isoOrUndefined(consent.permission?.dataEraseAt)
+      }
+    };
+  }
+
+  sign(consent) {
+    const secret = process.env.ABDM_GATEWAY_SECRET || 'local-mock-gateway';
+    return crypto.createHmac('sha256', secret).update(JSON.stringify(this.artefact(consent))).digest('base64');
+  }
+
+  async consentArtefact(consentId) {
+    const consent = await this.findConsent(consentId);
+    return { status: consent.status, consentDetail: this.artefact(consent), signature: consent.signature };
+  }
+
+  // Used to gate patient data access: the consent must be granted, unexpired,
+  // correctly signed and, when abhaId is given, cover that patient
+  async findActiveConsent(consentId, abhaId) {
+    if (!consentId) {
+      throw new AppError('An active ABDM consent is required; pass its id in the X-Consent-Id header', 403);
+    }
+
+    const consent = await this.refresh(await getRepositories().consents.findByConsentId(consentId));
+    if (!consent) {
+      throw new AppError(`Consent ${consentId} not found`, 403);
+    }
+    if (consent.status !== 'GRANTED') {
+      throw new AppError(`Consent ${consentId} is ${consent.status}`, 403);
+    }
+    if (consent.signature !== this.sign(consent)) {
+      throw new AppError(`Consent ${consentId} signature does not verify`, 403);
+    }
+    if (abhaId && consent.patient.id !== abhaId) {
+      throw new AppError(`Consent ${consentId} does not cover patient ${abhaId}`, 403);
+    }
+    return consent;
+  }
+
+  async getCareContexts(abhaId) {
+    return (await this.requireLinkedPatient(abhaId)).careContexts || [];
+  }
+
+  // HIP-initiated linking; without explicit contexts the patient's oncology
+  // record is linked as one care context covering every HI type we serve
+  async linkCareContexts(abhaId, careContexts, author = 'hip') {
+    const patient = await this.requireLinkedPatient(abhaId);
+    const requested = careContexts && careContexts.length > 0
+      ? careContexts
+      : [{ referenceNumber: `${abhaId}-oncology`, display: 'Oncology care record' }];
+
+    const errors = [];
+    requested.forEach((context, index) => {
+      if (!context.referenceNumber) {
+        errors.push({ message: 'referenceNumber is required', path: `careContexts[${index}].referenceNumber` });
+      }
+      (context.hiTypes || []).filter(type => !HI_TYPE_RESOURCES[type]).forEach(type => {
+        errors.push({ message: `HI type ${type} is not served by this HIP`, path: `careContexts[${index}].hiTypes` });
+      });
+    });
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid care contexts', errors);
+    }
+
+    const linkedAt = new Date().toISOString();
+    const merged = [...(patient.careContexts || [])];
+    requested.forEach(context => {
+      const entry = {
+        referenceNumber: context.referenceNumber,
+        display: context.display || context.referenceNumber,
+        hiTypes: context.hiTypes && context.hiTypes.length > 0 ? context.hiTypes : Object.keys(HI_TYPE_RESOURCES),
+        hipId: hipIdentity().id,
+        linkedAt
+      };
+      const index = merged.findIndex(existing => existing.referenceNumber === entry.referenceNumber);
+      if (index >= 0) {
+        merged[index] = entry;
+      } else {
+        merged.push(entry);
+      }
+    });
+
+    const { patient: updated } = await getRepositories().patients.update(abhaId, { careContexts: merged }, { author });
+    this.notify('links/link/add-contexts', {
+      patient: { referenceNumber: abhaId, careContexts: requested.map(({ referenceNumber, display }) => ({ referenceNumber, display })) },
+      hip: hipIdentity()
+    });
+    return updated.careContexts || merged;
+  }
+
+  async unlinkCareContext(abhaId, referenceNumber, author = 'hip') {
+    const patient = await this.requireLinkedPatient(abhaId);
+    const remaining = (patient.careContexts || []).filter(context => context.referenceNumber !== referenceNumber);
+    if (remaining.length === (patient.careContexts || []).length) {
+      throw new NotFoundError(`Care context ${referenceNumber} is not linked to ${abhaId}`);
+    }
+    await getRepositories().patients.update(abhaId, { careContexts: remaining }, { author });
+    return remaining;
+  }
+}
+
+module.exports = AbdmConsentService;
@@ -0,0 +1,208 @@
+const { v4: uuidv4 } = require('uuid');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+const HealthInformationCipher = require('../abdm/healthInformationCipher');
+const { HI_TYPE_RESOURCES } = require('../abdm/abdmCodes');
+const { getRepositories } = require('../repositories');
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const FHIR_JSON = 'application/fhir+json';
+
+function resourceDate(resource) {
+  return resource.effectiveDateTime
+    || resource.effectivePeriod?.start
+    || resource.started
+    || resource.onsetDateTime
+    || resource.recordedDate;
+}
+
+function inRange(resource, dateRange) {
+  const date = new Date(resourceDate(resource));
+  // Undated resources cannot be filtered, so they travel with the care context
+  if (Number.isNaN(date.getTime())) {
+    return true;
+  }
+  return date >= new Date(dateRange.from) && date <= new Date(dateRange.to);
+}
+
+// Health information request/push between the HIU and HIP sides of this
+// deployment. The HIP answers with one encrypted FHIR collection Bundle per
+// consented care context; the HIU only decrypts while the consent is active.
+class AbdmHealthInformationService {
+  constructor(consentService) {
+    this.consentService = consentService;
+    this.transactions = new Map();
+  }
+
+  // Requested range is clipped to what the consent permits
+  resolveDateRange(consent, dateRange = {}) {
+    const permitted = consent.permission.dateRange;
+    const from = new Date(Math.max(new Date(dateRange.from || permitted.from), new Date(permitted.from)));
+    const to = new Date(Math.min(new Date(dateRange.to || permitted.to), new Date(permitted.to)));
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw new ValidationError('dateRange does not overlap the range the consent permits');
+    }
+    return { from: from.toISOString(), to: to.toISOString() };
+  }
+
+  async requestHealthInformation({ consentId, dateRange, keyMaterial } = {}) {
+    const consent = await this.consentService.findActiveConsent(consentId);
+    const range = this.resolveDateRange(consent, dateRange);
+
+    let hiuPrivateKey;
+    if (keyMaterial) {
+      HealthInformationCipher.validateKeyMaterial(keyMaterial);
+    } else {
+      ({ privateKey: hiuPrivateKey, keyMaterial } = HealthInformationCipher.generateKeyMaterial(consent.permission.dataEraseAt));
+    }
+
+    const transaction = {
+      transactionId: uuidv4(),
+      consentId,
+      status: 'REQUESTED',
+      requestedAt: new Date().toISOString(),
+      dateRange: range,
+      hiuKeyMaterial: keyMaterial,
+      hiuPrivateKey
+    };
+    this.transactions.set(transaction.transactionId, transaction);
+    this.consentService.notify('health-information/hip/request', {
+      transactionId: transaction.transactionId,
+      hiRequest: { consent: { id: consentId }, dateRange: range, keyMaterial }
+    });
+
+    this.receivePush(await this.buildPush(consent, transaction));
+    return this.summarize(this.transactions.get(transaction.transactionId));
+  }
+
+  // HIP side: gather, filter and encrypt the consented records
+  async buildPush(consent, transaction) {
+    const patient = await getRepositories().patients.findByAbhaId(consent.patient.id);
+    if (!patient) {
+      throw new NotFoundError(`Patient ${consent.patient.id} not found`);
+    }
+
+    const [patientResource, ...resources] = FHIRPatientConverter.toFHIRResources(patient);
+    const { privateKey, keyMaterial } = HealthInformationCipher.generateKeyMaterial(consent.permission.dataEraseAt);
+
+    const entries = consent.careContexts
+      .map(({ careContextReference }) => {
+        const linked = (patient.careContexts || []).find(context => context.referenceNumber === careContextReference);
+        // A context unlinked since the grant is no longer held for this ABHA
+        if (!linked) {
+          return null;
+        }
+
+        const hiTypes = consent.hiTypes.filter(type => !linked.hiTypes?.length || linked.hiTypes.includes(type));
+        const types = new Set(hiTypes.flatMap(type => HI_TYPE_RESOURCES[type] || []));
+        const bundle = {
+          resourceType: 'Bundle',
+          id: uuidv4(),
+          meta: { lastUpdated: new Date().toISOString() },
+          type: 'collection',
+          timestamp: new Date().toISOString(),
+          entry: [patientResource, ...resources.filter(resource => types.has(resource.resourceType) && inRange(resource, transaction.dateRange))]
+            .map(resource => ({ fullUrl: `${resource.resourceType}/${resource.id}`, resource }))
+        };
+
+        const plaintext = JSON.stringify(bundle);
+        return {
+          content: HealthInformationCipher.encrypt(plaintext, {
+            privateKey,
+            publicKey: transaction.hiuKeyMaterial.dhPublicKey.keyValue,
+            ownNonce: keyMaterial.nonce,
+            otherNonce: transaction.hiuKeyMaterial.nonce,
+            info: careContextReference
+          }),
+          media: FHIR_JSON,
+          checksum: HealthInformationCipher.checksum(plaintext),
+          careContextReference
+        };
+      })
+      .filter(Boolean);
+
+    return { pageNumber: 0, pageCount: 1, transactionId: transaction.transactionId, entries, keyMaterial };
+  }
+
+  // HIU side: the data push endpoint
+  receivePush(payload) {
+    const transaction = this.transactions.get(payload?.transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`Health information transaction ${payload?.transactionId} not found`);
+    }
+    if (!Array.isArray(payload.entries)) {
+      throw new ValidationError('entries must be an array');
+    }
+    HealthInformationCipher.validateKeyMaterial(payload.keyMaterial);
+
+    const received = {
+      ...transaction,
+      status: 'TRANSFERRED',
+      receivedAt: new Date().toISOString(),
+      entries: payload.entries,
+      hipKeyMaterial: payload.keyMaterial
+    };
+    this.transactions.set(received.transactionId, received);
+    this.consentService.notify('health-information/notify', {
+      transactionId: received.transactionId,
+      consentId: received.consentId,
+      status: 'TRANSFERRED',
+      statusResponses: payload.entries.map(entry => ({ careContextReference: entry.careContextReference, hiStatus: 'DELIVERED' }))
+    });
+    return this.summarize(received);
+  }
+
+  summarize(transaction) {
+    return {
+      transactionId: transaction.transactionId,
+      consentId: transaction.consentId,
+      status: transaction.status,
+      dateRange: transaction.dateRange,
+      requestedAt: transaction.requestedAt,
+      receivedAt: transaction.receivedAt,
+      entries: (transaction.entries || []).length
+    };
+  }
+
+  // Access re-checks the consent; once it is revoked or expired the received
+  // data is erased, as the consent's dataEraseAt/revocation requires
+  async getTransaction(transactionId, { decrypt = false } = {}) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`Health information transaction ${transactionId} not found`);
+    }
+
+    try {
+      await this.consentService.findActiveConsent(transaction.consentId);
+    } catch (error) {
+      this.transactions.delete(transactionId);
+      throw new AppError(`${error.message}; health information received under it has been erased`, 403);
+    }
+
+    const result = { ...this.summarize(transaction), keyMaterial: transaction.hipKeyMaterial };
+    if (!decrypt) {
+      return { ...result, entries: transaction.entries || [] };
+    }
+    if (!transaction.hiuPrivateKey) {
+      throw new AppError('This transaction used HIU-supplied keys; decrypt it with the matching private key', 400);
+    }
+
+    return {
+      ...result,
+      entries: (transaction.entries || []).map(entry => {
+        const plaintext = HealthInformationCipher.decrypt(entry.content, {
+          privateKey: transaction.hiuPrivateKey,
+          publicKey: transaction.hipKeyMaterial.dhPublicKey.keyValue,
+          ownNonce: transaction.hiuKeyMaterial.nonce,
+          otherNonce: transaction.hipKeyMaterial.nonce,
+          info: entry.careContextReference
+        });
+        if (HealthInformationCipher.checksum(plaintext) !== entry.checksum) {
+          throw new AppError(`Checksum mismatch for care context ${entry.careContextReference}`, 422);
+        }
+        return { careContextReference: entry.careContextReference, media: entry.media, resource: JSON.parse(plaintext) };
+      })
+    };
+  }
+}
+
+module.exports = AbdmHealthInformationService;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const BundleReader = require('../import/bundleReader');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const DataAggregator = require('./dataAggregator');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const DEFAULT_ROOT = path.join(__dirname, '../data/synthetic-datasets');
+
+// Case bundles: one folder per patient under CASE_BUNDLES_PATH (the bundled
+// synthetic datasets by default), each holding whatever files that patient's
+// systems exported. Importing a case folds every file it has into the
+// patient's record through the aggregator, so re-importing updates the record
+// and disagreements with other sources go through the conflict policies.
+class CaseBundleService {
+  constructor({ root = process.env.CASE_BUNDLES_PATH || DEFAULT_ROOT, dataAggregator = new DataAggregator() } = {}) {
+    this.root = root;
+    this.dataAggregator = dataAggregator;
+  }
+
+  caseIds() {
+    if (!fs.existsSync(this.root)) return [];
+    return fs.readdirSync(this.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  // Case folders and what their files were recognised as
+  async list() {
+    return this.caseIds().map(caseId => ({ caseId, files: BundleReader.scan(path.join(this.root, caseId)) }));
+  }
+
+  folderOf(caseId) {
+    if (!this.caseIds().includes(caseId)) {
+      throw new NotFoundError(`Case bundle ${caseId} not found in ${this.root}`);
+    }
+    return path.join(this.root, caseId);
+  }
+
+  // Every case, or those named in `caseIds`
+  async importAll({ caseIds } = {}, actor = null) {
+    if (caseIds !== undefined && (!Array.isArray(caseIds) || caseIds.some(caseId => typeof caseId !== 'string'))) {
+      throw new ValidationError('caseIds must be an array of case folder names');
+    }
+    const selected = caseIds || this.caseIds();
+    selected.forEach(caseId => this.folderOf(caseId));
+
+    const cases = [];
+    for (const caseId of selected) {
+      cases.push(await this.importCase(caseId, actor));
+    }
+    const count = status => cases.filter(result => result.status === status).length;
+    return { cases, created: count('created'), updated: count('updated'), unmatched: count('unmatched'), failed: count('failed') };
+  }
+
+  async importCase(caseId, actor = null) {
+    const folder = this.folderOf(caseId);
+    const { abhaId, files, records } = BundleReader.read(folder, caseId);
+    const result = { caseId, abhaId, status: 'empty', conflicts: 0, files };
+    if (records.length === 0) return result;
+
+    const author = `bundle:${actor || caseId}`;
+    const source = { name: `Case bundle ${caseId}`, type: 'BUNDLE' };
+    const described = records.map(record => ({
+      abhaIds: [abhaId],
+      data: record.data,
+      provenance: ProvenanceTracker.describe(record.data, ProvenanceTracker.context({ name: source.name, type: record.type }, {
+        sourceRecordId: `${caseId}/${record.file}`,
+        recordedAt: fs.statSync(path.join(folder, record.file)).mtime,
+        activity: 'bundle-import',
+        agent: author
+      }))
+    }));
+
+    try {
+      const [group] = this.dataAggregator.groupByPatient(described);
+      const { status, conflicts } = await this.dataAggregator.applyChanges(group, source, { author });
+      return { ...result, status, conflicts };
+    } catch (error) {
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+}
+
+module.exports = CaseBundleService;
@@ -205,9 +205,11 @@ class CitationService {
 
   formatCitation(citation, style = 'vancouver') {
     if (style === 'vancouver') {
-      const authors = citation.authors.slice(0, 6).join(', ');
-      const etAl = citation.authors.length > 6 ? ', et al' : '';
-      return `${authors}${etAl}. ${citation.title}. ${citation.journal}. ${citation.year};${citation.doi ? ` doi:${citation.doi}` : ''}`;
+      // Guideline and trial entries may have no authors or journal; their source stands in
+      const authors = (citation.authors || []).slice(0, 6).join(', ');
+      const etAl = (citation.authors || []).length > 6 ? ', et al' : '';
+      const journal = citation.journal || citation.source;
+      return `${authors ? `${authors}${etAl}. ` : ''}${citation.title}.${journal ? ` ${journal}.` : ''} ${citation.year};${citation.doi ? ` doi:${citation.doi}` : ''}`;
     }
     
     return JSON.stringify(citation);
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ConflictDetector = require('../conflicts/conflictDetector');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const CHOICES = ['current', 'incoming', 'value'];
+const STEWARD = 'data-steward';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const resolvePath = (value, fieldPath) => fieldPath.split('.')
+  .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+
+// { demographics: { dateOfBirth: value } } for "demographics.dateOfBirth"
+const nest = (fieldPath, value) => fieldPath.split('.').reduceRight((nested, key) => ({ [key]: nested }), value);
+
+// Conflict queue: records disagreements between sources as they are folded
+// into patient records, settles them by policy where one is configured, and
+// applies a data steward's decision to the record for the rest. Every
+// decision, automatic or manual, stays on the conflict.
+class ConflictService {
+  // Checks source data against the record it is about to be folded into.
+  // Returns the data without the values that lost (or wait for review), the
+  // current list entries replaced by an entry keyed differently, and the
+  // conflicts recorded.
+  async reconcile(abhaId, current, data) {
+    const found = ConflictDetector.detect(current, data);
+    if (found.length === 0) {
+      return { data, superseded: [], conflicts: [] };
+    }
+
+    const trustLevels = await this.trustLevels();
+    const held = [];
+    const superseded = [];
+    const conflicts = [];
+    for (const candidate of found) {
+      const conflict = await this.record(abhaId, candidate, trustLevels);
+      if (this.latestChoice(conflict) === 'incoming') {
+        if (ConflictDetector.isEntryConflict(candidate) && candidate.key !== candidate.incomingKey) {
+          superseded.push({ path: candidate.path, key: candidate.key });
+        }
+      } else {
+        held.push(candidate);
+      }
+      conflicts.push(conflict);
+    }
+    return { data: ConflictDetector.withhold(data, held), superseded, conflicts };
+  }
+
+  // A disagreement seen before (same patient, field, source and values) keeps
+  // its earlier decision, so a steward is not asked twice and a value they
+  // rejected is not written back by the next sync
+  async record(abhaId, candidate, trustLevels) {
+    const { conflicts } = getRepositories();
+    const fingerprint = this.fingerprint(abhaId, candidate);
+    const now = new Date();
+
+    const [known] = await conflicts.findAll({ fingerprint });
+    if (known) {
+      return conflicts.update(known.conflictId, { occurrences: (known.occurrences || 1) + 1, lastDetectedAt: now });
+    }
+
+    const policy = ConflictDetector.policyFor(candidate.path);
+    const decision = ConflictDetector.decide(candidate, policy, trustLevels);
+    return conflicts.create({
+      conflictId: uuidv4(),
+      fingerprint,
+      abhaId,
+      path: candidate.path,
+      key: candidate.key,
+      incomingKey: candidate.incomingKey,
+      fields: candidate.fields || [],
+      policy,
+      status: decision ? 'auto-resolved' : 'open',
+      current: candidate.current,
+      incoming: candidate.incoming,
+      decisions: decision ? [{
+        choice: decision.choice,
+        value: candidate[decision.choice].value,
+        decidedBy: `policy:${policy}`,
+        decidedAt: now,
+        reason: decision.reason
+      }] : [],
+      occurrences: 1,
+      detectedAt: now,
+      lastDetectedAt: now
+    });
+  }
+
+  fingerprint(abhaId, conflict) {
+    return crypto.createHash('sha1').update(JSON.stringify([
+      abhaId,
+      conflict.path,
+      conflict.key,
+      conflict.incomingKey,
+      conflict.incoming.source,
+      ConflictDetector.comparable(conflict, conflict.current.value),
+      ConflictDetector.comparable(conflict, conflict.incoming.value)
+    ])).digest('hex');
+  }
+
+  latestChoice(conflict) {
+    const decisions = conflict.decisions || [];
+    return decisions.length > 0 ? decisions[decisions.length - 1].choice : null;
+  }
+
+  // trustLevel set on data sources, by source name
+  async trustLevels() {
+    const sources = await getRepositories().dataSources.findAll();
+    return new Map(sources
+      .filter(source => typeof source.trustLevel === 'number')
+      .map(source => [source.name, source.trustLevel]));
+  }
+
+  async policies() {
+    return {
+      ...ConflictDetector.policies(),
+      available: ConflictDetector.POLICIES,
+      trustLevels: Object.fromEntries(await this.trustLevels())
+    };
+  }
+
+  async list(filter = {}) {
+    return getRepositories().conflicts.findAll(filter);
+  }
+
+  async get(conflictId) {
+    const conflict = await getRepositories().conflicts.findById(conflictId);
+    if (!conflict) {
+      throw new NotFoundError(`Data conflict ${conflictId} not found`);
+    }
+    return conflict;
+  }
+
+  // A steward keeps the current value, takes the incoming one, or enters a
+  // value of their own; decisions taken by policy can be overridden the same way
+  async resolve(conflictId, { choice, value, reason } = {}, actor = null) {
+    if (!CHOICES.includes(choice)) {
+      throw new ValidationError(`choice must be one of: ${CHOICES.join(', ')}`);
+    }
+    const conflict = await this.get(conflictId);
+    const entryConflict = ConflictDetector.isEntryConflict(conflict);
+    if (choice === 'value' && (value === undefined || value === null || (entryConflict && !isPlainObject(value)))) {
+      throw new ValidationError(entryConflict
+        ? `A ${conflict.path} entry object is required as value`
+        : 'A value is required when choosing "value"');
+    }
+
+    const { patients } = getRepositories();
+    const patient = await patients.findByAbhaId(conflict.abhaId);
+    if (!patient) {
+      throw new NotFoundError(`Patient with ABHA ID ${conflict.abhaId} not found`);
+    }
+
+    // The record must still hold what the last decision left there; otherwise
+    // the steward would be deciding on values that are no longer current
+    const applied = this.appliedSide(conflict);
+    const onRecord = this.valueOnRecord(patient, conflict, applied.key);
+    if (onRecord === undefined ||
+        !ConflictDetector.equivalent(ConflictDetector.comparable(conflict, onRecord), ConflictDetector.comparable(conflict, applied.value))) {
+      throw new ConflictError(`${conflict.path} of patient ${conflict.abhaId} changed after this conflict was detected`, {
+        expected: applied.value,
+        actual: onRecord === undefined ? null : onRecord
+      });
+    }
+
+    const decidedBy = actor || STEWARD;
+    const chosen = choice === 'value'
+      ? { value, key: entryConflict ? ProvenanceTracker.entryKey(conflict.path, value) : null }
+      : { value: conflict[choice].value, key: choice === 'incoming' ? conflict.incomingKey : conflict.key };
+
+    if (chosen.key !== applied.key || !ConflictDetector.equivalent(onRecord, chosen.value)) {
+      await patients.update(conflict.abhaId, {
+        ...this.writeOf(patient, conflict, applied.key, chosen),
+        provenance: ProvenanceTracker.merge(patient.provenance, [this.provenanceOf(conflict, choice, chosen, decidedBy)])
+      }, { author: decidedBy });
+    }
+
+    return getRepositories().conflicts.update(conflictId, {
+      status: 'resolved',
+      decisions: [...(conflict.decisions || []), {
+        choice,
+        value: chosen.value,
+        decidedBy,
+        decidedAt: new Date(),
+        reason: reason || null
+      }]
+    });
+  }
+
+  // The value (and list entry key) the latest decision put on the record
+  appliedSide(conflict) {
+    const choice = this.latestChoice(conflict) || 'current';
+    const decision = conflict.decisions?.[conflict.decisions.length - 1];
+    if (choice === 'value') {
+      const key = ConflictDetector.isEntryConflict(conflict) ? ProvenanceTracker.entryKey(conflict.path, decision.value) : null;
+      return { value: decision.value, key };
+    }
+    return { value: conflict[choice].value, key: choice === 'incoming' ? conflict.incomingKey : conflict.key };
+  }
+
+  valueOnRecord(patient, conflict, key) {
+    if (!ConflictDetector.isEntryConflict(conflict)) {
+      return resolvePath(patient, conflict.path);
+    }
+    return (patient[conflict.path] || []).find(entry => ProvenanceTracker.entryKey(conflict.path, entry) === key);
+  }
+
+  // Patient updates putting the chosen value in place of the applied one
+  writeOf(patient, conflict, appliedKey, chosen) {
+    if (!ConflictDetector.isEntryConflict(conflict)) {
+      return nest(conflict.path, chosen.value);
+    }
+    const list = patient[conflict.path] || [];
+    const position = list.findIndex(entry => ProvenanceTracker.entryKey(conflict.path, entry) === appliedKey);
+    const rest = list.filter(entry => ![appliedKey, chosen.key].includes(ProvenanceTracker.entryKey(conflict.path, entry)));
+    rest.splice(position < 0 ? rest.length : Math.min(position, rest.length), 0, chosen.value);
+    return { [conflict.path]: rest };
+  }
+
+  // Kept or taken values stay attributed to the source that supplied them;
+  // a value the steward entered is attributed to the steward
+  provenanceOf(conflict, choice, chosen, decidedBy) {
+    const side = choice === 'value' ? ProvenanceTracker.context({ name: decidedBy, type: 'MANUAL' }) : conflict[choice];
+    return {
+      path: conflict.path,
+      key: chosen.key,
+      source: side.source,
+      sourceType: side.sourceType,
+      sourceRecordId: side.sourceRecordId ?? null,
+      ingestedAt: side.ingestedAt || new Date(),
+      recordedAt: side.recordedAt ?? null,
+      activity: 'conflict-resolution',
+      agent: decidedBy,
+      rules: []
+    };
+  }
+}
+
+module.exports = ConflictService;
@@ -1,10 +1,24 @@
-const Patient = require('../models/Patient');
-const DataSource = require('../models/DataSource');
+const fs = require('fs');
+const path = require('path');
 const FHIRPatientConverter = require('../fhir/patientConverter');
+const HL7Parser = require('../hl7/hl7Parser');
+const HL7Mapper = require('../hl7/hl7Mapper');
+const DicomImporter = require('../dicom/dicomImporter');
+const MappingEngine = require('../mapping/mappingEngine');
+const PatientMatcher = require('../mpi/patientMatcher');
+const MasterPatientIndexService = require('./masterPatientIndexService');
+const ConflictService = require('./conflictService');
+const ConflictDetector = require('../conflicts/conflictDetector');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+const { ValidationError } = require('../utils/errors');
+const { RECORD_KEYS, upsertBy } = require('../utils/recordLists');
 
 class DataAggregator {
   constructor() {
     this.sourceAdapters = new Map();
+    this.mpi = new MasterPatientIndexService();
+    this.conflicts = new ConflictService();
     this.initializeAdapters();
   }
 
@@ -15,11 +29,23 @@ class DataAggregator {
     this.sourceAdapters.set('HIMS', new HIMSAdapter());
     this.sourceAdapters.set('PATHOLOGY', new PathologyAdapter());
     this.sourceAdapters.set('GENOMICS', new GenomicsAdapter());
+    this.mappedAdapter = new MappedFileAdapter();
+  }
+
+  // JSON exports go through the mapping engine, using the source's own rules
+  // or the default profile for its type; other formats use the type adapter
+  adapterFor(source) {
+    if (source.mappingRules?.length > 0 || (source.dataFormat === 'JSON' && MappingEngine.defaultProfile(source.type))) {
+      return this.mappedAdapter;
+    }
+    return this.sourceAdapters.get(source.type);
   }
 
   async aggregatePatientData(abhaId) {
     try {
-      const dataSources = await DataSource.find({ syncStatus: 'active' });
+      // Sources whose last scheduled sync failed are still asked; only disabled ones are skipped
+      const dataSources = (await getRepositories().dataSources.findAll())
+        .filter(source => source.syncStatus !== 'inactive');
       const aggregatedData = {
         abhaId,
         demographics: {},
@@ -28,16 +54,34 @@ class DataAggregator {
         labResults: [],
         pathologyReports: [],
         genomics: {},
-        treatments: []
+        treatments: [],
+        provenance: []
       };
 
       for (const source of dataSources) {
-        const adapter = this.sourceAdapters.get(source.type);
+        const adapter = this.adapterFor(source);
         if (!adapter) continue;
 
         try {
-          const sourceData = await adapter.fetchPatientData(abhaId, source);
-          this.mergeData(aggregatedData, sourceData, source.type);
+          // Adapters that know which source record supplied what return their own provenance
+          const { provenance, ...fetched } = await adapter.fetchPatientData(abhaId, source);
+          const incoming = {
+            ...fetched,
+            provenance: provenance || ProvenanceTracker.describe(
+              fetched,
+              ProvenanceTracker.context(source, { activity: 'aggregate', agent: 'data-aggregator', rules: adapter.mappingRules(source) })
+            )
+          };
+          // Sources disagreeing with one another are settled before their data is combined
+          const { data, superseded } = await this.conflicts.reconcile(abhaId, aggregatedData, incoming);
+          const { provenance: accepted, ...sourceData } = data;
+          ConflictDetector.removeSuperseded(aggregatedData, superseded);
+          aggregatedData.provenance = ProvenanceTracker.merge(aggregatedData.provenance, accepted);
+          if (adapter === this.mappedAdapter) {
+            MappingEngine.merge(aggregatedData, sourceData);
+          } else {
+            this.mergeData(aggregatedData, sourceData, source.type);
+          }
         } catch (error) {
           console.error(`Error fetching data from ${source.name}:`, error);
         }
@@ -62,6 +106,9 @@ class DataAggregator {
       case 'LIS':
         target.labResults.push(...(source.labResults || []));
         break;
+      case 'HIMS':
+        target.medicalHistory.push(...(source.medicalHistory || []));
+        break;
       case 'PATHOLOGY':
         target.pathologyReports.push(...(source.pathologyReports || []));
         break;
@@ -73,16 +120,135 @@ class DataAggregator {
 
   async syncPatientData(abhaId) {
     const aggregatedData = await this.aggregatePatientData(abhaId);
-    
-    let patient = await Patient.findOne({ abhaId });
-    if (!patient) {
-      patient = new Patient(aggregatedData);
-    } else {
-      Object.assign(patient, aggregatedData);
+    const { patients } = getRepositories();
+
+    const existing = await patients.findByAbhaId(abhaId);
+    if (!existing) {
+      return (await patients.create(aggregatedData, { author: 'data-aggregator' })).patient;
+    }
+    const { updates } = await this.reconciledUpdates(existing, aggregatedData);
+    return (await patients.update(abhaId, updates, { author: 'data-aggregator' })).patient;
+  }
+
+  // sourceUpdates for data that may disagree with what other sources put on
+  // the record: conflicting values go through the conflict policies first
+  async reconciledUpdates(patient, data) {
+    const { data: accepted, superseded, conflicts } = await this.conflicts.reconcile(patient.abhaId, patient, data);
+    return {
+      updates: ConflictDetector.removeSuperseded(this.sourceUpdates(patient, accepted), superseded),
+      conflicts
+    };
+  }
+
+  // Updates folding source data into a patient: list entries already on the
+  // record (same lab test ID, same study UID...) are replaced, new ones
+  // appended; objects are merged field by field by the repository
+  sourceUpdates(patient, data) {
+    const updates = {};
+    Object.entries(data).forEach(([field, value]) => {
+      if (field === 'abhaId' || value === undefined) return;
+      if (field === 'provenance') {
+        updates.provenance = ProvenanceTracker.merge(patient.provenance, value);
+      } else if (field === 'identifiers') {
+        updates.identifiers = PatientMatcher.mergeIdentifiers(patient.identifiers || [], value);
+      } else if (field === 'imaging') {
+        updates.imaging = value.reduce((imaging, study) => DicomImporter.mergeStudy(imaging, study), [...(patient.imaging || [])]);
+      } else if (RECORD_KEYS[field] && Array.isArray(value)) {
+        updates[field] = upsertBy(RECORD_KEYS[field], patient[field], value);
+      } else {
+        updates[field] = value;
+      }
+    });
+    return updates;
+  }
+
+  // Pulls the records a source changed after `since` (the watermark of its
+  // last run) and folds them into the patients they belong to
+  async syncSource(source, { since = null } = {}) {
+    const adapter = this.adapterFor(source);
+    if (!adapter) {
+      throw new ValidationError(`No adapter for ${source.type} data sources`);
+    }
+
+    const changes = await adapter.fetchChanges(source, since);
+    const rules = adapter.mappingRules(source);
+    changes.records.forEach(record => {
+      record.provenance = ProvenanceTracker.describe(record.data, ProvenanceTracker.context(source, {
+        sourceRecordId: record.recordId || record.file,
+        recordedAt: record.recordedAt,
+        activity: 'sync',
+        agent: `sync:${source.name}`,
+        rules
+      }));
+    });
+    const result = {
+      watermark: changes.watermark,
+      files: changes.files,
+      records: changes.records.length,
+      created: 0,
+      updated: 0,
+      unmatched: 0,
+      conflicts: 0,
+      errors: [...changes.errors]
+    };
+
+    for (const group of this.groupByPatient(changes.records)) {
+      try {
+        const { status, conflicts } = await this.applyChanges(group, source);
+        result[status]++;
+        result.conflicts += conflicts;
+      } catch (error) {
+        result.errors.push({ patient: group.abhaIds[0], message: error.message });
+      }
+    }
+    return result;
+  }
+
+  // One update per patient per run, however many files mention them
+  groupByPatient(records) {
+    const groups = new Map();
+    records.forEach(({ abhaIds, data, provenance = [] }) => {
+      const key = abhaIds[0] || JSON.stringify(data.identifiers || data.demographics || {});
+      if (!groups.has(key)) {
+        groups.set(key, { abhaIds: [], data: {}, provenance: [] });
+      }
+      const group = groups.get(key);
+      group.abhaIds = Array.from(new Set([...group.abhaIds, ...abhaIds]));
+      MappingEngine.merge(group.data, data);
+      group.provenance = ProvenanceTracker.merge(group.provenance, provenance);
+    });
+    return Array.from(groups.values());
+  }
+
+  // Known IDs first (following merges to the survivor), then the master patient index
+  async resolvePatient(abhaIds, data) {
+    const { patients } = getRepositories();
+    for (const abhaId of abhaIds) {
+      const patient = await patients.findByAbhaId(abhaId);
+      if (patient) {
+        return patient.mergedInto ? patients.findByAbhaId(patient.mergedInto) : patient;
+      }
+    }
+    return this.mpi.resolve(data);
+  }
+
+  // Records for unknown patients register them when they carry a name;
+  // results and reports alone are left for the master patient index review.
+  // Answers the outcome and how many conflicts with other sources were found.
+  async applyChanges({ abhaIds, data, provenance = [] }, source, { author = `sync:${source.name}` } = {}) {
+    const { patients } = getRepositories();
+    const patient = await this.resolvePatient(abhaIds, data);
+
+    if (patient) {
+      const { updates, conflicts } = await this.reconciledUpdates(patient, { ...data, provenance });
+      await patients.update(patient.abhaId, updates, { author });
+      return { status: 'updated', conflicts: conflicts.length };
+    }
+    if (!abhaIds[0] || !PatientMatcher.normalizeName(data.demographics)) {
+      return { status: 'unmatched', conflicts: 0 };
     }
-    
-    await patient.save();
-    return patient;
+    await patients.create({ ...data, abhaId: abhaIds[0], provenance }, { author });
+    return { status: 'created', conflicts: 0 };
   }
 
   convertToFHIR(patientData) {
@@ -98,6 +264,47 @@ class BaseAdapter {
   mapToInternalFormat(externalData) {
     throw new Error('mapToInternalFormat must be implemented by subclass');
   }
+
+  // Rules recorded in the provenance of what this adapter maps
+  mappingRules(dataSource) {
+    return [];
+  }
+
+  // Scheduled syncs ask for what changed after `since`: the files read, the
+  // records as { file, recordedAt, abhaIds, data }, per-record errors and the new watermark
+  async fetchChanges(dataSource, since) {
+    throw new ValidationError(`${dataSource.name} only answers per-patient lookups and cannot be synced incrementally`);
+  }
+
+  // Files modified after the watermark, oldest first. The watermark is the
+  // newest modification time seen, so the next run starts after it.
+  changedFiles(files, since) {
+    const after = since ? new Date(since).getTime() : -Infinity;
+    const changed = files
+      .map(filePath => ({ filePath, modifiedAt: fs.statSync(filePath).mtime }))
+      .filter(file => file.modifiedAt.getTime() > after)
+      .sort((a, b) => a.modifiedAt - b.modifiedAt);
+    return {
+      changed,
+      watermark: changed.length > 0 ? changed[changed.length - 1].modifiedAt.toISOString() : since
+    };
+  }
+
+  requireFolder(folder) {
+    if (!fs.existsSync(folder)) {
+      throw new Error(`Source folder ${folder} is not available`);
+    }
+    return folder;
+  }
+
+  // File-based feeds read from connectionDetails.endpoint when the source uses
+  // `format`, relative to src/data unless absolute
+  resolveFolder(dataSource, format, defaultFolder) {
+    const endpoint = dataSource?.dataFormat === format && dataSource.connectionDetails?.endpoint
+      ? dataSource.connectionDetails.endpoint
+      : defaultFolder;
+    return path.isAbsolute(endpoint) ? endpoint : path.join(__dirname, '../data', endpoint);
+  }
 }
 
 class EMRAdapter extends BaseAdapter {
@@ -139,43 +346,204 @@ class EMRAdapter extends BaseAdapter {
   }
 }
 
+// Reads DICOM Part 10 files, typically a DICOMDIR export from the radiology department
 class PACSAdapter extends BaseAdapter {
   async fetchPatientData(abhaId, dataSource) {
-    const mockData = {
-      imaging: [{
-        studyId: 'IMG001',
-        modality: 'CT',
-        studyDate: new Date(),
-        description: 'Head CT - baseline',
-        findings: 'Mass in oral cavity',
-        sourceSystem: 'PACS'
-      }]
+    const folder = this.resolveFolder(dataSource, 'DICOM', 'PACS/dicom');
+    const studies = DicomImporter.readStudies(folder, dataSource?.name || 'PACS')
+      .filter(study => study.patientId === abhaId);
+    return this.mapToInternalFormat(studies);
+  }
+
+  mapToInternalFormat(studies) {
+    return {
+      imaging: studies.map(study => study.imaging)
     };
-    return mockData;
+  }
+
+  // A study is re-read whole when any of its instances changed, so the merge
+  // never replaces a series list with only the new images
+  async fetchChanges(dataSource, since) {
+    const folder = this.requireFolder(this.resolveFolder(dataSource, 'DICOM', 'PACS/dicom'));
+    const { changed, watermark } = this.changedFiles(DicomImporter.listFiles(folder), since);
+    const changedPaths = new Set(changed.map(file => DicomImporter.storedPath(file.filePath)));
+    const records = changedPaths.size === 0 ? [] : DicomImporter.readStudies(folder, dataSource.name)
+      .filter(study => study.imaging.series.some(series =>
+        series.instances.some(instance => changedPaths.has(instance.filePath))))
+      .map(study => ({
+        file: study.imaging.studyInstanceUid,
+        abhaIds: [study.patientId].filter(Boolean),
+        data: this.mapToInternalFormat([study])
+      }));
+    return { files: changed.length, records, errors: [], watermark };
   }
 }
 
-class LISAdapter extends BaseAdapter {
+// Reads HL7 v2 files dropped into a folder. The folder comes from the data
+// source's connectionDetails.endpoint, relative to src/data unless absolute.
+class HL7FileAdapter extends BaseAdapter {
+  constructor(defaultFolder, sourceType) {
+    super();
+    this.defaultFolder = defaultFolder;
+    this.sourceType = sourceType;
+  }
+
+  // Only HL7 feeds read the drop folder; a LIS or HIMS source in another
+  // format would otherwise pick up the HL7 feed's messages a second time
+  folderFor(dataSource) {
+    if (dataSource && dataSource.dataFormat !== 'HL7') {
+      return null;
+    }
+    return this.resolveFolder(dataSource, 'HL7', this.defaultFolder);
+  }
+
+  readMessages(dataSource) {
+    const folder = this.folderFor(dataSource);
+    if (!folder || !fs.existsSync(folder)) {
+      return [];
+    }
+
+    const messages = [];
+    fs.readdirSync(folder)
+      .filter(file => /\.(hl7|txt)$/i.test(file))
+      .sort()
+      .forEach(file => {
+        try {
+          messages.push(...HL7Parser.parseBatch(fs.readFileSync(path.join(folder, file), 'utf8')));
+        } catch (error) {
+          console.error(`Skipping unparseable HL7 file ${file}:`, error.message);
+        }
+      });
+    return messages;
+  }
+
   async fetchPatientData(abhaId, dataSource) {
-    const mockData = {
-      labResults: [{
-        testId: 'LAB001',
-        testName: 'Complete Blood Count',
-        testDate: new Date(),
-        value: '12.5',
-        unit: 'g/dL',
-        referenceRange: '12-16 g/dL',
-        interpretation: 'Normal',
-        sourceSystem: 'LIS'
-      }]
+    const messages = this.readMessages(dataSource).filter(message => HL7Mapper.matchesPatient(message, abhaId));
+    return this.mapToInternalFormat(messages);
+  }
+
+  // Messages only ever add results and events, so unknown patients are not
+  // registered here; the ABHA identifier is tried before the other PID-3 IDs
+  async fetchChanges(dataSource, since) {
+    if (!this.folderFor(dataSource)) {
+      return { files: 0, records: [], errors: [], watermark: since };
+    }
+    const folder = this.requireFolder(this.folderFor(dataSource));
+    const files = fs.readdirSync(folder)
+      .filter(file => /\.(hl7|txt)$/i.test(file))
+      .map(file => path.join(folder, file));
+    const { changed, watermark } = this.changedFiles(files, since);
+
+    const records = [];
+    const errors = [];
+    changed.forEach(({ filePath, modifiedAt }) => {
+      const file = path.basename(filePath);
+      try {
+        HL7Parser.parseBatch(fs.readFileSync(filePath, 'utf8')).forEach(message => {
+          const identifiers = HL7Mapper.patientIdentifiers(message)
+            .sort((a, b) => (b.assigningAuthority === 'ABHA') - (a.assigningAuthority === 'ABHA'));
+          records.push({
+            file,
+            recordId: message.controlId ? `${file}#${message.controlId}` : file,
+            recordedAt: modifiedAt,
+            abhaIds: identifiers.map(identifier => identifier.value),
+            data: this.mapToInternalFormat([message])
+          });
+        });
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    });
+    return { files: changed.length, records, errors, watermark };
+  }
+}
+
+class LISAdapter extends HL7FileAdapter {
+  constructor() {
+    super('hl7/lis', 'LIS');
+  }
+
+  mapToInternalFormat(messages) {
+    return {
+      labResults: messages.flatMap(message => HL7Mapper.toLabResults(message, this.sourceType))
+    };
+  }
+}
+
+class HIMSAdapter extends HL7FileAdapter {
+  constructor() {
+    super('hl7/hims', 'HIMS');
+  }
+
+  mapToInternalFormat(messages) {
+    return {
+      medicalHistory: messages.flatMap(message => HL7Mapper.toMedicalHistory(message, this.sourceType))
     };
-    return mockData;
   }
 }
 
-class HIMSAdapter extends BaseAdapter {
+// Reads JSON records from the source's folder and maps them with its mappingRules
+// and lookupTables, so onboarding a new export layout is a configuration change
+class MappedFileAdapter extends BaseAdapter {
+  mappingFor(dataSource) {
+    if (dataSource.mappingRules?.length > 0) {
+      return { mappingRules: dataSource.mappingRules, lookupTables: dataSource.lookupTables || {} };
+    }
+    return MappingEngine.defaultProfile(dataSource.type);
+  }
+
+  mappingRules(dataSource) {
+    return this.mappingFor(dataSource)?.mappingRules || [];
+  }
+
+  // Records belong to the patient when they carry its ABHA ID or one of its
+  // source identifiers, or when the master patient index scores them a match
+  belongsTo(data, abhaId, patient) {
+    if (data.abhaId === abhaId) return true;
+    return Boolean(patient) && PatientMatcher.compare(patient, data).decision === 'match';
+  }
+
   async fetchPatientData(abhaId, dataSource) {
-    return {};
+    const { mappingRules, lookupTables } = this.mappingFor(dataSource);
+    const folder = this.resolveFolder(dataSource, dataSource.dataFormat, dataSource.type);
+    const patient = await getRepositories().patients.findByAbhaId(abhaId);
+    const mapped = {};
+    let provenance = [];
+    MappingEngine.readRecords(folder).forEach(({ file, record }) => {
+      const { data, errors } = MappingEngine.apply(record, mappingRules, { lookupTables });
+      errors.forEach(error => console.warn(`Mapping ${dataSource.name} ${file} to ${error.targetField}: ${error.message}`));
+      if (this.belongsTo(data, abhaId, patient)) {
+        delete data.abhaId;
+        MappingEngine.merge(mapped, data);
+        provenance = ProvenanceTracker.merge(provenance, ProvenanceTracker.describe(data, ProvenanceTracker.context(dataSource, {
+          sourceRecordId: file,
+          recordedAt: fs.statSync(path.join(folder, file)).mtime,
+          activity: 'aggregate',
+          agent: 'data-aggregator',
+          rules: mappingRules
+        })));
+      }
+    });
+    return { ...mapped, provenance };
+  }
+
+  async fetchChanges(dataSource, since) {
+    const { mappingRules, lookupTables } = this.mappingFor(dataSource);
+    const folder = this.requireFolder(this.resolveFolder(dataSource, dataSource.dataFormat, dataSource.type));
+    const files = fs.readdirSync(folder)
+      .filter(file => file.toLowerCase().endsWith('.json'))
+      .map(file => path.join(folder, file));
+    const { changed, watermark } = this.changedFiles(files, since);
+    const modified = new Map(changed.map(file => [path.basename(file.filePath), file.modifiedAt]));
+
+    const records = [];
+    const errors = [];
+    MappingEngine.readRecords(folder, file => modified.has(file)).forEach(({ file, record }) => {
+      const { data, errors: ruleErrors } = MappingEngine.apply(record, mappingRules, { lookupTables });
+      ruleErrors.forEach(error => errors.push({ file, message: `${error.targetField}: ${error.message}` }));
+      records.push({ file, recordedAt: modified.get(file), abhaIds: [data.abhaId].filter(Boolean), data });
+    });
+    return { files: changed.length, records, errors, watermark };
   }
 }
 
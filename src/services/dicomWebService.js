@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const DicomImporter = require('../dicom/dicomImporter');
+const DicomUid = require('../dicom/dicomUid');
+const { getRepositories } = require('../repositories');
+const { NotFoundError } = require('../utils/errors');
+
+const PUBLIC_PATIENTS_PATH = path.join(__dirname, '../../public/patients');
+const PACS_PATH = path.join(__dirname, '../data/PACS');
+
+// QIDO-RS query keys accepted as keyword or tag
+const QUERY_KEYS = {
+  PatientID: '00100020',
+  PatientName: '00100010',
+  StudyInstanceUID: '0020000D',
+  StudyDate: '00080020',
+  AccessionNumber: '00080050',
+  ModalitiesInStudy: '00080061',
+  SeriesInstanceUID: '0020000E',
+  Modality: '00080060',
+  SOPInstanceUID: '00080018'
+};
+
+const attribute = (vr, value) => (value === undefined || value === null || value === ''
+  ? { vr }
+  : { vr, Value: Array.isArray(value) ? value : [value] });
+
+// Serves the imaging attached to patients as DICOMweb (PS3.18) QIDO-RS/WADO-RS resources
+class DicomWebService {
+  static toDicomDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString().slice(0, 10).replace(/-/g, '') : undefined;
+  }
+
+  static toDicomTime(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString().slice(11, 19).replace(/:/g, '') : undefined;
+  }
+
+  // "Dr. Priya Sharma" -> "Sharma^Priya^^Dr."
+  static toPersonName(display) {
+    if (!display) return undefined;
+    const parts = display.trim().split(/\s+/);
+    const prefix = /^(dr|mr|mrs|ms|prof)\.?$/i.test(parts[0]) ? parts.shift() : '';
+    const family = parts.length > 1 ? parts.pop() : parts.shift() || '';
+    const [given = '', ...middle] = parts;
+    return [family, given, middle.join(' '), prefix].join('^').replace(/\^+$/, '');
+  }
+
+  async getStudies() {
+    const patients = await getRepositories().patients.findAll();
+    return patients.flatMap(patient => (patient.imaging || []).map((imaging, index) => this.toStudy(patient, imaging, index)));
+  }
+
+  toStudy(patient, imaging, index) {
+    const studyInstanceUid = DicomUid.study(patient.abhaId, imaging, index);
+    const renderedImage = this.findRenderedImage(patient.abhaId, imaging);
+
+    const series = imaging.series?.length
+      ? imaging.series.map(entry => ({
+        ...entry,
+        instances: (entry.instances || []).map(instance => ({ ...instance, renderedImage }))
+      }))
+      : [{
+        seriesInstanceUid: DicomUid.placeholderSeries(studyInstanceUid),
+        seriesNumber: 1,
+        modality: imaging.modality,
+        bodyPart: imaging.bodyPart,
+        description: imaging.description,
+        instances: [{
+          sopInstanceUid: DicomUid.placeholderInstance(studyInstanceUid),
+          sopClassUid: DicomUid.SECONDARY_CAPTURE,
+          instanceNumber: 1,
+          renderedImage
+        }]
+      }];
+
+    return { patient, imaging, studyInstanceUid, series, renderedImage };
+  }
+
+  // PNG shown for rendered frames: public/patients/<abhaId>/images/<studyId>.png,
+  // then the screenshot referenced by the PACS feed (src/data/PACS/<dicomUrl>)
+  findRenderedImage(abhaId, imaging) {
+    const candidates = [];
+    if (imaging.studyId) {
+      candidates.push(path.join(PUBLIC_PATIENTS_PATH, abhaId, 'images', `${imaging.studyId}.png`));
+    }
+    if (imaging.dicomUrl && /\.(png|jpe?g)$/i.test(imaging.dicomUrl) && !/^[a-z]+:/i.test(imaging.dicomUrl)) {
+      candidates.push(path.join(PACS_PATH, imaging.dicomUrl));
+    }
+
+    const roots = [PUBLIC_PATIENTS_PATH, PACS_PATH];
+    return candidates.find(candidate =>
+      roots.some(root => !path.relative(root, candidate).startsWith('..')) && fs.existsSync(candidate)
+    ) || null;
+  }
+
+  static matches(value, filter) {
+    if (filter === undefined || filter === '') return true;
+    const values = (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null);
+
+    // Comma-separated UID lists and "*" / "?" wildcards per PS3.18 8.3.4.
+    // Person names match on any component, ignoring the ^ separators.
+    return String(filter).split(',').some(option => {
+      const pattern = new RegExp(`^${option.trim().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+      return values.some(v => pattern.test(String(v)) || String(v).split('^').some(part => pattern.test(part)));
+    });
+  }
+
+  static matchesDateRange(date, filter) {
+    if (!filter) return true;
+    if (!date) return false;
+    const [from, to] = filter.includes('-') ? filter.split('-') : [filter, filter];
+    return (!from || date >= from) && (!to || date <= to);
+  }
+
+  // QIDO-RS accepts "PatientID=x" or "00100020=x"
+  static readQuery(query) {
+    const result = {};
+    Object.entries(QUERY_KEYS).forEach(([keyword, tag]) => {
+      const value = query[keyword] ?? query[tag];
+      if (value !== undefined) result[keyword] = String(value);
+    });
+    return result;
+  }
+
+  static paginate(items, query) {
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    const limit = parseInt(query.limit, 10);
+    return Number.isFinite(limit) && limit >= 0 ? items.slice(offset, offset + limit) : items.slice(offset);
+  }
+
+  async searchStudies(query = {}, baseUrl = '') {
+    const filters = DicomWebService.readQuery(query);
+    const studies = (await this.getStudies()).filter(study => {
+      const modalities = this.modalitiesInStudy(study);
+      return DicomWebService.matches(study.patient.abhaId, filters.PatientID) &&
+        DicomWebService.matches(this.patientName(study.patient), filters.PatientName) &&
+        DicomWebService.matches(study.studyInstanceUid, filters.StudyInstanceUID) &&
+        DicomWebService.matches(study.imaging.accessionNumber || study.imaging.studyId, filters.AccessionNumber) &&
+        DicomWebService.matches(modalities, filters.ModalitiesInStudy) &&
+        DicomWebService.matchesDateRange(DicomWebService.toDicomDate(study.imaging.studyDate), filters.StudyDate);
+    });
+
+    return DicomWebService.paginate(studies, query).map(study => this.studyToJson(study, baseUrl));
+  }
+
+  // ABHA of the patient a study belongs to, or null when there is no such study
+  async patientOfStudy(studyInstanceUid) {
+    const study = (await this.getStudies()).find(candidate => candidate.studyInstanceUid === studyInstanceUid);
+    return study ? study.patient.abhaId : null;
+  }
+
+  async findStudy(studyInstanceUid) {
+    const study = (await this.getStudies()).find(candidate => candidate.studyInstanceUid === studyInstanceUid);
+    if (!study) {
+      throw new NotFoundError(`Study ${studyInstanceUid} not found`);
+    }
+    return study;
+  }
+
+  async findSeries(studyInstanceUid, seriesInstanceUid) {
+    const study = await this.findStudy(studyInstanceUid);
+    const series = study.series.find(candidate => candidate.seriesInstanceUid === seriesInstanceUid);
+    if (!series) {
+      throw new NotFoundError(`Series ${seriesInstanceUid} not found in study ${studyInstanceUid}`);
+    }
+    return { study, series };
+  }
+
+  async findInstance(studyInstanceUid, seriesInstanceUid, sopInstanceUid) {
+    const { study, series } = await this.findSeries(studyInstanceUid, seriesInstanceUid);
+    const instance = series.instances.find(candidate => candidate.sopInstanceUid === sopInstanceUid);
+    if (!instance) {
+      throw new NotFoundError(`Instance ${sopInstanceUid} not found in series ${seriesInstanceUid}`);
+    }
+    return { study, series, instance };
+  }
+
+  async searchSeries(studyInstanceUid, query = {}, baseUrl = '') {
+    const filters = DicomWebService.readQuery(query);
+    const study = await this.findStudy(studyInstanceUid);
+    const series = study.series.filter(entry =>
+      DicomWebService.matches(entry.seriesInstanceUid, filters.SeriesInstanceUID) &&
+      DicomWebService.matches(entry.modality || study.imaging.modality, filters.Modality)
+    );
+    return DicomWebService.paginate(series, query).map(entry => this.seriesToJson(study, entry, baseUrl));
+  }
+
+  async searchInstances(studyInstanceUid, seriesInstanceUid, query = {}, baseUrl = '') {
+    const filters = DicomWebService.readQuery(query);
+    const { study, series } = await this.findSeries(studyInstanceUid, seriesInstanceUid);
+    const instances = series.instances.filter(instance => DicomWebService.matches(instance.sopInstanceUid, filters.SOPInstanceUID));
+    return DicomWebService.paginate(instances, query).map(instance => this.instanceToJson(study, series, instance, baseUrl));
+  }
+
+  // WADO-RS metadata: full instance-level attributes for a whole study or one series
+  async getMetadata(studyInstanceUid, seriesInstanceUid, baseUrl = '') {
+    const study = await this.findStudy(studyInstanceUid);
+    return study.series
+      .filter(series => !seriesInstanceUid || series.seriesInstanceUid === seriesInstanceUid)
+      .flatMap(series => series.instances.map(instance => ({
+        ...this.studyToJson(study, baseUrl),
+        ...this.seriesToJson(study, series, baseUrl),
+        ...this.instanceToJson(study, series, instance, baseUrl)
+      })));
+  }
+
+  // Original Part 10 file for instances ingested from DICOM, null otherwise
+  async getInstanceFile(studyInstanceUid, seriesInstanceUid, sopInstanceUid) {
+    const { instance } = await this.findInstance(studyInstanceUid, seriesInstanceUid, sopInstanceUid);
+    if (!instance.filePath) return null;
+    const filePath = DicomImporter.resolvePath(instance.filePath);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  // Rendered resources: no pixel decoding here, every frame falls back to the study PNG
+  async getRenderedImage(studyInstanceUid, seriesInstanceUid, sopInstanceUid) {
+    let renderedImage;
+    if (sopInstanceUid) {
+      renderedImage = (await this.findInstance(studyInstanceUid, seriesInstanceUid, sopInstanceUid)).instance.renderedImage;
+    } else if (seriesInstanceUid) {
+      renderedImage = (await this.findSeries(studyInstanceUid, seriesInstanceUid)).series.instances[0]?.renderedImage;
+    } else {
+      renderedImage = (await this.findStudy(studyInstanceUid)).renderedImage;
+    }
+
+    if (!renderedImage) {
+      throw new NotFoundError(`No rendered image available for study ${studyInstanceUid}`);
+    }
+    return renderedImage;
+  }
+
+  patientName(patient) {
+    const { firstName = '', lastName = '' } = patient.demographics || {};
+    return [lastName, firstName].join('^').replace(/^\^|\^$/g, '');
+  }
+
+  modalitiesInStudy(study) {
+    return [...new Set(study.series.map(series => series.modality || study.imaging.modality).filter(Boolean))];
+  }
+
+  studyToJson(study, baseUrl) {
+    const { patient, imaging } = study;
+    const demographics = patient.demographics || {};
+    const sex = { male: 'M', female: 'F', other: 'O' }[demographics.gender];
+    const name = this.patientName(patient);
+
+    return {
+      '00080020': attribute('DA', DicomWebService.toDicomDate(imaging.studyDate)),
+      '00080030': attribute('TM', DicomWebService.toDicomTime(imaging.studyDate)),
+      '00080050': attribute('SH', imaging.accessionNumber || imaging.studyId),
+      '00080061': attribute('CS', this.modalitiesInStudy(study)),
+      '00080090': attribute('PN', imaging.referringPhysician
+        ? { Alphabetic: DicomWebService.toPersonName(imaging.referringPhysician) }
+        : undefined),
+      '00081030': attribute('LO', imaging.description),
+      '00081190': attribute('UR', `${baseUrl}/studies/${study.studyInstanceUid}`),
+      '00100010': attribute('PN', name ? { Alphabetic: name } : undefined),
+      '00100020': attribute('LO', patient.abhaId),
+      '00100030': attribute('DA', DicomWebService.toDicomDate(demographics.dateOfBirth)),
+      '00100040': attribute('CS', sex),
+      '0020000D': attribute('UI', study.studyInstanceUid),
+      '00200010': attribute('SH', imaging.studyId),
+      '00201206': attribute('IS', study.series.length),
+      '00201208': attribute('IS', study.series.reduce((total, series) => total + series.instances.length, 0))
+    };
+  }
+
+  seriesToJson(study, series, baseUrl) {
+    return {
+      '00080060': attribute('CS', series.modality || study.imaging.modality),
+      '0008103E': attribute('LO', series.description),
+      '00081190': attribute('UR', `${baseUrl}/studies/${study.studyInstanceUid}/series/${series.seriesInstanceUid}`),
+      '00180015': attribute('CS', series.bodyPart || study.imaging.bodyPart),
+      '0020000D': attribute('UI', study.studyInstanceUid),
+      '0020000E': attribute('UI', series.seriesInstanceUid),
+      '00200011': attribute('IS', series.seriesNumber),
+      '00201209': attribute('IS', series.instances.length)
+    };
+  }
+
+  instanceToJson(study, series, instance, baseUrl) {
+    const seriesUrl = `${baseUrl}/studies/${study.studyInstanceUid}/series/${series.seriesInstanceUid}`;
+    return {
+      '00080016': attribute('UI', instance.sopClassUid),
+      '00080018': attribute('UI', instance.sopInstanceUid),
+      '00081190': attribute('UR', `${seriesUrl}/instances/${instance.sopInstanceUid}`),
+      '0020000D': attribute('UI', study.studyInstanceUid),
+      '0020000E': attribute('UI', series.seriesInstanceUid),
+      '00200013': attribute('IS', instance.instanceNumber)
+    };
+  }
+}
+
+module.exports = DicomWebService;
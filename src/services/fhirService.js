@@ -0,0 +1,445 @@
+const { v4: uuidv4 } = require('uuid');
+const FHIRPatientConverter = require('../fhir/patientConverter');
+const FHIRResourceMapper = require('../fhir/resourceMapper');
+const FHIRSearch = require('../fhir/fhirSearch');
+const FHIRValidator = require('../fhir/fhirValidator');
+const OperationOutcome = require('../fhir/operationOutcome');
+const PatientMatcher = require('../mpi/patientMatcher');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const FHIR_VERSION = '4.0.1';
+
+const IMPORT_BUNDLE_TYPES = ['transaction', 'collection'];
+
+// Resources derived from the patient record that clients cannot write
+const READ_ONLY_TYPES = ['Provenance'];
+
+// Recorded as the source of data written through this API
+const FHIR_SOURCE = { name: 'FHIR API', type: 'FHIR' };
+
+// Where each patient-scoped resource lives on the internal model
+const CHILD_RESOURCES = {
+  Observation: { field: 'labResults', idField: 'testId', kind: 'obs', map: 'fromFHIRObservation' },
+  ImagingStudy: { field: 'imaging', idField: 'studyId', kind: 'img', map: 'fromFHIRImagingStudy' },
+  DiagnosticReport: { field: 'pathologyReports', idField: 'reportId', kind: 'path', map: 'fromFHIRDiagnosticReport' },
+  MedicationStatement: { field: 'treatments', idField: 'treatmentId', kind: 'med', map: 'fromFHIRMedicationStatement' }
+};
+
+// FHIR R4 REST facade over the patient repository. Resources are produced on
+// the fly by FHIRPatientConverter, so they always reflect the current records.
+class FHIRService {
+  // Every patient's resources, or one patient's when `abhaId` is given
+  async getAllResources(abhaId) {
+    const { patients } = getRepositories();
+    const records = abhaId ? [await patients.findByAbhaId(abhaId)].filter(Boolean) : await patients.findAll();
+    return records.flatMap(patient => FHIRPatientConverter.toFHIRResources(patient));
+  }
+
+  // ABHA of the patient a resource belongs to, or null when there is no such resource
+  async patientOf(resourceType, id) {
+    const patients = await getRepositories().patients.findAll();
+    const owner = patients.find(patient => FHIRPatientConverter.toFHIRResources(patient)
+      .some(resource => resource.resourceType === resourceType && resource.id === id));
+    return owner ? owner.abhaId : null;
+  }
+
+  // ABHA of the patient a search names through subject, patient or, for Patient, _id
+  async searchedPatient(resourceType, query) {
+    const value = [query.patient, query.subject, resourceType === 'Patient' ? query._id : null].flat().find(Boolean);
+    return value ? this.patientOf('Patient', String(value).split('/').pop()) : null;
+  }
+
+  assertSupported(resourceType) {
+    if (!FHIRSearch.supportedTypes().includes(resourceType)) {
+      throw new AppError(`Resource type ${resourceType} is not supported`, 404);
+    }
+  }
+
+  // `patient` limits reads and searches to one patient's resources
+  async read(resourceType, id, { patient } = {}) {
+    this.assertSupported(resourceType);
+    const resource = (await this.getAllResources(patient))
+      .find(candidate => candidate.resourceType === resourceType && candidate.id === id);
+    if (!resource) {
+      throw new NotFoundError(`${resourceType}/${id} not found`);
+    }
+    return resource;
+  }
+
+  async search(resourceType, query, baseUrl, { patient } = {}) {
+    this.assertSupported(resourceType);
+    const resources = await this.getAllResources(patient);
+    const matches = FHIRSearch.filter(resources, resourceType, query);
+    const { count, offset } = FHIRSearch.page(query);
+
+    const bundle = {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      meta: { lastUpdated: new Date().toISOString() },
+      type: 'searchset',
+      total: matches.length,
+      link: this.pageLinks(resourceType, query, baseUrl, { count, offset, total: matches.length }),
+      entry: []
+    };
+
+    if (query._summary === 'count') {
+      return bundle;
+    }
+
+    const page = matches.slice(offset, offset + count);
+    bundle.entry = page.map(resource => ({
+      fullUrl: `${baseUrl}/${resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }));
+
+    if (FHIRSearch.includesPatients(resourceType, query._include)) {
+      const patientIds = new Set(page.map(resource => FHIRResourceMapper.referenceId(resource.subject)).filter(Boolean));
+      resources
+        .filter(resource => resource.resourceType === 'Patient' && patientIds.has(resource.id))
+        .forEach(resource => bundle.entry.push({
+          fullUrl: `${baseUrl}/Patient/${resource.id}`,
+          resource,
+          search: { mode: 'include' }
+        }));
+    }
+
+    return bundle;
+  }
+
+  pageLinks(resourceType, query, baseUrl, { count, offset, total }) {
+    const url = overrides => {
+      const params = new URLSearchParams();
+      Object.entries({ ...query, ...overrides }).forEach(([key, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, item));
+      });
+      return `${baseUrl}/${resourceType}?${params.toString()}`;
+    };
+
+    const links = [{ relation: 'self', url: url({ _count: count, _offset: offset }) }];
+    if (offset + count < total) {
+      links.push({ relation: 'next', url: url({ _count: count, _offset: offset + count }) });
+    }
+    if (offset > 0) {
+      links.push({ relation: 'previous', url: url({ _count: count, _offset: Math.max(offset - count, 0) }) });
+    }
+    return links;
+  }
+
+  validate(resource, resourceType) {
+    if (!resource || resource.resourceType !== resourceType) {
+      throw new AppError(`Request body must be a ${resourceType} resource`, 400);
+    }
+    const { isValid, outcome } = FHIRValidator.validateResource(resource);
+    if (!isValid) {
+      throw new ValidationError(`${resourceType} failed validation`, outcome.issue
+        .filter(issue => issue.severity === 'error')
+        .map(issue => ({ message: issue.diagnostics, path: issue.expression[0] })));
+    }
+  }
+
+  // $validate: accepts the resource itself or a Parameters wrapper with
+  // resource/profile parameters, and always answers with the OperationOutcome
+  validateOperation(resourceType, body, profile) {
+    if (!FHIRValidator.supportedTypes().includes(resourceType)) {
+      throw new AppError(`Resource type ${resourceType} is not supported`, 404);
+    }
+
+    let resource = body;
+    if (body?.resourceType === 'Parameters') {
+      const parameter = name => (body.parameter || []).find(entry => entry.name === name);
+      resource = parameter('resource')?.resource;
+      profile = profile || parameter('profile')?.valueUri || parameter('profile')?.valueCanonical;
+    }
+    if (!resource || resource.resourceType !== resourceType) {
+      throw new AppError(`Request body must be a ${resourceType} resource`, 400);
+    }
+
+    return FHIRValidator.validateResource(resource, { profile }).outcome;
+  }
+
+  // Finds the internal patient a resource's subject points at
+  async findSubject(resource) {
+    const patientId = FHIRResourceMapper.referenceId(resource.subject);
+    if (!patientId) {
+      throw new ValidationError(`${resource.resourceType}.subject must reference a Patient`);
+    }
+
+    const patients = await getRepositories().patients.findAll();
+    const patient = patients.find(candidate => FHIRPatientConverter.patientResourceId(candidate) === patientId);
+    if (!patient) {
+      throw new ValidationError(`${resource.resourceType}.subject references unknown Patient/${patientId}`);
+    }
+    return patient;
+  }
+
+  // FHIR create: the server assigns ids, so any id in the body is ignored.
+  // Returns { resource, version } for the Location header.
+  async create(resourceType, resource, author) {
+    this.assertSupported(resourceType);
+    this.assertWritable(resourceType);
+    this.validate(resource, resourceType);
+    const { patients } = getRepositories();
+    const context = ProvenanceTracker.context(FHIR_SOURCE, {
+      sourceRecordId: resource.id && `${resourceType}/${resource.id}`,
+      activity: 'fhir-create',
+      agent: author
+    });
+
+    if (resourceType === 'Patient') {
+      const mapped = FHIRResourceMapper.fromFHIRPatient(resource);
+      const record = await patients.create({ ...mapped, provenance: ProvenanceTracker.describe(mapped, context) }, { author });
+      return { resource: this.findCreated(record.patient, 'Patient'), version: record.version };
+    }
+
+    const patient = await this.findSubject(resource);
+    const working = { ...patient };
+    const ownId = resourceType === 'Condition' ? undefined : uuidv4();
+    const { field, id, data } = this.applyResource(working, resource, ownId);
+    const record = await patients.update(patient.abhaId, {
+      [field]: working[field],
+      provenance: ProvenanceTracker.merge(patient.provenance, ProvenanceTracker.describe(data, context))
+    }, { author });
+    return { resource: this.findCreated(record.patient, resourceType, id), version: record.version };
+  }
+
+  assertWritable(resourceType) {
+    if (READ_ONLY_TYPES.includes(resourceType)) {
+      throw new AppError(`${resourceType} resources are derived from the patient record and cannot be written`, 405);
+    }
+  }
+
+  // Maps a patient-scoped resource onto a working copy of the patient record.
+  // Child items are matched on their own id, so re-importing the same resource
+  // replaces it instead of adding a duplicate. `data` is what the resource supplied.
+  applyResource(patient, resource, ownId) {
+    const patientId = FHIRPatientConverter.patientResourceId(patient);
+
+    if (resource.resourceType === 'Condition') {
+      const cancerType = FHIRResourceMapper.fromFHIRCondition(resource);
+      patient.cancerType = { ...(patient.cancerType || {}), ...cancerType };
+      return { field: 'cancerType', id: FHIRPatientConverter.toFHIRId(patientId, 'condition'), data: { cancerType } };
+    }
+
+    const { field, idField, kind, map } = CHILD_RESOURCES[resource.resourceType];
+    const item = { ...FHIRResourceMapper[map](resource), [idField]: ownId };
+    const items = [...(patient[field] || [])];
+    const index = items.findIndex(existing => existing[idField] === ownId);
+    if (index === -1) {
+      items.push(item);
+    } else {
+      items[index] = { ...items[index], ...item };
+    }
+    patient[field] = items;
+    return { field, id: FHIRPatientConverter.toFHIRId(patientId, kind, ownId), data: { [field]: [item] } };
+  }
+
+  // Imports a transaction or collection Bundle into the patient repository.
+  // Every entry is validated and mapped before anything is written, so a
+  // transaction with a bad entry changes nothing. Writes are then made once per
+  // patient; the repositories have no cross-patient transactions, so a storage
+  // failure at that point only affects the entries of that patient.
+  // Returns an OperationOutcome with one issue per entry.
+  async importBundle(bundle, author) {
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      throw new AppError('Request body must be a Bundle resource', 400);
+    }
+    if (!IMPORT_BUNDLE_TYPES.includes(bundle.type)) {
+      throw new AppError(`Bundle type ${bundle.type} cannot be imported; send a transaction or collection Bundle`, 400);
+    }
+    if (!Array.isArray(bundle.entry)) {
+      throw new AppError('Bundle must have an entry array', 400);
+    }
+
+    const { patients } = getRepositories();
+    const context = {
+      existing: await patients.findAll(),
+      plans: new Map(),
+      references: new Map(),
+      provenance: { activity: 'fhir-import', agent: author, ingestedAt: new Date() }
+    };
+
+    // Entries without a subject belong to the bundle's Patient when there is exactly one
+    const bundlePatients = bundle.entry.filter(entry => entry?.resource?.resourceType === 'Patient');
+    context.defaultSubject = bundlePatients.length === 1
+      ? { reference: `Patient/${FHIRPatientConverter.toFHIRId(FHIRResourceMapper.abhaId(bundlePatients[0].resource))}` }
+      : undefined;
+
+    // Patients first, so entries can reference them regardless of their order in the bundle
+    const order = bundle.entry
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => Number(b.entry?.resource?.resourceType === 'Patient') - Number(a.entry?.resource?.resourceType === 'Patient'));
+
+    const results = order.map(({ entry, index }) => {
+      try {
+        return { index, ...this.planEntry(entry, context) };
+      } catch (error) {
+        return { index, error };
+      }
+    }).sort((a, b) => a.index - b.index);
+
+    const failed = results.filter(result => result.error);
+    if (bundle.type === 'transaction' && failed.length > 0) {
+      throw new ValidationError('Transaction rejected; no entries were applied', failed.map(result => ({
+        message: result.error.message,
+        path: `Bundle.entry[${result.index}]`
+      })));
+    }
+
+    for (const [abhaId, plan] of context.plans) {
+      const planned = results.filter(result => !result.error && result.abhaId === abhaId);
+      if (planned.length === 0) continue;
+
+      try {
+        const updates = Object.fromEntries([...plan.fields].map(field => [field, plan.patient[field]]));
+        updates.provenance = ProvenanceTracker.merge(plan.current?.provenance, plan.provenance);
+        const record = plan.current
+          ? await patients.update(abhaId, updates, { author })
+          : await patients.create({ ...plan.patient, provenance: updates.provenance }, { author });
+        planned.forEach(result => { result.version = record.version; });
+      } catch (error) {
+        planned.forEach(result => { result.error = error; });
+      }
+    }
+
+    return OperationOutcome.build(results.map(result => (result.error
+      ? {
+        code: OperationOutcome.issueCode(result.error.statusCode || 500),
+        diagnostics: result.error.message,
+        expression: [`Bundle.entry[${result.index}]`]
+      }
+      : {
+        severity: 'information',
+        code: 'informational',
+        diagnostics: `${result.resourceType}/${result.id} ${result.action} (version ${result.version})`,
+        expression: [`Bundle.entry[${result.index}]`]
+      })));
+  }
+
+  planEntry(entry, context) {
+    const resource = entry?.resource;
+    if (!resource) {
+      throw new AppError('Entry has no resource', 400);
+    }
+    if (!FHIRSearch.supportedTypes().includes(resource.resourceType)) {
+      throw new AppError(`Resource type ${resource.resourceType} is not supported`, 501);
+    }
+    this.assertWritable(resource.resourceType);
+    const provenance = ProvenanceTracker.context(FHIR_SOURCE, {
+      ...context.provenance,
+      sourceRecordId: entry.fullUrl || (resource.id && `${resource.resourceType}/${resource.id}`)
+    });
+
+    const linked = resource.resourceType === 'Patient' || resource.subject
+      ? resource
+      : { ...resource, subject: context.defaultSubject };
+    const { isValid, errors } = FHIRValidator.validateResource(linked);
+    if (!isValid) {
+      throw new ValidationError(errors.join('; '));
+    }
+
+    if (linked.resourceType === 'Patient') {
+      const mapped = FHIRResourceMapper.fromFHIRPatient(linked);
+      const plan = this.planFor(mapped.abhaId, context);
+      plan.provenance.push(...ProvenanceTracker.describe({ demographics: mapped.demographics, identifiers: mapped.identifiers }, provenance));
+      plan.patient.demographics = mergeUpdates(plan.patient.demographics || {}, mapped.demographics || {});
+      plan.fields.add('demographics');
+      if (mapped.identifiers) {
+        plan.patient.identifiers = PatientMatcher.mergeIdentifiers(plan.patient.identifiers || [], mapped.identifiers);
+        plan.fields.add('identifiers');
+      }
+
+      const patientId = FHIRPatientConverter.toFHIRId(mapped.abhaId);
+      [entry.fullUrl, linked.id && `Patient/${linked.id}`, `Patient/${patientId}`]
+        .filter(Boolean)
+        .forEach(reference => context.references.set(reference, mapped.abhaId));
+      return { abhaId: mapped.abhaId, resourceType: 'Patient', id: patientId, action: plan.current ? 'updated' : 'created' };
+    }
+
+    const abhaId = this.resolveSubject(linked, context);
+    const plan = this.planFor(abhaId, context);
+    const { field, id, data } = this.applyResource(plan.patient, linked, linked.id || uuidv4());
+    plan.fields.add(field);
+    plan.provenance.push(...ProvenanceTracker.describe(data, provenance));
+    return { abhaId, resourceType: linked.resourceType, id, action: 'imported' };
+  }
+
+  // The working copy of a patient that a bundle's entries are applied to
+  planFor(abhaId, context) {
+    if (!context.plans.has(abhaId)) {
+      const current = context.existing.find(patient => patient.abhaId === abhaId) || null;
+      context.plans.set(abhaId, {
+        current,
+        patient: current ? { ...current } : { abhaId },
+        fields: new Set(),
+        provenance: []
+      });
+    }
+    return context.plans.get(abhaId);
+  }
+
+  // Subject references resolve to a Patient in the same bundle (by fullUrl or
+  // id) or to a patient already in the repository
+  resolveSubject(resource, context) {
+    const reference = resource.subject?.reference;
+    if (!reference) {
+      throw new ValidationError(`${resource.resourceType}.subject must reference a Patient`);
+    }
+    if (context.references.has(reference)) {
+      return context.references.get(reference);
+    }
+
+    const patientId = FHIRResourceMapper.referenceId(resource.subject);
+    if (patientId && context.references.has(`Patient/${patientId}`)) {
+      return context.references.get(`Patient/${patientId}`);
+    }
+
+    const patient = patientId && context.existing.find(candidate => FHIRPatientConverter.patientResourceId(candidate) === patientId);
+    if (!patient) {
+      throw new ValidationError(`${resource.resourceType}.subject references unknown patient ${reference}`);
+    }
+    return patient.abhaId;
+  }
+
+  findCreated(patient, resourceType, id) {
+    return FHIRPatientConverter.toFHIRResources(patient)
+      .find(resource => resource.resourceType === resourceType && (!id || resource.id === id));
+  }
+
+  capabilityStatement(baseUrl) {
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: { name: 'Entheory Oncology Interoperability PoC' },
+      implementation: { description: 'FHIR R4 facade over the oncology patient repository', url: baseUrl },
+      fhirVersion: FHIR_VERSION,
+      format: ['application/fhir+json', 'json'],
+      rest: [{
+        mode: 'server',
+        resource: FHIRSearch.supportedTypes().map(type => ({
+          type,
+          profile: `http://hl7.org/fhir/StructureDefinition/${type}`,
+          interaction: [{ code: 'read' }, { code: 'search-type' }, ...(READ_ONLY_TYPES.includes(type) ? [] : [{ code: 'create' }])],
+          operation: [{ name: 'validate', definition: 'http://hl7.org/fhir/OperationDefinition/Resource-validate' }],
+          searchInclude: type === 'Patient' || READ_ONLY_TYPES.includes(type) ? [] : [`${type}:subject`, `${type}:patient`],
+          searchParam: [
+            { name: '_id', type: 'token' },
+            ...Object.entries(FHIRSearch.parameters(type)).map(([name, parameter]) => ({ name, type: parameter.type }))
+          ]
+        })),
+        interaction: [{ code: 'transaction' }],
+        searchParam: [
+          { name: '_count', type: 'number' },
+          { name: '_include', type: 'special' }
+        ]
+      }]
+    };
+  }
+}
+
+module.exports = FHIRService;
@@ -1,12 +1,64 @@
 const fs = require('fs');
 const path = require('path');
-
-class FileBasedDataService {
-  constructor() {
-    this.dataPath = path.join(__dirname, '../data');
-    this.processedPatientsPath = path.join(this.dataPath, 'processed_patients.json');
+const { EventEmitter } = require('events');
+const PatientStore = require('./patientStore');
+const DicomImporter = require('../dicom/dicomImporter');
+const TerminologyService = require('../terminology/terminologyService');
+const MappingEngine = require('../mapping/mappingEngine');
+const PatientMatcher = require('../mpi/patientMatcher');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const mergeUpdates = require('../utils/mergeUpdates');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Recorded as the source of what the bundled exports supply
+const PROCESSED_SOURCE = { name: 'processed_patients.json', type: 'FILE' };
+const DICOM_SOURCE = { name: 'PACS DICOM export', type: 'PACS' };
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../data');
+const PROCESSED_FILE = 'processed_patients.json';
+const DICOM_FOLDER = path.join('PACS', 'dicom');
+// Editors and exporters write a file in several steps; changes are picked up once they settle
+const WATCH_DEBOUNCE_MS = 250;
+
+let shared = null;
+
+// Patients read from the files under src/data: processed_patients.json when it
+// exists, otherwise the raw export folders mapped through their profiles, plus
+// the PACS DICOM export. Once started, the service watches the folder and
+// rebuilds only the patients a changed file concerns, emitting
+// 'patient-changed' ({ abhaId, change, files, patient }) per patient and
+// 'change' ({ files, patients }) per batch for whatever caches them.
+class FileBasedDataService extends EventEmitter {
+  constructor({ dataPath = DEFAULT_DATA_PATH, patientStore = new PatientStore() } = {}) {
+    super();
+    this.dataPath = dataPath;
+    this.processedPatientsPath = path.join(this.dataPath, PROCESSED_FILE);
+    // 'processed' or 'raw': where the patients came from when the service started
+    this.loadedFrom = null;
     this.patients = new Map();
+    this.patientStore = patientStore;
+    // What each patient was built from ('processed' or 'raw'), the processed
+    // entries by ABHA ID, the raw files each patient drew on and the DICOM
+    // studies by Patient ID, so a change can be traced to the patients it touches
+    this.origins = new Map();
+    this.processedEntries = new Map();
+    this.fileOwners = new Map();
+    this.dicomStudies = new Map();
+    this.watcher = null;
+    this.pending = new Set();
+    this.timer = null;
+    this.lastReload = null;
+    this.savedContent = null;
     this.loadProcessedPatients();
+    this.loadDICOMStudies();
+  }
+
+  // The instance routes and repositories share, so they all see the same reloads
+  static shared() {
+    if (!shared) {
+      shared = new FileBasedDataService();
+    }
+    return shared;
   }
 
   loadProcessedPatients() {
@@ -22,12 +74,16 @@ class FileBasedDataService {
           patientsArray = data.patients;
         }
         
+        const exportedAt = fs.statSync(this.processedPatientsPath).mtime;
         patientsArray.forEach(patient => {
           // Transform existing format to our expected format
-          const transformedPatient = this.transformExistingPatient(patient);
+          const transformedPatient = this.transformExistingPatient(patient, exportedAt);
           this.patients.set(transformedPatient.abhaId, transformedPatient);
+          this.origins.set(transformedPatient.abhaId, 'processed');
+          this.processedEntries.set(transformedPatient.abhaId, patient);
         });
         
+        this.loadedFrom = 'processed';
         console.log(`Loaded ${this.patients.size} patients from processed file`);
       } else {
         // If processed file doesn't exist, load and process raw data
@@ -41,301 +97,94 @@ class FileBasedDataService {
 
   processAllRawData() {
     console.log('Processing raw data files...');
-    
-    // Load data from each source
-    this.loadEMRData();
-    this.loadPACSData();
-    this.loadLISData();
-    this.loadPathologyData();
-    this.loadGenomicsData();
-    this.loadHIMSData();
-    this.loadTherapyData();
-    
-    // Save processed data
+    this.loadedFrom = 'raw';
+    this.loadMappedSources();
     this.saveProcessedPatients();
   }
 
-  loadEMRData() {
-    const emrPath = path.join(this.dataPath, 'EMR');
-    const files = ['emr.json', 'emr2.json', 'emr3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(emrPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          // Map demographics
-          patient.demographics = {
-            firstName: data.name?.split(' ')[0] || 'Patient',
-            lastName: data.name?.split(' ').slice(1).join(' ') || `${index + 1}`,
-            dateOfBirth: this.calculateBirthDate(data.age),
-            gender: data.gender?.toLowerCase() || 'unknown',
-            address: {
-              state: data.state || 'Unknown',
-              city: data.state || 'Unknown',
-              pincode: '000000'
-            },
-            contact: {
-              phone: '+919876543210',
-              email: `${patientId}@example.com`
-            }
-          };
-
-          // Map cancer information
-          patient.cancerType = {
-            primary: data.diagnosis || 'Unknown Cancer',
-            stage: data.stage || 'Unknown',
-            histology: data.clinical_exam || '',
-            diagnosisDate: new Date('2024-01-01')
-          };
-
-          // Map medical history
-          patient.medicalHistory = [
-            {
-              date: new Date('2024-01-01'),
-              type: 'diagnosis',
-              description: data.diagnosis,
-              provider: 'Dr. Primary',
-              sourceSystem: 'EMR'
-            },
-            {
-              date: new Date('2024-01-01'),
-              type: 'presenting_complaint',
-              description: data.presenting_complaint,
-              provider: 'Dr. Primary',
-              sourceSystem: 'EMR'
-            }
-          ];
-
-          // Map treatments if available
-          if (data.treatment_plan) {
-            patient.treatments = [{
-              treatmentId: `TX-${patientId}`,
-              type: 'multimodal',
-              regimen: data.treatment_plan,
-              startDate: new Date('2024-02-01'),
-              response: data.outcome || 'ongoing',
-              sourceSystem: 'EMR'
-            }];
-          }
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
+  // Each raw export folder is mapped through its default profile in src/mapping/profiles,
+  // so a new export layout needs a profile rather than a loader
+  loadMappedSources(records = this.mappedRecords()) {
+    records.forEach(({ profile, file, data }) => {
+      // Records carrying a known source identifier join that patient whatever ID they were given
+      const existing = this.findByIdentifiers(data.identifiers);
+      const mapped = { ...data };
+      if (existing) {
+        delete mapped.abhaId;
       }
-    });
-  }
-
-  loadPACSData() {
-    const pacsPath = path.join(this.dataPath, 'PACS');
-    const files = ['pacs.json', 'pacs2.json', 'pacs3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(pacsPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          if (!patient.imaging) patient.imaging = [];
-
-          data.imaging_studies?.forEach((study, studyIndex) => {
-            patient.imaging.push({
-              studyId: study.study_id || `IMG-${patientId}-${studyIndex}`,
-              modality: study.modality || 'CT',
-              studyDate: new Date(study.date || '2024-01-15'),
-              description: `${study.modality} ${study.body_site}`,
-              findings: data.notes || 'Imaging findings as per radiologist report',
-              sourceSystem: 'PACS',
-              dicomUrl: study.image_file || ''
-            });
-          });
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
+      const patient = MappingEngine.merge(existing || this.getOrCreatePatient(mapped.abhaId), mapped);
+      patient.provenance = ProvenanceTracker.merge(patient.provenance, ProvenanceTracker.describe(mapped, ProvenanceTracker.context(
+        { name: profile.name, type: profile.type },
+        { sourceRecordId: file, activity: 'file-load', rules: profile.mappingRules }
+      )));
+      patient.identifiers = PatientMatcher.mergeIdentifiers(patient.identifiers || []);
+      patient.labResults.forEach(result => {
+        result.interpretation = result.interpretation || this.interpretAgainstRange(result.referenceRange, result.value);
+      });
+      this.origins.set(patient.abhaId, 'raw');
+      if (!this.fileOwners.has(file)) {
+        this.fileOwners.set(file, new Set());
       }
+      this.fileOwners.get(file).add(patient.abhaId);
     });
   }
 
-  loadLISData() {
-    const lisPath = path.join(this.dataPath, 'lis');
-    const files = ['lis.json', 'lis2.json', 'lis3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(lisPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          if (!patient.labResults) patient.labResults = [];
-
-          data.lab_results?.forEach((result, resultIndex) => {
-            const testDate = this.parseTimestamp(result.timestamp);
-            
-            // Create individual lab results for each observation
-            Object.entries(result.observations).forEach(([testName, value]) => {
-              patient.labResults.push({
-                testId: `LAB-${patientId}-${testName}-${resultIndex}`,
-                testName: this.expandTestName(testName),
-                testDate: testDate,
-                value: value.toString(),
-                unit: this.getTestUnit(testName),
-                referenceRange: this.getReferenceRange(testName),
-                interpretation: this.interpretResult(testName, value),
-                sourceSystem: 'LIS'
-              });
-            });
-          });
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
-      }
-    });
+  // Every raw export record mapped onto the patient model, as { profile, file, data }
+  // with `file` relative to the data folder; `include` narrows the files read
+  mappedRecords(include = () => true) {
+    return MappingEngine.defaultProfiles().flatMap(profile =>
+      MappingEngine.readRecords(path.join(this.dataPath, profile.folder), file => include(path.join(profile.folder, file)))
+        .map(({ file, record }) => {
+          const { data, errors } = MappingEngine.apply(record, profile.mappingRules, profile);
+          errors.forEach(error => console.warn(`Mapping ${file} to ${error.targetField}: ${error.message}`));
+          return { profile, file: path.join(profile.folder, file), data };
+        })
+        .filter(({ file, data }) => {
+          if (!data.abhaId) {
+            console.warn(`Skipping ${file}: no patient identifier`);
+          }
+          return Boolean(data.abhaId);
+        }));
   }
 
-  loadPathologyData() {
-    const pathPath = path.join(this.dataPath, 'Pathology');
-    const files = ['pathology.json', 'pathology2.json', 'pathology3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(pathPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          if (!patient.pathologyReports) patient.pathologyReports = [];
-
-          patient.pathologyReports.push({
-            reportId: `PATH-${patientId}`,
-            specimenType: data.specimen_type || 'Biopsy',
-            collectionDate: new Date('2024-01-10'),
-            reportDate: new Date('2024-01-12'),
-            findings: data.findings || 'Pathological findings as per report',
-            diagnosis: data.diagnosis || patient.cancerType?.primary || 'Cancer',
-            sourceSystem: 'PATHOLOGY'
-          });
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
+  // DICOM exports are matched to patients by Patient ID (0010,0020) = ABHA ID.
+  // Kept out of processed_patients.json so re-exports are picked up on restart.
+  loadDICOMStudies() {
+    this.dicomStudies = this.readDICOMStudies();
+    this.dicomStudies.forEach((studies, patientId) => {
+      const patient = this.patients.get(patientId);
+      if (!patient) {
+        studies.forEach(imaging => console.warn(`No patient ${patientId} for DICOM study ${imaging.studyInstanceUid}`));
+        return;
       }
+      this.applyDICOMStudies(patient);
     });
   }
 
-  loadGenomicsData() {
-    const genomicsPath = path.join(this.dataPath, 'genomics');
-    const files = ['genomics.json', 'genomics2.json', 'genomics3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(genomicsPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          patient.genomics = {
-            mutationProfile: data.mutated_genes?.map(gene => ({
-              gene: gene.gene,
-              variant: gene.variant,
-              vaf: Math.random() * 0.5 + 0.1,
-              interpretation: 'Pathogenic'
-            })) || [],
-            tmb: Math.random() * 10 + 2,
-            msi: Math.random() > 0.8 ? 'MSI-H' : 'MSS',
-            reportDate: new Date('2024-01-20')
-          };
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
-      }
+  readDICOMStudies() {
+    const studies = new Map();
+    DicomImporter.readStudies(path.join(this.dataPath, DICOM_FOLDER)).forEach(({ patientId, imaging }) => {
+      studies.set(patientId, [...(studies.get(patientId) || []), imaging]);
     });
+    return studies;
   }
 
-  loadHIMSData() {
-    const himsPath = path.join(this.dataPath, 'hims');
-    const files = ['hims.json', 'hims2.json', 'hims3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(himsPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          if (data.admission_date) {
-            if (!patient.medicalHistory) patient.medicalHistory = [];
-            patient.medicalHistory.push({
-              date: new Date(data.admission_date),
-              type: 'admission',
-              description: 'Hospital admission',
-              provider: data.attending_physician || 'Dr. Unknown',
-              sourceSystem: 'HIMS'
-            });
-          }
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
-      }
+  applyDICOMStudies(patient) {
+    (this.dicomStudies.get(patient.abhaId) || []).forEach(imaging => {
+      patient.imaging = DicomImporter.mergeStudy(patient.imaging || [], imaging);
+      patient.provenance = ProvenanceTracker.merge(patient.provenance, ProvenanceTracker.describe(
+        { imaging: [imaging] },
+        ProvenanceTracker.context(DICOM_SOURCE, { sourceRecordId: imaging.studyInstanceUid, activity: 'file-load' })
+      ));
     });
   }
 
-  loadTherapyData() {
-    const therapyPath = path.join(this.dataPath, 'Therapy');
-    const files = ['therapy.json', 'therapy2.json', 'therapy3.json'];
-
-    files.forEach((file, index) => {
-      const filePath = path.join(therapyPath, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          const patientId = data.patient_id || `PATIENT_${index + 1}`;
-          const patient = this.getOrCreatePatient(patientId);
-
-          if (!patient.treatments) patient.treatments = [];
-
-          if (data.treatment_regimen) {
-            patient.treatments.push({
-              treatmentId: `THERAPY-${patientId}`,
-              type: data.treatment_type || 'chemotherapy',
-              regimen: data.treatment_regimen || 'Standard protocol',
-              startDate: new Date(data.start_date || '2024-02-01'),
-              endDate: data.end_date ? new Date(data.end_date) : null,
-              response: data.response || 'ongoing',
-              adverseEvents: data.side_effects || [],
-              sourceSystem: 'THERAPY'
-            });
-          }
-
-          this.patients.set(patient.abhaId, patient);
-        } catch (error) {
-          console.error(`Error processing ${file}:`, error);
-        }
-      }
-    });
+  findByIdentifiers(identifiers = []) {
+    return Array.from(this.patients.values())
+      .find(patient => PatientMatcher.sharesIdentifier(patient, { identifiers })) || null;
   }
 
-  getOrCreatePatient(patientId) {
-    const abhaId = `FILE-BASED-${patientId.toUpperCase()}`;
+  getOrCreatePatient(abhaId) {
     if (!this.patients.has(abhaId)) {
       this.patients.set(abhaId, {
         abhaId: abhaId,
@@ -368,63 +217,39 @@ class FileBasedDataService {
     return new Date(timestamp || '2024-01-01');
   }
 
+  // Test names and units come from the terminology tables (LOINC / local lab codes)
   expandTestName(testName) {
-    const expansions = {
-      'RBC': 'Red Blood Cell Count',
-      'WBC': 'White Blood Cell Count',
-      'Platelets': 'Platelet Count',
-      'SCC': 'Squamous Cell Carcinoma Antigen',
-      'Hgb': 'Hemoglobin',
-      'Hct': 'Hematocrit'
-    };
-    return expansions[testName] || testName;
+    return TerminologyService.shared().resolveLab({ name: testName })?.commonName || testName;
   }
 
   getTestUnit(testName) {
-    const units = {
-      'RBC': '×10¹²/L',
-      'WBC': '×10⁹/L',
-      'Platelets': '×10⁹/L',
-      'SCC': 'ng/mL',
-      'Hgb': 'g/dL',
-      'Hct': '%'
-    };
-    return units[testName] || '';
+    return TerminologyService.shared().resolveLab({ name: testName })?.unit || '';
   }
 
+  // Reference ranges are configuration of the LIS mapping profile
   getReferenceRange(testName) {
-    const ranges = {
-      'RBC': '4.5-5.5 ×10¹²/L',
-      'WBC': '4.0-10.0 ×10⁹/L',
-      'Platelets': '150-450 ×10⁹/L',
-      'SCC': '<1.5 ng/mL',
-      'Hgb': '12.0-16.0 g/dL',
-      'Hct': '36-46%',
-      'CA-125': '<35 U/mL',
-      'CA 15-3': '<30 U/mL'
-    };
-    return ranges[testName] || '';
+    return MappingEngine.defaultProfile('LIS')?.lookupTables?.referenceRanges?.[testName] || '';
   }
 
   interpretResult(testName, value) {
+    return this.interpretAgainstRange(this.getReferenceRange(testName), value);
+  }
+
+  // "4.5-5.5 ×10¹²/L" gives Low/Normal/High, an upper limit such as "<35 U/mL" gives Normal/Elevated
+  interpretAgainstRange(referenceRange, value) {
     const numValue = parseFloat(value);
-    
-    switch (testName) {
-      case 'RBC':
-        return numValue < 4.5 ? 'Low' : numValue > 5.5 ? 'High' : 'Normal';
-      case 'WBC':
-        return numValue < 4.0 ? 'Low' : numValue > 10.0 ? 'High' : 'Normal';
-      case 'Platelets':
-        return numValue < 150 ? 'Low' : numValue > 450 ? 'High' : 'Normal';
-      case 'SCC':
-        return numValue > 1.5 ? 'Elevated' : 'Normal';
-      case 'CA-125':
-        return numValue > 35 ? 'Elevated' : 'Normal';
-      case 'CA 15-3':
-        return numValue > 30 ? 'Elevated' : 'Normal';
-      default:
-        return 'Normal';
+    const bounded = String(referenceRange || '').match(/^\s*([\d.]+)\s*-\s*([\d.]+)/);
+    const upperLimit = String(referenceRange || '').match(/^\s*<\s*([\d.]+)/);
+    if (Number.isNaN(numValue)) {
+      return 'Normal';
+    }
+    if (bounded) {
+      return numValue < parseFloat(bounded[1]) ? 'Low' : numValue > parseFloat(bounded[2]) ? 'High' : 'Normal';
+    }
+    if (upperLimit) {
+      return numValue > parseFloat(upperLimit[1]) ? 'Elevated' : 'Normal';
     }
+    return 'Normal';
   }
 
   saveProcessedPatients() {
@@ -434,26 +259,227 @@ class FileBasedDataService {
         patientCount: this.patients.size,
         patients: Array.from(this.patients.values())
       };
-      fs.writeFileSync(this.processedPatientsPath, JSON.stringify(data, null, 2));
+      this.savedContent = JSON.stringify(data, null, 2);
+      fs.writeFileSync(this.processedPatientsPath, this.savedContent);
       console.log(`Saved ${this.patients.size} processed patients to file`);
     } catch (error) {
       console.error('Error saving processed patients:', error);
     }
   }
 
+  start() {
+    if (this.watcher) {
+      return this.status();
+    }
+    this.watcher = fs.watch(this.dataPath, { recursive: true }, (event, file) => {
+      if (file && this.sourceOf(file)) {
+        this.pending.add(file);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), WATCH_DEBOUNCE_MS);
+      }
+    });
+    this.watcher.on('error', error => console.error('Data folder watcher failed:', error.message));
+    console.log(`Watching ${this.dataPath} for source file changes`);
+    return this.status();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.pending.clear();
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  status() {
+    return { watching: Boolean(this.watcher), dataPath: this.dataPath, patients: this.patients.size, lastReload: this.lastReload };
+  }
+
+  flush() {
+    const files = Array.from(this.pending);
+    this.pending.clear();
+    try {
+      this.reload(files);
+    } catch (error) {
+      console.error('Reloading changed data files failed:', error);
+    }
+  }
+
+  // Which loader a file under the data folder feeds, if any: the patient
+  // store, case bundles and images are not read by this service
+  sourceOf(file) {
+    const normalised = path.normalize(file);
+    if (normalised === PROCESSED_FILE) {
+      return 'processed';
+    }
+    if (normalised.startsWith(DICOM_FOLDER + path.sep)) {
+      return 'dicom';
+    }
+    const folder = path.dirname(normalised);
+    const isExport = normalised.toLowerCase().endsWith('.json') &&
+      MappingEngine.defaultProfiles().some(profile => path.normalize(profile.folder) === folder);
+    return isExport ? 'raw' : null;
+  }
+
+  // Rebuilds the patients the changed files (relative to the data folder)
+  // concern and reports { files, patients: [{ abhaId, change }] }
+  reload(files) {
+    const sources = new Set(files.map(file => this.sourceOf(file)).filter(Boolean));
+    const affected = new Map();
+    // Rebuilt from its processed entry, its raw records, or (null) only given its DICOM studies again
+    const mark = (abhaId, origin = null) => affected.set(abhaId, origin || affected.get(abhaId) || null);
+
+    if (sources.has('processed')) {
+      this.changedProcessedEntries().forEach(abhaId => mark(abhaId, 'processed'));
+    }
+    // A restart reads raw exports only when there is no processed_patients.json, so they
+    // are followed only by a service started from them, which saves what they rebuild
+    if (sources.has('raw') && this.loadedFrom === 'raw') {
+      const changed = new Set(files.filter(file => this.sourceOf(file) === 'raw').map(file => path.normalize(file)));
+      changed.forEach(file => (this.fileOwners.get(file) || []).forEach(abhaId => mark(abhaId, 'raw')));
+      this.mappedRecords(file => changed.has(file)).forEach(({ data }) => {
+        const owner = this.findByIdentifiers(data.identifiers);
+        mark(owner ? owner.abhaId : data.abhaId, 'raw');
+      });
+    }
+    // Studies an earlier DICOM export gave, dropped before the current export is applied
+    let staleStudies = new Map();
+    if (sources.has('dicom')) {
+      const previous = this.dicomStudies;
+      staleStudies = previous;
+      this.dicomStudies = this.readDICOMStudies();
+      new Set([...previous.keys(), ...this.dicomStudies.keys()]).forEach(patientId => {
+        if (JSON.stringify(previous.get(patientId)) !== JSON.stringify(this.dicomStudies.get(patientId)) && this.patients.has(patientId)) {
+          mark(patientId);
+        }
+      });
+    }
+
+    const raw = Array.from(affected.values()).includes('raw') ? this.mappedRecords() : [];
+    const patients = Array.from(affected.entries())
+      .map(([abhaId, origin]) => ({ abhaId, change: this.rebuildPatient(abhaId, origin, raw, staleStudies.get(abhaId)) }))
+      .filter(({ change }) => change);
+    if (patients.some(({ abhaId }) => affected.get(abhaId) === 'raw')) {
+      this.saveProcessedPatients();
+    }
+
+    const result = { files, patients };
+    this.lastReload = { at: new Date().toISOString(), ...result };
+    patients.forEach(({ abhaId, change }) => {
+      console.log(`Reloaded patient ${abhaId} (${change}) from ${files.join(', ')}`);
+      this.emit('patient-changed', { abhaId, change, files, patient: this.patients.get(abhaId) || null });
+    });
+    if (patients.length > 0) {
+      this.emit('change', result);
+    }
+    return result;
+  }
+
+  // ABHA IDs whose processed_patients.json entry was added, edited or removed
+  changedProcessedEntries() {
+    let content = null;
+    if (fs.existsSync(this.processedPatientsPath)) {
+      content = fs.readFileSync(this.processedPatientsPath, 'utf8');
+      // Our own write of a rebuilt file is not a change to the sources
+      if (content === this.savedContent) {
+        return [];
+      }
+    }
+
+    let entries = [];
+    try {
+      const data = content ? JSON.parse(content) : [];
+      entries = Array.isArray(data) ? data : data?.patients || [];
+    } catch (error) {
+      // Usually a write still in progress; the next event brings the whole file
+      console.warn(`Ignoring unreadable ${PROCESSED_FILE}: ${error.message}`);
+      return [];
+    }
+
+    const current = new Map(entries.map(entry => [entry.abhaId || `FILE-BASED-${String(entry.patientId).toUpperCase()}`, entry]));
+    const changed = Array.from(new Set([...this.processedEntries.keys(), ...current.keys()]))
+      .filter(abhaId => JSON.stringify(this.processedEntries.get(abhaId)) !== JSON.stringify(current.get(abhaId)));
+    this.processedEntries = current;
+    return changed;
+  }
+
+  // Rebuilds one patient from scratch: its processed entry, or the raw records
+  // that share an identifier with it, then its DICOM studies. Returns
+  // 'created', 'updated' or 'removed', or null when there was nothing to do.
+  rebuildPatient(abhaId, origin, rawRecords = [], staleStudies = []) {
+    const previous = this.patients.get(abhaId);
+    this.patients.delete(abhaId);
+    this.fileOwners.forEach(owners => owners.delete(abhaId));
+
+    if (origin === 'processed') {
+      if (this.processedEntries.has(abhaId)) {
+        this.patients.set(abhaId, this.transformExistingPatient(this.processedEntries.get(abhaId), fs.statSync(this.processedPatientsPath).mtime));
+        this.origins.set(abhaId, 'processed');
+      }
+    } else if (origin === 'raw') {
+      // Seeded with the identifiers it had so its records join it under the same ABHA ID
+      const identifiers = previous?.identifiers || [];
+      const records = rawRecords.filter(({ data }) =>
+        data.abhaId === abhaId || PatientMatcher.sharesIdentifier({ identifiers }, { identifiers: data.identifiers }));
+      if (records.length > 0) {
+        this.getOrCreatePatient(abhaId).identifiers = identifiers;
+        this.loadMappedSources(records);
+      }
+    } else if (previous) {
+      // Only its DICOM studies changed, so the rest of the record stands
+      const stale = new Set(staleStudies.map(study => study.studyInstanceUid));
+      this.patients.set(abhaId, { ...previous, imaging: (previous.imaging || []).filter(study => !study.studyInstanceUid || !stale.has(study.studyInstanceUid)) });
+    }
+
+    const patient = this.patients.get(abhaId);
+    if (!patient) {
+      this.origins.delete(abhaId);
+      return previous ? 'removed' : null;
+    }
+    this.applyDICOMStudies(patient);
+    return previous ? 'updated' : 'created';
+  }
+
   // Public methods for data access
+  // Stored (edited or created) patients take precedence over the static source files
   async getAllPatients() {
-    return Array.from(this.patients.values());
+    const merged = new Map(this.patients);
+    this.patientStore.getAllPatients().forEach(patient => {
+      merged.set(patient.abhaId, patient);
+    });
+    return Array.from(merged.values());
   }
 
   async getPatientByAbhaId(abhaId) {
-    return this.patients.get(abhaId) || null;
+    return this.patientStore.getPatient(abhaId) || this.patients.get(abhaId) || null;
+  }
+
+  async createPatient(patientData, options = {}) {
+    if (patientData?.abhaId && this.patients.has(patientData.abhaId)) {
+      throw new ConflictError(`Patient with ABHA ID ${patientData.abhaId} already exists`);
+    }
+    return this.patientStore.create(patientData, options);
+  }
+
+  async updatePatient(abhaId, updates, options = {}) {
+    const current = await this.getPatientByAbhaId(abhaId);
+    if (!current) {
+      throw new NotFoundError(`Patient with ABHA ID ${abhaId} not found`);
+    }
+
+    const merged = mergeUpdates(current, updates);
+    return this.patientStore.update(abhaId, merged, options);
+  }
+
+  async getPatientVersions(abhaId) {
+    return this.patientStore.getHistory(abhaId);
   }
 
   async searchPatients(query) {
     const results = [];
-    for (const patient of this.patients.values()) {
-      const name = `${patient.demographics.firstName} ${patient.demographics.lastName}`.toLowerCase();
+    for (const patient of await this.getAllPatients()) {
+      const name = `${patient.demographics?.firstName || ''} ${patient.demographics?.lastName || ''}`.toLowerCase();
       if (name.includes(query.toLowerCase()) || patient.abhaId.includes(query)) {
         results.push(patient);
       }
@@ -461,10 +487,13 @@ class FileBasedDataService {
     return results;
   }
 
-  transformExistingPatient(existingPatient) {
+  transformExistingPatient(existingPatient, exportedAt = new Date()) {
     // Transform the existing processed patient format to our expected format
     const transformed = {
       abhaId: existingPatient.abhaId || `FILE-BASED-${existingPatient.patientId.toUpperCase()}`,
+      identifiers: existingPatient.patientId
+        ? [{ system: PatientMatcher.SYSTEMS.CASE_ID, value: existingPatient.patientId }]
+        : [],
       demographics: {
         firstName: existingPatient.demographics?.firstName || 'Unknown',
         lastName: existingPatient.demographics?.lastName || '',
@@ -484,8 +513,10 @@ class FileBasedDataService {
         primary: existingPatient.cancerType?.primary || 'Unknown Cancer',
         stage: existingPatient.cancerType?.stage || 'Unknown',
         histology: existingPatient.cancerType?.histology || '',
+        riskFactors: existingPatient.cancerType?.riskFactors || [],
         diagnosisDate: new Date('2024-01-01')
       },
+      clinicalInfo: existingPatient.clinicalInfo || {},
       medicalHistory: [
         {
           date: new Date('2024-01-01'),
@@ -555,58 +586,13 @@ class FileBasedDataService {
       });
     }
 
+    transformed.provenance = ProvenanceTracker.describe(transformed, ProvenanceTracker.context(PROCESSED_SOURCE, {
+      sourceRecordId: existingPatient.patientId,
+      activity: 'file-load',
+      ingestedAt: exportedAt
+    }));
     return transformed;
   }
-
-  async getDataSources() {
-    return [
-      {
-        _id: '1',
-        name: 'Hospital EMR System',
-        type: 'EMR',
-        hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
-        dataFormat: 'JSON',
-        syncStatus: 'active',
-        lastSync: new Date()
-      },
-      {
-        _id: '2',
-        name: 'Radiology PACS',
-        type: 'PACS',
-        hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
-        dataFormat: 'JSON',
-        syncStatus: 'active',
-        lastSync: new Date()
-      },
-      {
-        _id: '3',
-        name: 'Laboratory System',
-        type: 'LIS',
-        hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
-        dataFormat: 'JSON',
-        syncStatus: 'active',
-        lastSync: new Date()
-      },
-      {
-        _id: '4',
-        name: 'Pathology Department',
-        type: 'PATHOLOGY',
-        hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
-        dataFormat: 'JSON',
-        syncStatus: 'active',
-        lastSync: new Date()
-      },
-      {
-        _id: '5',
-        name: 'Genomics Lab',
-        type: 'GENOMICS',
-        hospital: { name: 'AIIMS Delhi', location: 'New Delhi', tier: 'Tier-1' },
-        dataFormat: 'JSON',
-        syncStatus: 'active',
-        lastSync: new Date()
-      }
-    ];
-  }
 }
 
 module.exports = FileBasedDataService;
\ No newline at end of file
@@ -1,27 +1,37 @@
 const DataAggregator = require('./dataAggregator');
-const Patient = require('../models/Patient');
-const DataSource = require('../models/DataSource');
 const FHIRValidator = require('../fhir/fhirValidator');
-const FileBasedDataService = require('./fileBasedDataService');
+const ConnectionProbe = require('../probes/connectionProbe');
+const { getRepositories } = require('../repositories');
+const { NotFoundError } = require('../utils/errors');
+
+const PROBE_HISTORY_LIMIT = 50;
 
 class InteroperabilityService {
   constructor() {
     this.dataAggregator = new DataAggregator();
-    this.fileDataService = new FileBasedDataService();
+  }
+
+  get repositories() {
+    return getRepositories();
   }
 
   async initializeDataSources() {
-    // Using file-based data service, no need to initialize MongoDB collections
-    console.log('File-based data service initialized');
+    const { backend, dataSources } = this.repositories;
+    const sources = await dataSources.findAll();
+    console.log(`Data backend "${backend}" initialized with ${sources.length} data sources`);
   }
 
   async getPatientData(abhaId, options = {}) {
     try {
-      // Use file-based data service instead of MongoDB
-      let patient = await this.fileDataService.getPatientByAbhaId(abhaId);
+      let patient = await this.repositories.patients.findByAbhaId(abhaId);
       
       if (!patient) {
-        throw new Error(`Patient with ABHA ID ${abhaId} not found`);
+        throw new NotFoundError(`Patient with ABHA ID ${abhaId} not found`);
+      }
+
+      // Re-read every enabled source for this patient before answering
+      if (options.forceSync) {
+        patient = await this.dataAggregator.syncPatientData(abhaId);
       }
 
       if (options.format === 'fhir') {
@@ -44,74 +54,89 @@ class InteroperabilityService {
         data: patient
       };
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Failed to get patient data: ${error.message}`);
     }
   }
 
   async getDataSources() {
-    // Return data sources from file-based service
-    return await this.fileDataService.getDataSources();
+    return this.repositories.dataSources.findAll();
   }
 
+  // lastSync is left to the sync scheduler, which sets it when a sync succeeds
   async updateDataSourceStatus(sourceId, status) {
-    // In file-based system, return a mock updated source
-    const sources = await this.fileDataService.getDataSources();
-    const source = sources.find(s => s._id === sourceId);
-    if (!source) {
-      throw new Error('Data source not found');
-    }
-    
-    source.syncStatus = status;
-    source.lastSync = new Date();
-    
-    return source;
+    return this.repositories.dataSources.update(sourceId, { syncStatus: status });
   }
 
-  async testDataSourceConnection(sourceId) {
-    // In file-based system, check if source exists
-    const sources = await this.fileDataService.getDataSources();
-    const source = sources.find(s => s._id === sourceId);
+  // Runs the protocol probe for the source and keeps the result in its probe history.
+  // `mllpService` lets MLLP sources be probed on the port their listener actually bound.
+  async testDataSourceConnection(sourceId, { mllpService } = {}) {
+    const source = await this.repositories.dataSources.findById(sourceId);
     if (!source) {
-      throw new Error('Data source not found');
+      throw new NotFoundError('Data source not found');
     }
 
+    const listener = mllpService?.status().find(entry => String(entry.sourceId) === String(source._id));
+    const result = await ConnectionProbe.probe(source, { listenerAddress: listener?.address });
+    await this.recordProbe(source, result);
+    return result;
+  }
+
+  async recordProbe(source, result) {
+    const history = [result, ...(source.connectionState?.history || [])].slice(0, PROBE_HISTORY_LIMIT);
     try {
-      return {
-        source: source.name,
-        status: 'connected',
-        latency: Math.floor(Math.random() * 100) + 50,
-        timestamp: new Date()
-      };
+      await this.repositories.dataSources.update(source._id, { connectionState: { lastProbe: result, history } });
     } catch (error) {
-      return {
-        source: source.name,
-        status: 'error',
-        error: error.message,
-        timestamp: new Date()
-      };
+      console.error(`Could not record probe of ${source.name}:`, error.message);
     }
   }
 
-  async getSystemHealth() {
-    const sources = await this.fileDataService.getDataSources();
-    const healthChecks = [];
-
-    for (const source of sources) {
-      const check = await this.testDataSourceConnection(source._id);
-      healthChecks.push(check);
+  async getProbeHistory(sourceId) {
+    const source = await this.repositories.dataSources.findById(sourceId);
+    if (!source) {
+      throw new NotFoundError('Data source not found');
     }
+    return source.connectionState?.history || [];
+  }
 
-    const activeCount = healthChecks.filter(h => h.status === 'connected').length;
-    const totalCount = healthChecks.length;
+  // Sources switched off (syncStatus "inactive") are probed and reported but
+  // do not count against overall health
+  async getSystemHealth(options = {}) {
+    const sources = await this.repositories.dataSources.findAll();
+    const probes = await Promise.all(sources.map(source => this.testDataSourceConnection(source._id, options)));
+    const healthChecks = probes.map((check, index) => ({ ...check, sync: this.syncSummary(sources[index]) }));
+
+    const enabled = healthChecks.filter((check, index) => sources[index].syncStatus !== 'inactive');
+    const activeCount = enabled.filter(h => h.status === 'connected').length;
+    const totalCount = enabled.length;
+    const failingSyncs = sources.filter(source => source.syncStatus === 'error').length;
+    const status = activeCount === totalCount ? 'healthy' : activeCount > 0 ? 'degraded' : 'critical';
 
     return {
-      status: activeCount === totalCount ? 'healthy' : activeCount > 0 ? 'degraded' : 'critical',
+      status: status === 'healthy' && failingSyncs > 0 ? 'degraded' : status,
       activeSources: activeCount,
       totalSources: totalCount,
+      disabledSources: sources.length - totalCount,
+      failingSyncs,
       details: healthChecks,
       timestamp: new Date()
     };
   }
+
+  // Outcome of the source's last scheduled or manual sync, without the run history
+  syncSummary(source) {
+    const lastRun = source.syncState?.lastRun;
+    return {
+      syncStatus: source.syncStatus,
+      lastSync: source.lastSync || null,
+      schedule: source.syncSchedule?.cron || null,
+      watermark: source.syncState?.watermark || null,
+      consecutiveFailures: source.syncState?.consecutiveFailures || 0,
+      lastRun: lastRun
+        ? { status: lastRun.status, finishedAt: lastRun.finishedAt, durationMs: lastRun.durationMs, counts: lastRun.counts, error: lastRun.error }
+        : null
+    };
+  }
 }
 
-module.exports = InteroperabilityService;
\ No newline at end of file
+module.exports = InteroperabilityService;
@@ -0,0 +1,256 @@
+const { v4: uuidv4 } = require('uuid');
+const PatientMatcher = require('../mpi/patientMatcher');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { RECORD_KEYS, unionBy } = require('../utils/recordLists');
+
+const MERGED_LISTS = ['identifiers', 'mergedFrom', 'provenance', ...Object.keys(RECORD_KEYS)];
+const MERGED_OBJECTS = ['demographics', 'cancerType', 'genomics'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Survivor values win; the merged record only fills what the survivor lacks
+function fillBlanks(primary, secondary) {
+  if (!isPlainObject(primary) || !isPlainObject(secondary)) {
+    return isBlank(primary) ? secondary : primary;
+  }
+  const result = { ...primary };
+  Object.entries(secondary).forEach(([key, value]) => {
+    result[key] = isPlainObject(result[key]) ? fillBlanks(result[key], value) : isBlank(result[key]) ? value : result[key];
+  });
+  return result;
+}
+
+// Updates that turn `current` back into `before`. Patient updates merge nested
+// objects, so fields the merge filled in are cleared explicitly with null.
+function revert(before, current) {
+  if (isPlainObject(before) && isPlainObject(current)) {
+    const updates = {};
+    new Set([...Object.keys(before), ...Object.keys(current)]).forEach(key => {
+      updates[key] = before[key] === undefined ? null : revert(before[key], current[key]);
+    });
+    return updates;
+  }
+  return before === undefined ? null : before;
+}
+
+// Master patient index: scores patients against each other with
+// PatientMatcher, and merges duplicates into a survivor record with an audit
+// trail of patient links that lets a merge be reversed.
+class MasterPatientIndexService {
+  async activePatients() {
+    return (await getRepositories().patients.findAll()).filter(patient => !patient.mergedInto);
+  }
+
+  async requirePatient(abhaId) {
+    const patient = await getRepositories().patients.findByAbhaId(abhaId);
+    if (!patient) {
+      throw new NotFoundError(`Patient with ABHA ID ${abhaId} not found`);
+    }
+    return patient;
+  }
+
+  // Active patients scoring at least the review threshold against `candidate`
+  // (a patient record or just demographics and identifiers), best first
+  async match(candidate, { limit = 10, includeAll = false } = {}) {
+    if (!candidate || typeof candidate !== 'object') {
+      throw new ValidationError('A patient with demographics or identifiers is required');
+    }
+    const patients = await this.activePatients();
+    const commonPhones = PatientMatcher.commonPhones(patients);
+
+    return patients
+      .filter(patient => patient.abhaId !== candidate.abhaId)
+      .map(patient => ({ patient: this.summarize(patient), ...PatientMatcher.compare(candidate, patient, { commonPhones }) }))
+      .filter(result => includeAll || result.decision !== 'non-match')
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async candidatesFor(abhaId, options) {
+    return this.match(await this.requirePatient(abhaId), options);
+  }
+
+  // Active patient holding a source-local identifier, else the best automatic match
+  async resolve(record) {
+    const byIdentifier = await this.findByIdentifier(record.identifiers || []);
+    if (byIdentifier) return byIdentifier;
+    const [best] = await this.match(record, { limit: 1 });
+    return best?.decision === 'match' ? this.requirePatient(best.patient.abhaId) : null;
+  }
+
+  async findByIdentifier(identifiers) {
+    const wanted = PatientMatcher.identifierKeys({ identifiers: [].concat(identifiers) });
+    if (wanted.size === 0) return null;
+    return (await this.activePatients()).find(patient =>
+      Array.from(PatientMatcher.identifierKeys(patient)).some(key => wanted.has(key))) || null;
+  }
+
+  // Pairs of active patients that look like the same person
+  async duplicates() {
+    const patients = await this.activePatients();
+    const commonPhones = PatientMatcher.commonPhones(patients);
+    const pairs = [];
+    patients.forEach((patient, index) => {
+      patients.slice(index + 1).forEach(other => {
+        const result = PatientMatcher.compare(patient, other, { commonPhones });
+        if (result.decision !== 'non-match') {
+          pairs.push({ patients: [this.summarize(patient), this.summarize(other)], ...result });
+        }
+      });
+    });
+    return pairs.sort((a, b) => b.score - a.score);
+  }
+
+  async addIdentifier(abhaId, identifier, actor) {
+    if (!identifier?.system || !identifier?.value) {
+      throw new ValidationError('identifier.system and identifier.value are required');
+    }
+    const patient = await this.requirePatient(abhaId);
+    const holder = await this.findByIdentifier(identifier);
+    if (holder && holder.abhaId !== abhaId) {
+      throw new ConflictError(`${identifier.system}|${identifier.value} already identifies patient ${holder.abhaId}`);
+    }
+
+    const { system, value, use, assigner } = identifier;
+    const record = await getRepositories().patients.update(abhaId, {
+      identifiers: PatientMatcher.mergeIdentifiers(patient.identifiers || [], [{ system, value, use, assigner }])
+    }, { author: actor });
+    return record.patient;
+  }
+
+  combine(survivor, merged) {
+    const combined = {
+      identifiers: PatientMatcher.mergeIdentifiers(
+        survivor.identifiers || [],
+        [{ system: PatientMatcher.SYSTEMS.ABHA, value: merged.abhaId, use: 'old' }],
+        merged.identifiers || []
+      ),
+      mergedFrom: Array.from(new Set([...(survivor.mergedFrom || []), merged.abhaId, ...(merged.mergedFrom || [])])),
+      demographics: fillBlanks(survivor.demographics || {}, merged.demographics || {}),
+      cancerType: fillBlanks(survivor.cancerType || {}, merged.cancerType || {}),
+      // The merged record's provenance only for the values the survivor lacked
+      provenance: ProvenanceTracker.merge(survivor.provenance, (merged.provenance || [])
+        .filter(entry => isBlank(ProvenanceTracker.valueOf(survivor, entry))))
+    };
+    if (survivor.genomics?.mutationProfile?.length || merged.genomics) {
+      combined.genomics = survivor.genomics?.mutationProfile?.length ? survivor.genomics : merged.genomics;
+    }
+    Object.entries(RECORD_KEYS).forEach(([field, key]) => {
+      combined[field] = unionBy(key, survivor[field], merged[field]);
+    });
+    return combined;
+  }
+
+  async merge({ survivorId, mergedId, reason } = {}, actor = 'mpi') {
+    if (!survivorId || !mergedId) {
+      throw new ValidationError('survivorId and mergedId are required');
+    }
+    if (survivorId === mergedId) {
+      throw new ValidationError('A patient cannot be merged into itself');
+    }
+
+    const { patients, patientLinks } = getRepositories();
+    const survivor = await this.requirePatient(survivorId);
+    const merged = await this.requirePatient(mergedId);
+    [survivor, merged].forEach(patient => {
+      if (patient.mergedInto) {
+        throw new ConflictError(`Patient ${patient.abhaId} was already merged into ${patient.mergedInto}`);
+      }
+    });
+
+    const match = PatientMatcher.compare(survivor, merged, { commonPhones: PatientMatcher.commonPhones(await this.activePatients()) });
+    const record = await patients.update(survivorId, this.combine(survivor, merged), { author: actor });
+    await patients.update(mergedId, { mergedInto: survivorId }, { author: actor });
+
+    const link = await patientLinks.create({
+      linkId: uuidv4(),
+      type: 'merge',
+      status: 'active',
+      survivorId,
+      mergedId,
+      match,
+      reason,
+      mergedBy: actor,
+      mergedAt: new Date(),
+      survivorVersion: record.version,
+      survivorSnapshot: survivor
+    });
+    return { link: this.describeLink(link), patient: record.patient };
+  }
+
+  // Restores the survivor to its pre-merge state and reactivates the merged
+  // record. Refused once the survivor has changed since the merge.
+  async unmerge(linkId, { reason } = {}, actor = 'mpi') {
+    const { patients, patientLinks } = getRepositories();
+    const link = await patientLinks.findById(linkId);
+    if (!link) {
+      throw new NotFoundError(`Patient link ${linkId} not found`);
+    }
+    if (link.status !== 'active') {
+      throw new ConflictError(`Merge ${linkId} was already reversed`);
+    }
+
+    const survivor = await this.requirePatient(link.survivorId);
+    const snapshot = link.survivorSnapshot;
+    const restore = {};
+    MERGED_LISTS.forEach(field => {
+      restore[field] = snapshot[field] || [];
+    });
+    MERGED_OBJECTS.forEach(field => {
+      restore[field] = revert(snapshot[field], survivor[field]);
+    });
+    try {
+      await patients.update(link.survivorId, restore, { author: actor, expectedVersion: link.survivorVersion });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw new ConflictError(
+          `Patient ${link.survivorId} changed after merge ${linkId}; reverse later merges or edit the record by hand`,
+          { expectedVersion: link.survivorVersion }
+        );
+      }
+      throw error;
+    }
+    await patients.update(link.mergedId, { mergedInto: null }, { author: actor });
+
+    const updated = await patientLinks.update(linkId, {
+      status: 'reversed',
+      unmergedBy: actor,
+      unmergedAt: new Date(),
+      unmergeReason: reason
+    });
+    return this.describeLink(updated);
+  }
+
+  async links(abhaId) {
+    return (await getRepositories().patientLinks.findAll({ abhaId })).map(link => this.describeLink(link));
+  }
+
+  async findLink(linkId) {
+    const link = await getRepositories().patientLinks.findById(linkId);
+    if (!link) {
+      throw new NotFoundError(`Patient link ${linkId} not found`);
+    }
+    return this.describeLink(link);
+  }
+
+  // The snapshot is internal state for unmerge, not part of the audit view
+  describeLink({ survivorSnapshot, _id, __v, ...link }) {
+    return link;
+  }
+
+  summarize(patient) {
+    return {
+      abhaId: patient.abhaId,
+      name: `${patient.demographics?.firstName || ''} ${patient.demographics?.lastName || ''}`.trim(),
+      dateOfBirth: patient.demographics?.dateOfBirth,
+      gender: patient.demographics?.gender,
+      state: patient.demographics?.address?.state,
+      identifiers: patient.identifiers || []
+    };
+  }
+}
+
+module.exports = MasterPatientIndexService;
@@ -0,0 +1,225 @@
+const net = require('net');
+const DataAggregator = require('./dataAggregator');
+const HL7Parser = require('../hl7/hl7Parser');
+const HL7Mapper = require('../hl7/hl7Mapper');
+const HL7Ack = require('../hl7/hl7Ack');
+const { frame, MLLPDecoder } = require('../hl7/mllp');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const { getRepositories } = require('../repositories');
+
+const SUPPORTED_MESSAGES = {
+  LIS: ['ORU'],
+  HIMS: ['ADT']
+};
+
+// Remember recent control IDs per source so retransmitted messages are ACKed, not re-merged
+const RECENT_CONTROL_ID_LIMIT = 1000;
+
+class MLLPListenerService {
+  constructor(dataAggregator = new DataAggregator()) {
+    this.dataAggregator = dataAggregator;
+    this.listeners = new Map();
+  }
+
+  // Accepts "mllp://host:port", "host:port" or a bare port number
+  static parseEndpoint(endpoint) {
+    const match = /^(?:mllp:\/\/)?(?:([^:/]+):)?(\d+)\/?$/.exec(String(endpoint || '').trim());
+    if (!match) {
+      throw new Error(`Invalid MLLP endpoint "${endpoint}"`);
+    }
+    return { host: match[1] || '0.0.0.0', port: parseInt(match[2], 10) };
+  }
+
+  async start() {
+    const sources = await getRepositories().dataSources.findAll();
+    const mllpSources = sources.filter(source =>
+      source.connectionDetails?.protocol?.toUpperCase() === 'MLLP' && source.syncStatus !== 'inactive'
+    );
+
+    for (const source of mllpSources) {
+      try {
+        await this.listen(source);
+      } catch (error) {
+        console.error(`MLLP listener for ${source.name} failed to start:`, error.message);
+      }
+    }
+
+    return this.status();
+  }
+
+  async stop() {
+    const closing = Array.from(this.listeners.values()).map(listener => new Promise(resolve => {
+      listener.sockets.forEach(socket => socket.destroy());
+      listener.server.close(() => resolve());
+    }));
+    this.listeners.clear();
+    await Promise.all(closing);
+  }
+
+  // Data sources were added, edited or removed: restart listeners to match
+  async reload() {
+    await this.stop();
+    return this.start();
+  }
+
+  listen(source) {
+    const { host, port } = MLLPListenerService.parseEndpoint(source.connectionDetails.endpoint);
+    const listener = {
+      source,
+      server: null,
+      sockets: new Set(),
+      recentControlIds: [],
+      stats: { received: 0, accepted: 0, errors: 0, rejected: 0, probes: 0, lastMessageAt: null }
+    };
+
+    listener.server = net.createServer(socket => this.handleConnection(listener, socket));
+
+    return new Promise((resolve, reject) => {
+      listener.server.once('error', reject);
+      listener.server.listen(port, host, () => {
+        listener.server.off('error', reject);
+        listener.address = listener.server.address();
+        this.listeners.set(String(source._id), listener);
+        console.log(`MLLP listener for ${source.name} on ${host}:${listener.address.port}`);
+        resolve(listener.address);
+      });
+    });
+  }
+
+  handleConnection(listener, socket) {
+    const decoder = new MLLPDecoder();
+    listener.sockets.add(socket);
+
+    // Process messages strictly in arrival order; senders wait for each ACK anyway
+    let queue = Promise.resolve();
+
+    socket.on('data', chunk => {
+      decoder.push(chunk).forEach(raw => {
+        queue = queue.then(async () => {
+          const ack = await this.handleMessage(listener, raw);
+          if (!socket.destroyed) {
+            socket.write(frame(ack));
+          }
+        });
+      });
+    });
+
+    socket.on('error', error => console.error(`MLLP socket error (${listener.source.name}):`, error.message));
+    socket.on('close', () => listener.sockets.delete(socket));
+  }
+
+  async handleMessage(listener, raw) {
+    listener.stats.received++;
+    listener.stats.lastMessageAt = new Date();
+
+    let message;
+    try {
+      message = HL7Parser.parse(raw);
+    } catch (error) {
+      listener.stats.rejected++;
+      return HL7Ack.build(null, HL7Ack.CODES.REJECT, error.message);
+    }
+
+    // NMD network management messages are connection checks: acknowledge, ingest nothing
+    if (message.messageType === 'NMD') {
+      listener.stats.probes++;
+      return HL7Ack.build(message, HL7Ack.CODES.ACCEPT, 'Listener ready');
+    }
+
+    const sourceType = listener.source.type;
+    if (!(SUPPORTED_MESSAGES[sourceType] || []).includes(message.messageType)) {
+      listener.stats.rejected++;
+      return HL7Ack.build(message, HL7Ack.CODES.REJECT,
+        `Message type ${message.messageType}^${message.triggerEvent} not accepted by ${sourceType} source`);
+    }
+
+    if (listener.recentControlIds.includes(message.controlId)) {
+      listener.stats.accepted++;
+      return HL7Ack.build(message, HL7Ack.CODES.ACCEPT, 'Duplicate message already processed');
+    }
+
+    try {
+      await this.ingest(message, listener.source);
+      listener.recentControlIds.push(message.controlId);
+      if (listener.recentControlIds.length > RECENT_CONTROL_ID_LIMIT) {
+        listener.recentControlIds.shift();
+      }
+      listener.stats.accepted++;
+      return HL7Ack.build(message, HL7Ack.CODES.ACCEPT);
+    } catch (error) {
+      listener.stats.errors++;
+      return HL7Ack.build(message, HL7Ack.CODES.ERROR, error.message);
+    }
+  }
+
+  // Find the patient by any PID-3 identifier and merge through DataAggregator.mergeData.
+  // An ADT^A01 for an unknown patient registers them; anything else must match.
+  async ingest(message, source) {
+    const { patients } = getRepositories();
+    const identifiers = HL7Mapper.patientIdentifiers(message);
+    if (identifiers.length === 0) {
+      throw new Error('PID-3 patient identifier is required');
+    }
+
+    let patient = null;
+    for (const identifier of identifiers) {
+      patient = await patients.findByAbhaId(identifier.value);
+      if (patient) break;
+    }
+
+    const sourceData = HL7Mapper.toPatientData(message, source.type);
+    const context = ProvenanceTracker.context(source, {
+      sourceRecordId: message.controlId,
+      activity: 'mllp',
+      agent: `mllp:${source.name}`
+    });
+    const written = { labResults: sourceData.labResults, medicalHistory: sourceData.medicalHistory };
+
+    if (!patient) {
+      if (message.messageType !== 'ADT' || message.triggerEvent !== 'A01') {
+        throw new Error(`Unknown patient ${identifiers.map(id => id.value).join(', ')}`);
+      }
+      const abhaId = (identifiers.find(id => id.assigningAuthority === 'ABHA') || identifiers[0]).value;
+      patient = { abhaId, demographics: sourceData.demographics };
+      const target = this.emptyTarget(patient);
+      this.dataAggregator.mergeData(target, sourceData, source.type);
+      target.provenance = ProvenanceTracker.describe({ demographics: sourceData.demographics, ...written }, context);
+      return patients.create(target, { author: `mllp:${source.name}` });
+    }
+
+    const target = this.emptyTarget(patient);
+    this.dataAggregator.mergeData(target, sourceData, source.type);
+
+    return patients.update(patient.abhaId, {
+      labResults: target.labResults,
+      medicalHistory: target.medicalHistory,
+      provenance: ProvenanceTracker.merge(patient.provenance, ProvenanceTracker.describe(written, context))
+    }, { author: `mllp:${source.name}` });
+  }
+
+  emptyTarget(patient) {
+    return {
+      ...patient,
+      demographics: { ...(patient.demographics || {}) },
+      medicalHistory: [...(patient.medicalHistory || [])],
+      imaging: [...(patient.imaging || [])],
+      labResults: [...(patient.labResults || [])],
+      pathologyReports: [...(patient.pathologyReports || [])],
+      genomics: { ...(patient.genomics || {}) },
+      treatments: [...(patient.treatments || [])]
+    };
+  }
+
+  status() {
+    return Array.from(this.listeners.values()).map(listener => ({
+      sourceId: listener.source._id,
+      source: listener.source.name,
+      type: listener.source.type,
+      address: listener.address,
+      connections: listener.sockets.size,
+      ...listener.stats
+    }));
+  }
+}
+
+module.exports = MLLPListenerService;
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const Patient = require('../models/Patient');
+const { readJson, writeJsonExclusive } = require('../utils/jsonFile');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const VERSION_FILE_PATTERN = /^v(\d+)\.json$/;
+
+// Append-only, file-backed patient store. Each write lands as a new
+// `<storePath>/<abhaId>/vNNNNNN.json` file, so every version stays on disk.
+class PatientStore {
+  constructor(storePath = process.env.PATIENT_STORE_PATH || path.join(__dirname, '../data/patient-store')) {
+    this.storePath = storePath;
+  }
+
+  // Validate and cast against the Patient mongoose schema without touching MongoDB.
+  // Fields outside the schema are dropped, exactly as Patient.save() would.
+  validate(patientData) {
+    const document = new Patient(patientData);
+    const validationError = document.validateSync();
+
+    if (validationError) {
+      const details = Object.values(validationError.errors).map(err => ({
+        path: err.path,
+        kind: err.kind,
+        message: err.message
+      }));
+      throw new ValidationError('Patient failed schema validation', details);
+    }
+
+    return this.stripIds(document.toObject({ versionKey: false }));
+  }
+
+  stripIds(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.stripIds(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const result = {};
+      Object.entries(value).forEach(([key, nested]) => {
+        if (key !== '_id') {
+          result[key] = this.stripIds(nested);
+        }
+      });
+      return result;
+    }
+    return value;
+  }
+
+  patientDir(abhaId) {
+    return path.join(this.storePath, encodeURIComponent(abhaId));
+  }
+
+  versionPath(abhaId, version) {
+    return path.join(this.patientDir(abhaId), `v${String(version).padStart(6, '0')}.json`);
+  }
+
+  listVersions(abhaId) {
+    const dir = this.patientDir(abhaId);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .map(file => VERSION_FILE_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  getVersion(abhaId, version) {
+    return readJson(this.versionPath(abhaId, version));
+  }
+
+  getLatest(abhaId) {
+    const versions = this.listVersions(abhaId);
+    if (versions.length === 0) {
+      return null;
+    }
+    return this.getVersion(abhaId, versions[versions.length - 1]);
+  }
+
+  getPatient(abhaId) {
+    return this.getLatest(abhaId)?.patient || null;
+  }
+
+  getAllPatients() {
+    if (!fs.existsSync(this.storePath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.storePath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => this.getPatient(decodeURIComponent(entry.name)))
+      .filter(Boolean);
+  }
+
+  has(abhaId) {
+    return this.listVersions(abhaId).length > 0;
+  }
+
+  create(patientData, options = {}) {
+    if (!patientData?.abhaId) {
+      throw new ValidationError('Patient failed schema validation', [
+        { path: 'abhaId', kind: 'required', message: 'Path `abhaId` is required.' }
+      ]);
+    }
+    if (this.has(patientData.abhaId)) {
+      throw new ConflictError(`Patient with ABHA ID ${patientData.abhaId} already exists`);
+    }
+
+    const now = new Date();
+    const patient = this.validate({ ...patientData, createdAt: now, updatedAt: now });
+    return this.writeVersion(patient, 1, 'create', options.author);
+  }
+
+  // Persist a full replacement document as the next version. When the caller
+  // passes expectedVersion, a concurrent write since then is reported as a conflict.
+  update(abhaId, patientData, options = {}) {
+    const latest = this.getLatest(abhaId);
+    const currentVersion = latest?.version || 0;
+
+    if (options.expectedVersion !== undefined && options.expectedVersion !== currentVersion) {
+      throw new ConflictError(
+        `Patient ${abhaId} is at version ${currentVersion}, expected ${options.expectedVersion}`
+      );
+    }
+
+    const patient = this.validate({
+      ...patientData,
+      abhaId,
+      createdAt: latest?.patient.createdAt || patientData.createdAt || new Date(),
+      updatedAt: new Date()
+    });
+    return this.writeVersion(patient, currentVersion + 1, 'update', options.author);
+  }
+
+  writeVersion(patient, version, operation, author) {
+    const record = {
+      abhaId: patient.abhaId,
+      version,
+      operation,
+      author: author || null,
+      savedAt: new Date().toISOString(),
+      patient
+    };
+
+    try {
+      writeJsonExclusive(this.versionPath(patient.abhaId, version), record);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new ConflictError(`Version ${version} of patient ${patient.abhaId} was written concurrently`);
+      }
+      throw error;
+    }
+
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  getHistory(abhaId) {
+    const versions = this.listVersions(abhaId);
+    if (versions.length === 0) {
+      throw new NotFoundError(`No stored versions for patient ${abhaId}`);
+    }
+
+    return versions.map(version => {
+      const { patient, ...meta } = this.getVersion(abhaId, version);
+      return meta;
+    });
+  }
+}
+
+module.exports = PatientStore;
@@ -1,9 +1,15 @@
-const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const LLMProviders = require('../llm/llmProviders');
+const { AppError } = require('../utils/errors');
 
+const SYSTEM_PROMPT = 'You are an expert oncologist and medical researcher with access to current medical literature. Provide evidence-based recommendations with proper academic citations.';
+
+// Tumor board reports and knowledge search written by a language model. The
+// model comes from LLMProviders per feature (Perplexity unless configured
+// otherwise); the academic domains steer providers that search the web.
 class PerplexityReportService {
-  constructor() {
-    this.apiKey = process.env.PERPLEXITY_API_KEY;
-    this.baseURL = 'https://api.perplexity.ai/chat/completions';
+  constructor({ providers = new LLMProviders() } = {}) {
+    this.providers = providers;
     this.academicDomains = [
       'pubmed.ncbi.nlm.nih.gov',
       'clinicaltrials.gov',
@@ -24,16 +30,13 @@ class PerplexityReportService {
     try {
       const contextualizedPrompt = this.buildContextualizedPrompt(patientData, reportType);
       
-      const response = await this.makePerplexityRequest(
-        contextualizedPrompt,
-        'sonar-deep-research'
-      );
+      const completion = await this.complete('report', contextualizedPrompt);
 
-      const structuredReport = this.parseReportResponse(response.data);
+      const structuredReport = this.parseReportResponse(completion);
       return this.formatAcademicReport(structuredReport, patientData);
       
     } catch (error) {
-      throw new Error(`Perplexity report generation failed: ${error.message}`);
+      throw new AppError(`AI report generation failed: ${error.message}`, error.statusCode || 500, error.details);
     }
   }
 
@@ -221,492 +224,25 @@ MOLECULAR PROFILING RESULTS:
     return history;
   }
 
-  extractPatientInfoFromPrompt(prompt) {
-    // Extract patient information from the contextualized prompt
-    const nameMatch = prompt.match(/Name: ([^\n]+)/);
-    const ageMatch = prompt.match(/Age: (\d+)/);
-    const genderMatch = prompt.match(/Gender: ([^\n]+)/);
-    const diagnosisMatch = prompt.match(/Primary diagnosis: ([^\n]+)/);
-    const stageMatch = prompt.match(/Cancer stage: ([^\n]+)/);
-    const locationMatch = prompt.match(/Location: ([^\n]+)/);
-    const mutationsMatch = prompt.match(/GENOMIC ALTERATIONS DETECTED:\s+([\s\S]*?)(?=\n\n|$)/);
-    
-    return {
-      name: nameMatch ? nameMatch[1] : 'Patient',
-      age: ageMatch ? ageMatch[1] : 'Unknown age',
-      gender: genderMatch ? genderMatch[1] : 'patient',
-      diagnosis: diagnosisMatch ? diagnosisMatch[1] : 'cancer',
-      stage: stageMatch ? stageMatch[1] : 'unknown stage',
-      location: locationMatch ? locationMatch[1] : 'unknown location',
-      mutations: mutationsMatch ? mutationsMatch[1].replace(/\n/g, ', ') : 'No mutations documented'
-    };
-  }
-
-  async makePerplexityRequest(prompt, model = 'sonar-deep-research') {
-    // Check if API key is available
-    if (!this.apiKey || this.apiKey === 'your_perplexity_api_key_here') {
-      throw new Error('Perplexity API key not configured. Please add a valid API key to use the search functionality.');
-    }
-
-    const payload = {
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert oncologist and medical researcher with access to current medical literature. Provide evidence-based recommendations with proper academic citations.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      search_domain_filter: this.academicDomains,
-      search_recency_filter: 'month',
+  // Sends the prompt to whichever provider is configured for the feature
+  async complete(feature, prompt) {
+    return this.providers.complete(feature, {
+      system: SYSTEM_PROMPT,
+      prompt,
       temperature: 0.2,
-      max_tokens: 4000,
-      return_citations: true,
-      return_images: false
-    };
-
-    try {
-      const response = await axios.post(this.baseURL, payload, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 300000 // Increased to 5 minutes
-      });
-
-      return response;
-    } catch (error) {
-      if (error.response?.status === 429) {
-        throw new Error('API rate limit reached. Please wait a moment and try again.');
-      } else if (error.response?.status === 401) {
-        throw new Error('Invalid API key. Please check your configuration.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Search request timed out. Please try with a simpler query or try again later.');
-      } else {
-        throw new Error(`Search service temporarily unavailable: ${error.message}`);
-      }
-    }
-  }
-
-  generateMockResponse(prompt, model = 'sonar-deep-research') {
-    // Check if this is a knowledge search query
-    const isKnowledgeSearch = prompt.trim().includes('As a medical knowledge expert') || 
-                             prompt.includes('provide comprehensive, evidence-based information about:') ||
-                             prompt.includes('1. **Clinical Overview**:') ||
-                             prompt.includes('2. **Current Guidelines**:');
-    
-    let mockContent, mockCitations;
-    
-    if (isKnowledgeSearch) {
-      mockContent = this.generateMockKnowledgeSearchContent(prompt);
-      mockCitations = this.generateMockKnowledgeCitations();
-    } else {
-      mockContent = this.generateMockTumorBoardContent(prompt);
-      mockCitations = this.generateMockCitations();
-    }
-    
-    return {
-      data: {
-        choices: [{
-          message: {
-            content: mockContent
-          }
-        }],
-        citations: mockCitations,
-        model: model + '-mock',
-        usage: {
-          prompt_tokens: 500,
-          completion_tokens: 1500,
-          total_tokens: 2000
-        }
-      }
-    };
-  }
-
-  generateMockTumorBoardContent(prompt) {
-    // Extract patient-specific information from the prompt
-    const patientInfo = this.extractPatientInfoFromPrompt(prompt);
-    
-    return `# AI-Generated Tumor Board Report with Academic Citations
-
-## Executive Summary
-This comprehensive tumor board report has been generated for ${patientInfo.name}, a ${patientInfo.age}-year-old ${patientInfo.gender} patient with ${patientInfo.diagnosis} (${patientInfo.stage}), using advanced AI analysis integrated with current oncological literature and evidence-based treatment guidelines.
-
-## Patient Case Overview
-**Patient:** ${patientInfo.name}  
-**Age:** ${patientInfo.age} years  
-**Gender:** ${patientInfo.gender}  
-**Primary Diagnosis:** ${patientInfo.diagnosis}  
-**Stage:** ${patientInfo.stage}  
-**Location:** ${patientInfo.location}
-
-## Clinical Presentation Analysis
-Based on this patient's specific presentation and clinical history:
-
-### Disease-Specific Findings
-- ${patientInfo.diagnosis} diagnosed at stage ${patientInfo.stage}
-- Clinical presentation consistent with advanced cervical malignancy
-- Risk factors include HPV infection and reproductive history
-- Staging workup demonstrates locally advanced disease
-
-### Molecular Profiling Results
-- Genomic alterations identified: ${patientInfo.mutations}
-- PIK3CA mutation (E545K) - potentially targetable alteration
-- PTEN alteration noted - impacts PI3K pathway signaling
-- Molecular profile supports targeted therapy considerations
-
-## Evidence-Based Treatment Recommendations
-
-### Primary Treatment Approach for ${patientInfo.diagnosis}
-**Recommendation Level: Category 1 (High Evidence)**
-- Concurrent chemoradiation therapy as per NCCN guidelines for stage ${patientInfo.stage} cervical cancer
-- Weekly cisplatin during external beam radiation therapy
-- Followed by brachytherapy boost to optimize local control
-- Evidence supports this approach based on multiple randomized trials [GOG-85, GOG-120]
-
-### Treatment Response Assessment
-Based on imaging and clinical follow-up documented in this case:
-- Complete clinical response achieved at 1-year follow-up
-- No evidence of residual disease on follow-up imaging
-- CA-125 levels normalized during treatment course
-- Excellent treatment tolerance with manageable toxicity profile
-
-### Molecular-Targeted Therapy Considerations
-Given the identified genomic alterations:
-- **PIK3CA E545K mutation:** Potential target for PI3K/AKT pathway inhibitors
-- **PTEN alteration:** May confer sensitivity to immune checkpoint inhibitors
-- Consider enrollment in biomarker-driven clinical trials
-- Molecular profile suggests potential benefit from combination targeted approaches
-
-### Long-term Surveillance Strategy
-**Category 1 Recommendations:**
-- Physical examination every 3-4 months for 2 years, then every 6 months
-- Annual imaging with CT or MRI for 5 years
-- HPV testing as clinically indicated
-- Monitoring for late effects of radiation therapy
-
-## Clinical Trial Opportunities
-Based on molecular profile and treatment history:
-- **NCT04257448:** PIK3CA inhibitor combination study
-- **NCT03635567:** Immunotherapy maintenance trial
-- **NCT04221945:** Precision medicine genomic matching platform
-
-## Multidisciplinary Care Team Recommendations
-**Primary Team:**
-- Gynecologic oncology: Dr. [Attending] - overall care coordination
-- Radiation oncology: Completed concurrent chemoradiation protocol
-- Medical oncology: Long-term surveillance and systemic therapy decisions
-
-**Supportive Care:**
-- Survivorship clinic referral for long-term care planning
-- Fertility preservation counseling if applicable
-- Psychosocial support services integration
-
-## Evidence-Based Citations Summary
-*Report includes 15+ current academic citations from:*
-- **Journal of Clinical Oncology** (5 citations)
-- **Gynecologic Oncology** (4 citations)  
-- **The Lancet Oncology** (3 citations)
-- **NCCN Clinical Practice Guidelines** (current version)
-- **WHO Treatment Guidelines** (2024 update)
-
-## Quality Assurance Metrics
-- **Evidence Level:** High-quality randomized controlled trials
-- **Guideline Adherence:** 100% NCCN concordant recommendations
-- **Clinical Relevance:** Stage-specific, mutation-informed approach
-- **Citation Currency:** All sources within 24 months
-
----
-**Report Generated:** ${new Date().toLocaleDateString()}  
-**AI Analysis Confidence:** 92% (Patient-specific context)  
-**Academic Sources:** 15 peer-reviewed citations  
-**Guideline Compliance:** NCCN v2024, WHO 2024
-
-*This enhanced report incorporates patient-specific clinical data, genomic profiling, and treatment response information with evidence-based recommendations and academic citations.*`;
-  }
-
-  generateMockKnowledgeSearchContent(prompt) {
-    // Extract the search query from the prompt
-    const queryMatch = prompt.match(/provide comprehensive, evidence-based information about: "([^"]+)"/);
-    const query = queryMatch ? queryMatch[1] : 'medical topic';
-    
-    // Check if there's patient context
-    const hasPatientContext = prompt.includes('PATIENT CONTEXT FOR PERSONALIZED SEARCH:');
-    let patientInfo = '';
-    
-    if (hasPatientContext) {
-      const contextMatch = prompt.match(/PATIENT CONTEXT FOR PERSONALIZED SEARCH:\s*([\s\S]*?)Please provide:/);
-      if (contextMatch) {
-        patientInfo = contextMatch[1].trim();
-      }
-    }
-    
-    return `## Clinical Overview
-
-${query.charAt(0).toUpperCase() + query.slice(1)} represents a critical therapeutic approach in modern oncology. ${hasPatientContext ? 'For this specific patient case, we will focus on evidence-based recommendations tailored to their clinical profile.' : 'This comprehensive review covers current evidence-based practices and guidelines.'}
-
-### Key Concepts
-
-${query} encompasses various treatment modalities and approaches, each with specific indications based on:
-- Cancer type and stage
-- Molecular profile and biomarkers
-- Patient performance status
-- Prior treatment history
-- Available clinical evidence
-
-${hasPatientContext ? `\n### Patient-Specific Considerations\n\nBased on the provided patient context:\n${patientInfo.split('\n').slice(0, 5).join('\n')}\n\nThe following recommendations are tailored to this specific clinical scenario.` : ''}
-
-## Current Guidelines
-**WHO (World Health Organization) Recommendations:**
-- Evidence-based diagnostic criteria have been updated in the 2024 guidelines
-- Treatment protocols emphasize personalized medicine approaches
-- Quality assurance standards align with international best practices
-- Patient safety protocols incorporate latest risk assessment frameworks
-
-**NCCN (National Comprehensive Cancer Network) Guidelines:**
-- Category 1 recommendations based on high-level evidence from randomized controlled trials
-- Multidisciplinary team approach for treatment planning and decision-making
-- Regular surveillance protocols with defined intervals and modalities
-- Supportive care integration throughout treatment continuum
-
-**ESMO (European Society for Medical Oncology) Consensus:**
-- Molecular profiling requirements for treatment selection
-- Biomarker-driven therapy recommendations with evidence levels
-- Clinical trial enrollment criteria and patient selection guidelines
-- survivorship care planning with long-term monitoring protocols
-
-**ASCO (American Society of Clinical Oncology) Practice Guidelines:**
-- Clinical practice statements based on systematic literature review
-- Quality measures for optimal patient care delivery
-- Professional development standards for healthcare providers
-- Resource allocation recommendations for healthcare systems
-
-## Recent Research
-**High-Impact Studies (2024):**
-Recent peer-reviewed publications in leading medical journals have demonstrated significant advances in understanding ${query}. Key findings from randomized controlled trials show:
-
-- Improved diagnostic accuracy with novel biomarker panels (sensitivity >95%, specificity >90%)
-- Enhanced treatment efficacy with combination therapy approaches (hazard ratio 0.68, 95% CI: 0.52-0.89, p<0.001)
-- Reduced treatment-related toxicity through precision dosing strategies
-- Better patient-reported outcomes with integrated supportive care protocols
-
-**Meta-Analysis Results:**
-Systematic reviews and meta-analyses published in 2024 demonstrate consistent benefits across multiple patient populations, with particular emphasis on personalized treatment selection based on molecular characteristics.
-
-## Clinical Protocols
-**Standard Diagnostic Workup:**
-1. Comprehensive medical history and physical examination
-2. Laboratory studies including complete blood count, comprehensive metabolic panel
-3. Imaging studies as clinically indicated (CT, MRI, PET-CT)
-4. Tissue sampling for histopathological analysis and molecular profiling
-5. Multidisciplinary team review for treatment planning
-
-**Treatment Algorithm:**
-- Initial assessment and staging according to current criteria
-- Molecular profiling to guide targeted therapy selection
-- Multidisciplinary team consultation for treatment planning
-- Regular monitoring and response assessment during treatment
-- Long-term surveillance according to evidence-based guidelines
-
-## Drug Information
-**Mechanism of Action:**
-Current therapeutic approaches for ${query} target specific molecular pathways involved in disease progression. Novel agents demonstrate improved selectivity and reduced off-target effects compared to traditional therapies.
-
-**Dosing and Administration:**
-- Standard dosing protocols established through phase III clinical trials
-- Dose modifications based on patient-specific factors (renal function, hepatic function, performance status)
-- Drug interaction considerations with comprehensive medication review
-- Supportive care measures to minimize treatment-related adverse events
-
-**Side Effect Profile:**
-- Common adverse events (>20% incidence): Generally manageable with supportive care
-- Serious adverse events (<5% incidence): Require immediate medical attention
-- Long-term effects: Monitored through structured survivorship programs
-- Quality of life considerations integrated into treatment decision-making
-
-## Clinical Trial Information
-**Current Active Trials:**
-- **NCT05123456:** Phase III randomized trial comparing novel combination therapy vs. standard of care
-- **NCT05234567:** Phase II biomarker-driven precision medicine study
-- **NCT05345678:** Phase I dose-escalation study of innovative targeted agent
-- **NCT05456789:** Phase II/III adaptive design trial with interim efficacy analysis
-
-**Recent Trial Results:**
-Multiple Phase III trials have recently reported positive results leading to regulatory approvals and updated treatment guidelines. These studies demonstrate consistent efficacy benefits across diverse patient populations.
-
-**Eligibility Criteria:**
-Current clinical trials accept patients meeting specific inclusion criteria related to disease stage, molecular profile, performance status, and prior treatment history. Enrollment is coordinated through specialized clinical trial offices at major cancer centers.
-
----
-
-**Evidence Quality:** High - Based on Level 1 evidence from randomized controlled trials
-**Guideline Concordance:** 100% alignment with current NCCN, WHO, ESMO, and ASCO recommendations
-**Literature Currency:** All cited sources published within 24 months
-**Clinical Relevance:** Directly applicable to current clinical practice standards`;
-  }
-
-  generateMockKnowledgeCitations() {
-    return [
-      {
-        title: "Current Evidence-Based Guidelines for Clinical Practice",
-        authors: ["Johnson, M.D.", "Smith, K.L.", "Brown, R.A."],
-        journal: "New England Journal of Medicine",
-        year: 2024,
-        doi: "10.1056/NEJMra2024001",
-        pmid: "38100001",
-        relevance_score: 0.96,
-        excerpt: "Comprehensive review of current evidence-based guidelines demonstrates significant improvements in patient outcomes through standardized care protocols.",
-        citationType: "High-Impact Journal",
-        source: "nejm.org"
-      },
-      {
-        title: "WHO Global Health Guidelines: Evidence-Based Medicine Standards",
-        authors: ["World Health Organization Medical Team"],
-        journal: "WHO Technical Report Series",
-        year: 2024,
-        relevance_score: 0.94,
-        excerpt: "International consensus on evidence-based medical practice standards for optimal patient care delivery.",
-        citationType: "WHO Guidelines",
-        source: "who.int"
-      },
-      {
-        title: "NCCN Clinical Practice Guidelines: Current Evidence and Recommendations",
-        authors: ["NCCN Guidelines Panel for Medical Oncology"],
-        journal: "NCCN Clinical Practice Guidelines in Oncology",
-        year: 2024,
-        relevance_score: 0.98,
-        excerpt: "Category 1 recommendations based on high-level evidence from randomized controlled trials and expert consensus.",
-        citationType: "NCCN Guidelines",
-        source: "nccn.org"
-      },
-      {
-        title: "Molecular Profiling and Precision Medicine: Current Applications",
-        authors: ["Chen, L.Y.", "Anderson, J.K.", "Wilson, P.M."],
-        journal: "Journal of Clinical Oncology",
-        year: 2024,
-        doi: "10.1200/JCO.2024.demo.002",
-        pmid: "38100002",
-        relevance_score: 0.91,
-        excerpt: "Systematic analysis of molecular profiling applications in precision medicine demonstrates improved treatment selection and patient outcomes.",
-        citationType: "Peer-reviewed Study",
-        source: "pubmed.ncbi.nlm.nih.gov"
-      },
-      {
-        title: "Phase III Randomized Clinical Trial Results: Novel Therapeutic Approaches",
-        authors: ["Martinez, R.D.", "Thompson, A.B.", "Lee, S.C."],
-        journal: "The Lancet Oncology",
-        year: 2024,
-        doi: "10.1016/S1470-2045(24)00001-X",
-        pmid: "38100003",
-        relevance_score: 0.89,
-        excerpt: "Randomized controlled trial demonstrates significant efficacy benefits with novel combination therapy approach (HR 0.68, 95% CI: 0.52-0.89, p<0.001).",
-        citationType: "High-Impact Journal",
-        source: "thelancet.com"
-      },
-      {
-        title: "ESMO Clinical Practice Guidelines: Multidisciplinary Care Standards",
-        authors: ["European Society for Medical Oncology Guidelines Committee"],
-        journal: "Annals of Oncology",
-        year: 2024,
-        doi: "10.1093/annonc/mdx001",
-        pmid: "38100004",
-        relevance_score: 0.93,
-        excerpt: "Evidence-based recommendations for multidisciplinary cancer care with emphasis on biomarker-driven treatment selection.",
-        citationType: "ESMO Guidelines",
-        source: "esmo.org"
-      },
-      {
-        title: "Clinical Trial Database Analysis: Current Therapeutic Development",
-        authors: ["National Cancer Institute Clinical Trials Team"],
-        journal: "ClinicalTrials.gov Registry",
-        year: 2024,
-        relevance_score: 0.87,
-        excerpt: "Comprehensive analysis of active clinical trials demonstrates robust pipeline of innovative therapeutic approaches.",
-        citationType: "Clinical Trial",
-        source: "clinicaltrials.gov"
-      },
-      {
-        title: "FDA Drug Approval Guidelines: Evidence Standards and Regulatory Framework",
-        authors: ["U.S. Food and Drug Administration Oncology Team"],
-        journal: "FDA Guidance Documents",
-        year: 2024,
-        relevance_score: 0.85,
-        excerpt: "Regulatory guidance for drug development and approval processes based on evidence-based medicine principles.",
-        citationType: "FDA Document",
-        source: "fda.gov"
-      }
-    ];
-  }
-
-  generateMockCitations() {
-    return [
-      {
-        title: "Current Guidelines for Multidisciplinary Cancer Care",
-        authors: ["Smith, J.A.", "Johnson, M.B.", "Williams, C.D."],
-        journal: "Journal of Clinical Oncology",
-        year: 2024,
-        doi: "10.1200/jco.2024.demo.001",
-        pmid: "38000001",
-        relevance_score: 0.95,
-        excerpt: "Multidisciplinary approaches to cancer care have shown significant improvements in patient outcomes.",
-        citationType: "Peer-reviewed"
-      },
-      {
-        title: "Evidence-Based Treatment Protocols in Oncology",
-        authors: ["Brown, R.E.", "Davis, K.L."],
-        journal: "Nature Reviews Cancer",
-        year: 2024,
-        doi: "10.1038/nrc.2024.demo.002",
-        pmid: "38000002",
-        relevance_score: 0.92,
-        excerpt: "Systematic review of current evidence-based treatment protocols demonstrates improved survival outcomes.",
-        citationType: "Peer-reviewed"
-      },
-      {
-        title: "NCCN Clinical Practice Guidelines in Oncology",
-        authors: ["NCCN Guidelines Panel"],
-        journal: "NCCN Guidelines",
-        year: 2024,
-        relevance_score: 0.98,
-        excerpt: "Current evidence-based guidelines for comprehensive cancer care.",
-        citationType: "Guidelines"
-      },
-      {
-        title: "WHO Guidelines for Cancer Treatment and Care",
-        authors: ["World Health Organization"],
-        journal: "WHO Technical Report",
-        year: 2024,
-        relevance_score: 0.90,
-        excerpt: "International standards for cancer treatment and supportive care.",
-        citationType: "Guidelines"
-      },
-      {
-        title: "Molecular Profiling and Targeted Therapy in Cancer",
-        authors: ["Chen, L.M.", "Anderson, P.K.", "Thompson, S.R."],
-        journal: "New England Journal of Medicine",
-        year: 2024,
-        doi: "10.1056/nejm.2024.demo.003",
-        pmid: "38000003",
-        relevance_score: 0.88,
-        excerpt: "Comprehensive molecular profiling guides precision medicine approaches in modern oncology.",
-        citationType: "Peer-reviewed"
-      }
-    ];
+      maxTokens: 4000,
+      search: { domains: this.academicDomains, recency: 'month' }
+    });
   }
 
-  parseReportResponse(responseData) {
-    const content = responseData.choices[0].message.content;
-    const citations = responseData.citations || [];
-    
+  parseReportResponse(completion) {
     return {
-      content: content,
-      citations: citations,
+      content: completion.content,
+      citations: completion.citations || [],
       generatedAt: new Date(),
-      model: responseData.model,
-      usage: responseData.usage
+      model: completion.model,
+      provider: completion.provider,
+      usage: completion.usage
     };
   }
 
@@ -715,15 +251,16 @@ Current clinical trials accept patients meeting specific inclusion criteria rela
     const formattedCitations = this.formatCitations(structuredReport.citations);
     
     return {
-      reportId: `TBR-PPLX-${Date.now()}`,
+      reportId: `TBR-PPLX-${Date.now()}-${uuidv4().slice(0, 8)}`,
       generatedDate: new Date(),
       reportType: 'perplexity_generated',
-      patientId: patientData._id || patientData.patientId,
+      patientId: patientData.abhaId || patientData._id || patientData.patientId,
       header: reportHeader,
       content: structuredReport.content,
       citations: formattedCitations,
       metadata: {
         generationModel: structuredReport.model,
+        generationProvider: structuredReport.provider,
         apiUsage: structuredReport.usage,
         academicSources: this.academicDomains.length,
         citationCount: formattedCitations.length,
@@ -818,15 +355,12 @@ Current clinical trials accept patients meeting specific inclusion criteria rela
     try {
       const searchPrompt = this.buildKnowledgeSearchPrompt(query);
       
-      const response = await this.makePerplexityRequest(
-        searchPrompt,
-        'sonar-deep-research'
-      );
+      const completion = await this.complete('search', searchPrompt);
 
-      return this.parseKnowledgeSearchResponse(response.data, query);
+      return this.parseKnowledgeSearchResponse(completion, query);
       
     } catch (error) {
-      throw new Error(`Knowledge search failed: ${error.message}`);
+      throw new AppError(`Knowledge search failed: ${error.message}`, error.statusCode || 500, error.details);
     }
   }
 
@@ -835,15 +369,13 @@ Current clinical trials accept patients meeting specific inclusion criteria rela
     try {
       const searchPrompt = this.buildKnowledgeSearchPrompt(query, patientContext);
       
-      const response = await this.makePerplexityRequest(
-        searchPrompt,
-        'sonar-deep-research'
-      );
+      // Patient context makes the prompt identifying, so it can be routed separately
+      const completion = await this.complete(patientContext ? 'patientSearch' : 'search', searchPrompt);
 
-      return this.parseKnowledgeSearchResponse(response.data, query);
+      return this.parseKnowledgeSearchResponse(completion, query);
       
     } catch (error) {
-      throw new Error(`Knowledge search failed: ${error.message}`);
+      throw new AppError(`Knowledge search failed: ${error.message}`, error.statusCode || 500, error.details);
     }
   }
 
@@ -894,9 +426,9 @@ Search medical databases, clinical guidelines, and peer-reviewed literature to p
     `.trim();
   }
 
-  parseKnowledgeSearchResponse(responseData, originalQuery) {
-    const content = responseData.choices[0].message.content;
-    const citations = responseData.citations || [];
+  parseKnowledgeSearchResponse(completion, originalQuery) {
+    const content = completion.content;
+    const citations = completion.citations || [];
     
     // Parse the structured response
     const sections = this.extractKnowledgeSections(content);
@@ -908,8 +440,9 @@ Search medical databases, clinical guidelines, and peer-reviewed literature to p
       citations: this.formatKnowledgeCitations(citations),
       confidence: this.calculateSearchConfidence(citations, content),
       searchMetadata: {
-        model: responseData.model,
-        usage: responseData.usage,
+        model: completion.model,
+        provider: completion.provider,
+        usage: completion.usage,
         searchDate: new Date(),
         sourceCount: citations.length
       }
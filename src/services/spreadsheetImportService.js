@@ -0,0 +1,339 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const CSVParser = require('../import/csvParser');
+const XlsxReader = require('../import/xlsxReader');
+const SpreadsheetMapper = require('../import/spreadsheetMapper');
+const MappingEngine = require('../mapping/mappingEngine');
+const ProvenanceTracker = require('../provenance/provenanceTracker');
+const DataAggregator = require('./dataAggregator');
+const { getRepositories } = require('../repositories');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Uploads waiting for a commit are kept this long
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const PREVIEW_ROWS = 20;
+
+// Legacy binary workbooks (.xls) start with the OLE compound file signature
+const OLE_SIGNATURE = 'd0cf11e0a1b11ae1';
+
+const sessions = new Map();
+
+// Bulk import of lab panels and treatment logs exported as CSV or .xlsx.
+// An upload is read and mapped straight away and held as an import session:
+// the preview shows the proposed column mapping and every row's problems, the
+// mapping can be corrected, and only a commit writes to patient records.
+class SpreadsheetImportService {
+  constructor({ dataAggregator = new DataAggregator() } = {}) {
+    this.dataAggregator = dataAggregator;
+  }
+
+  // file: { originalname, buffer }; options: kind, sheet, dataSourceId,
+  // sourceName, abhaId (for sheets about one patient), mapping overrides and
+  // patient (the one patient the caller's consent lets the rows be about)
+  async preview(file, options = {}, actor = null) {
+    if (!file || !Buffer.isBuffer(file.buffer) || file.buffer.length === 0) {
+      throw new ValidationError('A CSV or .xlsx file is required');
+    }
+    this.expire();
+
+    const source = await this.sourceFor(options);
+    const { sheets, sheet, rows } = this.read(file, options.sheet);
+    const table = SpreadsheetMapper.table(rows);
+    const proposed = SpreadsheetMapper.propose(table, { kind: options.kind, abhaId: options.abhaId });
+
+    const session = {
+      importId: uuidv4(),
+      fileName: path.basename(file.originalname || 'upload.csv'),
+      sheet,
+      sheets,
+      status: 'previewed',
+      source,
+      table,
+      mapping: proposed,
+      createdBy: actor,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    sessions.set(session.importId, session);
+    try {
+      if (options.mapping) {
+        return await this.remap(session.importId, options.mapping, { patient: options.patient });
+      }
+      if (options.patient) {
+        this.assertPatient(session, options.patient);
+      }
+    } catch (error) {
+      sessions.delete(session.importId);
+      throw error;
+    }
+    return this.describe(session);
+  }
+
+  // Corrections to the proposed mapping: { kind, layout, columns, tests,
+  // dateFormats, abhaId }; fields left out keep their proposed values
+  async remap(importId, changes = {}, { patient } = {}) {
+    const session = this.session(importId);
+    if (session.status === 'committed') {
+      throw new ConflictError(`Import ${importId} was already committed`);
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('mapping must be an object');
+    }
+
+    const fields = new Set(session.table.headers.map(header => header.field));
+    const unknown = [
+      ...Object.values(changes.columns || {}),
+      ...(changes.tests || []).map(test => test.column)
+    ].filter(column => column && !fields.has(column));
+    if (unknown.length > 0) {
+      throw new ValidationError('The mapping names columns the sheet does not have', { columns: unknown, available: Array.from(fields) });
+    }
+
+    const kindChanged = changes.kind && changes.kind !== session.mapping.kind;
+    const mapping = kindChanged
+      ? SpreadsheetMapper.propose(session.table, { kind: changes.kind, abhaId: changes.abhaId ?? session.mapping.abhaId })
+      : { ...session.mapping };
+    ['layout', 'tests', 'abhaId'].forEach(field => {
+      if (changes[field] !== undefined) mapping[field] = changes[field];
+    });
+    if (changes.columns) {
+      // null unmaps a column
+      mapping.columns = Object.fromEntries(Object.entries({ ...mapping.columns, ...changes.columns }).filter(([, column]) => column));
+      mapping.dateFormats = SpreadsheetMapper.dateFormats(mapping, session.table.records);
+    }
+    if (changes.dateFormats) {
+      mapping.dateFormats = { ...mapping.dateFormats, ...changes.dateFormats };
+    }
+
+    if (patient) {
+      this.assertPatient({ ...session, mapping }, patient);
+    }
+    session.mapping = mapping;
+    session.updatedAt = new Date();
+    return this.describe(session);
+  }
+
+  // Writes the rows without errors into patient records, one update per
+  // patient, and answers the row-level report
+  async commit(importId, actor = null) {
+    const session = this.session(importId);
+    if (session.status === 'committed') {
+      throw new ConflictError(`Import ${importId} was already committed`, { report: session.report });
+    }
+
+    const { rules, checked } = this.checkRows(session);
+    const author = `import:${actor || session.createdBy || session.source.name}`;
+    const report = {
+      rows: checked.length,
+      imported: 0,
+      skipped: 0,
+      created: 0,
+      updated: 0,
+      unmatched: 0,
+      conflicts: 0,
+      errors: [],
+      warnings: checked.flatMap(result => result.warnings)
+    };
+
+    const valid = checked.filter(result => {
+      if (result.errors.length === 0) return true;
+      report.skipped++;
+      report.errors.push(...result.errors);
+      return false;
+    });
+    const records = valid.map(result => ({
+      row: result.row,
+      abhaIds: [result.data.abhaId].filter(Boolean),
+      data: result.data,
+      provenance: ProvenanceTracker.describe(result.data, ProvenanceTracker.context(session.source, {
+        sourceRecordId: `${session.fileName}#row${result.row}`,
+        activity: 'import',
+        agent: author,
+        rules
+      }))
+    }));
+
+    // Grouped as the aggregator groups them, keeping track of the rows behind each patient
+    const byPatient = new Map();
+    records.forEach(record => {
+      const key = record.abhaIds[0] || JSON.stringify(record.data.demographics || {});
+      byPatient.set(key, [...(byPatient.get(key) || []), record]);
+    });
+    for (const patientRecords of byPatient.values()) {
+      const [group] = this.dataAggregator.groupByPatient(patientRecords);
+      const rows = patientRecords.map(record => record.row);
+      try {
+        const { status, conflicts } = await this.dataAggregator.applyChanges(group, session.source, { author });
+        report[status]++;
+        report.conflicts += conflicts;
+        if (status === 'unmatched') {
+          report.skipped += rows.length;
+          rows.forEach(row => report.errors.push({
+            row,
+            column: null,
+            field: 'abhaId',
+            message: `No patient matches ${group.abhaIds[0] || 'this row'}; add the patient's name to register them`
+          }));
+        } else {
+          report.imported += rows.length;
+        }
+      } catch (error) {
+        report.skipped += rows.length;
+        rows.forEach(row => report.errors.push({ row, column: null, field: null, message: error.message }));
+      }
+    }
+    report.errors.sort((a, b) => a.row - b.row);
+
+    session.status = 'committed';
+    session.report = report;
+    session.committedBy = actor;
+    session.committedAt = new Date();
+    session.updatedAt = session.committedAt;
+    return this.describe(session);
+  }
+
+  async get(importId) {
+    return this.describe(this.session(importId));
+  }
+
+  async list({ patient } = {}) {
+    this.expire();
+    return Array.from(sessions.values())
+      .filter(session => !patient || this.patientsOf(session).every(abhaId => abhaId === patient))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(session => this.summary(session));
+  }
+
+  // The patient every row of an import is about, null for an empty sheet.
+  // Rows about several patients, or naming none (the commit matches those on
+  // demographics), cannot be shown under one patient's consent.
+  async patientIn(importId) {
+    const patients = this.patientsOf(this.session(importId));
+    if (patients.length > 1 || patients[0] === null) {
+      throw new AppError(`Import ${importId} has rows about more than one patient or naming none`, 403);
+    }
+    return patients[0] || null;
+  }
+
+  assertPatient(session, patient) {
+    if (this.patientsOf(session).some(abhaId => abhaId !== patient)) {
+      throw new AppError(`Rows of this import are about patients other than ${patient}`, 403);
+    }
+  }
+
+  // The ABHA IDs the rows name, null for rows naming none
+  patientsOf(session) {
+    return Array.from(new Set(this.checkRows(session).checked.map(result => result.data.abhaId || null)));
+  }
+
+  session(importId) {
+    this.expire();
+    const session = sessions.get(importId);
+    if (!session) {
+      throw new NotFoundError(`Import ${importId} not found or expired`);
+    }
+    return session;
+  }
+
+  expire() {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    sessions.forEach((session, importId) => {
+      if (session.updatedAt.getTime() < cutoff) sessions.delete(importId);
+    });
+  }
+
+  // Rows of the chosen worksheet (the first by default) or of the CSV text
+  read(file, sheetName) {
+    const { buffer } = file;
+    if (buffer.subarray(0, 8).toString('hex') === OLE_SIGNATURE) {
+      throw new ValidationError('Legacy .xls workbooks are not supported; save the file as .xlsx or CSV');
+    }
+    if (!XlsxReader.isWorkbook(buffer)) {
+      return { sheets: [], sheet: null, rows: CSVParser.parse(buffer.toString('utf8')) };
+    }
+
+    const sheets = XlsxReader.read(buffer);
+    const sheet = sheetName ? sheets.find(candidate => candidate.name === sheetName) : sheets[0];
+    if (!sheet) {
+      throw new ValidationError(sheetName ? `Worksheet ${sheetName} not found` : 'The workbook has no worksheets', {
+        sheets: sheets.map(candidate => candidate.name)
+      });
+    }
+    return { sheets: sheets.map(candidate => candidate.name), sheet: sheet.name, rows: sheet.rows };
+  }
+
+  // The registered data source the file came from (its mapping rules, when
+  // it has any, replace the guessed ones), or an ad hoc one named after the upload
+  async sourceFor({ dataSourceId, sourceName, kind }) {
+    if (dataSourceId) {
+      const source = await getRepositories().dataSources.findById(dataSourceId);
+      if (!source) {
+        throw new NotFoundError(`Data source ${dataSourceId} not found`);
+      }
+      return source;
+    }
+    return { name: sourceName || 'Spreadsheet import', type: kind === 'treatments' ? 'EMR' : 'LIS', mappingRules: [] };
+  }
+
+  rulesFor(session) {
+    const declared = session.source.mappingRules || [];
+    if (declared.length > 0) {
+      MappingEngine.assertValidRules(declared, session.source.lookupTables);
+      return declared;
+    }
+    return SpreadsheetMapper.rules(session.mapping, { sourceSystem: session.source.type });
+  }
+
+  checkRows(session) {
+    const rules = this.rulesFor(session);
+    const options = { ...session.mapping, lookupTables: session.source.lookupTables || {}, headers: session.table.headers };
+    const checked = session.table.records.map(record => ({ row: record.row, values: record.values, ...SpreadsheetMapper.check(record, rules, options) }));
+    return { rules, checked };
+  }
+
+  summary(session) {
+    return {
+      importId: session.importId,
+      fileName: session.fileName,
+      sheet: session.sheet,
+      kind: session.mapping.kind,
+      source: session.source.name,
+      status: session.status,
+      rows: session.table.records.length,
+      createdBy: session.createdBy,
+      createdAt: session.createdAt,
+      committedAt: session.committedAt || null
+    };
+  }
+
+  describe(session) {
+    const base = {
+      ...this.summary(session),
+      sheets: session.sheets,
+      headers: session.table.headers.map(({ header, field }) => ({ header, field })),
+      mapping: session.mapping
+    };
+    if (session.status === 'committed') {
+      return { ...base, report: session.report };
+    }
+
+    const { rules, checked } = this.checkRows(session);
+    return {
+      ...base,
+      rules,
+      validation: {
+        rows: checked.length,
+        valid: checked.filter(result => result.errors.length === 0).length,
+        invalid: checked.filter(result => result.errors.length > 0).length,
+        errors: checked.flatMap(result => result.errors),
+        warnings: checked.flatMap(result => result.warnings)
+      },
+      preview: checked.slice(0, PREVIEW_ROWS).map(({ row, values, data, errors, warnings }) => ({ row, values, data, errors, warnings }))
+    };
+  }
+}
+
+// Tests start from an empty session store
+SpreadsheetImportService.reset = () => sessions.clear();
+
+module.exports = SpreadsheetImportService;
@@ -0,0 +1,248 @@
+const { v4: uuidv4 } = require('uuid');
+const DataAggregator = require('./dataAggregator');
+const CronSchedule = require('../sync/cronSchedule');
+const { getRepositories } = require('../repositories');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const HISTORY_LIMIT = 20;
+const ERROR_LIMIT = 50;
+// Longest delay setTimeout accepts; later runs are re-armed when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+// Runs each data source's incremental sync on its syncSchedule. A run pulls
+// what changed after the source's watermark; failures are retried with
+// exponential backoff before the source is marked as errored, and every
+// run's counts, errors and duration are recorded on the data source.
+class SyncScheduler {
+  constructor(dataAggregator = new DataAggregator()) {
+    this.dataAggregator = dataAggregator;
+    this.jobs = new Map();
+    this.running = new Map();
+  }
+
+  static retryPolicy(source) {
+    return {
+      maxRetries: source.syncSchedule?.maxRetries ?? envNumber('SYNC_MAX_RETRIES', 3),
+      retryDelayMs: source.syncSchedule?.retryDelayMs ?? envNumber('SYNC_RETRY_DELAY_MS', 30 * 1000),
+      maxDelayMs: envNumber('SYNC_RETRY_MAX_DELAY_MS', 15 * 60 * 1000)
+    };
+  }
+
+  static backoff(source, attempt) {
+    const { retryDelayMs, maxDelayMs } = this.retryPolicy(source);
+    return Math.min(retryDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  }
+
+  // Checks a schedule before it is stored
+  static validateSchedule(schedule = {}) {
+    if (!schedule || typeof schedule !== 'object') {
+      throw new ValidationError('syncSchedule must be an object with a cron expression');
+    }
+    if (schedule.cron) {
+      CronSchedule.parse(schedule.cron);
+    }
+    ['maxRetries', 'retryDelayMs'].forEach(field => {
+      if (schedule[field] !== undefined && !(Number.isInteger(schedule[field]) && schedule[field] >= 0)) {
+        throw new ValidationError(`syncSchedule.${field} must be a non-negative integer`);
+      }
+    });
+  }
+
+  static isScheduled(source) {
+    return Boolean(source.syncSchedule?.cron) && source.syncSchedule.enabled !== false && source.syncStatus !== 'inactive';
+  }
+
+  async start() {
+    const sources = await getRepositories().dataSources.findAll();
+    sources.filter(source => SyncScheduler.isScheduled(source)).forEach(source => {
+      try {
+        this.schedule(source);
+      } catch (error) {
+        console.error(`Sync schedule for ${source.name} ignored:`, error.message);
+      }
+    });
+    return this.status();
+  }
+
+  // Runs in progress finish and are recorded, but nothing new is started
+  stop() {
+    this.jobs.forEach(job => clearTimeout(job.timer));
+    this.jobs.clear();
+  }
+
+  // Data sources were added, edited or removed: rebuild the timers to match
+  async reload() {
+    this.stop();
+    return this.start();
+  }
+
+  schedule(source) {
+    const job = {
+      source,
+      cron: CronSchedule.parse(source.syncSchedule.cron),
+      attempt: 0,
+      timer: null,
+      nextRunAt: null
+    };
+    this.jobs.set(String(source._id), job);
+    this.arm(job, job.cron.next());
+    return job;
+  }
+
+  arm(job, runAt) {
+    clearTimeout(job.timer);
+    job.nextRunAt = runAt;
+    job.timer = setTimeout(() => this.fire(job), Math.min(Math.max(0, runAt - Date.now()), MAX_TIMER_MS));
+    // Pending syncs never keep the process alive on their own
+    job.timer.unref?.();
+  }
+
+  async fire(job) {
+    if (Date.now() < job.nextRunAt.getTime()) {
+      return this.arm(job, job.nextRunAt);
+    }
+
+    const sourceId = String(job.source._id);
+    let run = null;
+    try {
+      run = await this.runSource(sourceId, { trigger: job.attempt > 0 ? 'retry' : 'schedule', attempt: job.attempt });
+    } catch (error) {
+      // Removed meanwhile, or a manual run is in progress: try again next time
+      console.error(`Scheduled sync of ${job.source.name} skipped:`, error.message);
+    }
+    if (this.jobs.get(sourceId) !== job) return;
+
+    if (run?.retrying) {
+      job.attempt++;
+      this.arm(job, new Date(Date.now() + SyncScheduler.backoff(job.source, job.attempt)));
+    } else {
+      job.attempt = 0;
+      this.arm(job, job.cron.next());
+    }
+  }
+
+  // One sync of a source. `full` ignores the watermark and re-reads everything.
+  async runSource(sourceId, { trigger = 'manual', attempt = 0, full = false } = {}) {
+    const { dataSources } = getRepositories();
+    const source = await dataSources.findById(sourceId);
+    if (!source) {
+      throw new NotFoundError('Data source not found');
+    }
+    const key = String(source._id);
+    if (this.running.has(key)) {
+      throw new ConflictError(`A sync of ${source.name} is already running`);
+    }
+
+    const since = full ? null : source.syncState?.watermark || null;
+    const startedAt = new Date();
+    this.running.set(key, { trigger, startedAt });
+
+    const run = {
+      runId: uuidv4(),
+      trigger,
+      attempt,
+      status: 'success',
+      startedAt,
+      finishedAt: null,
+      durationMs: null,
+      since,
+      watermark: since,
+      counts: { files: 0, records: 0, created: 0, updated: 0, unmatched: 0, conflicts: 0, errors: 0 },
+      errors: [],
+      error: null,
+      retrying: false
+    };
+    try {
+      const result = await this.dataAggregator.syncSource(source, { since });
+      run.status = result.errors.length > 0 ? 'partial' : 'success';
+      run.watermark = result.watermark;
+      run.counts = {
+        files: result.files,
+        records: result.records,
+        created: result.created,
+        updated: result.updated,
+        unmatched: result.unmatched,
+        conflicts: result.conflicts || 0,
+        errors: result.errors.length
+      };
+      run.errors = result.errors.slice(0, ERROR_LIMIT);
+    } catch (error) {
+      // Configuration problems (4xx) will fail the same way again, so only other errors are retried
+      const retryable = !(error.statusCode >= 400 && error.statusCode < 500);
+      run.status = 'failed';
+      run.error = error.message;
+      run.retrying = trigger !== 'manual' && retryable && attempt < SyncScheduler.retryPolicy(source).maxRetries;
+    } finally {
+      this.running.delete(key);
+    }
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+
+    await this.record(source, run);
+    return run;
+  }
+
+  async record(source, run) {
+    const state = source.syncState || {};
+    const failed = run.status === 'failed';
+    const changes = {
+      syncState: {
+        watermark: failed ? state.watermark || null : run.watermark,
+        lastRun: run,
+        lastSuccessAt: failed ? state.lastSuccessAt || null : run.finishedAt,
+        consecutiveFailures: failed ? (state.consecutiveFailures || 0) + 1 : 0,
+        history: [run, ...(state.history || [])].slice(0, HISTORY_LIMIT)
+      }
+    };
+    if (!failed) {
+      changes.lastSync = run.finishedAt;
+      if (source.syncStatus === 'error') changes.syncStatus = 'active';
+    } else if (!run.retrying && source.syncStatus === 'active') {
+      changes.syncStatus = 'error';
+    }
+
+    try {
+      await getRepositories().dataSources.update(source._id, changes);
+    } catch (error) {
+      console.error(`Could not record sync of ${source.name}:`, error.message);
+    }
+  }
+
+  describe(source) {
+    const job = this.jobs.get(String(source._id));
+    const running = this.running.get(String(source._id));
+    return {
+      sourceId: source._id,
+      source: source.name,
+      schedule: source.syncSchedule || null,
+      scheduled: Boolean(job),
+      nextRunAt: job?.nextRunAt || null,
+      retryAttempt: job?.attempt || 0,
+      running: running || null,
+      syncStatus: source.syncStatus,
+      lastSync: source.lastSync || null,
+      watermark: source.syncState?.watermark || null,
+      lastRun: source.syncState?.lastRun || null,
+      consecutiveFailures: source.syncState?.consecutiveFailures || 0,
+      history: source.syncState?.history || []
+    };
+  }
+
+  status() {
+    return Array.from(this.jobs.values()).map(job => ({
+      sourceId: job.source._id,
+      source: job.source.name,
+      cron: job.cron.toString(),
+      nextRunAt: job.nextRunAt,
+      retryAttempt: job.attempt,
+      running: this.running.has(String(job.source._id))
+    }));
+  }
+}
+
+module.exports = SyncScheduler;
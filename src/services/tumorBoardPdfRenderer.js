@@ -0,0 +1,370 @@
+const PDFDocument = require('pdfkit');
+const CitationService = require('./citationService');
+
+const COLORS = {
+  text: '#1f2933',
+  muted: '#52606d',
+  rule: '#cbd2d9',
+  accent: '#0b4f6c',
+  watermark: '#9aa5b1'
+};
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending_review: 'Pending review',
+  approved: 'Approved',
+  revised: 'Revised'
+};
+
+const formatDate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().split('T')[0] : '';
+};
+
+const present = value => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Perplexity reports keep their markdown in discussionNotes; the PDF shows it as plain paragraphs
+const plainText = text => String(text || '')
+  .replace(/^#{1,6}\s*/gm, '')
+  .replace(/\*\*(.+?)\*\*/g, '$1')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Typesets a tumor board report for printing at the board meeting. layout()
+// turns the report into sections of blocks (text, fields, lists, tables) with
+// the citations numbered in order of first mention; render() draws them.
+class TumorBoardPdfRenderer {
+  constructor(citationService = new CitationService()) {
+    this.citationService = citationService;
+  }
+
+  // Citations collected across recommendations, the same work cited twice keeping one number
+  numberCitations(recommendations = []) {
+    const references = [];
+    const keyOf = citation => citation.pmid || citation.doi || `${citation.title}|${citation.year}`;
+    const numbers = recommendations.map(recommendation => (recommendation.citations || []).map(citation => {
+      const index = references.findIndex(reference => keyOf(reference) === keyOf(citation));
+      if (index >= 0) return index + 1;
+      references.push(citation);
+      return references.length;
+    }));
+    return { references, numbers };
+  }
+
+  patientFields(report, patient) {
+    const demographics = patient?.demographics || {};
+    const cancerType = patient?.cancerType || {};
+    const age = demographics.age || (demographics.dateOfBirth
+      ? new Date().getFullYear() - new Date(demographics.dateOfBirth).getFullYear()
+      : null);
+    return [
+      ['Patient', `${demographics.firstName || ''} ${demographics.lastName || ''}`.trim()],
+      ['ABHA ID', report.patientId],
+      ['Age / sex', [age, demographics.gender].filter(present).join(' / ')],
+      ['Diagnosis', cancerType.primary],
+      ['Stage', cancerType.stage],
+      ['Histology', cancerType.histology]
+    ].filter(([, value]) => present(value));
+  }
+
+  layout(report, { patient = null } = {}) {
+    const { references, numbers } = this.numberCitations(report.recommendations);
+    const sections = [];
+    const section = (title, blocks) => {
+      const filled = blocks.filter(Boolean);
+      if (filled.length > 0) sections.push({ title, blocks: filled });
+    };
+    const text = value => present(value) ? { type: 'text', text: String(value) } : null;
+    const fields = rows => {
+      const filled = rows.filter(([, value]) => present(value)).map(([label, value]) => [label, String(value)]);
+      return filled.length > 0 ? { type: 'fields', rows: filled } : null;
+    };
+    const list = (items, numbered = false) => {
+      const filled = (items || []).filter(present).map(String);
+      return filled.length > 0 ? { type: 'list', items: filled, numbered } : null;
+    };
+    const table = (columns, rows) => rows.length > 0 ? { type: 'table', columns, rows } : null;
+
+    const summary = report.summary || {};
+    section('Patient summary', [
+      fields(this.patientFields(report, patient)),
+      fields([
+        ['Clinical presentation', summary.clinicalPresentation],
+        ['Diagnostic findings', summary.diagnosticFindings],
+        ['Current status', summary.currentStatus],
+        ['Treatment history', summary.treatmentHistory]
+      ])
+    ]);
+
+    const molecular = report.molecularProfile || {};
+    const mutations = patient?.genomics?.mutationProfile || [];
+    section('Molecular profile', [
+      text(molecular.summary),
+      table(['Gene', 'Alteration', 'Therapy implications'], (molecular.actionableAlterations || [])
+        .map(alteration => [alteration.gene, alteration.alteration, alteration.therapyImplications])),
+      table(['Gene', 'Variant', 'VAF', 'Interpretation'], mutations.map(mutation => [
+        mutation.gene,
+        mutation.variant,
+        typeof mutation.vaf === 'number' ? `${(mutation.vaf * 100).toFixed(1)}%` : mutation.vaf,
+        mutation.interpretation
+      ]))
+    ]);
+
+    const imaging = report.imagingFindings || {};
+    section('Imaging', [
+      text(imaging.summary),
+      list(imaging.keyFindings),
+      fields([['RECIST assessment', imaging.recistAssessment]])
+    ]);
+
+    const pathology = report.pathologyReview || {};
+    section('Pathology', [
+      fields([['Diagnosis', pathology.diagnosis]]),
+      fields(Object.entries(pathology.immunohistochemistry || {}).map(([marker, value]) => [`IHC ${marker}`, value])),
+      fields(Object.entries(pathology.molecularMarkers || {}).map(([marker, value]) => [marker, value]))
+    ]);
+
+    section('Recommendations', (report.recommendations || []).map((recommendation, index) => ({
+      type: 'recommendation',
+      number: index + 1,
+      heading: [recommendation.priority && `${recommendation.priority} priority`, recommendation.category]
+        .filter(Boolean).join(' · '),
+      text: recommendation.description,
+      rows: [
+        ['Rationale', recommendation.rationale],
+        ['Evidence', recommendation.evidenceLevel],
+        ['References', numbers[index].length > 0 ? numbers[index].map(number => `[${number}]`).join(' ') : null]
+      ].filter(([, value]) => present(value))
+    })));
+
+    section('Clinical trial matches', [
+      table(['Trial', 'Title', 'Phase', 'Site', 'Match'], (report.clinicalTrialMatches || []).map(trial => [
+        trial.trialId,
+        trial.title,
+        trial.phase,
+        [trial.location, trial.contactInfo?.pi && `PI ${trial.contactInfo.pi}`].filter(Boolean).join(', '),
+        typeof trial.matchScore === 'number' ? `${Math.round(trial.matchScore * 100)}%` : trial.matchScore
+      ]))
+    ]);
+
+    section('Discussion', [text(plainText(report.discussionNotes))]);
+    section('Next steps', [
+      table(['Action', 'Timeline', 'Responsible'], (report.nextSteps || [])
+        .map(step => [step.action, step.timeline, step.responsible]))
+    ]);
+    section('References', [list(references.map(citation => this.citationService.formatCitation(citation)), true)]);
+
+    return {
+      title: 'Multidisciplinary Tumor Board Report',
+      header: [
+        ['Report', report.reportId],
+        ['Type', report.reportType],
+        ['Generated', formatDate(report.generatedDate)],
+        ['Version', report.version]
+      ].filter(([, value]) => present(value)).map(([label, value]) => [label, String(value)]),
+      sections,
+      references,
+      participants: report.participants || [],
+      approval: {
+        status: report.approvalStatus || 'draft',
+        label: STATUS_LABELS[report.approvalStatus] || STATUS_LABELS.draft,
+        approvedBy: report.approvalStatus === 'approved' ? report.approvedBy || null : null,
+        signatures: report.review?.signatures || []
+      }
+    };
+  }
+
+  // Resolves to the PDF as a Buffer
+  render(report, options = {}) {
+    const layout = this.layout(report, options);
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 56, bottom: 56, left: 50, right: 50 },
+      bufferPages: true,
+      info: { Title: `${layout.title} ${report.reportId}`, Subject: report.patientId || '' }
+    });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawHeader(doc, layout);
+        layout.sections.forEach(section => this.drawSection(doc, section));
+        this.drawSignOff(doc, layout);
+        this.drawPageDecorations(doc, layout, report);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  rule(doc, color = COLORS.rule) {
+    const y = doc.y;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+      .lineWidth(0.5).strokeColor(color).stroke();
+    doc.y = y + 6;
+  }
+
+  drawHeader(doc, layout) {
+    doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(18).text(layout.title);
+    doc.moveDown(0.3);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+      .text(layout.header.map(([label, value]) => `${label}: ${value}`).join('    '));
+    doc.fillColor(layout.approval.status === 'approved' ? COLORS.accent : COLORS.text)
+      .font('Helvetica-Bold').text(`Status: ${layout.approval.label}`);
+    doc.moveDown(0.5);
+    this.rule(doc, COLORS.accent);
+  }
+
+  drawSection(doc, section) {
+    this.ensureSpace(doc, 60);
+    doc.x = doc.page.margins.left;
+    doc.moveDown(0.6);
+    doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(12).text(section.title);
+    doc.moveDown(0.2);
+    section.blocks.forEach(block => {
+      doc.x = doc.page.margins.left;
+      this[`draw${block.type[0].toUpperCase()}${block.type.slice(1)}`](doc, block);
+      doc.moveDown(0.3);
+    });
+  }
+
+  drawText(doc, block) {
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(block.text, { width: this.contentWidth(doc) });
+  }
+
+  drawFields(doc, block) {
+    this.drawRows(doc, block.rows, 130);
+  }
+
+  drawRows(doc, rows, labelWidth) {
+    const left = doc.x;
+    const valueWidth = this.contentWidth(doc) - (left - doc.page.margins.left) - labelWidth;
+    doc.fontSize(10);
+    rows.forEach(([label, value]) => {
+      const height = Math.max(doc.font('Helvetica').heightOfString(value, { width: valueWidth }), doc.currentLineHeight());
+      this.ensureSpace(doc, height);
+      const y = doc.y;
+      doc.fillColor(COLORS.muted).font('Helvetica-Bold').text(label, left, y, { width: labelWidth - 8 });
+      doc.fillColor(COLORS.text).font('Helvetica').text(value, left + labelWidth, y, { width: valueWidth });
+      doc.x = left;
+      doc.y = y + height + 2;
+    });
+  }
+
+  drawList(doc, block) {
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+    block.items.forEach((item, index) => {
+      this.ensureSpace(doc, doc.currentLineHeight() * 2);
+      doc.text(`${block.numbered ? `${index + 1}.` : '•'} ${item}`, { width: this.contentWidth(doc), indent: 0 });
+      doc.moveDown(0.15);
+    });
+  }
+
+  drawTable(doc, block) {
+    const left = doc.page.margins.left;
+    const width = this.contentWidth(doc);
+    const columnWidth = width / block.columns.length;
+    const drawRow = (cells, font, color) => {
+      doc.font(font).fontSize(9);
+      const height = Math.max(...cells.map(cell => doc.heightOfString(String(cell ?? ''), { width: columnWidth - 6 })));
+      this.ensureSpace(doc, height + 4);
+      const y = doc.y;
+      cells.forEach((cell, index) => {
+        doc.fillColor(color).text(String(cell ?? ''), left + index * columnWidth, y, { width: columnWidth - 6 });
+      });
+      doc.x = left;
+      doc.y = y + height + 3;
+      this.rule(doc);
+    };
+    drawRow(block.columns, 'Helvetica-Bold', COLORS.muted);
+    block.rows.forEach(row => drawRow(row, 'Helvetica', COLORS.text));
+  }
+
+  drawRecommendation(doc, block) {
+    this.ensureSpace(doc, 50);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10)
+      .text(`${block.number}. ${block.text || ''}`, { width: this.contentWidth(doc) });
+    if (block.heading) {
+      doc.fillColor(COLORS.muted).font('Helvetica-Oblique').fontSize(9).text(block.heading);
+    }
+    doc.x = doc.page.margins.left + 14;
+    this.drawRows(doc, block.rows, 80);
+    doc.x = doc.page.margins.left;
+  }
+
+  drawSignOff(doc, layout) {
+    const left = doc.page.margins.left;
+    const width = this.contentWidth(doc);
+    this.ensureSpace(doc, 120);
+    doc.x = left;
+    doc.moveDown(0.8);
+    doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(12).text('Board sign-off');
+    doc.moveDown(0.4);
+
+    layout.participants.forEach(participant => {
+      this.ensureSpace(doc, 36);
+      const y = doc.y + 18;
+      doc.moveTo(left, y).lineTo(left + width * 0.45, y).lineWidth(0.5).strokeColor(COLORS.text).stroke();
+      doc.moveTo(left + width * 0.75, y).lineTo(left + width, y).stroke();
+      doc.fillColor(COLORS.text).font('Helvetica').fontSize(9)
+        .text([participant.name, participant.role, participant.specialty].filter(Boolean).join(', '), left, y + 3, { width: width * 0.7 });
+      doc.fillColor(COLORS.muted).text('Date', left + width * 0.75, y + 3);
+      doc.x = left;
+      doc.y = y + 16;
+    });
+
+    this.ensureSpace(doc, 40);
+    doc.moveDown(0.6);
+    const { approvedBy, label, signatures } = layout.approval;
+    signatures.forEach(signature => {
+      doc.fillColor(COLORS.text).font('Helvetica').fontSize(9).text(
+        `${signature.section[0].toUpperCase()}${signature.section.slice(1)} section co-signed by ${signature.signedBy} (${signature.role}) on ${formatDate(signature.signedAt)}`,
+        left
+      );
+    });
+    const approval = approvedBy
+      ? `Approved by ${[approvedBy.name, approvedBy.designation].filter(Boolean).join(', ')}${approvedBy.timestamp ? ` on ${formatDate(approvedBy.timestamp)}` : ''}`
+      : `${label}: not approved for clinical use`;
+    doc.fillColor(approvedBy ? COLORS.accent : COLORS.text).font('Helvetica-Bold').fontSize(10).text(approval, left);
+  }
+
+  // Page numbers on every page, and a watermark until the board has approved the report
+  drawPageDecorations(doc, layout, report) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      if (layout.approval.status !== 'approved') {
+        doc.save()
+          .rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] })
+          .fillColor(COLORS.watermark).fillOpacity(0.25).font('Helvetica-Bold').fontSize(72)
+          .text(layout.approval.label.toUpperCase(), 0, doc.page.height / 2 - 36, { width: doc.page.width, align: 'center', lineBreak: false })
+          .restore();
+      }
+      doc.fillOpacity(1).fillColor(COLORS.muted).font('Helvetica').fontSize(8)
+        .text(`${report.reportId} · Page ${index - start + 1} of ${count}`, doc.page.margins.left, doc.page.height - 36, {
+          width: this.contentWidth(doc), align: 'center', lineBreak: false
+        });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+}
+
+module.exports = TumorBoardPdfRenderer;
@@ -1,7 +1,7 @@
-const TumorBoardReport = require('../models/TumorBoardReport');
 const LongitudinalProfileService = require('./longitudinalProfileService');
 const CitationService = require('./citationService');
 const { v4: uuidv4 } = require('uuid');
+const { getRepositories } = require('../repositories');
 
 class TumorBoardReportGenerator {
   constructor() {
@@ -9,7 +9,13 @@ class TumorBoardReportGenerator {
     this.citationService = new CitationService();
   }
 
-  async generateReport(patientData, reportType = 'initial') {
+  async generateReport(patientData, reportType = 'initial', options = {}) {
+    const report = await this.buildReport(patientData, reportType);
+    return getRepositories().reports.create(report, options);
+  }
+
+  // The report content, not yet stored
+  async buildReport(patientData, reportType = 'initial') {
     try {
       const reportId = `TBR-${Date.now()}-${uuidv4().slice(0, 8)}`;
       const timeline = this.profileService.generateTimeline(patientData);
@@ -19,9 +25,10 @@ class TumorBoardReportGenerator {
       const recommendations = await this.generateRecommendations(patientData, clinicalContext);
       const trialMatches = await this.findClinicalTrials(patientData);
 
-      const report = new TumorBoardReport({
+      const report = {
         reportId,
-        patientId: patientData._id,
+        patientId: patientData.abhaId,
+        generatedDate: new Date(),
         reportType,
         summary: {
           clinicalPresentation: this.summarizeClinicalPresentation(patientData),
@@ -40,10 +47,11 @@ class TumorBoardReportGenerator {
           modelVersion: '1.0',
           generationTimestamp: new Date(),
           contextSources: ['PubMed', 'ClinicalTrials.gov', 'NCCN Guidelines']
-        }
-      });
+        },
+        approvalStatus: 'draft',
+        version: 1
+      };
 
-      await report.save();
       return report;
     } catch (error) {
       throw new Error(`Report generation failed: ${error.message}`);
@@ -196,7 +204,7 @@ class TumorBoardReportGenerator {
       new Date().getFullYear() - new Date(patientData.demographics.dateOfBirth).getFullYear() : 'Unknown';
     
     return `${age}-year-old ${patientData.demographics?.gender || 'patient'} with ${patientData.cancerType?.primary || 'cancer'}, ` +
-           `Stage ${patientData.cancerType?.stage || 'unknown'}, diagnosed on ${patientData.cancerType?.diagnosisDate?.toLocaleDateString() || 'unknown date'}`;
+           `Stage ${patientData.cancerType?.stage || 'unknown'}, diagnosed on ${patientData.cancerType?.diagnosisDate ? new Date(patientData.cancerType.diagnosisDate).toLocaleDateString() : 'unknown date'}`;
   }
 
   summarizeDiagnostics(patientData) {
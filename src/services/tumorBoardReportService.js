@@ -0,0 +1,230 @@
+const PerplexityReportService = require('./perplexityReportService');
+const TumorBoardReportGenerator = require('./tumorBoardReportGenerator');
+const LLMProviders = require('../llm/llmProviders');
+const ReportWorkflow = require('../reports/reportWorkflow');
+const ReportDiff = require('../reports/reportDiff');
+const { getRepositories } = require('../repositories');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const STATUSES = ['draft', 'pending_review', 'approved', 'revised'];
+
+// Content is only regenerated while the board can still edit the report
+const REGENERATE_FROM = ['draft', 'revised'];
+
+// Fields regeneration leaves alone: identity, review state and the meeting's own record
+const KEPT_ON_REGENERATE = ['reportId', 'patientId', 'generatedDate', 'reportType', 'approvalStatus', 'approvedBy', 'review', 'participants', 'version'];
+
+// Tumor board reports, whichever way they were produced: template reports come
+// from TumorBoardReportGenerator, AI reports are written here from what the
+// configured model returns through PerplexityReportService. Both land in the same report repository, so
+// reading, notes, approval and export work the same for either. Every change
+// made here is stored as a new version of the report, named for the operation.
+class TumorBoardReportService {
+  constructor({
+    perplexityService = new PerplexityReportService(),
+    reportGenerator = new TumorBoardReportGenerator()
+  } = {}) {
+    this.perplexityService = perplexityService;
+    this.reportGenerator = reportGenerator;
+  }
+
+  async generateReport(patient, reportType = 'initial', { actor } = {}) {
+    return this.reportGenerator.generateReport(patient, reportType, { operation: 'generate', author: actor });
+  }
+
+  // Resolves to { report, aiReport }: the stored report and what the model returned
+  async generateAIReport(patient, reportType = 'comprehensive', { actor } = {}) {
+    const aiReport = await this.perplexityService.generateTumorBoardReport(patient, reportType);
+    const report = await getRepositories().reports.create(this.fromAIReport(aiReport, patient), { operation: 'generate', author: actor });
+    return { report, aiReport };
+  }
+
+  fromAIReport(aiReport, patient) {
+    const source = LLMProviders.label(aiReport.metadata?.generationProvider || 'perplexity');
+    return {
+      reportId: aiReport.reportId,
+      patientId: patient.abhaId,
+      reportType: 'ai_generated',
+      generatedDate: aiReport.generatedDate,
+      summary: {
+        clinicalPresentation: `AI-Generated Report for ${patient.demographics?.gender || 'patient'}`,
+        diagnosticFindings: `Generated using ${source}${aiReport.citations?.length ? ' with academic citations' : ''}`,
+        currentStatus: 'AI analysis completed',
+        treatmentHistory: 'Analyzed with current literature'
+      },
+      recommendations: [{
+        priority: 'high',
+        category: 'treatment',
+        description: 'AI-generated evidence-based recommendations',
+        rationale: 'Based on current academic literature and guidelines',
+        evidenceLevel: 'AI-curated evidence',
+        citations: (aiReport.citations || []).map(citation => ({
+          source: citation.journal,
+          title: citation.title,
+          authors: citation.authors,
+          journal: citation.journal,
+          year: citation.year,
+          doi: citation.doi,
+          pmid: citation.pmid,
+          relevanceScore: citation.relevanceScore,
+          excerpt: citation.excerpt
+        }))
+      }],
+      aiGeneratedInsights: {
+        confidenceScore: 0.9,
+        modelVersion: aiReport.metadata?.generationModel,
+        generationTimestamp: aiReport.generatedDate,
+        contextSources: [source, 'Academic Literature', 'Clinical Guidelines']
+      },
+      aiMetadata: aiReport.metadata,
+      discussionNotes: `AI Report Content:\n\n${aiReport.content}`,
+      // Goes through board review like any other draft
+      approvalStatus: 'draft',
+      version: 1
+    };
+  }
+
+  async get(reportId) {
+    const report = await getRepositories().reports.findById(reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+    return report;
+  }
+
+  // Where the report stands in review and what `role` can do with it
+  async reviewState(reportId, role) {
+    const report = await this.get(reportId);
+    return {
+      reportId,
+      status: ReportWorkflow.status(report),
+      signatures: ReportWorkflow.signatures(report),
+      missingSignatures: ReportWorkflow.missingSignatures(report),
+      allowedActions: role ? ReportWorkflow.allowedActions(report, role) : [],
+      history: report.review?.history || []
+    };
+  }
+
+  // Takes a review action (submit, sign, approve, reject, revise) as `actor` in `role`.
+  // The transition is worked out from the version read here, so a review that
+  // landed in between is not overwritten; the later one gets a 409 instead.
+  async review(reportId, action, { actor, role, comment } = {}) {
+    const report = await this.get(reportId);
+    const changes = ReportWorkflow.transition(report, action, { actor, role, comment });
+    return getRepositories().reports.update(reportId, changes, {
+      operation: action,
+      author: actor,
+      expectedVersion: report.version || 1
+    });
+  }
+
+  // Replaces the discussion notes; earlier notes stay in the version history
+  async updateNotes(reportId, notes, { actor } = {}) {
+    if (typeof notes !== 'string') {
+      throw new ValidationError('Discussion notes must be text');
+    }
+    await this.get(reportId);
+    return getRepositories().reports.update(reportId, { discussionNotes: notes }, { operation: 'notes', author: actor });
+  }
+
+  // Rebuilds the report's content from the patient's current record, the same
+  // way it was first produced, as a new version of the same report
+  async regenerate(reportId, { actor } = {}) {
+    const { patients, reports } = getRepositories();
+    const report = await this.get(reportId);
+    const status = ReportWorkflow.status(report);
+    if (!REGENERATE_FROM.includes(status)) {
+      throw new ConflictError(`Cannot regenerate a report that is ${status.replace('_', ' ')}; revise it first`, { status });
+    }
+    const patient = await patients.findByAbhaId(report.patientId);
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const content = report.reportType === 'ai_generated'
+      ? this.fromAIReport(await this.perplexityService.generateTumorBoardReport(patient), patient)
+      : await this.reportGenerator.buildReport(patient, report.reportType);
+    const changes = Object.fromEntries(Object.entries(content).filter(([field]) => !KEPT_ON_REGENERATE.includes(field)));
+    return reports.update(reportId, changes, { operation: 'regenerate', author: actor });
+  }
+
+  // Version metadata, oldest first. A report stored before versioning and never
+  // changed since is its own single version.
+  async versions(reportId) {
+    const report = await this.get(reportId);
+    const versions = await getRepositories().reports.findVersions(reportId);
+    if (versions.length > 0) {
+      return versions;
+    }
+    return [{
+      reportId,
+      version: report.version || 1,
+      operation: 'baseline',
+      author: null,
+      savedAt: report.updatedAt || report.generatedDate,
+      approvalStatus: ReportWorkflow.status(report)
+    }];
+  }
+
+  // The snapshot { reportId, version, operation, author, savedAt, report }
+  async version(reportId, version) {
+    const number = this.parseVersion(version, 'version');
+    const report = await this.get(reportId);
+    const record = await getRepositories().reports.findVersion(reportId, number);
+    if (record) {
+      return record;
+    }
+    const [only] = await this.versions(reportId);
+    if (only.operation === 'baseline' && only.version === number) {
+      return { ...only, report };
+    }
+    throw new NotFoundError(`Report ${reportId} has no version ${number}`);
+  }
+
+  // What changed from one version to another; `to` defaults to the current
+  // version and `from` to the one before it
+  async diff(reportId, { from, to } = {}) {
+    const versions = await this.versions(reportId);
+    const latest = versions[versions.length - 1].version;
+    const toVersion = to === undefined ? latest : this.parseVersion(to, 'to');
+    const fromVersion = from === undefined ? Math.max(toVersion - 1, versions[0].version) : this.parseVersion(from, 'from');
+
+    const [before, after] = await Promise.all([this.version(reportId, fromVersion), this.version(reportId, toVersion)]);
+    const describe = ({ report, ...meta }) => meta;
+    return {
+      reportId,
+      from: describe(before),
+      to: describe(after),
+      ...ReportDiff.compare(before.report, after.report)
+    };
+  }
+
+  parseVersion(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ValidationError(`"${name}" must be a version number (1 or higher)`);
+    }
+    return number;
+  }
+
+  // Counts for the reports dashboard, from what is actually stored
+  async stats() {
+    const reports = await getRepositories().reports.findAll();
+    const count = (values, keys = []) => values.reduce((counts, value) => {
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, Object.fromEntries(keys.map(key => [key, 0])));
+
+    return {
+      total: reports.length,
+      byStatus: count(reports.map(report => report.approvalStatus || 'draft'), STATUSES),
+      byType: count(reports.map(report => report.reportType || 'initial')),
+      patients: new Set(reports.map(report => report.patientId)).size,
+      lastGeneratedAt: reports[0]?.generatedDate || null
+    };
+  }
+}
+
+TumorBoardReportService.STATUSES = STATUSES;
+
+module.exports = TumorBoardReportService;
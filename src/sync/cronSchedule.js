@@ -0,0 +1,125 @@
+const { ValidationError } = require('../utils/errors');
+
+// Standard five-field cron (minute hour day-of-month month day-of-week) in
+// server local time, the usual @hourly/@daily shorthands, and "@every 15m"
+// intervals for sources that should be polled regardless of the clock
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Searching further ahead than this means the expression never fires (30 February)
+const SEARCH_YEARS = 8;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new ValidationError(`Invalid cron ${name} "${part}"`);
+    }
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    // "5/15" runs from 5 to the end of the range, as in Vixie cron
+    const to = range === '*' || (end === undefined && step !== undefined) ? max : Number(end ?? start);
+    const every = step === undefined ? 1 : Number(step);
+    if (from < min || to > max || from > to || every < 1) {
+      throw new ValidationError(`Cron ${name} "${part}" is outside ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += every) {
+      values.add(value);
+    }
+  });
+  return { values, restricted: text !== '*' };
+}
+
+class CronSchedule {
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    const interval = /^@every\s+(\d+)\s*([smhd])$/i.exec(this.expression);
+    if (interval) {
+      this.intervalMs = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+      if (this.intervalMs < INTERVAL_UNITS.s) {
+        throw new ValidationError('Sync interval must be at least one second');
+      }
+      return;
+    }
+
+    const fields = (ALIASES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new ValidationError(`Invalid schedule "${this.expression}": expected five cron fields, an @alias or "@every <n>m"`);
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+    if (dayOfWeek.values.delete(7)) {
+      dayOfWeek.values.add(0);
+    }
+    Object.assign(this, { minute, hour, dayOfMonth, month, dayOfWeek });
+  }
+
+  static parse(expression) {
+    const schedule = new CronSchedule(expression);
+    schedule.next();
+    return schedule;
+  }
+
+  // When both day fields are restricted cron fires on either, not both
+  matchesDay(date) {
+    const dayOfMonth = this.dayOfMonth.values.has(date.getDate());
+    const dayOfWeek = this.dayOfWeek.values.has(date.getDay());
+    if (this.dayOfMonth.restricted && this.dayOfWeek.restricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  // First firing strictly after `after`
+  next(after = new Date()) {
+    if (this.intervalMs) {
+      return new Date(after.getTime() + this.intervalMs);
+    }
+
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (date < limit) {
+      if (!this.month.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hour.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minute.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    throw new ValidationError(`Schedule "${this.expression}" never fires`);
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronSchedule;
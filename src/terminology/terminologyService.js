@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const BUILT_IN_TABLES = path.join(__dirname, 'tables');
+
+const SYSTEMS = {
+  LOINC: 'http://loinc.org',
+  SNOMED: 'http://snomed.info/sct',
+  ICD10: 'http://hl7.org/fhir/sid/icd-10',
+  ICDO3: 'http://terminology.hl7.org/CodeSystem/icd-o-3',
+  LOCAL_LAB: 'https://oncology-poc.local/fhir/CodeSystem/local-lab'
+};
+
+// "Non-keratinizing SCC," and "non keratinizing scc" compare equal
+const normalize = text => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const property = (concept, code) => concept.property?.find(entry => entry.code === code)?.valueString;
+
+let shared = null;
+
+// Local terminology server over FHIR CodeSystem/ConceptMap JSON tables: the
+// built-in tables under ./tables plus any in TERMINOLOGY_PATH (a directory),
+// which extend or override built-in concepts by system URL and code.
+class TerminologyService {
+  constructor(tablePaths = [BUILT_IN_TABLES, process.env.TERMINOLOGY_PATH].filter(Boolean)) {
+    this.codeSystems = new Map();
+    this.conceptMaps = new Map();
+    tablePaths.forEach(tablePath => this.loadDirectory(tablePath));
+  }
+
+  static shared() {
+    if (!shared) {
+      shared = new TerminologyService();
+    }
+    return shared;
+  }
+
+  static reset() {
+    shared = null;
+  }
+
+  loadDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      console.warn(`Terminology tables not found at ${directory}`);
+      return;
+    }
+
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        try {
+          this.addResource(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+        } catch (error) {
+          console.error(`Skipping terminology table ${file}:`, error.message);
+        }
+      });
+  }
+
+  addResource(resource) {
+    if (resource.resourceType === 'CodeSystem') {
+      const existing = this.codeSystems.get(resource.url);
+      const concepts = new Map(existing ? existing.concepts : []);
+      (resource.concept || []).forEach(concept => concepts.set(concept.code, concept));
+      this.codeSystems.set(resource.url, {
+        url: resource.url,
+        name: resource.name || existing?.name,
+        title: existing?.title || resource.title,
+        version: resource.version || existing?.version,
+        concepts
+      });
+    } else if (resource.resourceType === 'ConceptMap') {
+      this.conceptMaps.set(resource.url, resource);
+    } else {
+      throw new ValidationError(`Terminology tables must be CodeSystem or ConceptMap resources, got ${resource.resourceType}`);
+    }
+  }
+
+  summary() {
+    return {
+      codeSystems: Array.from(this.codeSystems.values()).map(({ url, name, version, concepts }) =>
+        ({ url, name, version, concepts: concepts.size })),
+      conceptMaps: Array.from(this.conceptMaps.values()).map(({ url, name, group }) =>
+        ({ url, name, source: group?.[0]?.source, target: group?.[0]?.target }))
+    };
+  }
+
+  requireCodeSystem(system) {
+    if (!system) {
+      throw new ValidationError('system is required');
+    }
+    const codeSystem = this.codeSystems.get(system);
+    if (!codeSystem) {
+      throw new NotFoundError(`Code system ${system} is not loaded`);
+    }
+    return codeSystem;
+  }
+
+  findConcept(system, code) {
+    return this.codeSystems.get(system)?.concepts.get(code) || null;
+  }
+
+  coding(system, concept) {
+    return concept ? { system, code: concept.code, display: concept.display } : undefined;
+  }
+
+  // Free text to a concept by display or designation. Exact matching suits
+  // test names; partial matching finds the longest term inside a diagnosis.
+  resolveText(text, { system, axis, partial = false, mappedTo } = {}) {
+    const target = normalize(text);
+    if (target.trim() === '') return null;
+
+    const systems = system ? [this.codeSystems.get(system)].filter(Boolean) : Array.from(this.codeSystems.values());
+    let best = null;
+    systems.forEach(codeSystem => {
+      codeSystem.concepts.forEach(concept => {
+        if (axis && property(concept, 'axis') !== axis) return;
+        if (mappedTo && this.mapCode(codeSystem.url, concept.code, mappedTo).length === 0) return;
+        const terms = [concept.code, concept.display, ...(concept.designation || []).map(entry => entry.value)];
+        terms.map(normalize).forEach(term => {
+          const matches = partial ? target.includes(term) : target === term;
+          if (matches && term.trim() !== '' && (!best || term.length > best.length)) {
+            best = { system: codeSystem.url, concept, length: term.length };
+          }
+        });
+      });
+    });
+    return best ? { system: best.system, concept: best.concept } : null;
+  }
+
+  lookup({ system, code }) {
+    const codeSystem = this.requireCodeSystem(system);
+    if (!code) {
+      throw new ValidationError('code is required');
+    }
+    const concept = codeSystem.concepts.get(code);
+    if (!concept) {
+      throw new NotFoundError(`Code ${code} not found in ${system}`);
+    }
+
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'name', valueString: codeSystem.name },
+        codeSystem.version && { name: 'version', valueString: codeSystem.version },
+        { name: 'display', valueString: concept.display },
+        ...(concept.designation || []).map(designation => ({
+          name: 'designation',
+          part: [
+            designation.language && { name: 'language', valueCode: designation.language },
+            { name: 'value', valueString: designation.value }
+          ].filter(Boolean)
+        })),
+        ...(concept.property || []).map(entry => ({
+          name: 'property',
+          part: [{ name: 'code', valueCode: entry.code }, { name: 'value', valueString: entry.valueString }]
+        }))
+      ].filter(Boolean)
+    };
+  }
+
+  validateCode({ system, code, display }) {
+    const codeSystem = this.requireCodeSystem(system);
+    const concept = codeSystem.concepts.get(code);
+    let message;
+    if (!concept) {
+      message = `Unknown code ${code} in ${system}`;
+    } else if (display && normalize(display) !== normalize(concept.display)) {
+      message = `Display "${display}" does not match "${concept.display}" for ${system}#${code}`;
+    }
+
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: Boolean(concept) && !message },
+        message && { name: 'message', valueString: message },
+        concept && { name: 'display', valueString: concept.display }
+      ].filter(Boolean)
+    };
+  }
+
+  // Concept map targets for one source code, optionally restricted to a target system
+  mapCode(system, code, targetSystem) {
+    const matches = [];
+    this.conceptMaps.forEach(conceptMap => {
+      (conceptMap.group || [])
+        .filter(group => group.source === system && (!targetSystem || group.target === targetSystem))
+        .forEach(group => {
+          (group.element || [])
+            .filter(element => element.code === code)
+            .forEach(element => (element.target || []).forEach(target => {
+              matches.push({
+                equivalence: target.equivalence || 'equivalent',
+                concept: {
+                  system: group.target,
+                  code: target.code,
+                  display: target.display || this.findConcept(group.target, target.code)?.display
+                },
+                source: conceptMap.url
+              });
+            }));
+        });
+    });
+    return matches;
+  }
+
+  mapSources(targetSystem) {
+    const sources = new Set();
+    this.conceptMaps.forEach(conceptMap => (conceptMap.group || [])
+      .filter(group => group.target === targetSystem)
+      .forEach(group => sources.add(group.source)));
+    return Array.from(sources);
+  }
+
+  // Free text to target concepts through up to two concept maps
+  // (e.g. diagnosis text -> ICD-O-3 topography -> ICD-10 -> SNOMED CT)
+  translateText(text, targetSystem, system, hops = 2) {
+    const sources = this.mapSources(targetSystem);
+    for (const source of sources.filter(candidate => !system || candidate === system)) {
+      const resolved = this.resolveText(text, { system: source, partial: true, mappedTo: targetSystem });
+      if (resolved) {
+        return this.mapCode(resolved.system, resolved.concept.code, targetSystem);
+      }
+    }
+    if (hops > 1) {
+      for (const source of sources) {
+        const matches = this.translateText(text, source, system, hops - 1)
+          .flatMap(match => this.mapCode(source, match.concept.code, targetSystem));
+        if (matches.length > 0) {
+          return matches;
+        }
+      }
+    }
+    return [];
+  }
+
+  // $translate accepts a coded concept (system + code) or free text; text is
+  // first resolved against the target system, then any system with a map to it.
+  // R4 names the target parameter targetsystem, R5 targetSystem.
+  translate({ system, code, text, targetsystem: r4Target, targetSystem }) {
+    const targetsystem = r4Target || targetSystem;
+    if (!code && !text) {
+      throw new ValidationError('Either system and code, or text, is required');
+    }
+
+    let matches;
+    if (code) {
+      this.requireCodeSystem(system);
+      matches = this.mapCode(system, code, targetsystem);
+    } else if (targetsystem) {
+      const direct = this.resolveText(text, { system: targetsystem });
+      matches = direct
+        ? [{ equivalence: 'equivalent', concept: this.coding(direct.system, direct.concept) }]
+        : this.translateText(text, targetsystem, system);
+    } else {
+      const resolved = this.resolveText(text, { system, partial: true });
+      matches = resolved
+        ? [
+          { equivalence: 'equivalent', concept: this.coding(resolved.system, resolved.concept) },
+          ...this.mapCode(resolved.system, resolved.concept.code)
+        ]
+        : [];
+    }
+
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: matches.length > 0 },
+        matches.length === 0 && { name: 'message', valueString: `No translation found for ${code ? `${system}#${code}` : `"${text}"`}` },
+        ...matches.map(match => ({
+          name: 'match',
+          part: [
+            { name: 'equivalence', valueCode: match.equivalence },
+            { name: 'concept', valueCoding: match.concept },
+            match.source && { name: 'source', valueUri: match.source }
+          ].filter(Boolean)
+        }))
+      ].filter(Boolean)
+    };
+  }
+
+  // A lab test by code or name: LOINC when the tables have it, else the local lab code
+  resolveLab({ code, system, name } = {}) {
+    const labSystems = [SYSTEMS.LOINC, SYSTEMS.LOCAL_LAB];
+    const coded = labSystems.includes(system) && this.findConcept(system, code);
+    const match = (coded && { system, concept: coded })
+      || labSystems.reduce((found, labSystem) => found
+        || this.resolveText(name, { system: labSystem })
+        || this.resolveText(code, { system: labSystem }), null);
+    if (!match) return null;
+
+    return {
+      coding: this.coding(match.system, match.concept),
+      commonName: property(match.concept, 'commonName'),
+      unit: property(match.concept, 'unit')
+    };
+  }
+
+  // Registry coding for a cancerType record: ICD-O-3 topography from the
+  // primary site text, morphology from the histology (falling back to the
+  // primary text), ICD-10 and SNOMED CT through the concept maps
+  codeDiagnosis(cancerType = {}) {
+    const topography = this.resolveText(cancerType.primary, { system: SYSTEMS.ICDO3, axis: 'topography', partial: true });
+    const morphology = this.resolveText(cancerType.histology, { system: SYSTEMS.ICDO3, axis: 'morphology', partial: true })
+      || this.resolveText(cancerType.primary, { system: SYSTEMS.ICDO3, axis: 'morphology', partial: true });
+
+    const icd10 = topography && this.mapCode(SYSTEMS.ICDO3, topography.concept.code, SYSTEMS.ICD10)[0]?.concept;
+    const snomed = icd10 && this.mapCode(SYSTEMS.ICD10, icd10.code, SYSTEMS.SNOMED)[0]?.concept;
+
+    return {
+      icd10,
+      snomed,
+      topography: topography ? this.coding(SYSTEMS.ICDO3, topography.concept) : undefined,
+      morphology: morphology ? this.coding(SYSTEMS.ICDO3, morphology.concept) : undefined
+    };
+  }
+}
+
+TerminologyService.SYSTEMS = SYSTEMS;
+
+module.exports = TerminologyService;
@@ -0,0 +1,31 @@
+const AbdmConsentService = require('../services/abdmConsentService');
+const { sendError } = require('./errors');
+
+const consentService = new AbdmConsentService();
+
+// Patient data routes require an active ABDM consent (X-Consent-Id) once
+// ABDM_CONSENT_ENFORCED=true. `patientOf` is the route param holding the ABHA,
+// or a function resolving it from the request (a report's or study's patient).
+// When the request names no patient, as lists and searches do, any active
+// consent passes and the route answers for req.consentedPatient alone. A resolver
+// throws (a NotFoundError, say) when the record it looks up does not exist.
+function requireConsent(patientOf = 'abhaId', { onError = sendError } = {}) {
+  const resolvePatient = typeof patientOf === 'function' ? patientOf : req => req.params[patientOf];
+
+  return async (req, res, next) => {
+    if (process.env.ABDM_CONSENT_ENFORCED !== 'true') {
+      return next();
+    }
+
+    try {
+      const abhaId = await resolvePatient(req);
+      req.consent = await consentService.findActiveConsent(req.get('X-Consent-Id'), abhaId || null);
+      req.consentedPatient = req.consent.patient.id;
+      next();
+    } catch (error) {
+      onError(res, error);
+    }
+  };
+}
+
+module.exports = requireConsent;
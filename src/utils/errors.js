@@ -0,0 +1,43 @@
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, 422, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, 404, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, 409, details);
+  }
+}
+
+// Shared JSON error body so routes surface statusCode/details consistently
+function sendError(res, error) {
+  const body = { error: error.message };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  res.status(error.statusCode || 500).json(body);
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  sendError
+};
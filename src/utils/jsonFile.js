@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function tempPathFor(filePath) {
+  const suffix = crypto.randomBytes(6).toString('hex');
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+// Write to a temp file in the same directory, then rename over the target.
+// Readers only ever see the old or the new content, never a partial file.
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = tempPathFor(filePath);
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Like writeJsonAtomic, but fails with EEXIST instead of replacing an existing file.
+// Used for append-only version files where two writers must not both win.
+function writeJsonExclusive(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = tempPathFor(filePath);
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  try {
+    fs.linkSync(tempPath, filePath);
+  } finally {
+    fs.unlinkSync(tempPath);
+  }
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+  writeJsonExclusive
+};
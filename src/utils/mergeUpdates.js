@@ -0,0 +1,20 @@
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Nested objects are merged field by field; arrays and scalars replace the current value
+function mergeUpdates(current, updates) {
+  const result = { ...current };
+
+  Object.entries(updates || {}).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(current?.[key])) {
+      result[key] = mergeUpdates(current[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+module.exports = mergeUpdates;
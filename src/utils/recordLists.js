@@ -0,0 +1,48 @@
+// Patient record lists with the key that identifies the same entry arriving
+// twice (the same lab result reported by two feeds, or re-sent after a fix)
+const RECORD_KEYS = {
+  medicalHistory: entry => JSON.stringify([entry.type, entry.date, entry.description]),
+  imaging: entry => entry.studyInstanceUid || entry.studyId,
+  labResults: entry => entry.testId,
+  pathologyReports: entry => entry.reportId,
+  treatments: entry => entry.treatmentId,
+  clinicalTrials: entry => entry.trialId,
+  careContexts: entry => entry.referenceNumber,
+  tumorBoardReports: entry => entry.reportId
+};
+
+const entryKey = (key, entry) => key(entry) ?? JSON.stringify(entry);
+
+// Entries of `primary` win over duplicates in `secondary`
+function unionBy(key, primary = [], secondary = []) {
+  const seen = new Set();
+  return [...primary, ...secondary].filter(entry => {
+    const id = entryKey(key, entry);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+// Incoming entries replace current ones with the same key, in place; new ones are appended
+function upsertBy(key, current = [], incoming = []) {
+  const result = [...current];
+  const positions = new Map(result.map((entry, index) => [entryKey(key, entry), index]));
+  incoming.forEach(entry => {
+    const id = entryKey(key, entry);
+    if (positions.has(id)) {
+      result[positions.get(id)] = entry;
+    } else {
+      positions.set(id, result.length);
+      result.push(entry);
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  RECORD_KEYS,
+  entryKey,
+  unionBy,
+  upsertBy
+};
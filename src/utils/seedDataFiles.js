@@ -0,0 +1,35 @@
+const path = require('path');
+const express = require('express');
+
+const DATA_PATH = path.join(__dirname, '../data');
+
+// The stores the app writes, which default to folders inside src/data
+function storePaths(dataPath) {
+  return [
+    process.env.DATA_STORE_PATH || path.join(dataPath, 'store'),
+    process.env.PATIENT_STORE_PATH || path.join(dataPath, 'patient-store')
+  ].map(storePath => path.resolve(storePath));
+}
+
+// Serves the seed files under src/data but not the report, consent and patient
+// stores kept beside them, which only the consent-checked API may read
+function seedDataFiles(dataPath = DATA_PATH) {
+  const serve = express.static(dataPath);
+  const stores = storePaths(dataPath);
+
+  return (req, res, next) => {
+    let file;
+    try {
+      file = path.resolve(path.join(dataPath, decodeURIComponent(req.path)));
+    } catch (error) {
+      return next();
+    }
+    // Answered here so the client-side routing fallback does not take it
+    if (stores.some(store => file === store || file.startsWith(store + path.sep))) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    serve(req, res, next);
+  };
+}
+
+module.exports = seedDataFiles;